@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+/**
+ * API server: MockAPIServer's REST endpoints over HTTP, for tools outside the
+ * browser to query the dashboard's trip data
+ *
+ *   node scripts/apiServer.mjs [--port 4020] [--data public/data] [--openapi openapi.json]
+ *
+ *   GET /health
+ *   GET /trips
+ *   GET /trips/<tripId>/events?limit=100&offset=0
+ *   GET /events?startTime=...&endTime=...&tripId=...&limit=100&offset=0
+ *   GET /stats
+ *   GET /openapi.json                  the OpenAPI document for the above
+ *
+ * Invalid query parameters answer 400, unknown trips and routes 404, with
+ * { error, details? }. With --openapi the document is written to that file
+ * and the server doesn't start.
+ */
+
+import http from 'node:http';
+import path from 'node:path';
+import { writeFile } from 'node:fs/promises';
+import { loadTripsFromDisk, DEFAULT_DATA_DIR } from './lib/tripData.mjs';
+import MockAPIServer from '../src/api/mockAPIServer.js';
+import { buildOpenApiSpec, handleRestRequest } from '../src/api/restApi.js';
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+function parseArgs(argv) {
+  const args = { port: 4020, data: DEFAULT_DATA_DIR, openapi: null };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i].replace(/^--/, '');
+    if (flag in args && i + 1 < argv.length) {
+      args[flag] = argv[++i];
+    } else {
+      throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+    }
+  }
+  args.port = Number(args.port);
+  if (!Number.isInteger(args.port) || args.port < 0) throw new Error('--port must be a port number');
+  args.data = path.resolve(args.data);
+  return args;
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { ...CORS_HEADERS, ...headers, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function createApiServer({ trips, port }) {
+  const api = new MockAPIServer(trips);
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS);
+      res.end();
+    } else if (req.method === 'GET' && url.pathname === '/openapi.json') {
+      sendJson(res, 200, buildOpenApiSpec({ serverUrl: `http://${req.headers.host || `localhost:${port}`}` }));
+    } else {
+      try {
+        const { status, body, headers } = await handleRestRequest(api, req.method, url.pathname, url.searchParams);
+        sendJson(res, status, body, headers);
+      } catch (error) {
+        console.error(`${req.method} ${req.url}:`, error);
+        sendJson(res, 500, { error: 'Internal server error' });
+      }
+    }
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.openapi) {
+    const spec = buildOpenApiSpec({ serverUrl: `http://localhost:${args.port}` });
+    await writeFile(args.openapi, `${JSON.stringify(spec, null, 2)}\n`);
+    console.log(`Wrote the OpenAPI document to ${args.openapi}`);
+    return;
+  }
+
+  const { trips, skipped } = await loadTripsFromDisk(args.data);
+  skipped.forEach(({ id, reason }) => console.warn(`${id}: ${reason}`));
+  if (Object.keys(trips).length === 0) throw new Error(`No trips to serve in ${args.data}`);
+
+  const server = createApiServer({ trips, port: args.port });
+  server.listen(args.port, () => {
+    console.log(`Serving ${Object.keys(trips).length} trips on http://localhost:${server.address().port}` +
+      ' (OpenAPI document at /openapi.json)');
+  });
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+/**
+ * Write synthetic trip fixtures with the trip generator
+ *
+ *   node scripts/generateTrips.mjs --vehicles 25 --seed fleet-a [--interval 30]
+ *     [--start 2025-11-03T08:00:00Z] [--prefix sim] [--out public/data/synthetic] [--register]
+ *
+ * Each vehicle is written to <out>/<prefix>_NNN.json, with the manifest entries in
+ * <out>/manifest.json; each entry's revision is the file's content hash, so the
+ * dashboard's trip cache never serves an earlier fixture under the same name. --register also adds them to public/data/manifest.json
+ * (replacing entries with the same ids) so the dashboard loads them.
+ */
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { generateFleet } from '../src/utils/tripGenerator.js';
+import { createContentHasher } from '../src/utils/tripCache.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DATA_DIR = path.join(ROOT, 'public', 'data');
+
+function parseArgs(argv) {
+  const args = { vehicles: 10, seed: '1', interval: 30, start: '2025-11-03T08:00:00.000Z', prefix: 'sim', out: path.join(DATA_DIR, 'synthetic'), register: false };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i].replace(/^--/, '');
+    if (flag === 'register') {
+      args.register = true;
+    } else if (flag in args && i + 1 < argv.length) {
+      args[flag] = argv[++i];
+    } else {
+      throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+    }
+  }
+  args.vehicles = Number(args.vehicles);
+  args.interval = Number(args.interval);
+  if (!Number.isInteger(args.vehicles) || args.vehicles < 1) throw new Error('--vehicles must be a positive integer');
+  if (!(args.interval > 0)) throw new Error('--interval must be a positive number of seconds');
+  if (isNaN(Date.parse(args.start))) throw new Error('--start must be an ISO timestamp');
+  args.out = path.resolve(args.out);
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const fleet = generateFleet({
+    seed: args.seed,
+    vehicleCount: args.vehicles,
+    startTime: args.start,
+    idPrefix: args.prefix,
+    pingIntervalSec: args.interval
+  });
+
+  await mkdir(args.out, { recursive: true });
+  const entries = [];
+  let eventCount = 0;
+  for (const { trip, events } of fleet) {
+    const text = JSON.stringify(events, null, 2);
+    await writeFile(path.join(args.out, trip.file), text);
+    const hasher = createContentHasher();
+    hasher.update(text);
+    // Manifest files are relative to public/data
+    entries.push({
+      ...trip,
+      file: path.relative(DATA_DIR, path.join(args.out, trip.file)).split(path.sep).join('/'),
+      revision: hasher.digest()
+    });
+    eventCount += events.length;
+  }
+  await writeFile(path.join(args.out, 'manifest.json'), JSON.stringify({ trips: entries }, null, 2) + '\n');
+
+  if (args.register) {
+    const manifestPath = path.join(DATA_DIR, 'manifest.json');
+    const manifest = JSON.parse(await readFile(manifestPath, 'utf8'));
+    const ids = new Set(entries.map(entry => entry.id));
+    manifest.trips = [...manifest.trips.filter(entry => !ids.has(entry.id)), ...entries];
+    await writeFile(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+  }
+
+  console.log(`Wrote ${fleet.length} trips (${eventCount.toLocaleString()} events) to ${path.relative(ROOT, args.out)}` +
+    (args.register ? ' and registered them in public/data/manifest.json' : ''));
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
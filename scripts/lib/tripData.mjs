@@ -0,0 +1,47 @@
+/**
+ * Load the dashboard's trip data from disk for the Node servers
+ *
+ * Reads public/data/manifest.json and the trip files it lists (JSON and
+ * NDJSON; GPX needs a browser DOMParser and is skipped), validated like the
+ * dashboard does, so servers play exactly the events the app shows.
+ */
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { normalizeManifest } from '../../src/utils/dataLoader.js';
+import { validateTripEvents } from '../../src/utils/eventSchema.js';
+
+export const DEFAULT_DATA_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'public', 'data');
+
+function parseTripFile(text, file) {
+  if (/\.(ndjson|jsonl)$/i.test(file)) {
+    return text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+  }
+  return JSON.parse(text);
+}
+
+/**
+ * Resolves { manifest, trips: { [tripId]: events }, skipped: [{ id, reason }] }
+ */
+export async function loadTripsFromDisk(dataDir = DEFAULT_DATA_DIR) {
+  const manifest = normalizeManifest(JSON.parse(await readFile(path.join(dataDir, 'manifest.json'), 'utf8')));
+  const trips = {};
+  const skipped = [];
+
+  for (const trip of manifest.trips) {
+    if (/\.gpx$/i.test(trip.file)) {
+      skipped.push({ id: trip.id, reason: 'GPX files are only supported in the browser' });
+      continue;
+    }
+    try {
+      const raw = parseTripFile(await readFile(path.join(dataDir, trip.file), 'utf8'), trip.file);
+      const { events, report } = validateTripEvents(raw);
+      trips[trip.id] = events;
+      if (report.quarantined > 0) skipped.push({ id: trip.id, reason: `${report.quarantined} invalid events quarantined` });
+    } catch (error) {
+      skipped.push({ id: trip.id, reason: error.message });
+    }
+  }
+  return { manifest, trips, skipped };
+}
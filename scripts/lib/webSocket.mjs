@@ -0,0 +1,158 @@
+/**
+ * Minimal WebSocket server side (RFC 6455) on a Node HTTP upgrade
+ *
+ * Enough for the replay server's JSON messages: text frames, ping/pong and
+ * close. Fragmented and binary messages are refused.
+ */
+
+import { createHash } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 64 * 1024;
+
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header.writeUInt16BE(length, 2);
+    header[1] = 126;
+  } else {
+    header = Buffer.alloc(10);
+    header.writeUInt32BE(Math.floor(length / 2 ** 32), 2);
+    header.writeUInt32BE(length % 2 ** 32, 6);
+    header[1] = 127;
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * One frame from the start of buffer: { fin, opcode, payload, size }, or null if incomplete
+ */
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = buffer.readUInt32BE(2) * 2 ** 32 + buffer.readUInt32BE(6);
+    offset = 10;
+  }
+  if (length > MAX_MESSAGE_BYTES) throw new Error('Message too large');
+
+  const maskOffset = offset;
+  if (masked) offset += 4;
+  if (buffer.length < offset + length) return null;
+
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  if (masked) {
+    for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[maskOffset + (i % 4)];
+  }
+  return { fin, opcode, payload, size: offset + length };
+}
+
+class WebSocketConnection extends EventEmitter {
+  constructor(socket) {
+    super();
+    this.socket = socket;
+    this.pending = Buffer.alloc(0);
+    this.open = true;
+
+    socket.on('data', chunk => this._receive(chunk));
+    socket.on('close', () => this._closed());
+    socket.on('error', () => this._closed());
+  }
+
+  send(text) {
+    if (!this.open) return;
+    this.socket.write(encodeFrame(OPCODES.text, Buffer.from(text)));
+  }
+
+  close(code = 1000, reason = '') {
+    if (!this.open) return;
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    this.socket.end(encodeFrame(OPCODES.close, payload));
+    this._closed();
+  }
+
+  _receive(chunk) {
+    this.pending = Buffer.concat([this.pending, chunk]);
+    try {
+      let frame = decodeFrame(this.pending);
+      while (frame) {
+        this.pending = this.pending.subarray(frame.size);
+        this._handleFrame(frame);
+        frame = this.open ? decodeFrame(this.pending) : null;
+      }
+    } catch (error) {
+      this.close(1009, error.message);
+    }
+  }
+
+  _handleFrame({ fin, opcode, payload }) {
+    switch (opcode) {
+      case OPCODES.text:
+        if (!fin) {
+          this.close(1003, 'Fragmented messages are not supported');
+          return;
+        }
+        this.emit('message', payload.toString('utf8'));
+        return;
+      case OPCODES.ping:
+        this.socket.write(encodeFrame(OPCODES.pong, payload));
+        return;
+      case OPCODES.pong:
+        return;
+      case OPCODES.close:
+        this.close();
+        return;
+      default:
+        this.close(1003, 'Only text messages are supported');
+    }
+  }
+
+  _closed() {
+    if (!this.open) return;
+    this.open = false;
+    this.emit('close');
+  }
+}
+
+/**
+ * Complete the handshake for an HTTP 'upgrade' request; returns the connection,
+ * or null (after answering 400) if the request isn't a WebSocket upgrade
+ */
+export function acceptWebSocket(request, socket, headers = {}) {
+  const key = request.headers['sec-websocket-key'];
+  if (request.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return null;
+  }
+
+  const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+  const lines = [
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`)
+  ];
+  socket.write(`${lines.join('\r\n')}\r\n\r\n`);
+  return new WebSocketConnection(socket);
+}
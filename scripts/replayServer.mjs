@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+/**
+ * Replay server: the dashboard's trip data as a live event stream over
+ * WebSocket and Server-Sent Events, for consumers outside the browser
+ *
+ *   node scripts/replayServer.mjs [--port 4010] [--data public/data]
+ *
+ * Every connection gets its own playback (see src/api/replaySession.js):
+ *
+ *   ws://localhost:4010/stream?speed=10&play=1     controls are sent on the socket
+ *   GET /stream?speed=10&play=1                   SSE; controls are POSTed to
+ *   POST /sessions/<session>/control              /sessions/<session>/control
+ *   GET /health
+ *
+ * Controls: {"action":"play"}, {"action":"pause"}, {"action":"seek","progress":0.5},
+ * {"action":"speed","speed":60}. A client that reconnects with its last event id
+ * (the SSE Last-Event-ID header, or ?lastEventId= on either transport) resumes
+ * right after that event.
+ */
+
+import http from 'node:http';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { loadTripsFromDisk, DEFAULT_DATA_DIR } from './lib/tripData.mjs';
+import { acceptWebSocket } from './lib/webSocket.mjs';
+import { buildTimeOrder, flattenTrips } from '../src/utils/eventProcessingTasks.js';
+import { parseControl, parseLastEventId, ReplaySession } from '../src/api/replaySession.js';
+
+const SSE_KEEPALIVE_MS = 15 * 1000;
+const SSE_RETRY_MS = 2000;
+const MAX_BODY_BYTES = 16 * 1024;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Last-Event-ID'
+};
+
+function parseArgs(argv) {
+  const args = { port: 4010, data: DEFAULT_DATA_DIR };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i].replace(/^--/, '');
+    if (flag in args && i + 1 < argv.length) {
+      args[flag] = argv[++i];
+    } else {
+      throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+    }
+  }
+  args.port = Number(args.port);
+  if (!Number.isInteger(args.port) || args.port < 0) throw new Error('--port must be a port number');
+  args.data = path.resolve(args.data);
+  return args;
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Request body as text; stops reading and rejects with a 413 status past MAX_BODY_BYTES
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    const onData = chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        req.off('data', onData);
+        req.pause();
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+      }
+    };
+    req.on('data', onData);
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Session options from the query string (and SSE's Last-Event-ID header)
+ */
+function sessionOptions(url, headers) {
+  const speed = Number(url.searchParams.get('speed') ?? 1);
+  return {
+    speed: speed > 0 ? speed : 1,
+    lastEventId: parseLastEventId(headers['last-event-id'] ?? url.searchParams.get('lastEventId')),
+    play: ['1', 'true'].includes(url.searchParams.get('play'))
+  };
+}
+
+function createReplayServer({ trips }) {
+  const index = buildTimeOrder(flattenTrips(trips).events);
+  const sessions = new Map();
+
+  const openSession = (send, { speed, lastEventId, play }) => {
+    const session = new ReplaySession(trips, { id: randomUUID(), send, index, speed, lastEventId });
+    sessions.set(session.id, session);
+    session.start();
+    if (play) session.control({ action: 'play' });
+    return session;
+  };
+
+  const closeSession = (session) => {
+    session.close();
+    sessions.delete(session.id);
+  };
+
+  const handleEventStream = (req, res, url) => {
+    res.writeHead(200, {
+      ...CORS_HEADERS,
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+    const send = (type, data, id) => {
+      res.write(`event: ${type}\n${id != null ? `id: ${id}\n` : ''}data: ${JSON.stringify(data)}\n\n`);
+    };
+    const session = openSession(send, sessionOptions(url, req.headers));
+    const keepalive = setInterval(() => res.write(': keepalive\n\n'), SSE_KEEPALIVE_MS);
+    req.on('close', () => {
+      clearInterval(keepalive);
+      closeSession(session);
+    });
+  };
+
+  const handleControl = async (req, res, rawSessionId) => {
+    let sessionId;
+    try {
+      sessionId = decodeURIComponent(rawSessionId);
+    } catch {
+      sendJson(res, 400, { error: `Malformed session id: ${rawSessionId}` });
+      return;
+    }
+    const session = sessions.get(sessionId);
+    if (!session) {
+      sendJson(res, 404, { error: `Unknown session: ${sessionId}` });
+      return;
+    }
+    let control;
+    try {
+      control = parseControl(await readBody(req));
+    } catch (error) {
+      // The rest of an oversized body is never read, so the connection can't be reused
+      if (error.status === 413) res.shouldKeepAlive = false;
+      sendJson(res, error.status || 400, { error: error.message });
+      return;
+    }
+    session.control(control);
+    sendJson(res, 200, session.getStatus());
+  };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const controlMatch = url.pathname.match(/^\/sessions\/([^/]+)\/control$/);
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS);
+      res.end();
+    } else if (req.method === 'GET' && url.pathname === '/health') {
+      sendJson(res, 200, {
+        status: 'ok',
+        trips: Object.keys(trips).length,
+        events: index.order.length,
+        sessions: sessions.size
+      });
+    } else if (req.method === 'GET' && url.pathname === '/stream') {
+      handleEventStream(req, res, url);
+    } else if (req.method === 'POST' && controlMatch) {
+      handleControl(req, res, controlMatch[1]);
+    } else {
+      sendJson(res, 404, { error: `No route for ${req.method} ${url.pathname}` });
+    }
+  });
+
+  server.on('upgrade', (req, socket) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== '/stream') {
+      socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+      return;
+    }
+    const connection = acceptWebSocket(req, socket);
+    if (!connection) return;
+
+    const session = openSession(
+      (type, data) => connection.send(JSON.stringify({ type, ...data })),
+      sessionOptions(url, req.headers)
+    );
+    connection.on('message', message => session.control(message));
+    connection.on('close', () => closeSession(session));
+  });
+
+  return server;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const { trips, skipped } = await loadTripsFromDisk(args.data);
+  skipped.forEach(({ id, reason }) => console.warn(`${id}: ${reason}`));
+  if (Object.keys(trips).length === 0) throw new Error(`No trips to serve in ${args.data}`);
+
+  const server = createReplayServer({ trips });
+  server.listen(args.port, () => {
+    console.log(`Replaying ${Object.keys(trips).length} trips on http://localhost:${server.address().port}` +
+      ' (WebSocket and SSE at /stream)');
+  });
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
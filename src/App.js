@@ -1,71 +1,168 @@
-import React, { useMemo } from 'react';
+import React, { useMemo, useCallback } from 'react';
 import './App.css';
 import { useFleetData } from './hooks/useFleetData';
 import { useMockEventStream } from './hooks/useMockEventStream';
 import { useSimulationControls } from './hooks/useSimulationControls';
 import { useKeyboardShortcuts } from './hooks/useKeyboardShortcuts';
+import { useSimulationMetrics } from './hooks/useSimulationMetrics';
+import { useSavedLoopRanges } from './hooks/useSavedLoopRanges';
+import { useSessionRecorder } from './hooks/useSessionRecorder';
 import { AppHeader } from './components/AppHeader';
 import { TabNavigation } from './components/TabNavigation';
 import { TabContent } from './components/TabContent';
 import { AppFooter } from './components/AppFooter';
-import { LoadingState } from './components/LoadingState';
+import { LoadingState, StreamingBanner } from './components/LoadingState';
 import { ErrorState } from './components/ErrorState';
 import { SimulationControls } from './components/SimulationControls';
+import { FaultInjectionPanel } from './components/FaultInjectionPanel';
+import { StreamSourcePanel } from './components/StreamSourcePanel';
+import { SessionControls } from './components/SessionControls';
 import { ErrorBoundary } from './components/ErrorBoundary';
+import { TripDropZone } from './components/TripDropZone';
 import { initializePerformanceMonitoring } from './utils/performanceOptimization';
+import { exportTrips } from './utils/tripExport';
+import { ALIGN_ABSOLUTE, ALIGN_TRIP_START } from './utils/playbackEngine';
 
 // Initialize performance monitoring
 initializePerformanceMonitoring();
 
 function AppContent() {
-  const { trips, metrics, loading, error, fleetCompletion } = useFleetData();
+  const {
+    trips,
+    manifest,
+    validation,
+    tripStatus,
+    metrics,
+    loading,
+    streaming,
+    loadProgress,
+    cacheStatus,
+    error,
+    fleetCompletion,
+    retryTrip,
+    importFiles,
+    spawnVehicles
+  } = useFleetData();
   
   // Simulation controls and state
   const simulation = useSimulationControls(trips);
   const {
     isSimulating,
     simulationSpeed,
+    playbackDirection,
+    skipIdle,
+    alignToTripStart,
+    looping,
+    loopRange,
+    faultProfile,
+    streamSource,
+    serverUrl,
     expandedTrips,
     activeTab,
-    liveEvents,
     simulationStartTime,
     simulationEndTime,
     handlers
   } = simulation;
 
+  // Session recording and replay
+  const sessions = useSessionRecorder(trips);
+  const { startRecording, replayLastSession, loadSession } = sessions;
+
   // Mock event stream
-  const { streamStats, resetStream, seekToProgress, getProgress } = useMockEventStream(
-    trips,
-    isSimulating,
-    simulationSpeed
-  );
+  const {
+    streamStats,
+    liveEvents,
+    eventTypes,
+    isCompressing,
+    feedAnomalies,
+    resetStream,
+    seekToProgress,
+    stepEvent,
+    jumpToEvent,
+    getProgress,
+    streamError,
+    connection,
+    snapshotStream,
+    replayState,
+    toggleReplay,
+    restartReplay
+  } = useMockEventStream(trips, isSimulating, simulationSpeed, {
+    direction: playbackDirection,
+    skipIdle,
+    alignToTripStart,
+    looping,
+    loopRange,
+    faultProfile,
+    recorder: sessions.recorder,
+    replaySession: sessions.replaySession,
+    source: streamSource,
+    serverUrl
+  });
+
+  const handleStartRecording = useCallback(() => {
+    startRecording({
+      settings: {
+        speed: simulationSpeed,
+        direction: playbackDirection,
+        skipIdle,
+        alignToTripStart,
+        looping,
+        loopRange,
+        faultProfile,
+        isPlaying: isSimulating
+      },
+      snapshot: snapshotStream()
+    });
+  }, [startRecording, simulationSpeed, playbackDirection, skipIdle, alignToTripStart, looping, loopRange,
+    faultProfile, isSimulating, snapshotStream]);
+
+  // The live stream stays paused while a session replays
+  const pauseLiveStream = useCallback(() => {
+    if (isSimulating) handlers.handlePlayToggle();
+  }, [isSimulating, handlers]);
+
+  const handleReplayLastSession = useCallback(() => {
+    pauseLiveStream();
+    replayLastSession();
+  }, [pauseLiveStream, replayLastSession]);
+
+  const handleLoadSession = useCallback(async (file) => {
+    if (await loadSession(file)) pauseLiveStream();
+  }, [pauseLiveStream, loadSession]);
+
+  // A–B loop ranges saved for this dataset
+  const { savedRanges, saveRange, deleteRange } = useSavedLoopRanges(trips);
+  const timelineAlignment = alignToTripStart ? ALIGN_TRIP_START : ALIGN_ABSOLUTE;
+  const handleSaveLoopRange = useCallback((name) => {
+    if (!loopRange.start || !loopRange.end) return;
+    saveRange({ name, start: loopRange.start, end: loopRange.end, alignment: timelineAlignment });
+  }, [loopRange, saveRange, timelineAlignment]);
 
   // Keyboard shortcuts
   useKeyboardShortcuts(
     handlers.handlePlayToggle,
-    () => handlers.handleReset(resetStream)
+    () => handlers.handleReset(resetStream),
+    (stepDirection) => handlers.handleStep(stepEvent, stepDirection)
   );
 
   // Gradual metrics calculation based on simulation time
   const currentSimTime = streamStats?.currentTime;
-  const displayMetrics = useMemo(() => {
-    if (!trips || !currentSimTime) return metrics;
-    const filteredMetrics = {};
-    Object.entries(trips).forEach(([key, events]) => {
-      // Only include events up to the current simulation time
-      const filteredEvents = events.filter(e => new Date(e.timestamp).getTime() <= new Date(currentSimTime).getTime());
-      filteredMetrics[key] = {
-        ...metrics[key],
-        ...require('./utils/dataLoader').calculateTripMetrics(filteredEvents)
-      };
-    });
-    return filteredMetrics;
-  }, [trips, metrics, currentSimTime]);
+  const alignedTimeline = alignToTripStart && Boolean(streamStats?.alignedToTripStart);
+  const displayMetrics = useSimulationMetrics(trips, metrics, currentSimTime, alignedTimeline);
   const progress = useMemo(() => getProgress(), [getProgress]);
+  const quarantinedCount = useMemo(
+    () => Object.values(validation).reduce((sum, report) => sum + report.quarantined, 0),
+    [validation]
+  );
+
+  // Track export (all trips unless specific ones are given)
+  const handleExport = useCallback((format, tripIds) => {
+    exportTrips(trips, metrics, format, tripIds);
+  }, [trips, metrics]);
 
   // Loading state
   if (loading) {
-    return <LoadingState />;
+    return <LoadingState progress={loadProgress} manifest={manifest} />;
   }
 
   // Error state
@@ -74,47 +171,121 @@ function AppContent() {
   }
 
   return (
-    <div className="App">
-      <AppHeader 
-        isSimulating={isSimulating}
-        simulationSpeed={simulationSpeed}
-      />
-
-      {simulationStartTime && simulationEndTime && (
-        <SimulationControls
-          isPlaying={isSimulating}
-          onPlayToggle={handlers.handlePlayToggle}
-          onReset={() => handlers.handleReset(resetStream)}
-          onSpeedChange={handlers.handleSpeedChange}
-          currentSpeed={simulationSpeed}
-          currentTime={streamStats?.currentTime}
-          startTime={simulationStartTime}
-          endTime={simulationEndTime}
-          progress={progress}
-          onSeek={(newProgress) => handlers.handleSeek(seekToProgress, newProgress)}
+    <TripDropZone onImport={importFiles}>
+      <div className="App">
+        <AppHeader 
+          isSimulating={isSimulating}
+          simulationSpeed={simulationSpeed}
+          cacheStatus={cacheStatus}
+          connection={connection}
         />
-      )}
 
-      <TabNavigation 
-        activeTab={activeTab}
-        onTabChange={handlers.handleTabChange}
-        tripsCount={Object.keys(displayMetrics).length}
-      />
+        {streaming && <StreamingBanner progress={loadProgress} manifest={manifest} />}
 
-      <main className="app-main">
-        <TabContent
+        {simulationStartTime && simulationEndTime && (
+          <SimulationControls
+            isPlaying={isSimulating}
+            onPlayToggle={handlers.handlePlayToggle}
+            onReset={() => handlers.handleReset(resetStream)}
+            onSpeedChange={handlers.handleSpeedChange}
+            currentSpeed={simulationSpeed}
+            currentTime={streamStats?.currentTime}
+            startTime={alignedTimeline ? streamStats.minTimestamp : simulationStartTime}
+            endTime={alignedTimeline ? streamStats.maxTimestamp : simulationEndTime}
+            progress={progress}
+            onSeek={(newProgress) => handlers.handleSeek(seekToProgress, newProgress)}
+            deliveredCount={streamStats?.deliveredCount ?? null}
+            eventCount={streamStats?.eventCount ?? null}
+            direction={playbackDirection}
+            onDirectionToggle={handlers.handleDirectionToggle}
+            skipIdle={skipIdle}
+            onSkipIdleToggle={handlers.handleSkipIdleToggle}
+            isCompressing={isSimulating && isCompressing}
+            alignToTripStart={alignToTripStart}
+            onAlignmentToggle={handlers.handleAlignmentToggle}
+            timeMode={alignedTimeline ? 'elapsed' : 'clock'}
+            looping={looping}
+            onLoopToggle={handlers.handleLoopToggle}
+            loopStart={loopRange.start}
+            loopEnd={loopRange.end}
+            onSetLoopPoint={(point) => handlers.handleSetLoopPoint(point, streamStats?.currentTime)}
+            onClearLoopRange={handlers.handleClearLoopRange}
+            savedLoopRanges={savedRanges}
+            onSaveLoopRange={handleSaveLoopRange}
+            onRestoreLoopRange={handlers.handleRestoreLoopRange}
+            onDeleteLoopRange={deleteRange}
+            onStep={(stepDirection) => handlers.handleStep(stepEvent, stepDirection)}
+            eventTypes={eventTypes}
+            onJumpToEvent={(eventType, jumpDirection) =>
+              handlers.handleJumpToEvent(jumpToEvent, eventType, jumpDirection)}
+          />
+        )}
+
+        {simulationStartTime && simulationEndTime && (
+          <StreamSourcePanel
+            source={streamSource}
+            onSourceChange={handlers.handleStreamSourceChange}
+            serverUrl={serverUrl}
+            onServerUrlChange={handlers.handleServerUrlChange}
+            connection={connection}
+            error={streamError}
+          />
+        )}
+
+        {simulationStartTime && simulationEndTime && (
+          <FaultInjectionPanel
+            profile={faultProfile}
+            onProfileChange={handlers.handleFaultProfileChange}
+            faultStats={streamStats?.faults}
+            anomalies={feedAnomalies}
+          />
+        )}
+
+        {simulationStartTime && simulationEndTime && (
+          <SessionControls
+            isRecording={sessions.isRecording}
+            onStartRecording={handleStartRecording}
+            onStopRecording={sessions.stopRecording}
+            lastSession={sessions.lastSession}
+            onSaveSession={sessions.saveSession}
+            onReplayLastSession={handleReplayLastSession}
+            onLoadSession={handleLoadSession}
+            replayState={replayState}
+            onToggleReplay={toggleReplay}
+            onRestartReplay={restartReplay}
+            onStopReplay={sessions.stopReplay}
+            datasetKey={sessions.datasetKey}
+            error={sessions.sessionError}
+          />
+        )}
+
+        <TabNavigation 
           activeTab={activeTab}
-          metrics={displayMetrics}
-          isSimulating={isSimulating}
-          fleetCompletion={fleetCompletion}
-          expandedTrips={expandedTrips}
-          onToggleExpand={handlers.handleToggleExpand}
-          liveEvents={liveEvents}
+          onTabChange={handlers.handleTabChange}
+          tripsCount={Object.keys(displayMetrics).length}
+          quarantinedCount={quarantinedCount}
         />
-      </main>
 
-      <AppFooter metrics={displayMetrics} />
-    </div>
+        <main className="app-main">
+          <TabContent
+            activeTab={activeTab}
+            metrics={displayMetrics}
+            isSimulating={isSimulating}
+            fleetCompletion={fleetCompletion}
+            expandedTrips={expandedTrips}
+            onToggleExpand={handlers.handleToggleExpand}
+            liveEvents={liveEvents}
+            validation={validation}
+            tripStatus={tripStatus}
+            onRetryTrip={retryTrip}
+            onExport={handleExport}
+            onSpawnVehicles={spawnVehicles}
+          />
+        </main>
+
+        <AppFooter metrics={displayMetrics} />
+      </div>
+    </TripDropZone>
   );
 }
 
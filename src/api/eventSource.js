@@ -0,0 +1,154 @@
+/**
+ * Event sources - one interface for every feed the dashboard can play
+ *
+ * Like the browser's EventSource, a source connects to a feed, delivers its
+ * events to subscribers in order and reports its connection state:
+ *
+ *   connect()                  resolves with the source once the feed is ready,
+ *                              rejects if the first connection fails
+ *   subscribe(type, listener)  returns an unsubscribe function; types:
+ *                              'event' (event), 'rewind' (retracted events),
+ *                              'complete', 'loop', 'compression' (boolean),
+ *                              'status' (getStatus()) and 'error' (Error)
+ *   play(), pause(), seek(progress 0-1), setSpeed(multiplier), reset()
+ *   getStatus()                { state, attempt, retryAt, error }
+ *   getStatistics(), getProgress(), getEventTypes(), getTripIdForEvent(event)
+ *   disconnect()
+ *
+ * Playback controls beyond those are optional; a source lists the ones it has
+ * in `capabilities` (see SOURCE_CAPABILITIES). Dropped connections are retried
+ * with exponential backoff, surfaced through 'status'.
+ */
+
+export const SOURCE_STATES = {
+  idle: 'idle',
+  connecting: 'connecting',
+  open: 'open',
+  reconnecting: 'reconnecting',
+  closed: 'closed'
+};
+
+// Optional controls, by capability:
+// reverse: setDirection(direction); step: stepForward(), stepBackward();
+// jump: jumpToEvent(eventType, direction); skipIdle: setSkipIdle(enabled);
+// align: setAlignToTripStart(enabled), isAlignedToTripStart; loop: setLooping(enabled),
+// setLoopRange(start, end); faults: setFaultProfile(profile); history:
+// getRecentEvents(limit), the latest events up to the playback position
+export const SOURCE_CAPABILITIES = ['reverse', 'step', 'jump', 'skipIdle', 'align', 'loop', 'faults', 'history'];
+
+export const DEFAULT_BACKOFF = {
+  baseMs: 1000,
+  maxMs: 30 * 1000,
+  factor: 2,
+  jitter: 0.2, // ± share of the delay, so clients don't retry in lockstep
+  maxAttempts: Infinity
+};
+
+/**
+ * Delay before reconnect attempt n (1-based)
+ */
+export function getBackoffDelay(attempt, options = {}, random = Math.random) {
+  const { baseMs, maxMs, factor, jitter } = { ...DEFAULT_BACKOFF, ...options };
+  const delay = Math.min(maxMs, baseMs * factor ** Math.max(0, attempt - 1));
+  return Math.round(delay * (1 + jitter * (random() * 2 - 1)));
+}
+
+export class BaseEventSource {
+  /**
+   * kind: identifies the adapter ('memory', 'websocket', ...)
+   * capabilities: optional controls this source has (see SOURCE_CAPABILITIES)
+   * backoff: reconnect delays (see DEFAULT_BACKOFF)
+   */
+  constructor({ kind, capabilities = [], backoff = {} } = {}) {
+    this.kind = kind;
+    this.capabilities = new Set(capabilities);
+    this.backoff = { ...DEFAULT_BACKOFF, ...backoff };
+    this.state = SOURCE_STATES.idle;
+    this.attempt = 0; // reconnect attempts since the feed was last open
+    this.retryAt = null; // wall-clock ms of the next reconnect attempt
+    this.error = null;
+    this.retryTimer = null;
+    this.disconnected = false;
+    this.listeners = {};
+  }
+
+  supports(capability) {
+    return this.capabilities.has(capability);
+  }
+
+  subscribe(type, listener) {
+    if (!this.listeners[type]) this.listeners[type] = new Set();
+    this.listeners[type].add(listener);
+    return () => this.listeners[type]?.delete(listener);
+  }
+
+  getStatus() {
+    return { state: this.state, attempt: this.attempt, retryAt: this.retryAt, error: this.error?.message ?? null };
+  }
+
+  getProgress() {
+    return this.getStatistics().progress ?? 0;
+  }
+
+  reset() {
+    this.pause();
+    this.seek(0);
+  }
+
+  /**
+   * Stop for good: no more events, retries or status changes
+   */
+  disconnect() {
+    clearTimeout(this.retryTimer);
+    this._setState(SOURCE_STATES.closed);
+    this.disconnected = true;
+    this.listeners = {};
+  }
+
+  _emit(type, payload) {
+    this.listeners[type]?.forEach(listener => {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error(`Error in ${this.kind} source ${type} listener:`, error);
+      }
+    });
+  }
+
+  _setState(state, error = this.error) {
+    if (this.disconnected) return;
+    this.state = state;
+    this.error = error;
+    this._emit('status', this.getStatus());
+  }
+
+  // The feed is up: reset the backoff
+  _opened() {
+    this.attempt = 0;
+    this.retryAt = null;
+    this._setState(SOURCE_STATES.open, null);
+  }
+
+  /**
+   * The feed failed: report the error and retry after the next backoff delay,
+   * or give up (closed) once maxAttempts is reached
+   */
+  _retry(retry, error) {
+    if (this.disconnected) return;
+    this._emit('error', error);
+    this.attempt++;
+    if (this.attempt > this.backoff.maxAttempts) {
+      this.retryAt = null;
+      this._setState(SOURCE_STATES.closed, error);
+      return;
+    }
+    const delay = getBackoffDelay(this.attempt, this.backoff);
+    this.retryAt = Date.now() + delay;
+    this._setState(SOURCE_STATES.reconnecting, error);
+    clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      if (!this.disconnected) retry();
+    }, delay);
+  }
+}
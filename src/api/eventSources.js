@@ -0,0 +1,38 @@
+/**
+ * The event source adapters the dashboard can play from (see eventSource.js)
+ */
+
+import MockEventSource from './mockEventSource';
+import PollingEventSource from './pollingEventSource';
+import { DEFAULT_REPLAY_SERVER_URL, SSEEventSource, WebSocketEventSource } from './replayServerSource';
+
+export { DEFAULT_REPLAY_SERVER_URL };
+
+export const STREAM_SOURCE_MEMORY = 'memory';
+
+export const EVENT_SOURCES = [
+  { id: STREAM_SOURCE_MEMORY, label: 'In browser', remote: false, description: 'Play the loaded trips in the browser' },
+  { id: 'websocket', label: 'Replay server (WebSocket)', remote: true, description: 'Stream from scripts/replayServer.mjs over a WebSocket' },
+  { id: 'sse', label: 'Replay server (SSE)', remote: true, description: 'Stream from scripts/replayServer.mjs with Server-Sent Events' },
+  { id: 'polling', label: 'Polling', remote: false, description: 'Poll MockAPIServer.getEvents for the events due' }
+];
+
+/**
+ * Create the event source for an adapter id
+ * Options: speedMultiplier; serverUrl and lastEventId for the replay server;
+ * server (a getEvents provider) for polling
+ */
+export function createEventSource(kind, trips, { speedMultiplier = 1, serverUrl = DEFAULT_REPLAY_SERVER_URL, lastEventId = null, server } = {}) {
+  switch (kind) {
+    case STREAM_SOURCE_MEMORY:
+      return new MockEventSource(trips, { speedMultiplier });
+    case 'websocket':
+      return new WebSocketEventSource(serverUrl, { speedMultiplier, lastEventId });
+    case 'sse':
+      return new SSEEventSource(serverUrl, { speedMultiplier, lastEventId });
+    case 'polling':
+      return new PollingEventSource(trips, { speedMultiplier, server });
+    default:
+      throw new Error(`Unknown event source: ${kind}`);
+  }
+}
@@ -0,0 +1,156 @@
+import { VirtualClock } from '../utils/playbackClock';
+import MockAPIServer from './mockAPIServer';
+import { getBackoffDelay } from './eventSource';
+import { createEventSource } from './eventSources';
+import PollingEventSource from './pollingEventSource';
+import { SSEEventSource } from './replayServerSource';
+
+const START = Date.parse('2025-11-03T08:00:00Z');
+
+function makeEvent(tripId, offsetMs, eventType = 'location_update') {
+  return {
+    trip_id: tripId,
+    event_type: eventType,
+    timestamp: new Date(START + offsetMs).toISOString()
+  };
+}
+
+const trips = {
+  'trip-a': [makeEvent('trip-a', 0, 'trip_started'), makeEvent('trip-a', 1000), makeEvent('trip-a', 3000, 'trip_completed')],
+  'trip-b': [makeEvent('trip-b', 500, 'trip_started'), makeEvent('trip-b', 2000, 'trip_completed')]
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+async function openPolling(server = new MockAPIServer(trips)) {
+  const clock = new VirtualClock({ startTime: 0 });
+  const source = new PollingEventSource(trips, { server, clock, backoff: { jitter: 0 } });
+  const events = [];
+  const statuses = [];
+  source.subscribe('event', event => events.push(event));
+  source.subscribe('status', status => statuses.push(status.state));
+  await source.connect();
+  return { clock, source, events, statuses };
+}
+
+test('backoff delays grow by the factor up to the cap, with jitter around them', () => {
+  const noJitter = { jitter: 0 };
+  expect([1, 2, 3, 4].map(attempt => getBackoffDelay(attempt, noJitter))).toEqual([1000, 2000, 4000, 8000]);
+  expect(getBackoffDelay(10, noJitter)).toBe(30000);
+  expect(getBackoffDelay(1, {}, () => 0)).toBe(800);
+  expect(getBackoffDelay(1, {}, () => 0.5)).toBe(1000);
+});
+
+test('polling delivers the events due at the simulated time, in order', async () => {
+  const { clock, source, events } = await openPolling();
+  expect(source.getStatus().state).toBe('open');
+  expect(source.getEventTypes()).toEqual(['location_update', 'trip_completed', 'trip_started']);
+
+  source.play();
+  await source.poll();
+  expect(events.map(event => event.timestamp)).toEqual([new Date(START).toISOString()]);
+
+  clock.advance(1500);
+  await source.poll();
+  expect(events.map(event => source.getTripIdForEvent(event))).toEqual(['trip-a', 'trip-b', 'trip-a']);
+
+  const completed = jest.fn();
+  source.subscribe('complete', completed);
+  clock.advance(5000);
+  await source.poll();
+  expect(events).toHaveLength(5);
+  expect(completed).toHaveBeenCalledTimes(1);
+  expect(source.getStatistics()).toMatchObject({ progress: 1, isStreaming: false, deliveredCount: 5 });
+  source.disconnect();
+});
+
+test('polling retries a failing server with backoff and catches up once it answers', async () => {
+  const server = new MockAPIServer(trips);
+  const { clock, source, events, statuses } = await openPolling(server);
+  const errors = [];
+  source.subscribe('error', error => errors.push(error.message));
+  source.play();
+
+  const getEvents = server.getEvents.bind(server);
+  server.getEvents = () => { throw new Error('Service unavailable'); };
+  clock.advance(1200);
+  await source.poll();
+  expect(errors).toEqual(['Service unavailable']);
+  expect(source.getStatus()).toMatchObject({ state: 'reconnecting', attempt: 1, error: 'Service unavailable' });
+
+  server.getEvents = getEvents;
+  jest.advanceTimersByTime(1000); // the first backoff delay
+  await source.polling;
+  expect(source.getStatus()).toMatchObject({ state: 'open', attempt: 0, error: null });
+  expect(statuses.slice(-2)).toEqual(['reconnecting', 'open']);
+  expect(events).toHaveLength(3);
+  source.disconnect();
+});
+
+test('seeking skips the events before the new position', async () => {
+  const { clock, source, events } = await openPolling();
+  source.seek(0.5); // 1.5s in
+  source.play();
+  clock.advance(1000);
+  await source.poll();
+  expect(events.map(event => event.event_type)).toEqual(['trip_completed']);
+  source.disconnect();
+});
+
+class FakeEventSource {
+  constructor(url) {
+    this.url = url;
+    this.listeners = {};
+    FakeEventSource.last = this;
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = listener;
+  }
+
+  receive(type, message) {
+    this.listeners[type]({ data: JSON.stringify(message) });
+  }
+
+  close() {}
+}
+
+test('an SSE seek the server never got stops holding back events', async () => {
+  global.EventSource = FakeEventSource;
+  global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+  try {
+    const source = new SSEEventSource('http://replay.test');
+    const events = [];
+    const errors = [];
+    source.subscribe('event', event => events.push(event));
+    source.subscribe('error', error => errors.push(error));
+    const connected = source.connect();
+    FakeEventSource.last.receive('hello', { session: 's1', tripIds: ['trip-a'], eventTypes: [] });
+    await connected;
+
+    source.seek(0.5);
+    expect(source.pendingSeeks).toBe(1);
+    await Promise.resolve();
+    await Promise.resolve();
+    expect(source.pendingSeeks).toBe(0);
+    expect(errors.at(-1).message).toBe('Failed to fetch');
+
+    FakeEventSource.last.receive('event', { id: 7, tripId: 'trip-a', event: trips['trip-a'][1] });
+    expect(events).toEqual([trips['trip-a'][1]]);
+    source.disconnect();
+  } finally {
+    delete global.EventSource;
+    delete global.fetch;
+  }
+});
+
+test('createEventSource rejects unknown adapters', () => {
+  expect(() => createEventSource('carrier-pigeon', trips)).toThrow('Unknown event source: carrier-pigeon');
+  expect(createEventSource('polling', trips).kind).toBe('polling');
+});
@@ -3,12 +3,46 @@
  * 
  * Optional: If you want to use REST API endpoints instead of WebSocket streaming.
  * The main app uses MockEventStreamAPI for event streaming, but this provides
- * additional REST API endpoints for data access.
+ * additional REST API endpoints for data access. scripts/apiServer.mjs serves
+ * them over HTTP (see restApi.js).
  */
 
+import { IndexedEventStore } from '../utils/eventProcessor.js';
+import { flattenTrips } from '../utils/eventProcessingTasks.js';
+
+function paginate(events, limit, offset) {
+  return {
+    events: events.slice(offset, offset + limit),
+    total: events.length,
+    limit,
+    offset,
+    hasMore: offset + limit < events.length
+  };
+}
+
 class MockAPIServer {
   constructor(tripsData = {}) {
     this.tripsData = tripsData;
+    this.store = null; // IndexedEventStore for the area queries, built on first use
+  }
+
+  _getStore() {
+    if (!this.store) this.store = new IndexedEventStore(flattenTrips(this.tripsData).events);
+    return this.store;
+  }
+
+  /**
+   * Get a trip's events, accepting both `{ events: [...] }` entries and the
+   * plain event arrays produced by loadTripsData (including imported trips)
+   */
+  _getTripEvents(tripId) {
+    const tripData = this.tripsData[tripId];
+    if (Array.isArray(tripData)) return tripData;
+    return tripData?.events || [];
+  }
+
+  hasTrip(tripId) {
+    return Object.prototype.hasOwnProperty.call(this.tripsData, tripId);
   }
 
   /**
@@ -20,10 +54,10 @@ class MockAPIServer {
     let events = [];
     
     if (tripId && this.tripsData[tripId]) {
-      events = this.tripsData[tripId].events || [];
+      events = [...this._getTripEvents(tripId)];
     } else {
-      Object.values(this.tripsData).forEach((trip) => {
-        events = events.concat(trip.events || []);
+      Object.keys(this.tripsData).forEach((id) => {
+        events = events.concat(this._getTripEvents(id));
       });
     }
 
@@ -45,52 +79,69 @@ class MockAPIServer {
       return timeA - timeB;
     });
 
-    // Paginate
-    const total = events.length;
-    events = events.slice(offset, offset + limit);
+    return paginate(events, limit, offset);
+  }
 
-    return {
-      events,
-      total,
-      limit,
-      offset,
-      hasMore: offset + limit < total
-    };
+  /**
+   * Get located events inside a bounding box, chronologically ordered, plus
+   * the vehicles they came from ("which vehicles pinged here between 10 and 12")
+   * minLng > maxLng selects a box across the antimeridian
+   */
+  getEventsInArea(options = {}) {
+    const { minLat, minLng, maxLat, maxLng, startTime = null, endTime = null, eventTypes = null, limit = 100, offset = 0 } = options;
+    const events = this._getStore().getEventsInBBox(
+      { minLat, minLng, maxLat, maxLng },
+      { startTime, endTime, types: eventTypes }
+    );
+    const vehicles = Array.from(new Set(events.map(event => event.vehicle_id).filter(Boolean)));
+    return { ...paginate(events, limit, offset), vehicles };
+  }
+
+  /**
+   * Get located events within radiusKm of { lat, lng }, chronologically ordered
+   */
+  getEventsNearby(options = {}) {
+    const { lat, lng, radiusKm, startTime = null, endTime = null, eventTypes = null, limit = 100, offset = 0 } = options;
+    const events = this._getStore().getEventsWithinRadius({ lat, lng }, radiusKm, { startTime, endTime, types: eventTypes });
+    return paginate(events, limit, offset);
+  }
+
+  /**
+   * Get the n located events nearest to { lat, lng }, nearest first
+   */
+  getNearestEvents(options = {}) {
+    const { lat, lng, n = 1, startTime = null, endTime = null, eventTypes = null } = options;
+    const matches = this._getStore().getNearestEvents({ lat, lng }, n, { startTime, endTime, types: eventTypes });
+    return { matches };
   }
 
   /**
    * Get all trips
    */
   getTrips() {
-    return Object.entries(this.tripsData).map(([tripId, data]) => ({
-      id: tripId,
-      startLocation: data.startLocation,
-      endLocation: data.endLocation,
-      eventCount: (data.events || []).length,
-      startTime: data.events?.[0]?.timestamp,
-      endTime: data.events?.[data.events.length - 1]?.timestamp
-    }));
+    return Object.entries(this.tripsData).map(([tripId, data]) => {
+      const events = this._getTripEvents(tripId);
+      return {
+        id: tripId,
+        startLocation: data.startLocation,
+        endLocation: data.endLocation,
+        eventCount: events.length,
+        startTime: events[0]?.timestamp,
+        endTime: events[events.length - 1]?.timestamp
+      };
+    });
   }
 
   /**
    * Get events for a specific trip
    */
   getTripEvents(tripId, options = {}) {
-    if (!this.tripsData[tripId]) {
+    if (!this.hasTrip(tripId)) {
       return { error: 'Trip not found', events: [] };
     }
 
     const { limit = 100, offset = 0 } = options;
-    const events = this.tripsData[tripId].events || [];
-    
-    return {
-      tripId,
-      events: events.slice(offset, offset + limit),
-      total: events.length,
-      limit,
-      offset,
-      hasMore: offset + limit < events.length
-    };
+    return { tripId, ...paginate(this._getTripEvents(tripId), limit, offset) };
   }
 
   /**
@@ -111,11 +162,11 @@ class MockAPIServer {
     let totalTrips = 0;
     let eventsByType = {};
 
-    Object.values(this.tripsData).forEach((trip) => {
+    Object.keys(this.tripsData).forEach((tripId) => {
       totalTrips++;
-      (trip.events || []).forEach((event) => {
+      this._getTripEvents(tripId).forEach((event) => {
         totalEvents++;
-        eventsByType[event.type] = (eventsByType[event.type] || 0) + 1;
+        eventsByType[event.event_type] = (eventsByType[event.event_type] || 0) + 1;
       });
     });
 
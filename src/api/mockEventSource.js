@@ -0,0 +1,162 @@
+/**
+ * MockEventSource - the in-browser MockEventStreamAPI as an event source
+ *
+ * Plays the loaded trips on the shared playback engine, indexed off the main
+ * thread by the event processor, which also builds the IndexedEventStore that
+ * refills the feed after a seek. Never disconnects, and has every optional
+ * control (see eventSource.js).
+ */
+
+import MockEventStreamAPI from './mockEventStream';
+import { BaseEventSource, SOURCE_CAPABILITIES, SOURCE_STATES } from './eventSource';
+import { getEventProcessor, isCancelledError } from '../utils/eventProcessingClient';
+import { flattenTrips } from '../utils/eventProcessingTasks';
+import { IndexedEventStore } from '../utils/eventProcessor';
+import { getPlaybackEngine } from '../utils/playbackEngine';
+
+class MockEventSource extends BaseEventSource {
+  /**
+   * engine: playback engine to drive (default: the shared one)
+   * processor: event processor to index with (default: the shared one; null to index here)
+   */
+  constructor(trips, { speedMultiplier = 1, engine = getPlaybackEngine(), processor = getEventProcessor() } = {}) {
+    super({ kind: 'memory', capabilities: SOURCE_CAPABILITIES });
+    this.trips = trips;
+    this.speedMultiplier = speedMultiplier;
+    this.engine = engine;
+    this.processor = processor;
+    this.api = null;
+    this.store = null; // IndexedEventStore over the dataset
+  }
+
+  /**
+   * Index the trips and create the stream; resolves null if indexing was
+   * cancelled by a newer dataset
+   */
+  async connect() {
+    this._setState(SOURCE_STATES.connecting);
+    let index = null;
+    if (this.processor) {
+      try {
+        this.processor.setDataset(this.trips);
+        [index, this.store] = await Promise.all([this.processor.indexStream(), this.processor.createEventStore()]);
+      } catch (error) {
+        if (isCancelledError(error)) return null;
+        console.warn('Indexing events off the main thread failed:', error);
+      }
+    }
+    if (this.disconnected) return null;
+    if (!this.store) this.store = new IndexedEventStore(flattenTrips(this.trips).events);
+
+    this.api = new MockEventStreamAPI(this.trips, this.speedMultiplier, { index, engine: this.engine });
+    this.api.onEvent(event => this._emit('event', event));
+    this.api.onRewind(events => this._emit('rewind', events));
+    this.api.onComplete(() => this._emit('complete'));
+    this.api.onLoop(loop => this._emit('loop', loop));
+    this.api.onCompressionChange(compressing => this._emit('compression', compressing));
+    this._opened();
+    return this;
+  }
+
+  play() {
+    this.api?.startStream();
+  }
+
+  pause() {
+    this.api?.stopStream();
+  }
+
+  seek(progress) {
+    this.api?.seekToProgress(progress);
+  }
+
+  setSpeed(multiplier) {
+    this.speedMultiplier = multiplier;
+    this.api?.setSpeedMultiplier(multiplier);
+  }
+
+  reset() {
+    this.api?.reset();
+  }
+
+  setDirection(direction) {
+    this.api?.setDirection(direction);
+  }
+
+  stepForward() {
+    return this.api?.stepForward() ?? null;
+  }
+
+  stepBackward() {
+    return this.api?.stepBackward() ?? null;
+  }
+
+  jumpToEvent(eventType, direction = 1) {
+    if (!this.api) return null;
+    return direction < 0 ? this.api.jumpToPreviousEvent(eventType) : this.api.jumpToNextEvent(eventType);
+  }
+
+  setSkipIdle(enabled) {
+    this.api?.setSkipIdle(enabled);
+  }
+
+  get isAlignedToTripStart() {
+    return this.api?.isAlignedToTripStart ?? false;
+  }
+
+  setAlignToTripStart(enabled) {
+    this.api?.setAlignToTripStart(enabled);
+  }
+
+  setLooping(enabled) {
+    this.api?.setLooping(enabled);
+  }
+
+  setLoopRange(start, end) {
+    this.api?.setLoopRange(start, end);
+  }
+
+  setFaultProfile(profile) {
+    this.api?.setFaultProfile(profile);
+  }
+
+  /**
+   * The latest `limit` events at or before the playback position, chronologically:
+   * what playback up to here would have delivered. Empty on the aligned
+   * timeline, whose positions aren't clock times
+   */
+  getRecentEvents(limit) {
+    if (!this.api || !this.store || this.api.isAlignedToTripStart) return [];
+    return this.store.cursor().seekAfter(this.engine.position).previous(limit);
+  }
+
+  getStatistics() {
+    return {
+      ...(this.api ? this.api.getStatistics() : { progress: 0 }),
+      source: this.kind,
+      connection: this.getStatus()
+    };
+  }
+
+  getProgress() {
+    return this.api ? this.api.getProgress() : 0;
+  }
+
+  getEventTypes() {
+    return this.api ? this.api.getEventTypes() : [];
+  }
+
+  getTripIdForEvent(event) {
+    return this.api ? this.api.getTripIdForEvent(event) : null;
+  }
+
+  disconnect() {
+    if (this.api) {
+      this.api.stopStream();
+      this.api.dispose();
+    }
+    super.disconnect();
+  }
+}
+
+export default MockEventSource;
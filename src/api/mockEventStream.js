@@ -1,281 +1,367 @@
 /**
  * MockEventStreamAPI - Core event streaming engine
- * 
+ *
  * Handles real-time event streaming with:
  * - Time-based event filtering
  * - Speed multiplier support (0.5x, 1x, 5x, 10x, etc.)
  * - Progress tracking and seeking
  * - Event listener management
- * - Efficient indexed lookups (O(1) event retrieval)
+ * - Optional prebuilt chronological index (from the event processing worker)
+ * - Exactly-once, in-order delivery via a cursor into the sorted events
+ * - Skip-idle mode: stretches of routine pings play compressed
+ * - Aligned mode: every trip shifted to start at t=0 for comparison
+ * - Looping over the whole dataset or an A–B range
+ * - Fault injection: dropped, delayed, reordered, duplicated, burst or corrupted
+ *   events (see faultInjection.js), switchable while streaming
+ *
+ * Clock, cursor and seeking live in the shared PlaybackEngine; this class
+ * keeps the stream-oriented API on top of it.
  */
 
+import { ALIGN_ABSOLUTE, ALIGN_TRIP_START, PlaybackEngine } from '../utils/playbackEngine.js';
+import { getTripEventList } from '../utils/eventProcessingTasks.js';
+import { FaultInjector } from '../utils/faultInjection.js';
+
 class MockEventStreamAPI {
-  constructor(tripsData, speedMultiplier = 1) {
+  /**
+   * engine: PlaybackEngine to drive (e.g. the shared one); a private engine otherwise
+   * clock: clock for that private engine (see playbackClock.js)
+   */
+  constructor(tripsData, speedMultiplier = 1, { index = null, engine = null, clock } = {}) {
     this.tripsData = tripsData;
-    this.speedMultiplier = speedMultiplier;
-    this.isStreaming = false;
-    this.currentTime = 0;
-    this.startTime = Date.now();
-    this.lastTimestamp = 0;
-    this.streamFrameId = null;
-    
-    // Event listeners
-    this.eventListeners = [];
-    this.completeListeners = [];
-    
-    // Build indexed event store for O(1) lookups
-    this.allEvents = [];
-    this.eventsByTime = new Map();
+    this.engine = engine || new PlaybackEngine({ clock });
+    this.engine.load(tripsData, { index });
+    this.engine.setRate(speedMultiplier);
+
     this.eventsByTrip = {};
-    this.minTimestamp = Infinity;
-    this.maxTimestamp = -Infinity;
-    
-    this._indexEvents();
+    this.eventTripIds = new Map(); // event -> key of its trip in tripsData
+    Object.entries(tripsData).forEach(([tripId, tripData]) => {
+      this.eventsByTrip[tripId] = getTripEventList(tripData);
+      this.eventsByTrip[tripId].forEach(event => this.eventTripIds.set(event, tripId));
+    });
+
+    // Listeners registered through this stream, detached on dispose()
+    this.subscriptions = new Set();
+
+    // Engine events reach onEvent listeners through the fault injector, if any
+    this.faults = null;
+    this.eventListeners = new Set();
+    this.rewindListeners = new Set();
+    this._track(this.engine.onEvent(event => this._handleEngineEvent(event)));
+    this._track(this.engine.onRewind(events => this._handleEngineRewind(events)));
+    this._track(this.engine.onLoop(() => this.faults?.reset()));
+    this._track(this.engine.onComplete(() => this._deliver(this.faults ? this.faults.flush() : [])));
+    this._track(this.engine.subscribe(() => this._releaseHeldEvents()));
   }
 
-  /**
-   * Index all events for efficient lookups
-   */
-  _indexEvents() {
-    Object.entries(this.tripsData).forEach(([tripId, tripData]) => {
-      let eventsArr = [];
-      if (Array.isArray(tripData)) {
-        eventsArr = tripData;
-      } else if (tripData.events && Array.isArray(tripData.events)) {
-        eventsArr = tripData.events;
-      }
-      this.eventsByTrip[tripId] = [];
-      eventsArr.forEach((event) => {
-        const timestamp = new Date(event.timestamp).getTime();
-        this.allEvents.push(event);
-        this.eventsByTrip[tripId].push(event);
-        if (timestamp < this.minTimestamp) this.minTimestamp = timestamp;
-        if (timestamp > this.maxTimestamp) this.maxTimestamp = timestamp;
-      });
-    });
+  get allEvents() {
+    return this.engine.events;
+  }
 
-    this.allEvents.sort((a, b) => {
-      const timeA = new Date(a.timestamp).getTime();
-      const timeB = new Date(b.timestamp).getTime();
-      return timeA - timeB;
-    });
+  get minTimestamp() {
+    return this.engine.startTime;
+  }
 
-    // Ensure minTimestamp and maxTimestamp are valid numbers
-    if (!isFinite(this.minTimestamp) || this.minTimestamp === Infinity) {
-      this.minTimestamp = 0;
-    }
-    if (!isFinite(this.maxTimestamp) || this.maxTimestamp === -Infinity) {
-      this.maxTimestamp = 0;
-    }
-    this.totalDuration = this.maxTimestamp - this.minTimestamp;
-    // Debug log for timestamp range
-    console.log('[MockEventStreamAPI] minTimestamp:', new Date(this.minTimestamp).toISOString(), 'maxTimestamp:', new Date(this.maxTimestamp).toISOString(), 'totalDuration:', this.totalDuration);
+  get maxTimestamp() {
+    return this.engine.endTime;
+  }
+
+  get totalDuration() {
+    return this.engine.duration;
+  }
+
+  // Simulation time relative to the first event (ms)
+  get currentTime() {
+    return this.engine.position - this.engine.startTime;
+  }
+
+  get speedMultiplier() {
+    return this.engine.rate;
+  }
+
+  get isStreaming() {
+    return this.engine.isPlaying;
+  }
+
+  get cursor() {
+    return this.engine.cursor;
+  }
+
+  get deliveredCount() {
+    return this.engine.deliveredCount;
   }
 
   /**
    * Start streaming events
    */
   startStream() {
-    if (this.isStreaming) return;
-    
-    this.isStreaming = true;
-    this.startTime = Date.now() - (this.currentTime / this.speedMultiplier);
-    this._streamEvents();
+    this.engine.play();
   }
 
   /**
    * Stop streaming events
    */
   stopStream() {
-    this.isStreaming = false;
-    if (this.streamFrameId) {
-      cancelAnimationFrame(this.streamFrameId);
-      this.streamFrameId = null;
-    }
+    this.engine.pause();
+  }
+
+  /**
+   * Set speed multiplier
+   */
+  setSpeedMultiplier(multiplier) {
+    this.engine.setRate(multiplier);
   }
 
   /**
-   * Main event streaming loop (60fps)
+   * Play forward (1) or in reverse (-1)
    */
-  _streamEvents() {
-    if (!this.isStreaming) return;
+  setDirection(direction) {
+    this.engine.setDirection(direction);
+  }
+
+  /**
+   * Speed through stretches with only routine pings, slowing down around
+   * stops, violations, errors, signal loss and trip ends
+   * options: { speedup, leadMs, trailMs } (see idleCompression.js)
+   */
+  setSkipIdle(enabled, options) {
+    this.engine.setSkipIdle(enabled, options);
+  }
+
+  /**
+   * Replay trips on their own timestamps (false) or aligned to start together (true)
+   * Pauses and rewinds to the start; times become elapsed trip time
+   */
+  setAlignToTripStart(enabled) {
+    this.engine.setAlignment(enabled ? ALIGN_TRIP_START : ALIGN_ABSOLUTE);
+  }
 
-    const now = Date.now();
-    this.currentTime = (now - this.startTime) * this.speedMultiplier;
+  get isAlignedToTripStart() {
+    return this.engine.alignment === ALIGN_TRIP_START;
+  }
 
-    // Get events up to current simulation time
-    const eventsUpToNow = this._getEventsUpToTime(this.currentTime);
+  /**
+   * Loop playback over the A–B range, or the whole dataset without one
+   */
+  setLooping(enabled) {
+    this.engine.setLooping(enabled);
+  }
 
-    // Emit new events (only those we haven't emitted yet)
-    eventsUpToNow.forEach((event) => {
-      const eventTime = new Date(event.timestamp).getTime();
-      if (eventTime > this.lastTimestamp) {
-        this.lastTimestamp = eventTime;
-        this._emitEvent(event);
+  /**
+   * Set the A–B loop range (timestamps); null clears it
+   */
+  setLoopRange(start, end) {
+    this.engine.setLoopRange(start, end);
+  }
+
+  get isCompressing() {
+    return this.engine.compressing;
+  }
+
+  _track(unsubscribe) {
+    this.subscriptions.add(unsubscribe);
+    return () => {
+      unsubscribe();
+      this.subscriptions.delete(unsubscribe);
+    };
+  }
+
+  _listenOn(listeners, listener) {
+    listeners.add(listener);
+    return this._track(() => listeners.delete(listener));
+  }
+
+  _notify(listeners, payload) {
+    listeners.forEach(listener => {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error('Error in stream listener:', error);
       }
     });
+  }
 
-    // Check if we've reached the end
-    if (eventsUpToNow.length > 0) {
-      const lastEventTime = new Date(eventsUpToNow[eventsUpToNow.length - 1].timestamp).getTime();
-      if (lastEventTime >= this.maxTimestamp) {
-        this.stopStream();
-        this._emitComplete();
-        return;
-      }
+  _deliver(events) {
+    events.forEach(event => this._notify(this.eventListeners, event));
+  }
+
+  _handleEngineEvent(event) {
+    if (!this.faults || this.engine.direction < 0) {
+      this._deliver([event]);
+      return;
     }
+    this._deliver(this.faults.process(event, this.engine.position));
+  }
 
-    this.streamFrameId = requestAnimationFrame(() => this._streamEvents());
+  _handleEngineRewind(events) {
+    // Held events are dropped, and corrupted copies retracted with their originals
+    let retracted = events;
+    if (this.faults) {
+      retracted = [...events, ...this.faults.copiesOf(events)];
+      this.faults.reset();
+    }
+    this._notify(this.rewindListeners, retracted);
+  }
+
+  // Delayed and burst events fall due as stream time passes, between events too
+  _releaseHeldEvents() {
+    if (this.faults?.heldCount > 0) {
+      this._deliver(this.faults.release(this.engine.position));
+    }
   }
 
   /**
-   * Get all events up to a given time relative to start
+   * Subscribe to events
    */
-  _getEventsUpToTime(relativeTime) {
-    const targetTime = this.minTimestamp + relativeTime;
-    
-    return this.allEvents.filter((event) => {
-      const eventTime = new Date(event.timestamp).getTime();
-      return eventTime <= targetTime;
-    });
+  onEvent(listener) {
+    return this._listenOn(this.eventListeners, listener);
   }
 
   /**
-   * Set speed multiplier
+   * Subscribe to events retracted by reverse playback (newest first)
    */
-  setSpeedMultiplier(multiplier) {
-    this.speedMultiplier = multiplier;
-    if (this.isStreaming) {
-      this.startTime = Date.now() - (this.currentTime / this.speedMultiplier);
-    }
+  onRewind(listener) {
+    return this._listenOn(this.rewindListeners, listener);
   }
 
   /**
-   * Emit event to listeners
+   * Make the feed misbehave: a FAULT_PROFILES id or profile object, or null for a
+   * perfect feed. Switching off delivers whatever is still held back.
+   * seed: makes a profile misbehave the same way on every replay
    */
-  _emitEvent(event) {
-    this.eventListeners.forEach((listener) => {
-      try {
-        listener(event);
-      } catch (error) {
-        console.error('Error in event listener:', error);
-      }
-    });
+  setFaultProfile(profile, { seed = 1 } = {}) {
+    const held = this.faults ? this.faults.flush() : [];
+    const injector = new FaultInjector(profile, { seed });
+    this.faults = injector.profile ? injector : null;
+    this._deliver(held);
   }
 
   /**
-   * Emit completion event
+   * Counts of injected faults ({ profile, held, passed, dropped, ... }), or null
    */
-  _emitComplete() {
-    this.completeListeners.forEach((listener) => {
-      try {
-        listener();
-      } catch (error) {
-        console.error('Error in completion listener:', error);
-      }
-    });
+  getFaultStats() {
+    return this.faults ? this.faults.getStats() : null;
   }
 
   /**
-   * Subscribe to events
+   * Subscribe to skip-idle compression starting (true) or stopping (false)
    */
-  onEvent(listener) {
-    this.eventListeners.push(listener);
-    return () => {
-      this.eventListeners = this.eventListeners.filter(l => l !== listener);
-    };
+  onCompressionChange(listener) {
+    return this._track(this.engine.onCompressionChange(listener));
+  }
+
+  /**
+   * Subscribe to loop wrap-arounds; the new pass delivers its events again
+   */
+  onLoop(listener) {
+    return this._track(this.engine.onLoop(listener));
   }
 
   /**
    * Subscribe to completion
    */
   onComplete(listener) {
-    this.completeListeners.push(listener);
-    return () => {
-      this.completeListeners = this.completeListeners.filter(l => l !== listener);
-    };
+    return this._track(this.engine.onComplete(() => listener()));
   }
 
   /**
    * Seek to a specific progress (0-1)
+   * Delivery continues from the first event after the new position;
+   * events before it are not replayed
    */
   seekToProgress(progress) {
-    if (progress < 0 || progress > 1) return;
-    // Guard against invalid totalDuration and minTimestamp
-    if (!isFinite(this.totalDuration) || this.totalDuration <= 0 || !isFinite(this.minTimestamp)) {
-      this.currentTime = 0;
-      this.lastTimestamp = 0;
-      return;
-    }
-    this.currentTime = this.totalDuration * progress;
-    this.lastTimestamp = 0;
-    if (this.isStreaming) {
-      this.startTime = Date.now() - (this.currentTime / this.speedMultiplier);
-    }
+    this.faults?.reset();
+    this.engine.seekToProgress(progress);
+  }
+
+  /**
+   * Continue delivery after the event at an index of allEvents (resuming a client)
+   */
+  resumeAfter(index) {
+    this.faults?.reset();
+    this.engine.seekAfter(index);
+  }
+
+  /**
+   * Pause and deliver the next event (and any at the same timestamp)
+   */
+  stepForward() {
+    return this.engine.stepForward();
+  }
+
+  /**
+   * Pause and retract the latest delivered event (and any at the same timestamp)
+   */
+  stepBackward() {
+    return this.engine.stepBackward();
+  }
+
+  /**
+   * Pause and jump to the next event of a type, delivering it
+   */
+  jumpToNextEvent(eventType) {
+    this.faults?.reset();
+    return this.engine.jumpToEvent(eventType, 1);
+  }
+
+  /**
+   * Pause and jump back to the previous event of a type, delivering it
+   */
+  jumpToPreviousEvent(eventType) {
+    this.faults?.reset();
+    return this.engine.jumpToEvent(eventType, -1);
+  }
+
+  /**
+   * Distinct event types in the stream
+   */
+  getEventTypes() {
+    return this.engine.getEventTypes();
+  }
+
+  /**
+   * Key of the trip (in tripsData) an event belongs to
+   */
+  getTripIdForEvent(event) {
+    const original = this.faults ? this.faults.originalOf(event) : event;
+    return this.eventTripIds.get(original) ?? null;
   }
 
   /**
    * Get current progress (0-1)
    */
   getProgress() {
-    if (this.totalDuration === 0) return 0;
-    return Math.min(this.currentTime / this.totalDuration, 1);
+    return this.engine.getProgress();
   }
 
   /**
    * Get statistics about the stream
    */
   getStatistics() {
-    // Convert relative currentTime to actual timestamp
-    let actualTime = this.minTimestamp + this.currentTime;
-    // Debug log for current time calculation
-    console.log('[MockEventStreamAPI] getStatistics: minTimestamp:', new Date(this.minTimestamp).toISOString(), 'currentTime:', this.currentTime, 'actualTime:', new Date(actualTime).toISOString());
-    let currentTimeStr = null;
-    if (
-      typeof actualTime === 'number' &&
-      isFinite(actualTime) &&
-      !isNaN(actualTime)
-    ) {
-      const dateObj = new Date(actualTime);
-      if (!isNaN(dateObj.getTime())) {
-        try {
-          currentTimeStr = dateObj.toISOString();
-        } catch (e) {
-          currentTimeStr = null;
-        }
-      } else {
-        currentTimeStr = null;
-      }
-    } else {
-      currentTimeStr = null;
-    }
-    let minTimestampStr = null;
-    let maxTimestampStr = null;
-    if (typeof this.minTimestamp === 'number' && isFinite(this.minTimestamp)) {
-      try {
-        minTimestampStr = new Date(this.minTimestamp).toISOString();
-      } catch (e) {
-        minTimestampStr = null;
-      }
-    }
-    if (typeof this.maxTimestamp === 'number' && isFinite(this.maxTimestamp)) {
-      try {
-        maxTimestampStr = new Date(this.maxTimestamp).toISOString();
-      } catch (e) {
-        maxTimestampStr = null;
-      }
-    }
+    const state = this.engine.getState();
     return {
-      progress: this.getProgress(),
-      currentTime: currentTimeStr,
+      progress: state.progress,
+      currentTime: state.currentTime,
       relativeTime: this.currentTime,
       totalDuration: this.totalDuration,
-      eventCount: this.allEvents.length,
+      eventCount: state.eventCount,
+      deliveredCount: state.deliveredCount,
+      cursor: state.cursor,
+      remainingCount: state.eventCount - state.cursor,
       tripCount: Object.keys(this.eventsByTrip).length,
-      speedMultiplier: this.speedMultiplier,
-      isStreaming: this.isStreaming,
-      minTimestamp: minTimestampStr,
-      maxTimestamp: maxTimestampStr
+      speedMultiplier: state.rate,
+      effectiveSpeed: state.effectiveRate,
+      skipIdle: state.skipIdle,
+      isCompressing: state.compressing,
+      direction: state.direction,
+      alignedToTripStart: state.alignment === ALIGN_TRIP_START,
+      looping: state.looping,
+      loopStart: state.loopStart,
+      loopEnd: state.loopEnd,
+      isStreaming: state.isPlaying,
+      minTimestamp: state.startTime,
+      maxTimestamp: state.endTime,
+      faults: this.getFaultStats()
     };
   }
 
@@ -283,10 +369,16 @@ class MockEventStreamAPI {
    * Reset stream
    */
   reset() {
-    this.stopStream();
-    this.currentTime = 0;
-    this.lastTimestamp = 0;
-    this.startTime = Date.now();
+    this.faults?.reset();
+    this.engine.reset();
+  }
+
+  /**
+   * Detach every listener registered through this stream
+   */
+  dispose() {
+    this.subscriptions.forEach(unsubscribe => unsubscribe());
+    this.subscriptions.clear();
   }
 }
 
@@ -0,0 +1,221 @@
+/**
+ * PollingEventSource - events by polling a REST-style getEvents endpoint
+ *
+ * Plays a simulated clock over the trips' time range and, every interval,
+ * asks the server for the events between the last poll and the current
+ * simulation time (paging through hasMore). The server is anything with
+ * MockAPIServer's getEvents({ startTime, endTime, limit, offset }), sync or
+ * async. A failed poll is retried with backoff; the next successful one
+ * catches up on everything missed, like a real poller after an outage.
+ */
+
+import MockAPIServer from './mockAPIServer';
+import { BaseEventSource, SOURCE_STATES } from './eventSource';
+import { getTripEventList } from '../utils/eventProcessingTasks';
+import { getRealTimeClock } from '../utils/playbackClock';
+
+export const DEFAULT_POLL_INTERVAL_MS = 1000;
+const PAGE_SIZE = 500;
+
+class PollingEventSource extends BaseEventSource {
+  /**
+   * trips: { [tripId]: events }, for the time range, event types and trip keys
+   * server: the getEvents provider (default: a MockAPIServer over the trips)
+   * clock: time source for the simulated clock (see playbackClock.js)
+   */
+  constructor(trips, {
+    server = new MockAPIServer(trips),
+    speedMultiplier = 1,
+    intervalMs = DEFAULT_POLL_INTERVAL_MS,
+    clock = getRealTimeClock(),
+    backoff
+  } = {}) {
+    super({ kind: 'polling', backoff });
+    this.server = server;
+    this.rate = speedMultiplier;
+    this.intervalMs = intervalMs;
+    this.clock = clock;
+
+    // Events are matched to trip keys by their trip_id (responses may be copies)
+    this.tripKeys = new Map();
+    let startTime = Infinity;
+    let endTime = -Infinity;
+    const types = new Set();
+    Object.entries(trips).forEach(([tripKey, tripData]) => {
+      getTripEventList(tripData).forEach(event => {
+        if (event.trip_id != null && !this.tripKeys.has(event.trip_id)) this.tripKeys.set(event.trip_id, tripKey);
+        const time = Date.parse(event.timestamp);
+        if (Number.isFinite(time)) {
+          startTime = Math.min(startTime, time);
+          endTime = Math.max(endTime, time);
+        }
+        types.add(event.event_type);
+      });
+    });
+    this.startTime = Number.isFinite(startTime) ? startTime : 0;
+    this.endTime = Number.isFinite(endTime) ? endTime : 0;
+    this.eventTypes = [...types].filter(Boolean).sort();
+
+    this.position = this.startTime; // simulation time (ms)
+    this.polledUntil = this.startTime - 1; // events up to here have been fetched
+    this.isPlaying = false;
+    this.deliveredCount = 0;
+    this.pollTimer = null;
+    this.polling = null; // the poll in flight
+  }
+
+  /**
+   * Check that the server answers; resolves with the source
+   */
+  async connect() {
+    this._setState(SOURCE_STATES.connecting);
+    try {
+      await this.server.getEvents({ limit: 1 });
+    } catch (error) {
+      this._setState(SOURCE_STATES.closed, error);
+      throw error;
+    }
+    this._opened();
+    return this;
+  }
+
+  play() {
+    if (this.isPlaying || this.disconnected) return;
+    if (this.polledUntil >= this.endTime) this.seek(0);
+    this.isPlaying = true;
+    this._anchor();
+    this._schedulePoll(0);
+  }
+
+  pause() {
+    if (!this.isPlaying) return;
+    this.position = this._positionNow();
+    this.isPlaying = false;
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  /**
+   * Continue from a point of the time range; the events before it are skipped
+   */
+  seek(progress) {
+    if (progress < 0 || progress > 1) return;
+    this.position = this.startTime + (this.endTime - this.startTime) * progress;
+    this.polledUntil = progress === 0 ? this.startTime - 1 : this.position;
+    this.deliveredCount = 0;
+    this._anchor();
+  }
+
+  setSpeed(multiplier) {
+    if (!(multiplier > 0)) return;
+    this.position = this._positionNow();
+    this.rate = multiplier;
+    this._anchor();
+  }
+
+  /**
+   * Fetch and deliver the events due at the current simulation time
+   * Resolves once delivered (or the poll failed)
+   */
+  poll() {
+    if (!this.polling) {
+      this.polling = this._fetchDue().finally(() => { this.polling = null; });
+    }
+    return this.polling;
+  }
+
+  getEventTypes() {
+    return this.eventTypes;
+  }
+
+  getTripIdForEvent(event) {
+    return this.tripKeys.get(event.trip_id) ?? null;
+  }
+
+  getStatistics() {
+    const position = this._positionNow();
+    const duration = this.endTime - this.startTime;
+    return {
+      progress: duration > 0 ? (position - this.startTime) / duration : 0,
+      currentTime: new Date(position).toISOString(),
+      deliveredCount: this.deliveredCount,
+      speedMultiplier: this.rate,
+      effectiveSpeed: this.rate,
+      isStreaming: this.isPlaying,
+      minTimestamp: new Date(this.startTime).toISOString(),
+      maxTimestamp: new Date(this.endTime).toISOString(),
+      source: this.kind,
+      connection: this.getStatus()
+    };
+  }
+
+  disconnect() {
+    this.pause();
+    super.disconnect();
+  }
+
+  _anchor() {
+    this.anchorWallTime = this.clock.now();
+    this.anchorPosition = this.position;
+  }
+
+  _positionNow() {
+    if (!this.isPlaying) return this.position;
+    const elapsed = this.clock.now() - this.anchorWallTime;
+    return Math.min(this.endTime, this.anchorPosition + elapsed * this.rate);
+  }
+
+  _schedulePoll(delay = this.intervalMs) {
+    clearTimeout(this.pollTimer);
+    this.pollTimer = setTimeout(() => {
+      this.pollTimer = null;
+      this.poll();
+    }, delay);
+  }
+
+  async _fetchDue() {
+    const until = this._positionNow();
+    if (until <= this.polledUntil) {
+      if (this.isPlaying) this._schedulePoll();
+      return;
+    }
+
+    const from = this.polledUntil;
+    const events = [];
+    try {
+      let offset = 0;
+      let page;
+      do {
+        page = await this.server.getEvents({
+          startTime: new Date(from + 1).toISOString(),
+          endTime: new Date(until).toISOString(),
+          limit: PAGE_SIZE,
+          offset
+        });
+        events.push(...page.events);
+        offset += page.events.length;
+      } while (page.hasMore && page.events.length > 0);
+    } catch (error) {
+      if (this.isPlaying) this._retry(() => this.poll(), error);
+      return;
+    }
+    // A seek while the request was in flight makes its events stale
+    if (this.disconnected || from !== this.polledUntil) return;
+
+    if (this.state !== SOURCE_STATES.open) this._opened();
+    this.polledUntil = until;
+    events.forEach(event => {
+      this.deliveredCount++;
+      this._emit('event', event);
+    });
+
+    if (until >= this.endTime) {
+      this.pause();
+      this._emit('complete');
+    } else if (this.isPlaying) {
+      this._schedulePoll();
+    }
+  }
+}
+
+export default PollingEventSource;
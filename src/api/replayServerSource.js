@@ -0,0 +1,256 @@
+/**
+ * Replay server event sources (see scripts/replayServer.mjs)
+ *
+ * WebSocketEventSource sends controls on the socket; SSEEventSource listens
+ * with an EventSource and POSTs controls to its server session. The server
+ * supports play, pause, seek and speed; reverse playback, stepping, jumps,
+ * skip-idle, alignment, looping and fault injection are in-browser only.
+ *
+ * A dropped connection is retried with backoff (see eventSource.js); the new
+ * server session resumes after the last event received, with the speed and
+ * play state restored.
+ */
+
+import { BaseEventSource, SOURCE_STATES } from './eventSource';
+
+export const DEFAULT_REPLAY_SERVER_URL = 'http://localhost:4010';
+
+const MESSAGE_TYPES = ['hello', 'event', 'seek', 'status', 'complete', 'error'];
+
+class ReplayServerSource extends BaseEventSource {
+  /**
+   * serverUrl: the replay server's http(s) base URL
+   * lastEventId: resume after this event (e.g. from a previous source)
+   */
+  constructor(kind, serverUrl, { speedMultiplier = 1, lastEventId = null, backoff } = {}) {
+    super({ kind, backoff });
+    this.serverUrl = serverUrl.replace(/\/+$/, '');
+    this.lastEventId = lastEventId;
+    this.desired = { playing: false, speed: speedMultiplier };
+
+    this.connection = null;
+    this.sessionId = null;
+    this.info = null; // hello message
+    this.status = null; // latest status message
+    this.pendingSeeks = 0; // events from before a seek are dropped until the server confirms it
+    this.eventTripIds = new WeakMap();
+  }
+
+  /**
+   * Connect; resolves with the source once the server has said hello
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      this._ready = { resolve, reject };
+      this._setState(SOURCE_STATES.connecting);
+      this._open();
+    });
+  }
+
+  play() {
+    this.desired.playing = true;
+    this._control({ action: 'play' });
+  }
+
+  pause() {
+    this.desired.playing = false;
+    this._control({ action: 'pause' });
+  }
+
+  seek(progress) {
+    if (progress < 0 || progress > 1) return;
+    if (this._control({ action: 'seek', progress })) this.pendingSeeks++;
+  }
+
+  setSpeed(multiplier) {
+    if (!(multiplier > 0)) return;
+    this.desired.speed = multiplier;
+    this._control({ action: 'speed', speed: multiplier });
+  }
+
+  getEventTypes() {
+    return this.info?.eventTypes || [];
+  }
+
+  getTripIdForEvent(event) {
+    return this.eventTripIds.get(event) ?? null;
+  }
+
+  /**
+   * Statistics shaped like MockEventStreamAPI.getStatistics(), plus the connection
+   */
+  getStatistics() {
+    const status = this.status || {};
+    const eventCount = this.info?.eventCount ?? 0;
+    const speed = status.speed ?? this.desired.speed;
+    return {
+      progress: status.progress ?? 0,
+      currentTime: status.currentTime ?? this.info?.startTime ?? null,
+      eventCount,
+      deliveredCount: status.deliveredCount ?? 0,
+      cursor: status.cursor ?? 0,
+      remainingCount: eventCount - (status.cursor ?? 0),
+      tripCount: this.info?.tripIds.length ?? 0,
+      speedMultiplier: speed,
+      effectiveSpeed: speed,
+      isStreaming: Boolean(status.playing),
+      minTimestamp: this.info?.startTime ?? null,
+      maxTimestamp: this.info?.endTime ?? null,
+      source: this.kind,
+      connection: { ...this.getStatus(), url: this.serverUrl, session: this.sessionId }
+    };
+  }
+
+  disconnect() {
+    this._closeConnection();
+    super.disconnect();
+  }
+
+  _streamUrl(protocol) {
+    const url = new URL(`${this.serverUrl}/stream`);
+    url.searchParams.set('speed', this.desired.speed);
+    if (this.lastEventId !== null) url.searchParams.set('lastEventId', this.lastEventId);
+    if (protocol) url.protocol = protocol;
+    return url.toString();
+  }
+
+  // The transport closed or failed
+  _handleDisconnect(connection) {
+    if (this.disconnected || connection !== this.connection) return;
+    this._closeConnection();
+    this.sessionId = null;
+    const error = new Error(`Lost the replay server at ${this.serverUrl}`);
+
+    if (this._ready) {
+      const ready = this._ready;
+      this._ready = null;
+      this._setState(SOURCE_STATES.closed, new Error(`Could not connect to the replay server at ${this.serverUrl}`));
+      ready.reject(this.error);
+      return;
+    }
+    this._retry(() => this._open(), error);
+  }
+
+  _handleMessage(type, message) {
+    switch (type) {
+      case 'hello':
+        this.info = message;
+        this.sessionId = message.session;
+        this.pendingSeeks = 0;
+        this._opened();
+        // A new server session starts paused: restore what this source wants
+        this._control({ action: 'speed', speed: this.desired.speed });
+        if (this.desired.playing) this._control({ action: 'play' });
+        if (this._ready) {
+          this._ready.resolve(this);
+          this._ready = null;
+        }
+        break;
+      case 'event':
+        if (this.pendingSeeks > 0) return;
+        this.lastEventId = message.id;
+        this.eventTripIds.set(message.event, message.tripId);
+        this._emit('event', message.event);
+        break;
+      case 'seek':
+        this.pendingSeeks = Math.max(0, this.pendingSeeks - 1);
+        break;
+      case 'status':
+        this.status = message;
+        this._emit('status', this.getStatus());
+        break;
+      case 'complete':
+        this._emit('complete');
+        break;
+      case 'error':
+        this._emit('error', new Error(message.message));
+        break;
+      default:
+        break;
+    }
+  }
+
+  // Send a control; returns false while not connected
+  _control(control) {
+    if (!this.connection || this.state !== SOURCE_STATES.open) return false;
+    this._send(control);
+    return true;
+  }
+}
+
+export class WebSocketEventSource extends ReplayServerSource {
+  constructor(serverUrl, options) {
+    super('websocket', serverUrl, options);
+  }
+
+  _open() {
+    const url = this._streamUrl(this.serverUrl.startsWith('https:') ? 'wss:' : 'ws:');
+    const socket = new WebSocket(url);
+    socket.onmessage = ({ data }) => {
+      const { type, ...message } = JSON.parse(data);
+      this._handleMessage(type, message);
+    };
+    socket.onerror = () => {}; // followed by close
+    socket.onclose = () => this._handleDisconnect(socket);
+    this.connection = socket;
+  }
+
+  _closeConnection() {
+    const socket = this.connection;
+    this.connection = null;
+    if (!socket) return;
+    socket.onclose = null;
+    socket.close();
+  }
+
+  _send(control) {
+    this.connection.send(JSON.stringify(control));
+  }
+}
+
+export class SSEEventSource extends ReplayServerSource {
+  constructor(serverUrl, options) {
+    super('sse', serverUrl, options);
+  }
+
+  // EventSource's own reconnects would skip the backoff, so a connection error
+  // closes it and the source reconnects itself, resuming with ?lastEventId.
+  // The server's 'error' messages arrive as 'error' events too, but with data.
+  _open() {
+    const source = new EventSource(this._streamUrl());
+    MESSAGE_TYPES.forEach(type => {
+      source.addEventListener(type, ({ data }) => {
+        if (data !== undefined) this._handleMessage(type, JSON.parse(data));
+      });
+    });
+    source.onerror = ({ data }) => {
+      if (data === undefined) this._handleDisconnect(source);
+    };
+    this.connection = source;
+  }
+
+  _closeConnection() {
+    const source = this.connection;
+    this.connection = null;
+    source?.close();
+  }
+
+  // A seek the server never got won't be confirmed, so it stops holding back events
+  _send(control) {
+    const sessionId = this.sessionId;
+    fetch(`${this.serverUrl}/sessions/${encodeURIComponent(sessionId)}/control`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(control)
+    })
+      .then(response => {
+        if (!response.ok) throw new Error(`Control ${control.action} failed: ${response.status}`);
+      })
+      .catch(error => {
+        if (control.action === 'seek' && sessionId === this.sessionId) {
+          this.pendingSeeks = Math.max(0, this.pendingSeeks - 1);
+        }
+        this._emit('error', error);
+      });
+  }
+}
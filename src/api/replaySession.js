@@ -0,0 +1,169 @@
+/**
+ * ReplaySession - one client's playback on the replay server
+ *
+ * Transport-independent: the server's WebSocket and Server-Sent Events
+ * endpoints both create a session per connection and pass it a send(type,
+ * data, id) function. Each session plays the server's trips on its own
+ * MockEventStreamAPI, so clients play, pause, seek and change speed
+ * independently.
+ *
+ * Messages to the client:
+ * - hello    { session, eventCount, startTime, endTime, eventTypes, tripIds, resumedAfter }
+ * - event    { id, tripId, event }; id is the event's position in the dataset,
+ *            so a client resuming with its last id continues where it left off
+ * - seek     { progress }: delivery jumped, clear what was shown
+ * - status   { playing, speed, progress, currentTime, deliveredCount, cursor }
+ * - complete {}
+ * - error    { message }
+ *
+ * Controls from the client: { action: 'play' | 'pause' }, { action: 'seek', progress }
+ * and { action: 'speed', speed }.
+ */
+
+import MockEventStreamAPI from './mockEventStream.js';
+
+export const REPLAY_CONTROL_ACTIONS = ['play', 'pause', 'seek', 'speed'];
+
+// Minimum wall-clock ms between status messages while playing
+export const STATUS_INTERVAL_MS = 1000;
+
+/**
+ * Check a control message from a client; throws on anything invalid
+ */
+export function parseControl(message) {
+  const control = typeof message === 'string' ? JSON.parse(message) : message;
+  if (!control || !REPLAY_CONTROL_ACTIONS.includes(control.action)) {
+    throw new Error(`Unknown control action: ${control?.action}; expected ${REPLAY_CONTROL_ACTIONS.join(', ')}`);
+  }
+  if (control.action === 'seek' && !(control.progress >= 0 && control.progress <= 1)) {
+    throw new Error('seek needs a progress between 0 and 1');
+  }
+  if (control.action === 'speed' && !(control.speed > 0)) {
+    throw new Error('speed needs a positive speed');
+  }
+  return control;
+}
+
+/**
+ * Parse a last-event-id (header or query value); null when missing or invalid
+ */
+export function parseLastEventId(value) {
+  if (value == null || value === '') return null;
+  const id = Number(value);
+  return Number.isInteger(id) && id >= 0 ? id : null;
+}
+
+export class ReplaySession {
+  /**
+   * trips: { [tripId]: events }, shared by every session
+   * send(type, data, id): delivers a message to the client
+   * index: prebuilt time order for the trips (see buildTimeOrder), so sessions don't re-sort
+   * lastEventId: resume after this event id; speed: initial playback rate
+   * clock: time source (see playbackClock.js)
+   */
+  constructor(trips, { id, send, index = null, lastEventId = null, speed = 1, clock } = {}) {
+    this.id = id;
+    this.send = send;
+    this.api = new MockEventStreamAPI(trips, speed, { index, clock });
+    this.lastStatusAt = -Infinity;
+
+    this.eventIds = new Map(); // event -> its position in the dataset
+    this.api.allEvents.forEach((event, position) => this.eventIds.set(event, position));
+
+    this.resumedAfter = lastEventId !== null && lastEventId < this.api.allEvents.length ? lastEventId : null;
+    if (this.resumedAfter !== null) this.api.resumeAfter(this.resumedAfter);
+
+    this.unsubscribers = [
+      this.api.onEvent(event => this.send('event', {
+        id: this.eventIds.get(event),
+        tripId: this.api.getTripIdForEvent(event),
+        event
+      }, this.eventIds.get(event))),
+      this.api.onComplete(() => {
+        this.sendStatus();
+        this.send('complete', {});
+      }),
+      this.api.engine.subscribe(() => this._throttledStatus())
+    ];
+  }
+
+  /**
+   * Greet the client; call once the transport is open
+   */
+  start() {
+    const stats = this.api.getStatistics();
+    this.send('hello', {
+      session: this.id,
+      eventCount: stats.eventCount,
+      startTime: stats.minTimestamp,
+      endTime: stats.maxTimestamp,
+      eventTypes: this.api.getEventTypes(),
+      tripIds: Object.keys(this.api.eventsByTrip),
+      resumedAfter: this.resumedAfter
+    });
+    this.sendStatus();
+  }
+
+  /**
+   * Apply a control message; invalid ones are answered with an error message
+   */
+  control(message) {
+    let control;
+    try {
+      control = parseControl(message);
+    } catch (error) {
+      this.send('error', { message: error.message });
+      return false;
+    }
+
+    switch (control.action) {
+      case 'play':
+        this.api.startStream();
+        break;
+      case 'pause':
+        this.api.stopStream();
+        break;
+      case 'seek':
+        this.api.seekToProgress(control.progress);
+        this.send('seek', { progress: control.progress });
+        break;
+      case 'speed':
+        this.api.setSpeedMultiplier(control.speed);
+        break;
+      default:
+        break;
+    }
+    this.sendStatus();
+    return true;
+  }
+
+  getStatus() {
+    const stats = this.api.getStatistics();
+    return {
+      playing: stats.isStreaming,
+      speed: stats.speedMultiplier,
+      progress: stats.progress,
+      currentTime: stats.currentTime,
+      deliveredCount: stats.deliveredCount,
+      cursor: stats.cursor
+    };
+  }
+
+  sendStatus() {
+    this.lastStatusAt = this.api.engine.clock.now();
+    this.send('status', this.getStatus());
+  }
+
+  /**
+   * Stop playback and detach; the transport has closed
+   */
+  close() {
+    this.api.stopStream();
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.api.dispose();
+  }
+
+  _throttledStatus() {
+    if (this.api.engine.clock.now() - this.lastStatusAt >= STATUS_INTERVAL_MS) this.sendStatus();
+  }
+}
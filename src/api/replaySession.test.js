@@ -0,0 +1,78 @@
+import { VirtualClock } from '../utils/playbackClock';
+import { parseControl, parseLastEventId, ReplaySession } from './replaySession';
+
+const START = Date.parse('2025-11-03T08:00:00Z');
+
+function makeEvent(tripId, offsetMs, eventType = 'location_update') {
+  return {
+    trip_id: tripId,
+    event_type: eventType,
+    timestamp: new Date(START + offsetMs).toISOString()
+  };
+}
+
+const trips = {
+  'trip-a': [makeEvent('trip-a', 0, 'trip_started'), makeEvent('trip-a', 1000), makeEvent('trip-a', 3000, 'trip_completed')],
+  'trip-b': [makeEvent('trip-b', 500, 'trip_started'), makeEvent('trip-b', 1000), makeEvent('trip-b', 2000, 'trip_completed')]
+};
+
+function openSession(options = {}) {
+  const clock = new VirtualClock({ frameInterval: 100 });
+  const messages = [];
+  const session = new ReplaySession(trips, {
+    id: 'test',
+    clock,
+    send: (type, data, id) => messages.push({ type, data, id }),
+    ...options
+  });
+  session.start();
+  return { clock, session, messages, events: () => messages.filter(message => message.type === 'event') };
+}
+
+test('streams events with their dataset position as id, under client control', () => {
+  const { clock, session, messages, events } = openSession();
+  expect(messages[0]).toMatchObject({ type: 'hello', data: { session: 'test', eventCount: 6, tripIds: ['trip-a', 'trip-b'] } });
+
+  session.control({ action: 'speed', speed: 10 });
+  session.control(JSON.stringify({ action: 'play' }));
+  clock.advance(120);
+  expect(events().map(message => [message.id, message.data.tripId])).toEqual([[0, 'trip-a'], [1, 'trip-b'], [2, 'trip-a'], [3, 'trip-b']]);
+  expect(events().every(message => message.id === message.data.id)).toBe(true);
+
+  session.control({ action: 'pause' });
+  clock.advance(1000);
+  expect(events()).toHaveLength(4);
+
+  session.control({ action: 'seek', progress: 0.9 });
+  session.control({ action: 'play' });
+  clock.runUntilIdle();
+  expect(events().map(message => message.id)).toEqual([0, 1, 2, 3, 5]);
+  expect(messages.map(message => message.type)).toContain('seek');
+  expect(messages[messages.length - 1].type).toBe('complete');
+  session.close();
+});
+
+test('resumes right after the last event a client received', () => {
+  // Events 2 and 3 share a timestamp; a client that got 2 still receives 3
+  const { clock, session, messages, events } = openSession({ lastEventId: 2 });
+  expect(messages[0].data.resumedAfter).toBe(2);
+
+  session.control({ action: 'play' });
+  clock.runUntilIdle();
+  expect(events().map(message => message.id)).toEqual([3, 4, 5]);
+  session.close();
+});
+
+test('rejects invalid controls and last event ids', () => {
+  const { session, messages } = openSession();
+  expect(session.control({ action: 'rewind' })).toBe(false);
+  expect(messages[messages.length - 1]).toMatchObject({ type: 'error' });
+
+  expect(() => parseControl({ action: 'seek', progress: 2 })).toThrow('progress between 0 and 1');
+  expect(() => parseControl({ action: 'speed', speed: 0 })).toThrow('positive speed');
+  expect(() => parseControl('not json')).toThrow();
+  expect(parseLastEventId('7')).toBe(7);
+  expect(parseLastEventId('-1')).toBeNull();
+  expect(parseLastEventId(undefined)).toBeNull();
+  session.close();
+});
@@ -0,0 +1,332 @@
+/**
+ * REST routes over MockAPIServer, for the HTTP API server (scripts/apiServer.mjs)
+ *
+ * Transport-independent like replaySession.js: handleRestRequest() takes a
+ * method, path and query and returns { status, body }. Query parameters are
+ * validated against each route's declaration, which also generates the
+ * OpenAPI document (buildOpenApiSpec), so the two can't drift apart.
+ */
+
+export const MAX_PAGE_SIZE = 1000;
+export const MAX_NEAREST = 100;
+
+// Half the earth's circumference: a radius taking in every point
+const MAX_RADIUS_KM = 20016;
+
+const latitude = description => ({ type: 'number', minimum: -90, maximum: 90, description });
+const longitude = description => ({ type: 'number', minimum: -180, maximum: 180, description });
+
+// `as` renames a parameter for the MockAPIServer call
+const QUERY_PARAMS = {
+  startTime: { type: 'string', format: 'date-time', description: 'Only events at or after this time' },
+  endTime: { type: 'string', format: 'date-time', description: 'Only events at or before this time' },
+  tripId: { type: 'string', description: 'Only this trip\'s events (an id from /trips)' },
+  eventType: { type: 'array', items: { type: 'string' }, as: 'eventTypes', description: 'Only events of these types, comma-separated' },
+  limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: 100, description: 'Events per page' },
+  offset: { type: 'integer', minimum: 0, default: 0, description: 'Events to skip' },
+  minLat: latitude('Southern edge of the area'),
+  maxLat: latitude('Northern edge of the area'),
+  minLng: longitude('Western edge of the area (east of maxLng for an area across the antimeridian)'),
+  maxLng: longitude('Eastern edge of the area'),
+  lat: latitude('Latitude of the center'),
+  lng: longitude('Longitude of the center'),
+  radiusKm: { type: 'number', minimum: 0, maximum: MAX_RADIUS_KM, description: 'Distance from the center (km)' },
+  n: { type: 'integer', minimum: 1, maximum: MAX_NEAREST, default: 1, description: 'Number of events' }
+};
+
+const FILTERS = ['startTime', 'endTime', 'eventType'];
+
+/**
+ * The API, by path; {name} segments are path parameters. Each route calls the
+ * MockAPIServer method named by its operationId with (path parameters..., query);
+ * `required` lists the query parameters it can't do without, and find()
+ * returns why the requested resource doesn't exist, for a 404
+ */
+export const REST_ROUTES = [
+  {
+    path: '/health',
+    operationId: 'getHealth',
+    summary: 'Health check',
+    query: [],
+    response: 'Health'
+  },
+  {
+    path: '/trips',
+    operationId: 'getTrips',
+    summary: 'List the trips',
+    query: [],
+    response: 'TripList'
+  },
+  {
+    path: '/trips/{tripId}/events',
+    operationId: 'getTripEvents',
+    summary: 'One trip\'s events, in file order',
+    query: ['limit', 'offset'],
+    response: 'TripEventPage',
+    find: (api, { tripId }) => (api.hasTrip(tripId) ? null : `Unknown trip: ${tripId}`)
+  },
+  {
+    path: '/events',
+    operationId: 'getEvents',
+    summary: 'Events across the trips, in time order',
+    query: ['startTime', 'endTime', 'tripId', 'limit', 'offset'],
+    response: 'EventPage',
+    find: (api, params, { tripId }) => (tripId === undefined || api.hasTrip(tripId) ? null : `Unknown trip: ${tripId}`)
+  },
+  {
+    path: '/events/area',
+    operationId: 'getEventsInArea',
+    summary: 'Located events inside a bounding box, in time order, and their vehicles',
+    query: ['minLat', 'minLng', 'maxLat', 'maxLng', ...FILTERS, 'limit', 'offset'],
+    required: ['minLat', 'minLng', 'maxLat', 'maxLng'],
+    response: 'AreaEventPage'
+  },
+  {
+    path: '/events/nearby',
+    operationId: 'getEventsNearby',
+    summary: 'Located events within a radius, in time order',
+    query: ['lat', 'lng', 'radiusKm', ...FILTERS, 'limit', 'offset'],
+    required: ['lat', 'lng', 'radiusKm'],
+    response: 'EventPage'
+  },
+  {
+    path: '/events/nearest',
+    operationId: 'getNearestEvents',
+    summary: 'The located events nearest to a point, nearest first',
+    query: ['lat', 'lng', 'n', ...FILTERS],
+    required: ['lat', 'lng'],
+    response: 'NearestEvents'
+  },
+  {
+    path: '/stats',
+    operationId: 'getStats',
+    summary: 'Event counts by type',
+    query: [],
+    response: 'Stats'
+  }
+];
+
+const routePatterns = REST_ROUTES.map(route => ({
+  route,
+  pattern: new RegExp(`^${route.path.replace(/\{(\w+)\}/g, '(?<$1>[^/]+)')}$`)
+}));
+
+/**
+ * Validate a route's query parameters; returns { query, errors }
+ * Unknown parameters are errors too, so typos don't silently match everything
+ */
+export function parseQuery(searchParams, names, required = []) {
+  const query = {};
+  const errors = [];
+
+  for (const key of new Set(searchParams.keys())) {
+    if (!names.includes(key)) errors.push(`Unknown query parameter: ${key}`);
+  }
+
+  names.forEach(name => {
+    const raw = searchParams.get(name);
+    if (raw === null) {
+      if (required.includes(name)) errors.push(`${name} is required`);
+      return;
+    }
+    const spec = QUERY_PARAMS[name];
+    const key = spec.as || name;
+
+    if (spec.type === 'integer' || spec.type === 'number') {
+      const value = Number(raw);
+      const valid = spec.type === 'integer' ? Number.isInteger(value) : Number.isFinite(value);
+      if (raw.trim() === '' || !valid ||
+        value < spec.minimum || (spec.maximum !== undefined && value > spec.maximum)) {
+        const range = spec.maximum !== undefined ? `between ${spec.minimum} and ${spec.maximum}` : `of at least ${spec.minimum}`;
+        errors.push(`${name} must be ${spec.type === 'integer' ? 'an integer' : 'a number'} ${range}`);
+        return;
+      }
+      query[key] = value;
+    } else if (spec.format === 'date-time') {
+      if (Number.isNaN(Date.parse(raw))) {
+        errors.push(`${name} must be an ISO 8601 timestamp`);
+        return;
+      }
+      query[key] = raw;
+    } else if (spec.type === 'array') {
+      const values = raw.split(',').map(value => value.trim()).filter(Boolean);
+      if (values.length === 0) {
+        errors.push(`${name} must list at least one value`);
+        return;
+      }
+      query[key] = values;
+    } else {
+      query[key] = raw;
+    }
+  });
+
+  if (query.startTime && query.endTime && Date.parse(query.startTime) > Date.parse(query.endTime)) {
+    errors.push('startTime must not be after endTime');
+  }
+  if (query.minLat > query.maxLat) errors.push('minLat must not be above maxLat');
+  return { query, errors };
+}
+
+/**
+ * Answer a request against a MockAPIServer; resolves { status, body, headers }
+ * (the MockAPIServer methods may be sync or async)
+ */
+export async function handleRestRequest(api, method, pathname, searchParams = new URLSearchParams()) {
+  let match = null;
+  const found = routePatterns.find(({ pattern }) => (match = pattern.exec(pathname)));
+  if (!found) return { status: 404, body: { error: `No route for ${pathname}` } };
+  if (method !== 'GET') {
+    return { status: 405, headers: { Allow: 'GET' }, body: { error: `${method} is not supported on ${pathname}` } };
+  }
+
+  const { route } = found;
+  const { query, errors } = parseQuery(searchParams, route.query, route.required);
+  if (errors.length > 0) return { status: 400, body: { error: 'Invalid query', details: errors } };
+
+  let params;
+  try {
+    params = Object.fromEntries(Object.entries(match.groups || {}).map(([name, value]) => [name, decodeURIComponent(value)]));
+  } catch {
+    return { status: 400, body: { error: `Malformed path: ${pathname}` } };
+  }
+  const missing = route.find?.(api, params, query);
+  if (missing) return { status: 404, body: { error: missing } };
+
+  const args = route.query.length > 0 ? [...Object.values(params), query] : Object.values(params);
+  return { status: 200, body: await api[route.operationId](...args) };
+}
+
+const EVENT_PAGE_PROPERTIES = {
+  events: { type: 'array', items: { $ref: '#/components/schemas/Event' } },
+  total: { type: 'integer' },
+  limit: { type: 'integer' },
+  offset: { type: 'integer' },
+  hasMore: { type: 'boolean' }
+};
+
+const SCHEMAS = {
+  Event: {
+    type: 'object',
+    description: 'A fleet event, as in the trip files',
+    required: ['trip_id', 'event_type', 'timestamp'],
+    properties: {
+      trip_id: { type: 'string' },
+      event_type: { type: 'string' },
+      timestamp: { type: 'string', format: 'date-time' },
+      event_id: { type: 'string' },
+      vehicle_id: { type: 'string' },
+      location: { type: 'object', properties: { lat: { type: 'number' }, lng: { type: 'number' } } }
+    },
+    additionalProperties: true
+  },
+  EventPage: { type: 'object', properties: EVENT_PAGE_PROPERTIES },
+  AreaEventPage: {
+    type: 'object',
+    properties: { ...EVENT_PAGE_PROPERTIES, vehicles: { type: 'array', items: { type: 'string' } } }
+  },
+  NearestEvents: {
+    type: 'object',
+    properties: {
+      matches: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { event: { $ref: '#/components/schemas/Event' }, distanceKm: { type: 'number' } }
+        }
+      }
+    }
+  },
+  TripEventPage: { type: 'object', properties: { tripId: { type: 'string' }, ...EVENT_PAGE_PROPERTIES } },
+  TripList: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        eventCount: { type: 'integer' },
+        startTime: { type: 'string', format: 'date-time' },
+        endTime: { type: 'string', format: 'date-time' }
+      }
+    }
+  },
+  Stats: {
+    type: 'object',
+    properties: {
+      totalTrips: { type: 'integer' },
+      totalEvents: { type: 'integer' },
+      eventsByType: { type: 'object', additionalProperties: { type: 'integer' } },
+      timestamp: { type: 'string', format: 'date-time' }
+    }
+  },
+  Health: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['ok'] },
+      trips: { type: 'integer' },
+      timestamp: { type: 'string', format: 'date-time' }
+    }
+  },
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: { type: 'string' },
+      details: { type: 'array', items: { type: 'string' } }
+    }
+  }
+};
+
+const errorResponse = description => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+/**
+ * The OpenAPI 3 document for REST_ROUTES
+ */
+export function buildOpenApiSpec({ serverUrl = 'http://localhost:4020' } = {}) {
+  const paths = {};
+  REST_ROUTES.forEach(route => {
+    const pathParams = [...route.path.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({
+      name, in: 'path', required: true, schema: { type: 'string' }
+    }));
+    const queryParams = route.query.map(name => {
+      const { description, as, ...schema } = QUERY_PARAMS[name];
+      const param = { name, in: 'query', required: Boolean(route.required?.includes(name)), description, schema };
+      return schema.type === 'array' ? { ...param, style: 'form', explode: false } : param;
+    });
+    const responses = {
+      200: {
+        description: route.summary,
+        content: { 'application/json': { schema: { $ref: `#/components/schemas/${route.response}` } } }
+      }
+    };
+    if (pathParams.length > 0) {
+      responses[400] = errorResponse('Malformed path or invalid query parameters');
+    } else if (queryParams.length > 0) {
+      responses[400] = errorResponse('Invalid query parameters');
+    }
+    if (route.find) responses[404] = errorResponse('Unknown trip');
+
+    paths[route.path] = {
+      get: {
+        summary: route.summary,
+        operationId: route.operationId,
+        parameters: [...pathParams, ...queryParams],
+        responses
+      }
+    };
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Fleet Tracking Mock API',
+      version: '1.0.0',
+      description: 'The dashboard\'s trip data, served by scripts/apiServer.mjs'
+    },
+    servers: [{ url: serverUrl }],
+    paths,
+    components: { schemas: SCHEMAS }
+  };
+}
@@ -0,0 +1,112 @@
+import MockAPIServer from './mockAPIServer';
+import { buildOpenApiSpec, handleRestRequest, REST_ROUTES } from './restApi';
+
+const START = Date.parse('2025-11-03T08:00:00Z');
+
+function makeEvent(tripId, offsetMs, eventType = 'location_update') {
+  return {
+    trip_id: tripId,
+    event_type: eventType,
+    timestamp: new Date(START + offsetMs).toISOString()
+  };
+}
+
+const api = new MockAPIServer({
+  'trip-a': [makeEvent('trip-a', 0, 'trip_started'), makeEvent('trip-a', 1000), makeEvent('trip-a', 3000, 'trip_completed')],
+  'trip-b': [makeEvent('trip-b', 500, 'trip_started'), makeEvent('trip-b', 2000, 'trip_completed')]
+});
+
+const get = (path) => {
+  const url = new URL(path, 'http://localhost');
+  return handleRestRequest(api, 'GET', url.pathname, url.searchParams);
+};
+
+test('routes answer with the MockAPIServer results', async () => {
+  expect(await get('/health')).toMatchObject({ status: 200, body: { status: 'ok', trips: 2 } });
+  expect((await get('/trips')).body.map(trip => trip.id)).toEqual(['trip-a', 'trip-b']);
+  expect((await get('/stats')).body.eventsByType).toEqual({ trip_started: 2, location_update: 1, trip_completed: 2 });
+
+  const page = await get('/events?startTime=2025-11-03T08:00:00.500Z&limit=2&offset=1');
+  expect(page.status).toBe(200);
+  expect(page.body).toMatchObject({ total: 4, limit: 2, offset: 1, hasMore: true });
+  expect(page.body.events.map(event => event.timestamp)).toEqual([makeEvent('', 1000).timestamp, makeEvent('', 2000).timestamp]);
+
+  const tripPage = await get('/trips/trip-b/events?limit=1');
+  expect(tripPage.body).toMatchObject({ tripId: 'trip-b', total: 2, hasMore: true });
+});
+
+test('invalid queries and malformed paths answer 400, unknown trips 404', async () => {
+  const invalid = await get('/events?limit=5000&offset=-1&startTime=soon&trip=trip-a');
+  expect(invalid.status).toBe(400);
+  expect(invalid.body.details).toEqual([
+    'Unknown query parameter: trip',
+    'startTime must be an ISO 8601 timestamp',
+    'limit must be an integer between 1 and 1000',
+    'offset must be an integer of at least 0'
+  ]);
+  expect((await get('/events?startTime=2025-11-03T09:00:00Z&endTime=2025-11-03T08:00:00Z')).status).toBe(400);
+
+  expect(await get('/trips/trip-z/events')).toEqual({ status: 404, body: { error: 'Unknown trip: trip-z' } });
+  expect((await get('/events?tripId=trip-z')).status).toBe(404);
+  expect(await get('/trips/%E0/events')).toEqual({ status: 400, body: { error: 'Malformed path: /trips/%E0/events' } });
+  expect((await get('/vehicles')).status).toBe(404);
+  expect((await handleRestRequest(api, 'DELETE', '/trips')).status).toBe(405);
+});
+
+test('the OpenAPI document covers every route and its query parameters', () => {
+  const spec = buildOpenApiSpec({ serverUrl: 'http://localhost:9999' });
+  expect(spec.servers).toEqual([{ url: 'http://localhost:9999' }]);
+  expect(Object.keys(spec.paths)).toEqual(REST_ROUTES.map(route => route.path));
+
+  const events = spec.paths['/events'].get;
+  expect(events.parameters.map(param => param.name)).toEqual(['startTime', 'endTime', 'tripId', 'limit', 'offset']);
+  expect(events.parameters.find(param => param.name === 'limit').schema).toMatchObject({ type: 'integer', minimum: 1, maximum: 1000 });
+  expect(Object.keys(events.responses)).toEqual(['200', '400', '404']);
+  expect(spec.paths['/trips/{tripId}/events'].get.parameters[0]).toMatchObject({ name: 'tripId', in: 'path', required: true });
+  expect(spec.paths['/trips/{tripId}/events'].get.responses).toHaveProperty('400');
+  expect(spec.components.schemas[events.responses[200].content['application/json'].schema.$ref.split('/').pop()]).toBeDefined();
+});
+
+test('area, nearby and nearest routes query the spatial index with filters', async () => {
+  const ping = (vehicleId, offsetMs, lat, lng, eventType = 'location_ping') => ({
+    ...makeEvent(`trip-${vehicleId}`, offsetMs, eventType), vehicle_id: vehicleId, location: { lat, lng }
+  });
+  const fleet = new MockAPIServer({
+    'trip-1': [ping('VH_1', 0, 40, -74), ping('VH_1', 60000, 40.01, -74, 'speed_violation')],
+    'trip-2': [ping('VH_2', 30000, 40.02, -74.01), ping('VH_2', 90000, 41, -74)],
+    'trip-3': [ping('VH_3', 0, 10, 179.95), ping('VH_3', 1000, 10, -179.95)]
+  });
+  const query = (path) => {
+    const url = new URL(path, 'http://localhost');
+    return handleRestRequest(fleet, 'GET', url.pathname, url.searchParams);
+  };
+
+  const area = await query('/events/area?minLat=39.9&minLng=-74.1&maxLat=40.1&maxLng=-73.9&startTime=2025-11-03T08:00:20Z');
+  expect(area.status).toBe(200);
+  expect(area.body).toMatchObject({ total: 2, vehicles: ['VH_2', 'VH_1'] });
+  const across = await query('/events/area?minLat=9&minLng=179&maxLat=11&maxLng=-179');
+  expect(across.body.vehicles).toEqual(['VH_3']);
+  expect(across.body.total).toBe(2);
+
+  const nearby = await query('/events/nearby?lat=40&lng=-74&radiusKm=5&eventType=speed_violation,trip_started');
+  expect(nearby.body.events.map(event => event.event_type)).toEqual(['speed_violation']);
+
+  const nearest = await query('/events/nearest?lat=40.9&lng=-74&n=2');
+  expect(nearest.body.matches.map(match => match.event.vehicle_id)).toEqual(['VH_2', 'VH_2']);
+  expect(nearest.body.matches[0].distanceKm).toBeCloseTo(11.1, 0);
+
+  const invalid = await query('/events/nearby?lat=95&lng=-74&eventType=');
+  expect(invalid.status).toBe(400);
+  expect(invalid.body.details).toEqual([
+    'lat must be a number between -90 and 90',
+    'radiusKm is required',
+    'eventType must list at least one value'
+  ]);
+  expect((await query('/events/area?minLat=41&minLng=-74&maxLat=40&maxLng=-73')).body.details).toEqual(['minLat must not be above maxLat']);
+
+  const spec = buildOpenApiSpec();
+  expect(spec.paths['/events/area'].get.parameters.filter(param => param.required).map(param => param.name))
+    .toEqual(['minLat', 'minLng', 'maxLat', 'maxLng']);
+  expect(spec.paths['/events/nearby'].get.parameters.find(param => param.name === 'eventType'))
+    .toMatchObject({ style: 'form', explode: false, schema: { type: 'array' } });
+});
@@ -1,6 +1,88 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
+import { EVENT_SOURCES, STREAM_SOURCE_MEMORY } from '../api/eventSources';
+
+/**
+ * Summarise per-trip cache statuses into a single header badge
+ */
+function getCacheSummary(cacheStatus = {}) {
+  const statuses = Object.values(cacheStatus);
+  if (statuses.length === 0) return null;
+  if (statuses.every(status => status === 'disabled')) {
+    return { className: 'cache-off', label: '○ Cache off', title: 'IndexedDB is unavailable; trips load from the network' };
+  }
+
+  const count = (...values) => statuses.filter(status => values.includes(status)).length;
+  const cached = count('hit', 'revalidating', 'fresh', 'updated', 'stale', 'stored');
+
+  if (count('revalidating') > 0) {
+    return {
+      className: 'cache-revalidating',
+      label: `⟳ Checking ${count('revalidating')} cached trip${count('revalidating') === 1 ? '' : 's'}`,
+      title: 'Showing cached trips while checking their files for changes'
+    };
+  }
+  if (count('stale') > 0) {
+    return {
+      className: 'cache-stale',
+      label: `⚠ ${count('stale')} cached trip${count('stale') === 1 ? '' : 's'} unverified`,
+      title: 'Could not reach the trip files; showing cached data'
+    };
+  }
+  if (count('updated') > 0) {
+    return {
+      className: 'cache-updated',
+      label: `💾 ${count('updated')} trip${count('updated') === 1 ? '' : 's'} updated`,
+      title: 'Cached trips were refreshed from changed files'
+    };
+  }
+  return {
+    className: 'cache-fresh',
+    label: `💾 ${cached}/${statuses.length} cached`,
+    title: count('hit', 'fresh') > 0 ? 'Loaded from the local cache' : 'Trips stored in the local cache'
+  };
+}
+
+/**
+ * Summarise the event source's connection into a header badge; the in-browser
+ * source is always connected, so it only shows one for the others
+ */
+function getConnectionSummary(connection, now) {
+  if (!connection || connection.kind === STREAM_SOURCE_MEMORY) return null;
+  const name = EVENT_SOURCES.find(source => source.id === connection.kind)?.label || connection.kind;
+  const error = connection.error ? `: ${connection.error}` : '';
+
+  switch (connection.state) {
+    case 'open':
+      return { className: 'connection-open', label: '● Connected', title: name };
+    case 'reconnecting': {
+      const seconds = Math.max(0, Math.ceil((connection.retryAt - now) / 1000));
+      return {
+        className: 'connection-reconnecting',
+        label: `⟳ Reconnecting in ${seconds}s (attempt ${connection.attempt})`,
+        title: `${name}${error}`
+      };
+    }
+    case 'closed':
+      return { className: 'connection-closed', label: '✕ Disconnected', title: `${name}${error}` };
+    default:
+      return { className: 'connection-connecting', label: '… Connecting', title: name };
+  }
+}
+
+export function AppHeader({ isSimulating, simulationSpeed, cacheStatus, connection }) {
+  const cacheSummary = getCacheSummary(cacheStatus);
+  const [now, setNow] = useState(() => Date.now());
+  const connectionSummary = getConnectionSummary(connection, now);
+
+  // Tick the retry countdown while reconnecting
+  const retryAt = connection?.state === 'reconnecting' ? connection.retryAt : null;
+  useEffect(() => {
+    if (!retryAt) return undefined;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [retryAt]);
 
-export function AppHeader({ isSimulating, simulationSpeed }) {
   return (
     <header className="app-header">
       <div className="header-content">
@@ -16,6 +98,16 @@ export function AppHeader({ isSimulating, simulationSpeed }) {
             ⚡ {simulationSpeed}x Speed
           </span>
         )}
+        {cacheSummary && (
+          <span className={`cache-indicator ${cacheSummary.className}`} title={cacheSummary.title}>
+            {cacheSummary.label}
+          </span>
+        )}
+        {connectionSummary && (
+          <span className={`connection-indicator ${connectionSummary.className}`} title={connectionSummary.title}>
+            {connectionSummary.label}
+          </span>
+        )}
       </div>
     </header>
   );
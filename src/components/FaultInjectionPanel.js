@@ -0,0 +1,73 @@
+import React from 'react';
+import { FAULT_PROFILES, NO_FAULTS } from '../utils/faultInjection';
+import '../styles/FaultInjectionPanel.css';
+
+const FAULT_COUNTERS = [
+  ['dropped', 'Dropped'],
+  ['delayed', 'Delayed'],
+  ['reordered', 'Reordered'],
+  ['duplicated', 'Duplicated'],
+  ['burst', 'Burst'],
+  ['corrupted', 'Corrupted'],
+  ['held', 'Held back']
+];
+
+const ANOMALY_COUNTERS = [
+  ['invalid', 'Invalid'],
+  ['duplicate', 'Duplicate'],
+  ['outOfOrder', 'Out of order']
+];
+
+/**
+ * Developer panel for making the mock event stream misbehave
+ * Shows what the injector did and what the vehicle status tracker noticed
+ */
+export function FaultInjectionPanel({ profile = NO_FAULTS, onProfileChange, faultStats = null, anomalies = null }) {
+  const active = profile !== NO_FAULTS;
+
+  return (
+    <details className={`fault-panel ${active ? 'active' : ''}`}>
+      <summary>
+        🧪 Fault injection
+        {active && <span className="fault-badge">{FAULT_PROFILES[profile]?.label}</span>}
+      </summary>
+
+      <div className="fault-panel-body">
+        <div className="fault-profiles" role="radiogroup" aria-label="Fault profile">
+          {Object.entries(FAULT_PROFILES).map(([id, { label, description }]) => (
+            <label key={id} className={`fault-profile ${profile === id ? 'selected' : ''}`} title={description}>
+              <input
+                type="radio"
+                name="fault-profile"
+                value={id}
+                checked={profile === id}
+                onChange={() => onProfileChange(id)}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+        <p className="fault-description">{FAULT_PROFILES[profile]?.description}</p>
+
+        <div className="fault-stats">
+          <div className="fault-stat-group">
+            <span className="fault-stat-title">Injected</span>
+            {FAULT_COUNTERS.map(([key, label]) => (
+              <span key={key} className="fault-stat">
+                {label}: <strong>{faultStats?.[key] ?? 0}</strong>
+              </span>
+            ))}
+          </div>
+          <div className="fault-stat-group">
+            <span className="fault-stat-title">Tracker saw</span>
+            {ANOMALY_COUNTERS.map(([key, label]) => (
+              <span key={key} className="fault-stat">
+                {label}: <strong>{anomalies?.[key] ?? 0}</strong>
+              </span>
+            ))}
+          </div>
+        </div>
+      </div>
+    </details>
+  );
+}
@@ -1,7 +1,8 @@
 import React from 'react';
 import '../styles/FleetOverview.css';
+import { SpawnVehiclesControl } from './SpawnVehiclesControl';
 
-export function FleetOverview({ metrics, isSimulating = false, fleetCompletion = {} }) {
+export function FleetOverview({ metrics, isSimulating = false, fleetCompletion = {}, onExport = null, onSpawnVehicles = null }) {
   const calculateFleetStats = () => {
     if (!metrics || Object.keys(metrics).length === 0) {
       return {
@@ -106,7 +107,20 @@ export function FleetOverview({ metrics, isSimulating = false, fleetCompletion =
     <div className={`fleet-overview ${isSimulating ? 'live-monitoring' : ''}`}>
       <div className="overview-header">
         <h2 className="overview-title">Fleet Overview</h2>
-        {isSimulating && <span className="live-badge">🔴 LIVE MONITORING</span>}
+        <div className="overview-actions">
+          {onSpawnVehicles && <SpawnVehiclesControl onSpawn={onSpawnVehicles} />}
+          {onExport && (
+            <>
+              <button className="export-btn" onClick={() => onExport('gpx')} title="Download all trips as GPX 1.1 tracks">
+                ⤓ GPX
+              </button>
+              <button className="export-btn" onClick={() => onExport('geojson')} title="Download all trips as GeoJSON">
+                ⤓ GeoJSON
+              </button>
+            </>
+          )}
+          {isSimulating && <span className="live-badge">🔴 LIVE MONITORING</span>}
+        </div>
       </div>
       
       <div className="overview-grid">
@@ -1,11 +1,91 @@
 import React from 'react';
 
-export function LoadingState() {
+function formatBytes(bytes) {
+  if (!bytes) return '0 KB';
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Sum bytes and events loaded across trips
+ */
+function summarizeProgress(progress) {
+  const entries = Object.values(progress);
+  const bytesLoaded = entries.reduce((sum, p) => sum + (p.bytesLoaded || 0), 0);
+  const eventsLoaded = entries.reduce((sum, p) => sum + (p.eventsLoaded || 0), 0);
+  const allSized = entries.length > 0 && entries.every(p => p.totalBytes);
+  const totalBytes = allSized ? entries.reduce((sum, p) => sum + p.totalBytes, 0) : null;
+  const percentage = totalBytes ? Math.min(100, Math.round((bytesLoaded / totalBytes) * 100)) : null;
+
+  return { bytesLoaded, eventsLoaded, totalBytes, percentage };
+}
+
+export function LoadProgressBar({ progress = {}, manifest = { trips: [] }, showTrips = true }) {
+  const summary = summarizeProgress(progress);
+
+  return (
+    <div className="load-progress">
+      <div className="load-progress-bar">
+        <div
+          className={`load-progress-fill ${summary.percentage === null ? 'indeterminate' : ''}`}
+          style={{ width: summary.percentage === null ? '100%' : `${summary.percentage}%` }}
+        />
+      </div>
+      <p className="load-progress-summary">
+        {formatBytes(summary.bytesLoaded)}
+        {summary.totalBytes ? ` / ${formatBytes(summary.totalBytes)}` : ''}
+        {' • '}
+        {summary.eventsLoaded.toLocaleString()} events
+      </p>
+
+      {showTrips && manifest.trips.length > 0 && (
+        <ul className="load-progress-trips">
+          {manifest.trips.map(trip => {
+            const tripProgress = progress[trip.id];
+            const tripPercentage = tripProgress?.totalBytes
+              ? Math.min(100, Math.round((tripProgress.bytesLoaded / tripProgress.totalBytes) * 100))
+              : null;
+            return (
+              <li key={trip.id}>
+                <span className="load-trip-name">{trip.name}</span>
+                <span className="load-trip-value">
+                  {tripProgress
+                    ? `${tripPercentage !== null ? `${tripPercentage}% • ` : ''}${tripProgress.eventsLoaded.toLocaleString()} events`
+                    : 'Waiting…'}
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export function LoadingState({ progress = {}, manifest = { trips: [] } }) {
+  const hasProgress = Object.keys(progress).length > 0;
+
   return (
     <div className="app-loading">
       <div className="loading-spinner" />
       <p>Loading fleet data...</p>
-      <p className="loading-info">Processing trip events...</p>
+      {hasProgress ? (
+        <LoadProgressBar progress={progress} manifest={manifest} />
+      ) : (
+        <p className="loading-info">Processing trip events...</p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Slim banner shown above the dashboard while remaining trips stream in
+ */
+export function StreamingBanner({ progress = {}, manifest = { trips: [] } }) {
+  return (
+    <div className="streaming-banner">
+      <span className="streaming-label">Loading remaining trip data…</span>
+      <LoadProgressBar progress={progress} manifest={manifest} showTrips={false} />
     </div>
   );
 }
@@ -0,0 +1,131 @@
+import React, { useRef } from 'react';
+import { formatTime } from '../utils/dataLoader';
+import '../styles/SessionControls.css';
+
+function formatClock(ms = 0) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  return `${minutes}:${String(totalSeconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Describe a recorded user action for the replay bar
+ */
+function describeAction({ action, payload = {} }) {
+  switch (action) {
+    case 'play': return '▶ Play';
+    case 'pause': return '⏸ Pause';
+    case 'seek': return `Seek to ${Math.round(payload.progress * 100)}%`;
+    case 'speed': return `Speed ${payload.speed}x`;
+    case 'direction': return payload.direction < 0 ? '◀ Reverse' : '▶ Forward';
+    case 'step': return payload.direction < 0 ? '⏮ Step back' : '⏭ Step forward';
+    case 'jump': return `Jump to ${payload.direction < 0 ? 'previous' : 'next'} ${payload.eventType}`;
+    case 'reset': return '↺ Reset';
+    case 'skipIdle': return `Skip idle ${payload.enabled ? 'on' : 'off'}`;
+    case 'align': return payload.enabled ? 'Aligned trip starts' : 'Absolute time';
+    case 'loop': return `Loop ${payload.looping ? 'on' : 'off'}`;
+    case 'faultProfile': return `Faults: ${payload.profile}`;
+    default: return action;
+  }
+}
+
+/**
+ * Record the live stream to a session file, and replay recorded sessions
+ */
+export function SessionControls({
+  isRecording,
+  onStartRecording,
+  onStopRecording,
+  lastSession = null,
+  onSaveSession,
+  onReplayLastSession,
+  onLoadSession,
+  replayState = null,
+  onToggleReplay,
+  onRestartReplay,
+  onStopReplay,
+  datasetKey = null,
+  error = null
+}) {
+  const fileInputRef = useRef(null);
+
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) onLoadSession(file);
+  };
+
+  if (replayState) {
+    const otherDataset = replayState.dataset?.key && replayState.dataset.key !== datasetKey;
+    return (
+      <div className="session-controls replaying">
+        <span className="session-status">
+          {replayState.playing ? '▶ Replaying' : replayState.complete ? '✓ Replay finished' : '⏸ Replay paused'}
+        </span>
+        <span className="session-detail">
+          Recorded {formatTime(replayState.recordedAt)} · {formatClock(replayState.elapsed)} / {formatClock(replayState.duration)}
+        </span>
+        <div className="session-progress" aria-hidden="true">
+          <div className="session-progress-fill" style={{ width: `${replayState.progress * 100}%` }} />
+        </div>
+        {replayState.lastAction && (
+          <span className="session-action" title="Last recorded action">{describeAction(replayState.lastAction)}</span>
+        )}
+        {otherDataset && (
+          <span className="session-warning" title="The replay shows the recorded events regardless">
+            ⚠ Recorded with a different dataset
+          </span>
+        )}
+        <button className="session-btn" onClick={onToggleReplay}>
+          {replayState.playing ? '⏸ Pause' : '▶ Resume'}
+        </button>
+        <button className="session-btn" onClick={onRestartReplay}>↺ Restart</button>
+        <button className="session-btn" onClick={onStopReplay}>✕ Exit replay</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="session-controls">
+      {isRecording ? (
+        <button className="session-btn recording" onClick={onStopRecording} title="Stop recording">
+          ⏹ Stop recording
+        </button>
+      ) : (
+        <button className="session-btn" onClick={onStartRecording} title="Record the stream and your actions">
+          ⏺ Record session
+        </button>
+      )}
+      {isRecording && <span className="session-status rec">● REC</span>}
+
+      {!isRecording && lastSession && (
+        <>
+          <span className="session-detail">
+            Last recording: {lastSession.entries.length.toLocaleString()} entries, {formatClock(lastSession.duration)}
+          </span>
+          <button className="session-btn" onClick={() => onSaveSession(lastSession)} title="Download the recording">
+            💾 Save
+          </button>
+          <button className="session-btn" onClick={onReplayLastSession}>▶ Replay</button>
+        </>
+      )}
+
+      {!isRecording && (
+        <>
+          <button className="session-btn" onClick={() => fileInputRef.current?.click()} title="Replay a saved session file">
+            📂 Load session
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json,application/json"
+            className="session-file-input"
+            onChange={handleFileChange}
+          />
+        </>
+      )}
+
+      {error && <span className="session-error">{error}</span>}
+    </div>
+  );
+}
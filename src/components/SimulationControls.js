@@ -1,6 +1,8 @@
 import React, { useState } from 'react';
 import '../styles/SimulationControls.css';
 import { formatTime } from '../utils/dataLoader';
+import { DEFAULT_IDLE_OPTIONS } from '../utils/idleCompression';
+import { ALIGN_TRIP_START } from '../utils/playbackEngine';
 
 export function SimulationControls({
   isPlaying,
@@ -12,9 +14,39 @@ export function SimulationControls({
   startTime,
   endTime,
   progress = 0,
-  onSeek = null
+  onSeek = null,
+  deliveredCount = null,
+  eventCount = null,
+  direction = 1,
+  onDirectionToggle = null,
+  skipIdle = false,
+  onSkipIdleToggle = null,
+  isCompressing = false,
+  alignToTripStart = false,
+  onAlignmentToggle = null,
+  timeMode = 'clock',
+  looping = false,
+  onLoopToggle = null,
+  loopStart = null,
+  loopEnd = null,
+  onSetLoopPoint = null,
+  onClearLoopRange = null,
+  savedLoopRanges = [],
+  onSaveLoopRange = null,
+  onRestoreLoopRange = null,
+  onDeleteLoopRange = null,
+  onStep = null,
+  eventTypes = [],
+  onJumpToEvent = null
 }) {
   const [isDragging, setIsDragging] = useState(false);
+  const [jumpType, setJumpType] = useState(null);
+  const isReverse = direction < 0;
+
+  // Default to speed violations, the usual starting point of an investigation
+  const selectedJumpType = eventTypes.includes(jumpType)
+    ? jumpType
+    : (eventTypes.includes('speed_violation') ? 'speed_violation' : eventTypes[0]);
 
   const calculateProgress = () => {
     if (!startTime || !endTime || !currentTime) return 0;
@@ -48,6 +80,34 @@ export function SimulationControls({
   const totalSeconds = Math.floor(totalTime / 1000);
   const remainingSeconds = totalSeconds - elapsedSeconds;
 
+  // Elapsed trip time on the aligned timeline, e.g. T+2:05:09
+  const formatElapsed = (ms) => {
+    const seconds = Math.max(0, Math.floor(ms / 1000));
+    const hours = Math.floor(seconds / 3600);
+    const mins = String(Math.floor(seconds / 60) % 60).padStart(2, '0');
+    const secs = String(seconds % 60).padStart(2, '0');
+    return `T+${hours}:${mins}:${secs}`;
+  };
+  const isElapsedMode = timeMode === 'elapsed';
+
+  // Timeline label for a timestamp: clock time, or elapsed trip time when aligned
+  const formatTimelineTime = (time) => (isElapsedMode
+    ? formatElapsed(new Date(time).getTime() - new Date(startTime).getTime())
+    : formatTime(time));
+
+  // Position of a timestamp along the progress bar (%)
+  const timelinePercent = (time) => {
+    const start = new Date(startTime).getTime();
+    const end = new Date(endTime).getTime();
+    if (!(end > start)) return 0;
+    return Math.min(Math.max(((new Date(time).getTime() - start) / (end - start)) * 100, 0), 100);
+  };
+
+  const hasLoopRange = Boolean(loopStart && loopEnd);
+  const loopBand = hasLoopRange
+    ? [timelinePercent(loopStart), timelinePercent(loopEnd)].sort((a, b) => a - b)
+    : null;
+
   const formatDuration = (ms) => {
     const seconds = Math.floor(ms / 1000);
     const minutes = Math.floor(seconds / 60);
@@ -87,8 +147,90 @@ export function SimulationControls({
           >
             ⟳ 1x
           </button>
+
+          {onDirectionToggle && (
+            <button
+              className={`control-btn direction-btn ${isReverse ? 'active' : ''}`}
+              onClick={onDirectionToggle}
+              title={isReverse ? 'Play forwards' : 'Play backwards'}
+            >
+              {isReverse ? '◀◀ Reverse' : '▶▶ Forward'}
+            </button>
+          )}
+
+          {onSkipIdleToggle && (
+            <button
+              className={`control-btn skip-idle-btn ${skipIdle ? 'active' : ''}`}
+              onClick={onSkipIdleToggle}
+              title="Speed through stretches of routine pings; slow down around stops, violations, errors, signal loss and trip ends"
+            >
+              ⏩ Skip idle
+            </button>
+          )}
+
+          {onAlignmentToggle && (
+            <button
+              className={`control-btn align-btn ${alignToTripStart ? 'active' : ''}`}
+              onClick={onAlignmentToggle}
+              title={alignToTripStart
+                ? 'Replay trips on their own clock times'
+                : 'Start every trip at t=0 to compare route pacing side by side'}
+            >
+              ⇤ Align starts
+            </button>
+          )}
+
+          {onStep && (
+            <>
+              <button
+                className="control-btn frame-step-btn"
+                onClick={() => onStep(-1)}
+                title="Step back to the previous event (←)"
+              >
+                ⏮
+              </button>
+              <button
+                className="control-btn frame-step-btn"
+                onClick={() => onStep(1)}
+                title="Step to the next event (→)"
+              >
+                ⏭
+              </button>
+            </>
+          )}
         </div>
 
+        {onJumpToEvent && eventTypes.length > 0 && (
+          <div className="jump-controls">
+            <label htmlFor="jump-event-type">Jump to event:</label>
+            <div className="jump-inputs">
+              <button
+                className="jump-btn"
+                onClick={() => onJumpToEvent(selectedJumpType, -1)}
+                title={`Previous ${selectedJumpType} event`}
+              >
+                ◀
+              </button>
+              <select
+                id="jump-event-type"
+                value={selectedJumpType}
+                onChange={(e) => setJumpType(e.target.value)}
+              >
+                {eventTypes.map(type => (
+                  <option key={type} value={type}>{type}</option>
+                ))}
+              </select>
+              <button
+                className="jump-btn"
+                onClick={() => onJumpToEvent(selectedJumpType, 1)}
+                title={`Next ${selectedJumpType} event`}
+              >
+                ▶
+              </button>
+            </div>
+          </div>
+        )}
+
         <div className="speed-controls">
           <label>Playback Speed:</label>
           <div className="speed-buttons">
@@ -107,9 +249,9 @@ export function SimulationControls({
 
         <div className="time-display">
           <div className="time-info">
-            <span className="time-label">Current Time:</span>
+            <span className="time-label">{isElapsedMode ? 'Elapsed Trip Time:' : 'Current Time:'}</span>
             <span className="time-value">{
-              (function() {
+              isElapsedMode ? formatElapsed(elapsedTime) : (function() {
                 const formatted = formatTime(currentTime);
                 if (formatted === 'N/A' || formatted === 'Invalid' || !formatted) {
                   // Fallback to startTime if available
@@ -130,6 +272,19 @@ export function SimulationControls({
             <span className="stat">
               <strong>Total:</strong> {formatDuration(totalTime)}
             </span>
+            {skipIdle && isCompressing && (
+              <span
+                className="stat compression-indicator"
+                title={`Idle stretch: playing ${DEFAULT_IDLE_OPTIONS.speedup}× faster than the chosen speed`}
+              >
+                ⏩ Compressing idle time ({(currentSpeed * DEFAULT_IDLE_OPTIONS.speedup).toLocaleString()}x)
+              </span>
+            )}
+            {deliveredCount !== null && eventCount !== null && (
+              <span className="stat" title="Events delivered by the stream since the last reset">
+                <strong>Events:</strong> {deliveredCount.toLocaleString()} / {eventCount.toLocaleString()}
+              </span>
+            )}
           </div>
         </div>
       </div>
@@ -146,13 +301,88 @@ export function SimulationControls({
             className="progress-fill-sim"
             style={{ width: `${displayProgress}%` }}
           />
+          {loopBand && (
+            <div
+              className={`loop-range-band ${looping ? 'active' : ''}`}
+              style={{ left: `${loopBand[0]}%`, width: `${loopBand[1] - loopBand[0]}%` }}
+              title="A–B loop range"
+            />
+          )}
           <div className="progress-indicator" style={{ left: `${displayProgress}%` }} />
         </div>
         <div className="time-range">
-          <span className="time-start">{formatTime(startTime)}</span>
+          <span className="time-start">{isElapsedMode ? formatElapsed(0) : formatTime(startTime)}</span>
           <span className="progress-percentage">{Math.round(displayProgress)}%</span>
-          <span className="time-end">{formatTime(endTime)}</span>
+          <span className="time-end">{isElapsedMode ? formatElapsed(totalTime) : formatTime(endTime)}</span>
         </div>
+
+        {onLoopToggle && (
+          <div className="loop-controls">
+            <button
+              className={`loop-btn ${looping ? 'active' : ''}`}
+              onClick={onLoopToggle}
+              title={hasLoopRange ? 'Loop inside the A–B range' : 'Loop the entire dataset'}
+            >
+              🔁 {hasLoopRange ? 'Loop A–B' : 'Loop all'}
+            </button>
+            {onSetLoopPoint && (
+              <>
+                <button
+                  className={`loop-btn ${loopStart ? 'marked' : ''}`}
+                  onClick={() => onSetLoopPoint('start')}
+                  title="Mark loop start (A) at the current time"
+                >
+                  A{loopStart ? ` ${formatTimelineTime(loopStart)}` : ''}
+                </button>
+                <button
+                  className={`loop-btn ${loopEnd ? 'marked' : ''}`}
+                  onClick={() => onSetLoopPoint('end')}
+                  title="Mark loop end (B) at the current time"
+                >
+                  B{loopEnd ? ` ${formatTimelineTime(loopEnd)}` : ''}
+                </button>
+              </>
+            )}
+            {onClearLoopRange && (loopStart || loopEnd) && (
+              <button className="loop-btn" onClick={onClearLoopRange} title="Clear the A–B range">
+                ✕ Clear
+              </button>
+            )}
+            {onSaveLoopRange && hasLoopRange && (
+              <button
+                className="loop-btn"
+                onClick={() => onSaveLoopRange(`${formatTimelineTime(loopStart)} – ${formatTimelineTime(loopEnd)}`)}
+                title="Save this range for the dataset"
+              >
+                💾 Save
+              </button>
+            )}
+            {onRestoreLoopRange && savedLoopRanges.length > 0 && (
+              <div className="saved-ranges">
+                {savedLoopRanges.map(range => (
+                  <span key={range.id} className="saved-range">
+                    <button
+                      className="saved-range-restore"
+                      onClick={() => onRestoreLoopRange(range)}
+                      title="Restore and loop this range"
+                    >
+                      {range.name}{range.alignment === ALIGN_TRIP_START ? ' (aligned)' : ''}
+                    </button>
+                    {onDeleteLoopRange && (
+                      <button
+                        className="saved-range-delete"
+                        onClick={() => onDeleteLoopRange(range.id)}
+                        title="Delete saved range"
+                      >
+                        ✕
+                      </button>
+                    )}
+                  </span>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
       </div>
     </div>
   );
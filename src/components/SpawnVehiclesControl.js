@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+
+const MAX_VEHICLES = 200;
+
+/**
+ * Spawns seeded synthetic vehicles into the fleet for load and scenario testing
+ */
+export function SpawnVehiclesControl({ onSpawn }) {
+  const [vehicleCount, setVehicleCount] = useState(10);
+  const [seed, setSeed] = useState('1');
+  const [isSpawning, setIsSpawning] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const count = Math.min(MAX_VEHICLES, Math.max(1, Math.round(Number(vehicleCount)) || 1));
+
+    setIsSpawning(true);
+    setMessage(null);
+    try {
+      const result = await onSpawn({ vehicleCount: count, seed: seed.trim() || '1' });
+      const eventCount = result.imported.reduce((sum, trip) => sum + trip.eventCount, 0);
+      setMessage(`+${result.imported.length} vehicles, ${eventCount.toLocaleString()} events`);
+    } catch (error) {
+      setMessage(`Failed: ${error.message}`);
+    } finally {
+      setIsSpawning(false);
+    }
+  };
+
+  return (
+    <form className="spawn-vehicles" onSubmit={handleSubmit}>
+      <input
+        type="number"
+        className="spawn-input spawn-count"
+        min="1"
+        max={MAX_VEHICLES}
+        value={vehicleCount}
+        onChange={(e) => setVehicleCount(e.target.value)}
+        title="Number of synthetic vehicles"
+        aria-label="Number of synthetic vehicles"
+      />
+      <input
+        type="text"
+        className="spawn-input spawn-seed"
+        value={seed}
+        onChange={(e) => setSeed(e.target.value)}
+        title="Seed: the same seed always generates the same trips"
+        aria-label="Generator seed"
+      />
+      <button type="submit" className="export-btn" disabled={isSpawning} title="Generate synthetic trips and add them to the fleet">
+        {isSpawning ? 'Spawning…' : '＋ Spawn vehicles'}
+      </button>
+      {message && <span className="spawn-message">{message}</span>}
+    </form>
+  );
+}
@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { EVENT_SOURCES, STREAM_SOURCE_MEMORY } from '../api/eventSources';
+import '../styles/StreamSourcePanel.css';
+
+const CONNECTION_LABELS = {
+  connecting: 'Connecting…',
+  open: 'Connected',
+  reconnecting: 'Reconnecting…',
+  closed: 'Disconnected'
+};
+
+/**
+ * Switch the event stream between the event sources (see eventSources.js)
+ */
+export function StreamSourcePanel({
+  source = STREAM_SOURCE_MEMORY,
+  onSourceChange,
+  serverUrl,
+  onServerUrlChange,
+  connection = null,
+  error = null
+}) {
+  const [urlDraft, setUrlDraft] = useState(serverUrl);
+  const selected = EVENT_SOURCES.find(({ id }) => id === source);
+  const remote = Boolean(selected?.remote);
+  const status = connection?.state;
+
+  const handleUrlSubmit = (e) => {
+    e.preventDefault();
+    const url = urlDraft.trim();
+    if (url && url !== serverUrl) onServerUrlChange(url);
+  };
+
+  return (
+    <details className={`source-panel ${remote ? 'remote' : ''}`}>
+      <summary>
+        📡 Stream source
+        {source !== STREAM_SOURCE_MEMORY && (
+          <span className={`source-badge ${status || 'connecting'}`}>
+            {CONNECTION_LABELS[status] || CONNECTION_LABELS.connecting}
+          </span>
+        )}
+      </summary>
+
+      <div className="source-panel-body">
+        <div className="source-options" role="radiogroup" aria-label="Stream source">
+          {EVENT_SOURCES.map(({ id, label, description }) => (
+            <label key={id} className={`source-option ${source === id ? 'selected' : ''}`} title={description}>
+              <input
+                type="radio"
+                name="stream-source"
+                value={id}
+                checked={source === id}
+                onChange={() => onSourceChange(id)}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+
+        {remote && (
+          <form className="source-url" onSubmit={handleUrlSubmit}>
+            <label htmlFor="replay-server-url">Server</label>
+            <input
+              id="replay-server-url"
+              type="url"
+              value={urlDraft}
+              onChange={(e) => setUrlDraft(e.target.value)}
+            />
+            <button type="submit" disabled={urlDraft.trim() === serverUrl}>Connect</button>
+          </form>
+        )}
+
+        {remote && (
+          <p className="source-note">
+            Start the server with <code>npm run replay-server</code>. It plays the trips in
+            public/data; reverse, stepping, skip-idle, alignment, looping and fault injection
+            are in-browser only.
+          </p>
+        )}
+        {source === 'polling' && (
+          <p className="source-note">
+            Polls the mock REST API for the events due each second, so events arrive in
+            batches; a failed poll is retried with backoff and the next one catches up.
+            Reverse, stepping, skip-idle, alignment, looping and fault injection are
+            in-browser only.
+          </p>
+        )}
+        {source !== STREAM_SOURCE_MEMORY && error && <p className="source-error">{error}</p>}
+      </div>
+    </details>
+  );
+}
@@ -1,6 +1,7 @@
 import React from 'react';
 import { FleetOverview } from './FleetOverview';
 import { TripsGrid } from './TripCard';
+import { ValidationReport } from './ValidationReport';
 
 export function TabContent({
   activeTab,
@@ -9,7 +10,12 @@ export function TabContent({
   fleetCompletion,
   expandedTrips,
   onToggleExpand,
-  liveEvents
+  liveEvents,
+  validation,
+  tripStatus,
+  onRetryTrip,
+  onExport,
+  onSpawnVehicles
 }) {
   if (activeTab === 'overview') {
     return (
@@ -18,6 +24,8 @@ export function TabContent({
           metrics={metrics}
           isSimulating={isSimulating}
           fleetCompletion={fleetCompletion}
+          onExport={onExport ? (format) => onExport(format) : null}
+          onSpawnVehicles={onSpawnVehicles}
         />
       </div>
     );
@@ -34,11 +42,22 @@ export function TabContent({
             onToggleExpand={onToggleExpand}
             isSimulating={isSimulating}
             liveEvents={liveEvents}
+            tripStatus={tripStatus}
+            onRetryTrip={onRetryTrip}
+            onExportTrip={onExport}
           />
         </div>
       </div>
     );
   }
 
+  if (activeTab === 'quality') {
+    return (
+      <div className="tab-content">
+        <ValidationReport validation={validation} metrics={metrics} />
+      </div>
+    );
+  }
+
   return null;
 }
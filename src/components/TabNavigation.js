@@ -1,6 +1,6 @@
 import React from 'react';
 
-export function TabNavigation({ activeTab, onTabChange, tripsCount }) {
+export function TabNavigation({ activeTab, onTabChange, tripsCount, quarantinedCount = 0 }) {
   return (
     <div className="tab-navigation">
       <button
@@ -15,6 +15,12 @@ export function TabNavigation({ activeTab, onTabChange, tripsCount }) {
       >
         🗺️ Trip Details ({tripsCount})
       </button>
+      <button
+        className={`tab-btn ${activeTab === 'quality' ? 'active' : ''}`}
+        onClick={() => onTabChange('quality')}
+      >
+        🧪 Data Quality{quarantinedCount > 0 ? ` (${quarantinedCount} ⚠️)` : ''}
+      </button>
     </div>
   );
 }
@@ -16,9 +16,72 @@ export function ProgressBar({ percentage, status, isLive = false }) {
   );
 }
 
-export function TripCard({ tripKey, metrics, isExpanded, onToggle, isSimulating = false, liveEvent = null }) {
+export function TripLoadError({ metrics, loadState, onRetry }) {
+  const isRetrying = loadState?.status === 'loading';
+
+  const handleRetry = (e) => {
+    e.stopPropagation();
+    if (!isRetrying && onRetry) onRetry();
+  };
+
+  return (
+    <div className="trip-card trip-card-failed" style={{ borderLeft: `4px solid ${metrics.color}` }}>
+      <div className="trip-card-header">
+        <div className="trip-header-left">
+          <h3 className="trip-title">{metrics.name}</h3>
+          <p className="trip-vehicle">
+            <span className="badge-vehicle">{metrics.vehicleId}</span>
+          </p>
+        </div>
+        <div className="trip-header-right">
+          <span className="status-badge badge-failed">
+            {isRetrying ? 'Retrying…' : 'Failed to load ⚠'}
+          </span>
+        </div>
+      </div>
+
+      <div className="trip-load-error">
+        <p className="load-error-message">{metrics.loadError}</p>
+        {loadState?.attempts > 0 && (
+          <p className="load-error-attempts">
+            {loadState.attempts} {loadState.attempts === 1 ? 'attempt' : 'attempts'}
+          </p>
+        )}
+        <button
+          className="trip-retry-btn"
+          onClick={handleRetry}
+          disabled={isRetrying}
+        >
+          {isRetrying ? 'Retrying…' : '⟲ Retry'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export function TripCard({
+  tripKey,
+  metrics,
+  isExpanded,
+  onToggle,
+  isSimulating = false,
+  liveEvent = null,
+  loadState = null,
+  onRetry = null,
+  onExport = null
+}) {
   if (!metrics) return null;
 
+  if (metrics.loadError || loadState?.status === 'failed') {
+    return (
+      <TripLoadError
+        metrics={{ ...metrics, loadError: metrics.loadError || loadState?.error }}
+        loadState={loadState}
+        onRetry={onRetry}
+      />
+    );
+  }
+
   const getStatusBadge = (status) => {
     const badges = {
       completed: { text: 'Completed ✓', class: 'badge-completed' },
@@ -118,6 +181,20 @@ export function TripCard({ tripKey, metrics, isExpanded, onToggle, isSimulating
             </div>
           </div>
 
+          {onExport && (
+            <div className="trip-export" onClick={(e) => e.stopPropagation()}>
+              <span className="detail-label">Export Track</span>
+              <div className="export-buttons">
+                <button className="export-btn" onClick={() => onExport('gpx')} title="Download GPX 1.1 track">
+                  ⤓ GPX
+                </button>
+                <button className="export-btn" onClick={() => onExport('geojson')} title="Download GeoJSON FeatureCollection">
+                  ⤓ GeoJSON
+                </button>
+              </div>
+            </div>
+          )}
+
           {metrics.lastLocation && (
             <div className="location-info">
               <h4>Current Location</h4>
@@ -137,7 +214,16 @@ export function TripCard({ tripKey, metrics, isExpanded, onToggle, isSimulating
   );
 }
 
-export function TripsGrid({ tripsMetrics, expandedTrips, onToggleExpand, isSimulating = false, liveEvents = {} }) {
+export function TripsGrid({
+  tripsMetrics,
+  expandedTrips,
+  onToggleExpand,
+  isSimulating = false,
+  liveEvents = {},
+  tripStatus = {},
+  onRetryTrip = null,
+  onExportTrip = null
+}) {
   return (
     <div className="trips-grid">
       {Object.entries(tripsMetrics).map(([tripKey, metrics]) => (
@@ -149,6 +235,9 @@ export function TripsGrid({ tripsMetrics, expandedTrips, onToggleExpand, isSimul
           onToggle={() => onToggleExpand(tripKey)}
           isSimulating={isSimulating}
           liveEvent={liveEvents[tripKey]}
+          loadState={tripStatus[tripKey]}
+          onRetry={onRetryTrip ? () => onRetryTrip(tripKey) : null}
+          onExport={onExportTrip ? (format) => onExportTrip(format, [tripKey]) : null}
         />
       ))}
     </div>
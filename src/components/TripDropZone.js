@@ -0,0 +1,99 @@
+import React, { useState, useRef } from 'react';
+import '../styles/TripDropZone.css';
+
+/**
+ * Wraps the dashboard so trip exports (JSON, NDJSON, CSV, GPX) can be dropped onto it
+ */
+export function TripDropZone({ onImport, children }) {
+  const [isDragging, setIsDragging] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [result, setResult] = useState(null);
+  const dragDepth = useRef(0);
+
+  const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+  const handleDragEnter = (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    dragDepth.current++;
+    setIsDragging(true);
+  };
+
+  const handleDragOver = (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+  };
+
+  const handleDragLeave = (e) => {
+    if (!hasFiles(e)) return;
+    dragDepth.current = Math.max(0, dragDepth.current - 1);
+    if (dragDepth.current === 0) setIsDragging(false);
+  };
+
+  const handleDrop = async (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    dragDepth.current = 0;
+    setIsDragging(false);
+
+    const files = Array.from(e.dataTransfer.files || []);
+    if (files.length === 0 || !onImport) return;
+
+    setIsImporting(true);
+    try {
+      setResult(await onImport(files));
+    } catch (error) {
+      setResult({ imported: [], failed: [{ fileName: files.map(f => f.name).join(', '), error: error.message }] });
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  return (
+    <div
+      className="trip-drop-zone"
+      onDragEnter={handleDragEnter}
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
+      {children}
+
+      {isDragging && (
+        <div className="drop-overlay">
+          <div className="drop-overlay-content">
+            <span className="drop-icon">📥</span>
+            <p>Drop trip files to add them to the fleet</p>
+            <p className="drop-formats">JSON event arrays, NDJSON, CSV location pings or GPX tracks</p>
+          </div>
+        </div>
+      )}
+
+      {(isImporting || result) && (
+        <div className="import-status">
+          {isImporting ? (
+            <span>Importing trip files…</span>
+          ) : (
+            <>
+              {result.imported.map(trip => (
+                <div key={trip.id} className="import-success">
+                  ✓ {trip.name}: {trip.eventCount.toLocaleString()} events ({trip.format.toUpperCase()})
+                  {trip.warnings.length > 0 && ` – ${trip.warnings.length} warnings`}
+                </div>
+              ))}
+              {result.failed.map(failure => (
+                <div key={failure.fileName} className="import-failure">
+                  ✗ {failure.fileName}: {failure.error}
+                </div>
+              ))}
+              <button className="import-dismiss" onClick={() => setResult(null)} title="Dismiss">
+                ×
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
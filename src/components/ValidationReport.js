@@ -0,0 +1,88 @@
+import React from 'react';
+import '../styles/ValidationReport.css';
+
+export function ValidationReport({ validation = {}, metrics = {} }) {
+  const reports = Object.entries(validation);
+
+  if (reports.length === 0) {
+    return (
+      <div className="validation-report">
+        <p className="validation-empty">No validation data available.</p>
+      </div>
+    );
+  }
+
+  const totalQuarantined = reports.reduce((sum, [_, report]) => sum + report.quarantined, 0);
+
+  return (
+    <div className="validation-report">
+      <div className="validation-header">
+        <h2 className="section-title">Data Quality</h2>
+        <span className={`validation-summary ${totalQuarantined > 0 ? 'has-issues' : 'clean'}`}>
+          {totalQuarantined > 0
+            ? `⚠️ ${totalQuarantined.toLocaleString()} events quarantined`
+            : '✓ All events passed validation'}
+        </span>
+      </div>
+
+      <div className="validation-grid">
+        {reports.map(([tripKey, report]) => {
+          const errorCounts = Object.entries(report.errorCounts)
+            .sort((a, b) => b[1] - a[1]);
+
+          return (
+            <div
+              key={tripKey}
+              className="validation-card"
+              style={{ borderLeft: `4px solid ${metrics[tripKey]?.color || '#94a3b8'}` }}
+            >
+              <h3 className="validation-trip">{metrics[tripKey]?.name || tripKey}</h3>
+
+              <div className="validation-counts">
+                <div className="validation-count">
+                  <span className="count-label">Total</span>
+                  <span className="count-value">{report.total.toLocaleString()}</span>
+                </div>
+                <div className="validation-count">
+                  <span className="count-label">Valid</span>
+                  <span className="count-value valid">{report.valid.toLocaleString()}</span>
+                </div>
+                <div className="validation-count">
+                  <span className="count-label">Quarantined</span>
+                  <span className={`count-value ${report.quarantined > 0 ? 'quarantined' : ''}`}>
+                    {report.quarantined.toLocaleString()}
+                  </span>
+                </div>
+              </div>
+
+              {errorCounts.length > 0 && (
+                <ul className="validation-errors">
+                  {errorCounts.map(([message, count]) => (
+                    <li key={message}>
+                      <span className="error-message">{message}</span>
+                      <span className="error-count">×{count}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {report.examples.length > 0 && (
+                <details className="validation-examples">
+                  <summary>Example events</summary>
+                  {report.examples.map((example, idx) => (
+                    <div key={idx} className="validation-example">
+                      <code>
+                        #{example.index ?? '-'} {example.eventType || 'unknown'} {example.eventId || ''}
+                      </code>
+                      <span>{example.errors.join(', ')}</span>
+                    </div>
+                  ))}
+                </details>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
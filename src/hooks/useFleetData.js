@@ -1,71 +1,247 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import {
   loadAllTripData,
+  loadTrip,
+  loadImportedTrips,
+  normalizeManifest,
   calculateTripMetrics,
-  TRIP_NAMES,
-  TRIP_COLORS,
-  TRIP_VEHICLE_IDS
+  getTripInfo,
+  PARTIAL_UPDATE_INTERVAL_MS
 } from '../utils/dataLoader';
+import { importTripFiles, importSyntheticTrips } from '../utils/tripImport';
+import { getEventProcessor, isCancelledError } from '../utils/eventProcessingClient';
+
+/**
+ * Combine initial metrics and completion milestones for every trip
+ * knownMetrics holds each trip's most recent metrics from the loader, cache or
+ * event processing worker ({ [tripId]: { events, metrics } }), shown while the
+ * worker catches up with newly streamed events
+ */
+function buildFleetMetrics(allTrips, manifest, tripStatus, knownMetrics) {
+  const allMetrics = {};
+  let completedCount25 = 0, completedCount50 = 0, completedCount80 = 0;
+
+  Object.keys(allTrips).forEach((key) => {
+    const known = knownMetrics[key];
+    let tripMetrics = known ? { ...known.metrics } : calculateTripMetrics([]);
+    // Force status to 'idle' before simulation starts
+    if (!tripMetrics.status || tripMetrics.status === 'completed' || tripMetrics.status === 'cancelled') {
+      tripMetrics.status = 'idle';
+    }
+    allMetrics[key] = {
+      ...tripMetrics,
+      ...getTripInfo(manifest, key),
+      loadError: tripStatus[key]?.status === 'failed' ? tripStatus[key].error : null
+    };
+
+    // Track completion milestones
+    if (tripMetrics.completionPercentage >= 80) completedCount80++;
+    if (tripMetrics.completionPercentage >= 50) completedCount50++;
+    if (tripMetrics.completionPercentage >= 25) completedCount25++;
+  });
+
+  return {
+    metrics: allMetrics,
+    fleetCompletion: {
+      completed25: completedCount25,
+      completed50: completedCount50,
+      completed80: completedCount80,
+      allTripsCompleted: completedCount80 === Object.keys(allTrips).length
+    }
+  };
+}
 
 export function useFleetData() {
   const [trips, setTrips] = useState({});
-  const [metrics, setMetrics] = useState({});
+  const [manifest, setManifest] = useState({ trips: [] });
+  const [validation, setValidation] = useState({});
+  const [tripStatus, setTripStatus] = useState({});
+  const [loadProgress, setLoadProgress] = useState({});
   const [loading, setLoading] = useState(true);
+  const [streaming, setStreaming] = useState(false);
   const [error, setError] = useState(null);
-  const [fleetCompletion, setFleetCompletion] = useState({
-    completed25: 0,
-    completed50: 0,
-    completed80: 0,
-    allTripsCompleted: false
-  });
+  const [lastImport, setLastImport] = useState(null);
+  const [cacheStatus, setCacheStatus] = useState({});
+  const progressUpdateRef = useRef({});
+  const [knownMetrics, setKnownMetrics] = useState({});
+
+  /**
+   * Remember metrics already computed for trips' events
+   */
+  const rememberMetrics = useCallback((allTrips, allMetrics) => {
+    setKnownMetrics(prev => {
+      const next = { ...prev };
+      Object.entries(allMetrics).forEach(([tripId, tripMetrics]) => {
+        if (!allTrips[tripId] || !tripMetrics) return;
+        next[tripId] = { events: allTrips[tripId], metrics: tripMetrics };
+      });
+      return next;
+    });
+  }, []);
+
+  const updateTripStatus = useCallback((tripId, status) => {
+    setTripStatus(prev => ({
+      ...prev,
+      [tripId]: { ...prev[tripId], ...status }
+    }));
+  }, []);
+
+  /**
+   * Record bytes/events loaded for a trip, throttled except for the final update
+   */
+  const updateLoadProgress = useCallback((tripId, progress) => {
+    const now = Date.now();
+    const isFinal = progress.totalBytes && progress.bytesLoaded >= progress.totalBytes;
+    if (!isFinal && now - (progressUpdateRef.current[tripId] || 0) < PARTIAL_UPDATE_INTERVAL_MS) return;
+    progressUpdateRef.current[tripId] = now;
+    setLoadProgress(prev => ({ ...prev, [tripId]: progress }));
+  }, []);
+
+  /**
+   * Load the manifest and imported trips; only the first load blocks the dashboard,
+   * and only until the first partially loaded trip can be shown
+   */
+  const loadData = useCallback(async ({ initial = false } = {}) => {
+    try {
+      if (initial) setLoading(true);
+      setStreaming(true);
+      const {
+        manifest: tripManifest,
+        trips: allTrips,
+        validation: reports,
+        metrics: loadedMetrics
+      } = await loadAllTripData({
+        onManifest: setManifest,
+        onTripStatus: updateTripStatus,
+        onTripProgress: updateLoadProgress,
+        onTripPartial: (tripId, events) => {
+          setTrips(prev => ({ ...prev, [tripId]: events }));
+          if (initial) setLoading(false);
+        },
+        onTripCacheStatus: (tripId, status) => setCacheStatus(prev => ({ ...prev, [tripId]: status })),
+        onTripRevalidated: (tripId, { events, report, metrics: tripMetrics }) => {
+          rememberMetrics({ [tripId]: events }, { [tripId]: tripMetrics });
+          setTrips(prev => ({ ...prev, [tripId]: events }));
+          setValidation(prev => ({ ...prev, [tripId]: report }));
+        }
+      });
+      rememberMetrics(allTrips, loadedMetrics);
+      setManifest(tripManifest);
+      setValidation(reports);
+      setTrips(allTrips);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setStreaming(false);
+      if (initial) setLoading(false);
+    }
+  }, [updateTripStatus, updateLoadProgress, rememberMetrics]);
 
   useEffect(() => {
-    async function loadData() {
-      try {
-        setLoading(true);
-        const allTrips = await loadAllTripData();
-        setTrips(allTrips);
-
-        // Calculate metrics for each trip
-        const allMetrics = {};
-        let completedCount25 = 0, completedCount50 = 0, completedCount80 = 0;
-        
-        Object.entries(allTrips).forEach(([key, events]) => {
-          let tripMetrics = calculateTripMetrics(events);
-          // Force status to 'idle' before simulation starts
-          if (!tripMetrics.status || tripMetrics.status === 'completed' || tripMetrics.status === 'cancelled') {
-            tripMetrics.status = 'idle';
-          }
-          allMetrics[key] = {
-            ...tripMetrics,
-            name: TRIP_NAMES[key],
-            color: TRIP_COLORS[key],
-            vehicleId: TRIP_VEHICLE_IDS[key]
-          };
-
-          // Track completion milestones
-          if (tripMetrics.completionPercentage >= 80) completedCount80++;
-          if (tripMetrics.completionPercentage >= 50) completedCount50++;
-          if (tripMetrics.completionPercentage >= 25) completedCount25++;
-        });
-
-        setMetrics(allMetrics);
-        setFleetCompletion({
-          completed25: completedCount25,
-          completed50: completedCount50,
-          completed80: completedCount80,
-          allTripsCompleted: completedCount80 === Object.keys(allTrips).length
-        });
-        setError(null);
-      } catch (err) {
-        setError(err.message);
-      } finally {
-        setLoading(false);
-      }
+    loadData({ initial: true });
+  }, [loadData]);
+
+  /**
+   * Load newly imported trips into the fleet, replacing trips with the same ids;
+   * the trips already loaded stay as they are
+   */
+  const addImportedTrips = useCallback(async (imported) => {
+    const {
+      entries,
+      trips: importedTrips,
+      validation: reports,
+      metrics: loadedMetrics
+    } = await loadImportedTrips(imported.map(trip => trip.id), { onTripStatus: updateTripStatus });
+    const ids = new Set(entries.map(trip => trip.id));
+    rememberMetrics(importedTrips, loadedMetrics);
+    setManifest(prev => normalizeManifest({ trips: [...prev.trips.filter(trip => !ids.has(trip.id)), ...entries] }));
+    setTrips(prev => ({ ...prev, ...importedTrips }));
+    setValidation(prev => ({ ...prev, ...reports }));
+  }, [updateTripStatus, rememberMetrics]);
+
+  /**
+   * Import dropped trip files and add them to the fleet
+   */
+  const importFiles = useCallback(async (files) => {
+    const result = await importTripFiles(files, manifest.trips.map(t => t.id));
+    setLastImport(result);
+    if (result.imported.length > 0) {
+      await addImportedTrips(result.imported);
     }
+    return result;
+  }, [manifest, addImportedTrips]);
 
-    loadData();
-  }, []);
+  /**
+   * Spawn synthetic vehicles ({ vehicleCount, seed }) and add them to the fleet
+   */
+  const spawnVehicles = useCallback(async (options) => {
+    const result = importSyntheticTrips(options);
+    setLastImport(result);
+    await addImportedTrips(result.imported);
+    return result;
+  }, [addImportedTrips]);
+
+  /**
+   * Retry loading a single trip that failed
+   */
+  const retryTrip = useCallback(async (tripId) => {
+    const trip = manifest.trips.find(t => t.id === tripId);
+    if (!trip) return;
+
+    try {
+      // Its metrics come from the worker pass below, like a streamed trip's
+      const { events, report } = await loadTrip(trip, {
+        onStatus: (status) => updateTripStatus(tripId, status),
+        onProgress: (progress) => updateLoadProgress(tripId, progress),
+        onPartial: (partialEvents) => setTrips(prev => ({ ...prev, [tripId]: partialEvents }))
+      });
+      setTrips(prev => ({ ...prev, [tripId]: events }));
+      setValidation(prev => ({ ...prev, [tripId]: report }));
+    } catch (err) {
+      // Failure is already recorded in tripStatus by loadTrip
+    }
+  }, [manifest, updateTripStatus, updateLoadProgress]);
+
+  /**
+   * Calculate metrics for trips the loader didn't (e.g. partially streamed ones)
+   * in the event processing worker; superseded requests are cancelled
+   */
+  useEffect(() => {
+    const missingTripIds = Object.keys(trips).filter(
+      tripId => knownMetrics[tripId]?.events !== trips[tripId]
+    );
+    if (missingTripIds.length === 0) return;
+
+    const processor = getEventProcessor();
+    processor.setDataset(trips);
+    processor.calculateMetrics(missingTripIds)
+      .then(result => rememberMetrics(trips, result))
+      .catch(err => {
+        if (!isCancelledError(err)) console.error('Failed to calculate trip metrics:', err);
+      });
+  }, [trips, knownMetrics, rememberMetrics]);
+
+  const { metrics, fleetCompletion } = useMemo(
+    () => buildFleetMetrics(trips, manifest, tripStatus, knownMetrics),
+    [trips, manifest, tripStatus, knownMetrics]
+  );
 
-  return { trips, metrics, loading, error, fleetCompletion };
+  return {
+    trips,
+    manifest,
+    validation,
+    tripStatus,
+    metrics,
+    loading,
+    streaming,
+    loadProgress,
+    cacheStatus,
+    error,
+    fleetCompletion,
+    retryTrip,
+    importFiles,
+    spawnVehicles,
+    lastImport
+  };
 }
@@ -1,21 +1,32 @@
 import { useEffect } from 'react';
 
+// Keys typed into inputs, selects and editable text belong to them, not to the shortcuts
+function isFormField(target) {
+  return ['INPUT', 'SELECT', 'TEXTAREA'].includes(target?.tagName) || Boolean(target?.isContentEditable);
+}
+
 /**
  * Hook to manage keyboard shortcuts
+ * Space: play/pause, R: reset, ←/→: step to the previous/next event
  */
-export function useKeyboardShortcuts(onPlayToggle, onReset) {
+export function useKeyboardShortcuts(onPlayToggle, onReset, onStep = null) {
   useEffect(() => {
     const handleKeyPress = (e) => {
+      if (isFormField(e.target)) return;
+
       if (e.code === 'Space') {
         e.preventDefault();
         onPlayToggle();
       } else if (e.code === 'KeyR') {
         e.preventDefault();
         onReset();
+      } else if (onStep && (e.code === 'ArrowLeft' || e.code === 'ArrowRight')) {
+        e.preventDefault();
+        onStep(e.code === 'ArrowLeft' ? -1 : 1);
       }
     };
 
     window.addEventListener('keydown', handleKeyPress);
     return () => window.removeEventListener('keydown', handleKeyPress);
-  }, [onPlayToggle, onReset]);
+  }, [onPlayToggle, onReset, onStep]);
 }
@@ -1,43 +1,223 @@
-import { useEffect, useRef, useCallback, useState } from 'react';
-import MockEventStreamAPI from '../api/mockEventStream';
+import { useEffect, useRef, useCallback, useState, useMemo } from 'react';
+import { createEventSource, DEFAULT_REPLAY_SERVER_URL, STREAM_SOURCE_MEMORY } from '../api/eventSources';
+import { getRealTimeClock } from '../utils/playbackClock';
+import { DEFAULT_BUFFER_CAPACITY, EventRingBuffer } from '../utils/eventRingBuffer';
+import { NO_FAULTS } from '../utils/faultInjection';
+import { VehicleStatusTracker } from '../utils/eventProcessor';
+import { SessionPlayer } from '../utils/sessionRecording';
+import { SOURCE_STATES } from '../api/eventSource';
 
 /**
- * Hook to use the mock event stream API
- * Manages real-time event streaming for fleet tracking
+ * Hook to play an event source (see eventSource.js)
+ * Manages real-time event streaming for fleet tracking. The default in-browser
+ * source drives the shared playback engine, so the Redux simulation slice sees
+ * the same clock.
+ *
+ * Playback options: direction (1 or -1), skipIdle, alignToTripStart, looping,
+ * loopRange ({ start, end } timestamps, either may be null), faultProfile
+ * (a FAULT_PROFILES id, see faultInjection.js)
+ *
+ * Delivered events go to a ring buffer (bufferSize events, optionally only
+ * retentionMs of event time) and a VehicleStatusTracker, whose counts of
+ * invalid, duplicate and out-of-order events show how the feed is behaving;
+ * state is updated at most once per animation frame.
+ *
+ * Sessions (see sessionRecording.js): with a recorder, delivered events, buffer
+ * changes, statistics and user actions are recorded as they happen. With a
+ * replaySession, the live stream is paused and the session's entries drive the
+ * buffer and statistics instead, at their recorded times.
+ *
+ * source: an EVENT_SOURCES id (see eventSources.js; the replay server ones
+ * connect to serverUrl), or a function (trips, { speedMultiplier, lastEventId })
+ * returning an event source, to play another feed; memoize it. Playback options
+ * a source doesn't support (its capabilities) are ignored.
  */
-export function useMockEventStream(trips, isPlaying, speedMultiplier = 1) {
-  const [streamEvents, setStreamEvents] = useState([]);
+export function useMockEventStream(trips, isPlaying, speedMultiplier = 1, {
+  direction = 1,
+  skipIdle = false,
+  alignToTripStart = false,
+  looping = false,
+  loopRange = null,
+  faultProfile = NO_FAULTS,
+  bufferSize = DEFAULT_BUFFER_CAPACITY,
+  retentionMs = null,
+  recorder = null,
+  replaySession = null,
+  source = STREAM_SOURCE_MEMORY,
+  serverUrl = DEFAULT_REPLAY_SERVER_URL
+} = {}) {
+  const [bufferState, setBufferState] = useState({ buffer: null, version: 0 });
   const [streamStats, setStreamStats] = useState(null);
   const [isComplete, setIsComplete] = useState(false);
-  const apiRef = useRef(null);
-  const unsubscribeRef = useRef([]);
+  const [streamReady, setStreamReady] = useState(false);
+  const [eventTypes, setEventTypes] = useState([]);
+  const [isCompressing, setIsCompressing] = useState(false);
+  const [feedAnomalies, setFeedAnomalies] = useState(null);
+  const [replayState, setReplayState] = useState(null);
+  const [streamError, setStreamError] = useState(null);
+  const [connection, setConnection] = useState(null);
+  const sourceRef = useRef(null);
+  const trackerRef = useRef(new VehicleStatusTracker());
+  const bufferRef = useRef(null);
+  const flushFrameRef = useRef(null);
+  const recorderRef = useRef(recorder);
+  const replayRef = useRef(null); // { session, player, bySeq, tripIds, stats, lastAction, complete }
+  const playStateRef = useRef({});
+  const resumeRef = useRef({}); // source kind -> last event id received, to resume after
+  const speedRef = useRef(speedMultiplier);
+  speedRef.current = speedMultiplier;
+
+  useEffect(() => {
+    recorderRef.current = recorder;
+  }, [recorder]);
+
+  const recordAction = useCallback((action, payload) => {
+    recorderRef.current?.recordAction(action, payload);
+  }, []);
 
   /**
-   * Initialize the mock API
+   * Publish the buffer and stats once per animation frame, however many events arrived
+   */
+  const scheduleFlush = useCallback(() => {
+    if (flushFrameRef.current) return;
+    flushFrameRef.current = getRealTimeClock().requestFrame(() => {
+      flushFrameRef.current = null;
+      const buffer = bufferRef.current;
+      const replay = replayRef.current;
+      if (buffer) setBufferState({ buffer, version: buffer.version });
+      if (replay) {
+        setStreamStats(replay.stats);
+        setReplayState({
+          playing: replay.player.isPlaying,
+          complete: replay.complete,
+          progress: replay.player.getProgress(),
+          elapsed: replay.player.elapsed,
+          duration: replay.player.duration,
+          lastAction: replay.lastAction,
+          recordedAt: replay.session.recordedAt,
+          dataset: replay.session.dataset
+        });
+      } else if (sourceRef.current) {
+        const stats = sourceRef.current.getStatistics();
+        setStreamStats(stats);
+        recorderRef.current?.recordStats(stats);
+      }
+      setFeedAnomalies({ ...trackerRef.current.anomalies });
+    });
+  }, []);
+
+  /**
+   * Publish the stream statistics right away (after a user action)
+   */
+  const publishStats = useCallback(() => {
+    if (!sourceRef.current || replayRef.current) return;
+    const stats = sourceRef.current.getStatistics();
+    setStreamStats(stats);
+    recorderRef.current?.recordStats(stats, { force: true });
+  }, []);
+
+  const clearBuffer = useCallback(() => {
+    bufferRef.current?.clear();
+    trackerRef.current = new VehicleStatusTracker();
+    recorderRef.current?.recordClear();
+    scheduleFlush();
+  }, [scheduleFlush]);
+
+  /**
+   * (Re)create the buffer when its limits change, keeping the newest events
+   */
+  useEffect(() => {
+    const previous = bufferRef.current;
+    const buffer = new EventRingBuffer({
+      capacity: bufferSize,
+      retentionMs,
+      getKey: event => replayRef.current?.tripIds.get(event) ?? sourceRef.current?.getTripIdForEvent(event) ?? null
+    });
+    if (previous) buffer.pushMany(previous.toArray());
+    bufferRef.current = buffer;
+    setBufferState({ buffer, version: buffer.version });
+  }, [bufferSize, retentionMs]);
+
+  useEffect(() => () => {
+    if (flushFrameRef.current) getRealTimeClock().cancelFrame(flushFrameRef.current);
+  }, []);
+
+  /**
+   * Create the event source and connect. A new source of the same kind resumes
+   * after the last event the previous one received (e.g. after a server URL change).
    */
   useEffect(() => {
     if (!trips || Object.keys(trips).length === 0) return;
 
-    apiRef.current = new MockEventStreamAPI(trips, speedMultiplier);
-    
+    const kind = typeof source === 'function' ? 'custom' : source;
+    const resume = resumeRef.current;
+    const options = { speedMultiplier: speedRef.current, lastEventId: resume[kind] ?? null };
+    const eventSource = typeof source === 'function'
+      ? source(trips, options)
+      : createEventSource(source, trips, { ...options, serverUrl });
+
+    let active = true;
+    const publishConnection = () => {
+      const status = { kind: eventSource.kind, ...eventSource.getStatus() };
+      setConnection(previous => (previous && Object.keys(status).every(key => previous[key] === status[key])
+        ? previous
+        : status));
+      if (status.state === SOURCE_STATES.open) setStreamError(null);
+    };
+    const unsubscribers = [
+      eventSource.subscribe('status', () => {
+        publishConnection();
+        scheduleFlush();
+      }),
+      eventSource.subscribe('error', error => setStreamError(error.message))
+    ];
+    setStreamError(null);
+    publishConnection();
+
+    eventSource.connect()
+      .then(connected => {
+        if (!active || !connected) return;
+        sourceRef.current = eventSource;
+        bufferRef.current?.clear();
+        trackerRef.current = new VehicleStatusTracker();
+        recorderRef.current?.recordClear();
+        setEventTypes(eventSource.getEventTypes());
+        setStreamReady(true);
+      })
+      .catch(error => {
+        if (active) setStreamError(error.message);
+      });
+
     return () => {
-      if (apiRef.current) {
-        apiRef.current.stopStream();
-      }
+      active = false;
+      setStreamReady(false);
+      sourceRef.current = null;
+      if (eventSource.lastEventId != null) resume[kind] = eventSource.lastEventId;
+      unsubscribers.forEach(unsub => unsub());
+      eventSource.disconnect();
     };
-  }, [trips, speedMultiplier]);
+  }, [trips, source, serverUrl, scheduleFlush]);
 
   /**
    * Handle incoming events
    */
   const handleStreamEvent = useCallback((eventData) => {
-    setStreamEvents(prev => [...prev, eventData]);
-    
-    // Update stats
-    if (apiRef.current) {
-      setStreamStats(apiRef.current.getStatistics());
-    }
-  }, []);
+    bufferRef.current?.push(eventData);
+    trackerRef.current.updateFromEvent(eventData);
+    recorderRef.current?.recordEvent(eventData, sourceRef.current?.getTripIdForEvent(eventData) ?? null);
+    scheduleFlush();
+  }, [scheduleFlush]);
+
+  /**
+   * Drop events retracted by reverse playback; tracking starts over, since
+   * events delivered again later would otherwise count as duplicates
+   */
+  const handleStreamRewind = useCallback((retracted) => {
+    bufferRef.current?.remove(retracted);
+    trackerRef.current = new VehicleStatusTracker();
+    recorderRef.current?.recordRewind(retracted);
+    scheduleFlush();
+  }, [scheduleFlush]);
 
   /**
    * Handle stream completion
@@ -47,66 +227,289 @@ export function useMockEventStream(trips, isPlaying, speedMultiplier = 1) {
   }, []);
 
   /**
-   * Start/Stop streaming based on isPlaying
+   * Start each loop pass with an empty event list, as after a seek
+   */
+  const handleStreamLoop = useCallback(() => {
+    clearBuffer();
+  }, [clearBuffer]);
+
+  /**
+   * Listen while the stream exists, so steps and jumps made while paused arrive too
    */
   useEffect(() => {
-    if (!apiRef.current) return;
+    if (!streamReady || !sourceRef.current) return;
+
+    const eventSource = sourceRef.current;
+    const unsubscribers = [
+      eventSource.subscribe('event', handleStreamEvent),
+      eventSource.subscribe('rewind', handleStreamRewind),
+      eventSource.subscribe('complete', handleStreamComplete),
+      eventSource.subscribe('compression', setIsCompressing),
+      eventSource.subscribe('loop', handleStreamLoop)
+    ];
+
+    return () => {
+      unsubscribers.forEach(unsub => unsub());
+    };
+  }, [streamReady, handleStreamEvent, handleStreamRewind, handleStreamComplete, handleStreamLoop]);
+
+  /**
+   * Skip-idle mode applies immediately, playing or not
+   */
+  useEffect(() => {
+    if (!streamReady || !sourceRef.current?.supports('skipIdle')) return;
+    sourceRef.current.setSkipIdle(skipIdle);
+    recordAction('skipIdle', { enabled: skipIdle });
+  }, [streamReady, skipIdle, recordAction]);
+
+  /**
+   * Fault profiles switch while streaming; held-back events are delivered on switching off
+   */
+  useEffect(() => {
+    if (!streamReady || !sourceRef.current?.supports('faults')) return;
+    sourceRef.current.setFaultProfile(faultProfile);
+    recordAction('faultProfile', { profile: faultProfile });
+    publishStats();
+  }, [streamReady, faultProfile, recordAction, publishStats]);
+
+  /**
+   * Switching between absolute and trip-aligned time rewinds to the start
+   */
+  useEffect(() => {
+    if (!streamReady || !sourceRef.current?.supports('align')) return;
+    if (sourceRef.current.isAlignedToTripStart === alignToTripStart) return;
+
+    sourceRef.current.setAlignToTripStart(alignToTripStart);
+    recordAction('align', { enabled: alignToTripStart });
+    clearBuffer();
+    publishStats();
+    setIsComplete(false);
+  }, [streamReady, alignToTripStart, clearBuffer, recordAction, publishStats]);
 
+  /**
+   * Looping and the A–B range apply immediately, playing or not
+   * (and again after an alignment switch, which clears the engine's range)
+   */
+  const loopStart = loopRange?.start ?? null;
+  const loopEnd = loopRange?.end ?? null;
+  useEffect(() => {
+    if (!streamReady || !sourceRef.current?.supports('loop')) return;
+    sourceRef.current.setLoopRange(loopStart, loopEnd);
+    sourceRef.current.setLooping(looping);
+    recordAction('loop', { looping, start: loopStart, end: loopEnd });
+    publishStats();
+  }, [streamReady, looping, loopStart, loopEnd, alignToTripStart, recordAction, publishStats]);
+
+  /**
+   * Start/Stop streaming based on isPlaying (the live stream stays paused during a replay)
+   * Recorded as play, pause, speed and direction actions
+   */
+  useEffect(() => {
+    if (!streamReady || !sourceRef.current || replaySession) return;
+
+    const eventSource = sourceRef.current;
     if (isPlaying) {
-      // Set speed multiplier
-      apiRef.current.setSpeedMultiplier(speedMultiplier);
-      
-      // Subscribe to events
-      const unsubEvent = apiRef.current.onEvent(handleStreamEvent);
-      const unsubComplete = apiRef.current.onComplete(handleStreamComplete);
-      
-      unsubscribeRef.current = [unsubEvent, unsubComplete];
-
-      // Start streaming
-      apiRef.current.startStream();
+      eventSource.setSpeed(speedMultiplier);
+      if (eventSource.supports('reverse')) eventSource.setDirection(direction);
+      setIsComplete(false);
+      eventSource.play();
     } else {
-      // Stop streaming
-      apiRef.current.stopStream();
-      
-      // Unsubscribe from events
-      unsubscribeRef.current.forEach(unsub => unsub?.());
+      eventSource.pause();
     }
 
+    const previous = playStateRef.current;
+    playStateRef.current = { isPlaying, speedMultiplier, direction };
+    if (previous.speedMultiplier !== speedMultiplier) recordAction('speed', { speed: speedMultiplier });
+    if (previous.direction !== direction) recordAction('direction', { direction });
+    if (previous.isPlaying !== isPlaying) recordAction(isPlaying ? 'play' : 'pause');
+  }, [streamReady, isPlaying, speedMultiplier, direction, replaySession, recordAction]);
+
+  /**
+   * Replay a recorded session: pause the live stream and let the session's
+   * entries drive the buffer, tracker and statistics at their recorded times
+   */
+  const resetReplayView = useCallback((replay) => {
+    bufferRef.current?.clear();
+    trackerRef.current = new VehicleStatusTracker();
+    replay.bySeq.clear();
+    replay.stats = null;
+    replay.lastAction = null;
+    replay.complete = false;
+  }, []);
+
+  useEffect(() => {
+    if (!replaySession) return;
+
+    sourceRef.current?.pause();
+    const player = new SessionPlayer(replaySession);
+    const replay = { session: replaySession, player, bySeq: new Map(), tripIds: new WeakMap() };
+    replayRef.current = replay;
+    resetReplayView(replay);
+
+    const applyEntry = (entry) => {
+      if (entry.kind === 'event') {
+        replay.bySeq.set(entry.seq, entry.event);
+        replay.tripIds.set(entry.event, entry.tripId);
+        bufferRef.current?.push(entry.event);
+        trackerRef.current.updateFromEvent(entry.event);
+      } else if (entry.kind === 'rewind') {
+        bufferRef.current?.remove(entry.seqs.map(seq => replay.bySeq.get(seq)));
+        trackerRef.current = new VehicleStatusTracker();
+      } else if (entry.kind === 'clear') {
+        bufferRef.current?.clear();
+        trackerRef.current = new VehicleStatusTracker();
+      } else if (entry.kind === 'stats') {
+        replay.stats = entry.stats;
+      } else if (entry.kind === 'action') {
+        replay.lastAction = { action: entry.action, payload: entry.payload, at: entry.at };
+      }
+    };
+
+    const unsubscribers = [
+      player.onEntry(entry => {
+        applyEntry(entry);
+        scheduleFlush();
+      }),
+      player.onComplete(() => {
+        replay.complete = true;
+        scheduleFlush();
+      })
+    ];
+    player.play();
+    scheduleFlush();
+
     return () => {
-      // Cleanup
-      unsubscribeRef.current.forEach(unsub => unsub?.());
+      unsubscribers.forEach(unsub => unsub());
+      player.pause();
+      replayRef.current = null;
+      bufferRef.current?.clear();
+      trackerRef.current = new VehicleStatusTracker();
+      setReplayState(null);
+      setStreamStats(sourceRef.current ? sourceRef.current.getStatistics() : null);
+      scheduleFlush();
     };
-  }, [isPlaying, speedMultiplier, handleStreamEvent, handleStreamComplete]);
+  }, [replaySession, resetReplayView, scheduleFlush]);
+
+  /**
+   * Pause or resume the replay
+   */
+  const toggleReplay = useCallback(() => {
+    const replay = replayRef.current;
+    if (!replay) return;
+    if (replay.player.isPlaying) {
+      replay.player.pause();
+    } else {
+      if (replay.complete) resetReplayView(replay);
+      replay.player.play();
+    }
+    scheduleFlush();
+  }, [resetReplayView, scheduleFlush]);
+
+  /**
+   * Replay the session from its start
+   */
+  const restartReplay = useCallback(() => {
+    const replay = replayRef.current;
+    if (!replay) return;
+    replay.player.rewind();
+    resetReplayView(replay);
+    replay.player.play();
+    scheduleFlush();
+  }, [resetReplayView, scheduleFlush]);
+
+  /**
+   * What is on screen now, for a recording to start from
+   */
+  const snapshotStream = useCallback(() => {
+    const buffer = bufferRef.current;
+    return {
+      events: buffer ? buffer.toArray().map(event => ({ event, tripId: buffer.getKey(event) })) : [],
+      stats: sourceRef.current ? sourceRef.current.getStatistics() : null
+    };
+  }, []);
 
   /**
    * Reset the stream
    */
   const resetStream = useCallback(() => {
-    if (apiRef.current) {
-      apiRef.current.reset();
-      setStreamEvents([]);
+    if (sourceRef.current && !replayRef.current) {
+      sourceRef.current.reset();
+      recordAction('reset');
+      clearBuffer();
       setStreamStats(null);
       setIsComplete(false);
     }
-  }, []);
+  }, [clearBuffer, recordAction]);
 
   /**
    * Seek to progress
+   * The feed restarts with the latest events up to the new position where the
+   * source has them (its time index answers that without replaying the stream)
    */
   const seekToProgress = useCallback((progress) => {
-    if (apiRef.current) {
-      apiRef.current.seekToProgress(progress);
-      setStreamEvents([]);
-      setStreamStats(apiRef.current.getStatistics());
+    const eventSource = sourceRef.current;
+    if (eventSource && !replayRef.current) {
+      eventSource.seek(progress);
+      recordAction('seek', { progress });
+      clearBuffer();
+      if (eventSource.supports('history')) eventSource.getRecentEvents(bufferSize).forEach(handleStreamEvent);
+      publishStats();
     }
-  }, []);
+  }, [clearBuffer, recordAction, publishStats, bufferSize, handleStreamEvent]);
+
+  /**
+   * Step to the next (direction 1) or previous (-1) event
+   * Stepping pauses the stream; steps back retract events through onRewind
+   */
+  const stepEvent = useCallback((stepDirection = 1) => {
+    if (!sourceRef.current?.supports('step') || replayRef.current) return null;
+    recordAction('step', { direction: stepDirection });
+    const event = stepDirection < 0 ? sourceRef.current.stepBackward() : sourceRef.current.stepForward();
+    publishStats();
+    return event;
+  }, [recordAction, publishStats]);
+
+  /**
+   * Jump to the next (direction 1) or previous (-1) event of a type
+   * Like seeking, the events in between are skipped
+   */
+  const jumpToEvent = useCallback((eventType, jumpDirection = 1) => {
+    if (!sourceRef.current?.supports('jump') || replayRef.current) return null;
+    recordAction('jump', { eventType, direction: jumpDirection });
+    clearBuffer();
+    const event = sourceRef.current.jumpToEvent(eventType, jumpDirection);
+    publishStats();
+    return event;
+  }, [clearBuffer, recordAction, publishStats]);
+
+  /**
+   * Buffered events (oldest first) and the latest delivered event of each
+   * trip, for the live indicators, as of the last flush
+   */
+  const streamEvents = useMemo(
+    () => (bufferState.buffer ? bufferState.buffer.toArray() : []),
+    [bufferState]
+  );
+  const liveEvents = useMemo(
+    () => (bufferState.buffer ? bufferState.buffer.latestPerKey() : {}),
+    [bufferState]
+  );
+
+  /**
+   * Selectors reading the buffer directly: latest event per trip, last N events
+   */
+  const getLatestEventPerTrip = useCallback(() => bufferRef.current?.latestPerKey() ?? {}, []);
+  const getLastEvents = useCallback((n) => bufferRef.current?.last(n) ?? [], []);
 
   /**
    * Get progress
    */
   const getProgress = useCallback(() => {
-    if (apiRef.current) {
-      return apiRef.current.getProgress();
+    if (replayRef.current) {
+      return replayRef.current.stats?.progress ?? 0;
+    }
+    if (sourceRef.current) {
+      return sourceRef.current.getProgress();
     }
     return 0;
   }, []);
@@ -114,9 +517,23 @@ export function useMockEventStream(trips, isPlaying, speedMultiplier = 1) {
   return {
     streamEvents,
     streamStats,
+    liveEvents,
+    eventTypes,
+    isCompressing,
+    feedAnomalies,
     isComplete,
     resetStream,
     seekToProgress,
-    getProgress
+    stepEvent,
+    jumpToEvent,
+    getLatestEventPerTrip,
+    getLastEvents,
+    getProgress,
+    streamError,
+    connection,
+    snapshotStream,
+    replayState,
+    toggleReplay,
+    restartReplay
   };
 }
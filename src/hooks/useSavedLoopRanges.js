@@ -0,0 +1,27 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { deleteLoopRange, getDatasetKey, getSavedLoopRanges, saveLoopRange } from '../utils/loopRanges';
+
+/**
+ * Hook to save and list A–B loop ranges for the loaded dataset
+ */
+export function useSavedLoopRanges(trips) {
+  const datasetKey = useMemo(() => getDatasetKey(trips), [trips]);
+  const [savedRanges, setSavedRanges] = useState([]);
+
+  useEffect(() => {
+    setSavedRanges(getSavedLoopRanges(datasetKey));
+  }, [datasetKey]);
+
+  const saveRange = useCallback((range) => {
+    const saved = saveLoopRange(datasetKey, range);
+    setSavedRanges(getSavedLoopRanges(datasetKey));
+    return saved;
+  }, [datasetKey]);
+
+  const deleteRange = useCallback((rangeId) => {
+    deleteLoopRange(datasetKey, rangeId);
+    setSavedRanges(getSavedLoopRanges(datasetKey));
+  }, [datasetKey]);
+
+  return { savedRanges, saveRange, deleteRange };
+}
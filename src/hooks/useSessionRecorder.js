@@ -0,0 +1,85 @@
+import { useState, useCallback, useMemo, useRef } from 'react';
+import { getDatasetKey } from '../utils/loopRanges';
+import { downloadFile } from '../utils/tripExport';
+import { getSessionFileName, parseSession, serializeSession, SessionRecorder } from '../utils/sessionRecording';
+
+/**
+ * Hook to record the live stream into a session file and load sessions for replay
+ * Pass `recorder` and `replaySession` to useMockEventStream
+ */
+export function useSessionRecorder(trips) {
+  const recorderRef = useRef(null);
+  if (!recorderRef.current) recorderRef.current = new SessionRecorder();
+
+  const datasetKey = useMemo(() => getDatasetKey(trips), [trips]);
+  const [isRecording, setIsRecording] = useState(false);
+  const [lastSession, setLastSession] = useState(null);
+  const [replaySession, setReplaySession] = useState(null);
+  const [sessionError, setSessionError] = useState(null);
+
+  /**
+   * Start recording; snapshot is what the stream shows now (useMockEventStream's snapshotStream())
+   */
+  const startRecording = useCallback(({ settings, snapshot } = {}) => {
+    recorderRef.current.start({
+      dataset: { key: datasetKey, tripIds: Object.keys(trips || {}) },
+      settings,
+      snapshot
+    });
+    setSessionError(null);
+    setIsRecording(true);
+  }, [datasetKey, trips]);
+
+  const stopRecording = useCallback(() => {
+    const session = recorderRef.current.stop();
+    setIsRecording(false);
+    setLastSession(session);
+    return session;
+  }, []);
+
+  /**
+   * Download a session (the last recording by default) as a JSON file
+   */
+  const saveSession = useCallback((session = lastSession) => {
+    if (!session) return;
+    downloadFile(serializeSession(session), getSessionFileName(session), 'application/json');
+  }, [lastSession]);
+
+  /**
+   * Read a session file and start replaying it
+   */
+  const loadSession = useCallback(async (file) => {
+    try {
+      const session = parseSession(await file.text());
+      setSessionError(null);
+      setReplaySession(session);
+      return session;
+    } catch (error) {
+      setSessionError(`${file.name}: ${error.message}`);
+      return null;
+    }
+  }, []);
+
+  const replayLastSession = useCallback(() => {
+    if (lastSession) setReplaySession(lastSession);
+  }, [lastSession]);
+
+  const stopReplay = useCallback(() => {
+    setReplaySession(null);
+  }, []);
+
+  return {
+    recorder: recorderRef.current,
+    datasetKey,
+    isRecording,
+    lastSession,
+    replaySession,
+    sessionError,
+    startRecording,
+    stopRecording,
+    saveSession,
+    loadSession,
+    replayLastSession,
+    stopReplay
+  };
+}
@@ -1,4 +1,7 @@
 import { useState, useCallback, useMemo } from 'react';
+import { ALIGN_TRIP_START } from '../utils/playbackEngine';
+import { NO_FAULTS } from '../utils/faultInjection';
+import { DEFAULT_REPLAY_SERVER_URL, STREAM_SOURCE_MEMORY } from '../api/eventSources';
 
 /**
  * Hook to manage simulation control state and handlers
@@ -6,9 +9,16 @@ import { useState, useCallback, useMemo } from 'react';
 export function useSimulationControls(trips) {
   const [isSimulating, setIsSimulating] = useState(false);
   const [simulationSpeed, setSimulationSpeed] = useState(1);
+  const [playbackDirection, setPlaybackDirection] = useState(1);
+  const [skipIdle, setSkipIdle] = useState(false);
+  const [alignToTripStart, setAlignToTripStart] = useState(false);
+  const [looping, setLooping] = useState(false);
+  const [loopRange, setLoopRange] = useState({ start: null, end: null });
+  const [faultProfile, setFaultProfile] = useState(NO_FAULTS);
+  const [streamSource, setStreamSource] = useState(STREAM_SOURCE_MEMORY);
+  const [serverUrl, setServerUrl] = useState(DEFAULT_REPLAY_SERVER_URL);
   const [expandedTrips, setExpandedTrips] = useState({});
   const [activeTab, setActiveTab] = useState('overview');
-  const [liveEvents, setLiveEvents] = useState({});
 
   const simulationStartTime = useMemo(() => {
     if (!trips || Object.keys(trips).length === 0) return null;
@@ -35,14 +45,81 @@ export function useSimulationControls(trips) {
 
   const handleReset = useCallback((resetStream) => {
     setIsSimulating(false);
+    setPlaybackDirection(1);
     resetStream();
-    setLiveEvents({});
   }, []);
 
   const handleSpeedChange = useCallback((speed) => {
     setSimulationSpeed(speed);
   }, []);
 
+  const handleDirectionToggle = useCallback(() => {
+    setPlaybackDirection(prev => -prev);
+  }, []);
+
+  const handleSkipIdleToggle = useCallback(() => {
+    setSkipIdle(prev => !prev);
+  }, []);
+
+  const handleFaultProfileChange = useCallback((profileId) => {
+    setFaultProfile(profileId || NO_FAULTS);
+  }, []);
+
+  // Switching between the in-browser stream and the replay server stops playback
+  const handleStreamSourceChange = useCallback((source) => {
+    setIsSimulating(false);
+    setStreamSource(source || STREAM_SOURCE_MEMORY);
+  }, []);
+
+  const handleServerUrlChange = useCallback((url) => {
+    setIsSimulating(false);
+    setServerUrl(url);
+  }, []);
+
+  // Switching timelines rewinds the stream, so playback stops too
+  // A–B ranges belong to one timeline, so the range is cleared as well
+  const handleAlignmentToggle = useCallback(() => {
+    setIsSimulating(false);
+    setAlignToTripStart(prev => !prev);
+    setLoopRange({ start: null, end: null });
+  }, []);
+
+  const handleLoopToggle = useCallback(() => {
+    setLooping(prev => !prev);
+  }, []);
+
+  // Mark loop point A ('start') or B ('end') at a timestamp
+  const handleSetLoopPoint = useCallback((point, time) => {
+    if (!time) return;
+    setLoopRange(prev => ({ ...prev, [point]: time }));
+  }, []);
+
+  const handleClearLoopRange = useCallback(() => {
+    setLoopRange({ start: null, end: null });
+  }, []);
+
+  // Restore a saved range, switching to the timeline it was marked on
+  const handleRestoreLoopRange = useCallback((range) => {
+    const aligned = range.alignment === ALIGN_TRIP_START;
+    if (aligned !== alignToTripStart) {
+      setIsSimulating(false);
+      setAlignToTripStart(aligned);
+    }
+    setLoopRange({ start: range.start, end: range.end });
+    setLooping(true);
+  }, [alignToTripStart]);
+
+  // Stepping and jumping pause playback
+  const handleStep = useCallback((stepEvent, stepDirection) => {
+    setIsSimulating(false);
+    stepEvent(stepDirection);
+  }, []);
+
+  const handleJumpToEvent = useCallback((jumpToEvent, eventType, jumpDirection) => {
+    setIsSimulating(false);
+    jumpToEvent(eventType, jumpDirection);
+  }, []);
+
   const handleSeek = useCallback((seekToProgress, newProgress) => {
     if (seekToProgress) {
       seekToProgress(newProgress);
@@ -56,9 +133,16 @@ export function useSimulationControls(trips) {
   return {
     isSimulating,
     simulationSpeed,
+    playbackDirection,
+    skipIdle,
+    alignToTripStart,
+    looping,
+    loopRange,
+    faultProfile,
+    streamSource,
+    serverUrl,
     expandedTrips,
     activeTab,
-    liveEvents,
     simulationStartTime,
     simulationEndTime,
     handlers: {
@@ -66,6 +150,18 @@ export function useSimulationControls(trips) {
       handlePlayToggle,
       handleReset,
       handleSpeedChange,
+      handleDirectionToggle,
+      handleSkipIdleToggle,
+      handleFaultProfileChange,
+      handleStreamSourceChange,
+      handleServerUrlChange,
+      handleAlignmentToggle,
+      handleLoopToggle,
+      handleSetLoopPoint,
+      handleClearLoopRange,
+      handleRestoreLoopRange,
+      handleStep,
+      handleJumpToEvent,
       handleSeek,
       handleTabChange
     }
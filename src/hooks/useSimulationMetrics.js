@@ -0,0 +1,59 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { getEventProcessor, isCancelledError } from '../utils/eventProcessingClient';
+
+/**
+ * Hook to calculate trip metrics up to the current simulation time
+ * Runs in the event processing worker; while a calculation is in flight only
+ * the latest simulation time is queued, so slow frames never pile up
+ * alignToTripStart: currentSimTime is elapsed trip time (aligned playback)
+ */
+export function useSimulationMetrics(trips, metrics, currentSimTime, alignToTripStart = false) {
+  const [timedMetrics, setTimedMetrics] = useState(null);
+  const tripsRef = useRef(trips);
+  const inFlightRef = useRef(false);
+  const queuedRequestRef = useRef(null);
+
+  useEffect(() => {
+    tripsRef.current = trips;
+  }, [trips]);
+
+  useEffect(() => {
+    if (!trips || !currentSimTime) return;
+
+    queuedRequestRef.current = { time: currentSimTime, alignToTripStart };
+    if (inFlightRef.current) return;
+
+    const processor = getEventProcessor();
+    const runNext = () => {
+      const { time, alignToTripStart: aligned } = queuedRequestRef.current;
+      const dataset = tripsRef.current;
+      queuedRequestRef.current = null;
+      inFlightRef.current = true;
+
+      processor.setDataset(dataset);
+      processor.calculateMetricsAt(time, undefined, { alignToTripStart: aligned })
+        .then(result => setTimedMetrics({ trips: dataset, result }))
+        .catch(error => {
+          if (!isCancelledError(error)) console.error('Failed to calculate simulation metrics:', error);
+        })
+        .finally(() => {
+          inFlightRef.current = false;
+          if (queuedRequestRef.current) runNext();
+        });
+    };
+
+    runNext();
+  }, [trips, currentSimTime, alignToTripStart]);
+
+  return useMemo(() => {
+    if (!trips || !currentSimTime || !timedMetrics || timedMetrics.trips !== trips) return metrics;
+    const filteredMetrics = {};
+    Object.keys(trips).forEach(key => {
+      filteredMetrics[key] = {
+        ...metrics[key],
+        ...timedMetrics.result[key]
+      };
+    });
+    return filteredMetrics;
+  }, [trips, metrics, currentSimTime, timedMetrics]);
+}
@@ -1,9 +1,9 @@
 import { createSlice } from '@reduxjs/toolkit';
-import { loadTripsData } from './tripsSlice';
-import { calculateTripMetrics, TRIP_NAMES, TRIP_COLORS, TRIP_VEHICLE_IDS } from '../../utils/dataLoader';
+import { isImportFulfilled, loadTripsData, retryTripLoad, tripRevalidated } from './tripsSlice';
+import { calculateTripMetrics, getTripInfo } from '../../utils/dataLoader';
 
 const initialState = {
-  metrics: {}, // { trip_1: { ...metrics }, trip_2: { ...metrics }, ... }
+  metrics: {}, // { [tripId]: { ...metrics }, ... } for every trip in the manifest
   simulationMetrics: {}, // Live metrics during simulation
   fleetCompletion: {
     completed25: 0,
@@ -13,6 +13,21 @@ const initialState = {
   }
 };
 
+/**
+ * Count trips past each completion milestone
+ */
+function calculateFleetCompletion(allMetrics) {
+  const tripMetrics = Object.values(allMetrics);
+  const completedCount80 = tripMetrics.filter(m => m.completionPercentage >= 80).length;
+
+  return {
+    completed25: tripMetrics.filter(m => m.completionPercentage >= 25).length,
+    completed50: tripMetrics.filter(m => m.completionPercentage >= 50).length,
+    completed80: completedCount80,
+    allTripsCompleted: completedCount80 === tripMetrics.length
+  };
+}
+
 const metricsSlice = createSlice({
   name: 'metrics',
   initialState,
@@ -25,34 +40,52 @@ const metricsSlice = createSlice({
     }
   },
   extraReducers: (builder) => {
-    builder.addCase(loadTripsData.fulfilled, (state, action) => {
-      // Calculate initial metrics for all trips
-      const allMetrics = {};
-      let completedCount25 = 0, completedCount50 = 0, completedCount80 = 0;
-      
-      Object.entries(action.payload).forEach(([key, events]) => {
-        const tripMetrics = calculateTripMetrics(events);
-        allMetrics[key] = {
-          ...tripMetrics,
-          name: TRIP_NAMES[key],
-          color: TRIP_COLORS[key],
-          vehicleId: TRIP_VEHICLE_IDS[key]
-        };
+    builder
+      .addCase(loadTripsData.fulfilled, (state, action) => {
+        // Initial metrics for all trips, precomputed by the loader or cache when available
+        const { manifest, trips, metrics, errors } = action.payload;
+        const allMetrics = {};
 
-        // Track completion milestones
-        if (tripMetrics.completionPercentage >= 80) completedCount80++;
-        if (tripMetrics.completionPercentage >= 50) completedCount50++;
-        if (tripMetrics.completionPercentage >= 25) completedCount25++;
-      });
+        Object.entries(trips).forEach(([key, events]) => {
+          allMetrics[key] = {
+            ...(metrics?.[key] || calculateTripMetrics(events)),
+            ...getTripInfo(manifest, key),
+            loadError: errors[key] || null
+          };
+        });
 
-      state.metrics = allMetrics;
-      state.fleetCompletion = {
-        completed25: completedCount25,
-        completed50: completedCount50,
-        completed80: completedCount80,
-        allTripsCompleted: completedCount80 === Object.keys(action.payload).length
-      };
-    });
+        state.metrics = allMetrics;
+        state.fleetCompletion = calculateFleetCompletion(allMetrics);
+      })
+      .addCase(retryTripLoad.fulfilled, (state, action) => {
+        const { tripId, trip, metrics } = action.payload;
+        state.metrics[tripId] = {
+          ...metrics,
+          ...getTripInfo({ trips: [trip] }, tripId),
+          loadError: null
+        };
+        state.fleetCompletion = calculateFleetCompletion(state.metrics);
+      })
+      .addCase(tripRevalidated, (state, action) => {
+        const { tripId, events, metrics } = action.payload;
+        if (!state.metrics[tripId]) return;
+        state.metrics[tripId] = {
+          ...state.metrics[tripId],
+          ...(metrics || calculateTripMetrics(events))
+        };
+        state.fleetCompletion = calculateFleetCompletion(state.metrics);
+      })
+      .addMatcher(isImportFulfilled, (state, action) => {
+        const { loaded: { entries, trips, metrics }, manifest } = action.payload;
+        entries.forEach(trip => {
+          state.metrics[trip.id] = {
+            ...(metrics[trip.id] || calculateTripMetrics(trips[trip.id])),
+            ...getTripInfo(manifest, trip.id),
+            loadError: null
+          };
+        });
+        state.fleetCompletion = calculateFleetCompletion(state.metrics);
+      });
   }
 });
 
@@ -1,12 +1,81 @@
 import { createSlice } from '@reduxjs/toolkit';
+import { ALIGN_ABSOLUTE } from '../../utils/playbackEngine';
 
 const initialState = {
   isPlaying: false,
   currentTime: null,
   speed: 1,
+  direction: 1,
+  skipIdle: false,
+  compressing: false,
+  alignment: ALIGN_ABSOLUTE,
+  looping: false,
+  loopStart: null,
+  loopEnd: null,
   progress: 0,
   startTime: null,
-  endTime: null
+  endTime: null,
+  deliveredCount: 0
+};
+
+/**
+ * Playback thunks drive the shared PlaybackEngine (the store's extra argument);
+ * the engine reports back through playbackStateChanged
+ */
+export const playSimulation = () => (dispatch, getState, { playback }) => {
+  playback.play();
+};
+
+export const pauseSimulation = () => (dispatch, getState, { playback }) => {
+  playback.pause();
+};
+
+export const seekSimulation = (time) => (dispatch, getState, { playback }) => {
+  playback.seek(time);
+};
+
+export const seekSimulationToProgress = (progress) => (dispatch, getState, { playback }) => {
+  playback.seekToProgress(progress);
+};
+
+export const setSimulationSpeed = (speed) => (dispatch, getState, { playback }) => {
+  playback.setRate(speed);
+};
+
+export const reverseSimulation = () => (dispatch, getState, { playback }) => {
+  playback.reverse();
+};
+
+export const setSimulationSkipIdle = (enabled) => (dispatch, getState, { playback }) => {
+  playback.setSkipIdle(enabled);
+};
+
+export const setSimulationAlignment = (alignment) => (dispatch, getState, { playback }) => {
+  playback.setAlignment(alignment);
+};
+
+export const setSimulationLooping = (enabled) => (dispatch, getState, { playback }) => {
+  playback.setLooping(enabled);
+};
+
+export const setSimulationLoopRange = (start, end) => (dispatch, getState, { playback }) => {
+  playback.setLoopRange(start, end);
+};
+
+export const stepSimulationForward = () => (dispatch, getState, { playback }) => {
+  playback.stepForward();
+};
+
+export const stepSimulationBackward = () => (dispatch, getState, { playback }) => {
+  playback.stepBackward();
+};
+
+export const jumpSimulationToEvent = (eventType, direction = 1) => (dispatch, getState, { playback }) => {
+  playback.jumpToEvent(eventType, direction);
+};
+
+export const resetSimulation = () => (dispatch, getState, { playback }) => {
+  playback.reset();
 };
 
 const simulationSlice = createSlice({
@@ -29,6 +98,16 @@ const simulationSlice = createSlice({
       state.startTime = action.payload.startTime;
       state.endTime = action.payload.endTime;
     },
+    playbackStateChanged: (state, action) => {
+      const {
+        isPlaying, currentTime, progress, rate, direction, skipIdle, compressing, alignment,
+        looping, loopStart, loopEnd, startTime, endTime, deliveredCount
+      } = action.payload;
+      Object.assign(state, {
+        isPlaying, currentTime, progress, speed: rate, direction, skipIdle, compressing, alignment,
+        looping, loopStart, loopEnd, startTime, endTime, deliveredCount
+      });
+    },
     reset: (state) => {
       state.isPlaying = false;
       state.currentTime = null;
@@ -43,6 +122,7 @@ export const {
   setSpeed,
   setProgress,
   setTimeRange,
+  playbackStateChanged,
   reset
 } = simulationSlice.actions;
 
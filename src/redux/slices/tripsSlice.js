@@ -1,23 +1,103 @@
-import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
-import { loadAllTripData } from '../../utils/dataLoader';
+import { createSlice, createAsyncThunk, isFulfilled } from '@reduxjs/toolkit';
+import {
+  calculateMetricsOffThread,
+  loadAllTripData,
+  loadImportedTrips,
+  loadTrip,
+  normalizeManifest
+} from '../../utils/dataLoader';
+import { importTripFiles, importSyntheticTrips } from '../../utils/tripImport';
 
 /**
  * Async thunk to load all trip data
  */
 export const loadTripsData = createAsyncThunk(
   'trips/loadTripsData',
-  async (_, { rejectWithValue }) => {
+  async (_, { dispatch, rejectWithValue }) => {
     try {
-      const trips = await loadAllTripData();
-      return trips;
+      return await loadAllTripData({
+        onTripStatus: (tripId, status) => dispatch(setTripStatus({ tripId, ...status })),
+        onTripProgress: (tripId, progress) => dispatch(setTripProgress({ tripId, ...progress })),
+        onTripPartial: (tripId, events) => dispatch(setPartialTripEvents({ tripId, events })),
+        onTripCacheStatus: (tripId, status) => dispatch(setTripCacheStatus({ tripId, status })),
+        onTripRevalidated: (tripId, result) => dispatch(tripRevalidated({ tripId, ...result }))
+      });
     } catch (error) {
       return rejectWithValue(error.message);
     }
   }
 );
 
+/**
+ * Async thunk to retry loading a single trip from the manifest
+ */
+export const retryTripLoad = createAsyncThunk(
+  'trips/retryTripLoad',
+  async (tripId, { dispatch, getState, rejectWithValue }) => {
+    const trip = getState().trips.manifest.trips.find(t => t.id === tripId);
+    if (!trip) {
+      return rejectWithValue({ tripId, error: `Unknown trip: ${tripId}` });
+    }
+
+    try {
+      const { events, report } = await loadTrip(trip, {
+        onStatus: (status) => dispatch(setTripStatus({ tripId, ...status })),
+        onProgress: (progress) => dispatch(setTripProgress({ tripId, ...progress })),
+        onPartial: (events) => dispatch(setPartialTripEvents({ tripId, events }))
+      });
+      return { tripId, trip, events, report, metrics: await calculateMetricsOffThread(events) };
+    } catch (error) {
+      return rejectWithValue({ tripId, error: error.message });
+    }
+  }
+);
+
+/**
+ * Load the trips of an import on their own; resolves the import result plus
+ * `loaded` ({ entries, trips, validation, metrics }) and the manifest with the
+ * entries added, which the reducers merge into the trips already loaded
+ */
+async function loadImport(result, { dispatch, getState }) {
+  const loaded = await loadImportedTrips(result.imported.map(trip => trip.id), {
+    onTripStatus: (tripId, status) => dispatch(setTripStatus({ tripId, ...status }))
+  });
+  const ids = new Set(loaded.entries.map(trip => trip.id));
+  const manifest = normalizeManifest({
+    trips: [...getState().trips.manifest.trips.filter(trip => !ids.has(trip.id)), ...loaded.entries]
+  });
+  return { ...result, loaded, manifest };
+}
+
+/**
+ * Async thunk to import dropped trip files and add them to the loaded trips
+ */
+export const importTrips = createAsyncThunk(
+  'trips/importTrips',
+  async (files, thunkApi) => {
+    const existingIds = thunkApi.getState().trips.manifest.trips.map(t => t.id);
+    return loadImport(await importTripFiles(files, existingIds), thunkApi);
+  }
+);
+
+/**
+ * Async thunk to spawn synthetic vehicles ({ vehicleCount, seed }) and add them to the loaded trips
+ */
+export const spawnSyntheticTrips = createAsyncThunk(
+  'trips/spawnSyntheticTrips',
+  async (options, thunkApi) => loadImport(importSyntheticTrips(options), thunkApi)
+);
+
+// Imports add their trips to the loaded ones, replacing trips with the same ids
+export const isImportFulfilled = isFulfilled(importTrips, spawnSyntheticTrips);
+
 const initialState = {
-  data: {}, // { trip_1: [...events], trip_2: [...events], ... }
+  data: {}, // { trip_2: [...events], trip_3: [...events], ... }
+  manifest: { trips: [] }, // { trips: [{ id, name, color, vehicleId, file }] }
+  validation: {}, // { [tripId]: { total, valid, quarantined, errorCounts, examples } }
+  tripStatus: {}, // { [tripId]: { status: 'loading' | 'loaded' | 'failed', attempts, error } }
+  tripProgress: {}, // { [tripId]: { bytesLoaded, totalBytes, eventsLoaded } }
+  cacheStatus: {}, // { [tripId]: 'hit' | 'revalidating' | 'fresh' | 'updated' | 'stale' | 'stored' | 'disabled' }
+  lastImport: null, // { imported: [...tripEntries], failed: [{ fileName, error }] }
   loading: false,
   error: null,
   loaded: false
@@ -26,6 +106,29 @@ const initialState = {
 const tripsSlice = createSlice({
   name: 'trips',
   initialState,
+  reducers: {
+    setTripStatus: (state, action) => {
+      const { tripId, ...status } = action.payload;
+      state.tripStatus[tripId] = { ...state.tripStatus[tripId], ...status };
+    },
+    setTripProgress: (state, action) => {
+      const { tripId, ...progress } = action.payload;
+      state.tripProgress[tripId] = progress;
+    },
+    setPartialTripEvents: (state, action) => {
+      // Events of a trip that is still streaming in, replaced when loading finishes
+      state.data[action.payload.tripId] = action.payload.events;
+    },
+    setTripCacheStatus: (state, action) => {
+      state.cacheStatus[action.payload.tripId] = action.payload.status;
+    },
+    tripRevalidated: (state, action) => {
+      // A cached trip whose file changed since it was cached
+      const { tripId, events, report } = action.payload;
+      state.data[tripId] = events;
+      state.validation[tripId] = report;
+    }
+  },
   extraReducers: (builder) => {
     builder
       .addCase(loadTripsData.pending, (state) => {
@@ -33,7 +136,9 @@ const tripsSlice = createSlice({
         state.error = null;
       })
       .addCase(loadTripsData.fulfilled, (state, action) => {
-        state.data = action.payload;
+        state.data = action.payload.trips;
+        state.manifest = action.payload.manifest;
+        state.validation = action.payload.validation;
         state.loading = false;
         state.loaded = true;
         state.error = null;
@@ -41,8 +146,34 @@ const tripsSlice = createSlice({
       .addCase(loadTripsData.rejected, (state, action) => {
         state.loading = false;
         state.error = action.payload;
+      })
+      .addCase(retryTripLoad.fulfilled, (state, action) => {
+        const { tripId, events, report } = action.payload;
+        state.data[tripId] = events;
+        state.validation[tripId] = report;
+      })
+      .addCase(retryTripLoad.rejected, (state, action) => {
+        const { tripId, error } = action.payload || {};
+        if (tripId) {
+          state.tripStatus[tripId] = { ...state.tripStatus[tripId], status: 'failed', error };
+        }
+      })
+      .addMatcher(isImportFulfilled, (state, action) => {
+        const { imported, failed, loaded, manifest } = action.payload;
+        state.manifest = manifest;
+        Object.assign(state.data, loaded.trips);
+        Object.assign(state.validation, loaded.validation);
+        state.lastImport = { imported, failed };
       });
   }
 });
 
+export const {
+  setTripStatus,
+  setTripProgress,
+  setPartialTripEvents,
+  setTripCacheStatus,
+  tripRevalidated
+} = tripsSlice.actions;
+
 export default tripsSlice.reducer;
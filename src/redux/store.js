@@ -1,14 +1,64 @@
 import { configureStore } from '@reduxjs/toolkit';
 import tripsReducer from './slices/tripsSlice';
-import simulationReducer from './slices/simulationSlice';
+import simulationReducer, { playbackStateChanged } from './slices/simulationSlice';
 import metricsReducer from './slices/metricsSlice';
+import { getPlaybackEngine } from '../utils/playbackEngine';
 
-export const store = configureStore({
-  reducer: {
-    trips: tripsReducer,
-    simulation: simulationReducer,
-    metrics: metricsReducer
-  }
-});
+// How often a running playback's position reaches the store (ms)
+export const PLAYBACK_SYNC_INTERVAL_MS = 250;
+
+// Playback state the simulation slice keeps; a change to any but the moving
+// position (currentTime, progress, deliveredCount) is mirrored at once
+const DISCRETE_PLAYBACK_STATE = ['isPlaying', 'rate', 'direction', 'startTime', 'endTime'];
+
+/**
+ * Mirror a playback engine into the store. The engine reports every frame, so
+ * while it plays the position is dispatched at most every PLAYBACK_SYNC_INTERVAL_MS
+ * (on the engine's clock); play, pause, rate and range changes and paused seeks
+ * are dispatched straight away. Returns the unsubscribe function
+ */
+function mirrorPlayback(store, playback) {
+  let synced = null;
+  let syncedAt = -Infinity;
+
+  return playback.subscribe(state => {
+    const now = playback.clock.now();
+    const discreteChange = !synced || DISCRETE_PLAYBACK_STATE.some(key => state[key] !== synced[key]);
+    if (!discreteChange && state.isPlaying && now - syncedAt < PLAYBACK_SYNC_INTERVAL_MS) return;
+
+    synced = state;
+    syncedAt = now;
+    store.dispatch(playbackStateChanged(state));
+  });
+}
+
+/**
+ * Create the app store over a playback engine (the shared one by default),
+ * which the simulation thunks drive and the simulation slice mirrors
+ */
+export function createAppStore(playback = getPlaybackEngine()) {
+  const appStore = configureStore({
+    reducer: {
+      trips: tripsReducer,
+      simulation: simulationReducer,
+      metrics: metricsReducer
+    },
+    middleware: (getDefaultMiddleware) => getDefaultMiddleware({
+      thunk: {
+        extraArgument: { playback }
+      },
+      serializableCheck: {
+        // Dropped File objects travel as the importTrips thunk argument
+        ignoredActions: ['trips/importTrips/pending', 'trips/importTrips/fulfilled', 'trips/importTrips/rejected']
+      }
+    })
+  });
+
+  // The event stream drives the same engine
+  mirrorPlayback(appStore, playback);
+  return appStore;
+}
+
+export const store = createAppStore();
 
 export default store;
@@ -0,0 +1,8 @@
+/**
+ * Create the event processing worker
+ * Kept in its own module (loaded with import()) so environments without
+ * workers never parse the bundler-specific worker URL
+ */
+export function createEventProcessingWorker() {
+  return new Worker(new URL('./eventProcessing.worker.js', import.meta.url));
+}
@@ -1,161 +1,442 @@
 // Data loader utilities for fleet tracking dashboard
 
-export const TRIP_FILES = {
-  trip_1: 'trip_1_cross_country.json',
-  trip_2: 'trip_2_urban_dense.json',
-  trip_3: 'trip_3_mountain_cancelled.json',
-  trip_4: 'trip_4_southern_technical.json',
-  trip_5: 'trip_5_regional_logistics.json'
-};
-
-export const TRIP_NAMES = {
-  trip_1: 'Cross Country Route',
-  trip_2: 'Urban Delivery',
-  trip_3: 'Mountain Route',
-  trip_4: 'Southern Technical',
-  trip_5: 'Regional Logistics'
-};
-
-export const TRIP_COLORS = {
-  trip_1: '#FF6B6B',
-  trip_2: '#4ECDC4',
-  trip_3: '#45B7D1',
-  trip_4: '#FFA07A',
-  trip_5: '#98D8C8'
-};
-
-export const TRIP_VEHICLE_IDS = {
-  trip_1: 'VH_001',
-  trip_2: 'VH_002',
-  trip_3: 'VH_003',
-  trip_4: 'VH_004',
-  trip_5: 'VH_005'
-};
-
-/**
- * Load trip data from public folder
- */
-export async function loadTripData(tripKey) {
-  try {
-    const response = await fetch(`/data/${TRIP_FILES[tripKey]}`);
-    if (!response.ok) {
-      console.error(`Failed to load ${tripKey}: ${response.statusText}`);
-      return [];
+import { createTripValidator } from './eventSchema.js';
+import { parseGpxEvents } from './gpxImport.js';
+import { streamTripEvents } from './streamingLoader.js';
+import { getCachedTrip, putCachedTrip, createContentHasher } from './tripCache.js';
+import { getEventProcessor } from './eventProcessingClient.js';
+
+// Lives apart so the event processing worker can calculate metrics without the loader
+export { calculateTripMetrics } from './tripMetrics.js';
+
+export const MANIFEST_URL = '/data/manifest.json';
+
+// Palette used for trips whose manifest entry has no color
+export const TRIP_COLOR_PALETTE = [
+  '#FF6B6B',
+  '#4ECDC4',
+  '#45B7D1',
+  '#FFA07A',
+  '#98D8C8',
+  '#F7B267',
+  '#A29BFE',
+  '#FD79A8'
+];
+
+/**
+ * Pick a color for the trip at a given manifest position.
+ * Falls back to evenly spread hues once the palette runs out.
+ */
+export function assignTripColor(index) {
+  if (index < TRIP_COLOR_PALETTE.length) {
+    return TRIP_COLOR_PALETTE[index];
+  }
+  const hue = Math.round((index * 137.508) % 360);
+  return `hsl(${hue}, 65%, 60%)`;
+}
+
+/**
+ * Normalize a raw manifest into { trips: [{ id, name, color, vehicleId, file }] }
+ */
+export function normalizeManifest(rawManifest) {
+  const entries = Array.isArray(rawManifest) ? rawManifest : rawManifest?.trips;
+  if (!Array.isArray(entries)) {
+    throw new Error('Trip manifest must contain a "trips" array');
+  }
+
+  const seen = new Set();
+  const trips = entries.map((entry, index) => {
+    if (!entry || !entry.id || !entry.file) {
+      throw new Error(`Trip manifest entry ${index} needs an "id" and a "file"`);
+    }
+    if (seen.has(entry.id)) {
+      throw new Error(`Duplicate trip id in manifest: ${entry.id}`);
     }
-    return await response.json();
-  } catch (error) {
-    console.error(`Error loading ${tripKey}:`, error);
-    return [];
+    seen.add(entry.id);
+
+    return {
+      id: entry.id,
+      name: entry.name || entry.id,
+      color: entry.color || assignTripColor(index),
+      vehicleId: entry.vehicleId || null,
+      file: entry.file,
+      source: entry.source || 'file',
+      revision: entry.revision || null
+    };
+  });
+
+  return { trips };
+}
+
+/**
+ * Color for a trip missing from the manifest, derived from its id so each
+ * such trip keeps its own color; past the palette, so it doesn't repeat a manifest trip's
+ */
+function colorForTripId(tripId) {
+  let hash = 0;
+  for (let i = 0; i < tripId.length; i++) {
+    hash = (Math.imul(hash, 31) + tripId.charCodeAt(i)) >>> 0;
   }
+  return assignTripColor(TRIP_COLOR_PALETTE.length + (hash % 360));
 }
 
 /**
- * Load all trip data
+ * Get display info (name, color, vehicle) for a trip key
  */
-export async function loadAllTripData() {
-  const trips = {};
-  const keys = Object.keys(TRIP_FILES);
-  
-  for (const key of keys) {
-    trips[key] = await loadTripData(key);
+export function getTripInfo(manifest, tripKey) {
+  const trip = manifest?.trips?.find(t => t.id === tripKey);
+  return {
+    name: trip?.name || tripKey,
+    color: trip?.color || colorForTripId(String(tripKey)),
+    vehicleId: trip?.vehicleId || null
+  };
+}
+
+// Trips imported at runtime: tripId -> { trip, events }
+const importedTrips = new Map();
+
+/**
+ * Register a trip imported at runtime so it loads alongside the manifest trips
+ */
+export function registerImportedTrip(trip, events) {
+  importedTrips.set(trip.id, { trip: { ...trip, source: 'import' }, events });
+}
+
+/**
+ * Get manifest entries for every trip imported at runtime
+ */
+export function getImportedTrips() {
+  return Array.from(importedTrips.values()).map(({ trip }) => trip);
+}
+
+/**
+ * Load the dataset manifest from public folder
+ */
+export async function loadManifest() {
+  const response = await fetch(MANIFEST_URL);
+  if (!response.ok) {
+    throw new Error(`Failed to load trip manifest: ${response.statusText}`);
   }
-  
-  return trips;
+  return normalizeManifest(await response.json());
+}
+
+// Number of trip files fetched at the same time
+export const LOAD_CONCURRENCY = 3;
+
+// Extra attempts made for a trip file after a retryable failure
+export const LOAD_RETRIES = 2;
+
+const RETRY_BASE_DELAY_MS = 500;
+
+// Minimum time between partial-trip updates while a file streams in
+export const PARTIAL_UPDATE_INTERVAL_MS = 250;
+
+function isRetryable(error) {
+  if (error.status) return error.status >= 500 || error.status === 408 || error.status === 429;
+  // fetch() and body reads reject with a TypeError on network failure; parse
+  // and validation errors would only fail again
+  return error instanceof TypeError;
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
 }
 
 /**
- * Calculate trip metrics from events
+ * Run an async worker over items with at most `limit` running at once
+ * Resolves with the results in input order
  */
-export function calculateTripMetrics(events) {
-  if (!events || events.length === 0) {
-    return {
-      totalDistance: 0,
-      totalEvents: 0,
-      startTime: null,
-      endTime: null,
-      plannedDistance: 0,
-      estimatedDuration: 0,
-      status: 'idle',
-      maxSpeed: 0,
-      averageSpeed: 0,
-      stops: 0,
-      lastLocation: null,
-      lastUpdate: null,
-      speedEvents: [],
-      locations: [],
-      completionPercentage: 0
-    };
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runNext = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, runNext);
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Load trip data for a manifest entry from public folder (or the import registry)
+ * JSON and NDJSON files are streamed: onProgress gets bytes/events loaded,
+ * onEvents each parsed batch and onText each chunk of raw file text.
+ * With ifNoneMatch or ifModifiedSince set (a cached copy's ETag and Last-Modified
+ * date), resolves null when the server answers 304 Not Modified; onResponse
+ * receives the fetch Response (e.g. to read those headers).
+ * Throws when the file can't be fetched or parsed.
+ */
+export async function loadTripData(trip, { onProgress, onEvents, onText, onResponse, ifNoneMatch, ifModifiedSince } = {}) {
+  if (trip.source === 'import') {
+    const imported = importedTrips.get(trip.id);
+    if (!imported) throw new Error(`Imported trip ${trip.id} is no longer available`);
+    return imported.events;
+  }
+
+  const headers = {};
+  if (ifNoneMatch) headers['If-None-Match'] = ifNoneMatch;
+  if (ifModifiedSince) headers['If-Modified-Since'] = ifModifiedSince;
+  const conditional = Object.keys(headers).length > 0;
+
+  const response = await fetch(`/data/${trip.file}`, conditional ? { headers } : undefined);
+  if (conditional && response.status === 304) {
+    return null;
+  }
+  if (!response.ok) {
+    const error = new Error(`Failed to load ${trip.file}: ${response.status} ${response.statusText}`.trim());
+    error.status = response.status;
+    throw error;
+  }
+  onResponse?.(response);
+  if (/\.gpx$/i.test(trip.file)) {
+    const text = await response.text();
+    onText?.(text);
+    const { events, errors } = parseGpxEvents(text, {
+      tripId: trip.id,
+      vehicleId: trip.vehicleId,
+      idPrefix: trip.id
+    });
+    if (events.length === 0) throw new Error(errors[0]);
+    return events;
+  }
+  return await streamTripEvents(response, {
+    format: /\.(ndjson|jsonl)$/i.test(trip.file) ? 'ndjson' : 'json',
+    onProgress,
+    onEvents,
+    onText
+  });
+}
+
+/**
+ * Load and validate a single trip, retrying transient failures
+ * onStatus(status) is called with { status, attempts, error } as loading progresses,
+ * onProgress with { bytesLoaded, totalBytes, eventsLoaded } and onPartial with
+ * the valid events received so far (throttled) while the file streams in.
+ * Resolves with { events, report, contentHash, etag, lastModified }; metrics
+ * are left to the worker (see calculateMetricsOffThread). When `cached` (a trip cache record) is given, the request is conditional on
+ * its ETag and Last-Modified date; if the file hasn't changed, resolves with
+ * { notModified: true } instead.
+ */
+export async function loadTrip(trip, { retries = LOAD_RETRIES, cached = null, onStatus, onProgress, onPartial } = {}) {
+  let attempts = 0;
+
+  for (;;) {
+    attempts++;
+    onStatus?.({ status: 'loading', attempts, error: null });
+
+    const validator = createTripValidator();
+    const hasher = createContentHasher();
+    let etag = null;
+    let lastModified = null;
+    let streamed = false;
+    let lastPartialUpdate = 0;
+
+    try {
+      const rawEvents = await loadTripData(trip, {
+        ifNoneMatch: cached?.etag,
+        ifModifiedSince: cached?.lastModified,
+        onResponse: (response) => {
+          etag = response.headers?.get?.('etag') || null;
+          lastModified = response.headers?.get?.('last-modified') || null;
+        },
+        onText: (text) => hasher.update(text),
+        onProgress,
+        onEvents: (batch) => {
+          streamed = true;
+          validator.add(batch);
+          const now = Date.now();
+          if (onPartial && now - lastPartialUpdate >= PARTIAL_UPDATE_INTERVAL_MS) {
+            lastPartialUpdate = now;
+            onPartial([...validator.validEvents()]);
+          }
+        }
+      });
+
+      const contentHash = trip.source === 'import' ? null : hasher.digest();
+      if (rawEvents === null || (cached && cached.contentHash === contentHash)) {
+        onStatus?.({ status: 'loaded', attempts, error: null });
+        return {
+          notModified: true,
+          contentHash: cached.contentHash,
+          etag: etag || cached.etag,
+          lastModified: lastModified || cached.lastModified
+        };
+      }
+      if (!streamed) validator.add(rawEvents);
+
+      const { events, report } = validator.finish();
+      if (report.quarantined > 0) {
+        console.warn(`Quarantined ${report.quarantined} of ${report.total} events in ${trip.id}`);
+      }
+      onStatus?.({ status: 'loaded', attempts, error: null });
+      return { events, report, contentHash, etag, lastModified };
+    } catch (error) {
+      if (attempts > retries || !isRetryable(error)) {
+        console.error(`Error loading ${trip.id}:`, error);
+        onStatus?.({ status: 'failed', attempts, error: error.message });
+        throw error;
+      }
+      await wait(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1));
+    }
   }
+}
+
+/**
+ * Metrics for a loaded trip's events, calculated in the event processing worker
+ */
+export function calculateMetricsOffThread(events) {
+  return getEventProcessor().calculateEventMetrics(events);
+}
+
+/**
+ * Load a trip (see loadTrip) and calculate its metrics off the main thread;
+ * resolves loadTrip's result plus `metrics`, or { notModified: true }
+ */
+async function loadTripWithMetrics(trip, options) {
+  const result = await loadTrip(trip, options);
+  if (result.notModified) return result;
+  return { ...result, metrics: await calculateMetricsOffThread(result.events) };
+}
+
+/**
+ * Store a freshly loaded trip in the persistent cache
+ * Resolves with the trip's cache status: 'stored', or 'disabled' without IndexedDB
+ */
+async function cacheLoadedTrip(trip, { events, report, metrics, contentHash, etag, lastModified }) {
+  const stored = await putCachedTrip(trip, { events, report, metrics, contentHash, etag, lastModified });
+  return stored ? 'stored' : 'disabled';
+}
+
+/**
+ * Re-fetch trips served from the cache and replace any whose file changed
+ * onTripCacheStatus moves each trip to 'revalidating', then 'fresh', 'updated'
+ * or 'stale' (revalidation failed, cached data kept); onTripRevalidated gets
+ * { events, report, metrics } for trips whose file changed.
+ */
+export async function revalidateCachedTrips(entries, {
+  concurrency = LOAD_CONCURRENCY,
+  retries = LOAD_RETRIES,
+  onTripCacheStatus,
+  onTripRevalidated
+} = {}) {
+  entries.forEach(({ trip }) => onTripCacheStatus?.(trip.id, 'revalidating'));
+
+  await mapWithConcurrency(entries, concurrency, async ({ trip, cached }) => {
+    try {
+      const result = await loadTripWithMetrics(trip, { retries, cached });
+      if (result.notModified) {
+        onTripCacheStatus?.(trip.id, 'fresh');
+        return;
+      }
+      await cacheLoadedTrip(trip, result);
+      onTripRevalidated?.(trip.id, { events: result.events, report: result.report, metrics: result.metrics });
+      onTripCacheStatus?.(trip.id, 'updated');
+    } catch (error) {
+      onTripCacheStatus?.(trip.id, 'stale');
+    }
+  });
+}
+
+/**
+ * Load trips imported at runtime (see registerImportedTrip) on their own, for
+ * adding to a dataset that is already loaded. Resolves { entries, trips,
+ * validation, metrics } with the manifest entries of the trips found; a trip
+ * that fails keeps an empty event list, as in loadAllTripData
+ */
+export async function loadImportedTrips(tripIds, { onTripStatus } = {}) {
+  const entries = tripIds.map(tripId => importedTrips.get(tripId)?.trip).filter(Boolean);
+  const trips = {};
+  const validation = {};
+  const metrics = {};
 
-  const startEvent = events.find(e => e.event_type === 'trip_started');
-  const locationEvents = events.filter(e => e.event_type === 'location_ping');
-  const lastLocationEvent = locationEvents[locationEvents.length - 1];
-  const endEvent = events.find(e => e.event_type === 'trip_completed' || e.event_type === 'trip_cancelled');
-
-  let maxSpeed = 0;
-  let totalSpeedSum = 0;
-  let speedCount = 0;
-  let stops = 0;
-  let lastMoving = true;
-
-  locationEvents.forEach(event => {
-    if (event.movement?.speed_kmh) {
-      maxSpeed = Math.max(maxSpeed, event.movement.speed_kmh);
-      totalSpeedSum += event.movement.speed_kmh;
-      speedCount++;
+  await mapWithConcurrency(entries, LOAD_CONCURRENCY, async (trip) => {
+    try {
+      const result = await loadTripWithMetrics(trip, { retries: 0, onStatus: (status) => onTripStatus?.(trip.id, status) });
+      trips[trip.id] = result.events;
+      validation[trip.id] = result.report;
+      metrics[trip.id] = result.metrics;
+    } catch (error) {
+      // Recorded in the trip's status by loadTrip
+      trips[trip.id] = [];
     }
-    
-    // Count stops
-    if (!event.movement?.moving && lastMoving) {
-      stops++;
+  });
+
+  return { entries, trips, validation, metrics };
+}
+
+/**
+ * Load the manifest plus imported trips, fetching every trip in parallel
+ * Events failing schema validation are quarantined and summarised per trip.
+ * A trip that fails to load keeps an empty event list and its error in `errors`.
+ * With `cache` on, trips found in the persistent cache resolve immediately and
+ * are revalidated in the background (see revalidateCachedTrips); `metrics`
+ * holds the precomputed metrics of every loaded trip.
+ */
+export async function loadAllTripData({
+  concurrency = LOAD_CONCURRENCY,
+  retries = LOAD_RETRIES,
+  cache = true,
+  onManifest,
+  onTripStatus,
+  onTripProgress,
+  onTripPartial,
+  onTripCacheStatus,
+  onTripRevalidated
+} = {}) {
+  const fileManifest = await loadManifest();
+  const manifest = normalizeManifest({ trips: [...fileManifest.trips, ...getImportedTrips()] });
+  onManifest?.(manifest);
+  const trips = {};
+  const validation = {};
+  const metrics = {};
+  const errors = {};
+  const cacheHits = [];
+
+  const results = await mapWithConcurrency(manifest.trips, concurrency, async (trip) => {
+    const cacheable = cache && trip.source !== 'import';
+    const cached = cacheable ? await getCachedTrip(trip) : null;
+    if (cached) {
+      cacheHits.push({ trip, cached });
+      onTripStatus?.(trip.id, { status: 'loaded', attempts: 0, error: null });
+      onTripCacheStatus?.(trip.id, 'hit');
+      return cached;
+    }
+
+    try {
+      const result = await loadTripWithMetrics(trip, {
+        retries,
+        onStatus: (status) => onTripStatus?.(trip.id, status),
+        onProgress: (progress) => onTripProgress?.(trip.id, progress),
+        onPartial: (events) => onTripPartial?.(trip.id, events)
+      });
+      if (cacheable) {
+        onTripCacheStatus?.(trip.id, await cacheLoadedTrip(trip, result));
+      }
+      return result;
+    } catch (error) {
+      return { error: error.message };
     }
-    lastMoving = event.movement?.moving ?? true;
   });
 
-  const plannedDistance = startEvent?.planned_distance_km || 0;
-  const estimatedDuration = startEvent?.estimated_duration_hours || 0;
-  const currentDistance = lastLocationEvent?.distance_travelled_km || 0;
-  const completionPercentage = plannedDistance > 0 
-    ? Math.round((currentDistance / plannedDistance) * 100)
-    : 0;
-
-  let status = 'in_progress';
-  if (endEvent?.event_type === 'trip_completed') {
-    status = 'completed';
-  } else if (endEvent?.event_type === 'trip_cancelled') {
-    status = 'cancelled';
-  } else if (!locationEvents.length) {
-    status = 'idle';
+  manifest.trips.forEach((trip, index) => {
+    const result = results[index];
+    trips[trip.id] = result.events || [];
+    if (result.report) validation[trip.id] = result.report;
+    if (result.metrics) metrics[trip.id] = result.metrics;
+    if (result.error) errors[trip.id] = result.error;
+  });
+
+  if (cacheHits.length > 0) {
+    // Not awaited: cached trips are usable while their files are re-checked
+    revalidateCachedTrips(cacheHits, { concurrency, retries, onTripCacheStatus, onTripRevalidated });
   }
 
-  return {
-    totalDistance: Math.round(currentDistance * 10) / 10,
-    totalEvents: events.length,
-    startTime: startEvent?.timestamp || null,
-    endTime: endEvent?.timestamp || lastLocationEvent?.timestamp || null,
-    plannedDistance: plannedDistance,
-    estimatedDuration: estimatedDuration,
-    status: status,
-    maxSpeed: Math.round(maxSpeed * 10) / 10,
-    averageSpeed: speedCount > 0 ? Math.round((totalSpeedSum / speedCount) * 10) / 10 : 0,
-    stops: stops,
-    lastLocation: lastLocationEvent?.location || null,
-    lastUpdate: lastLocationEvent?.timestamp || null,
-    speedEvents: locationEvents.map(e => ({
-      timestamp: e.timestamp,
-      speed: e.movement?.speed_kmh || 0
-    })),
-    locations: locationEvents.map(e => ({
-      timestamp: e.timestamp,
-      lat: e.location?.lat,
-      lng: e.location?.lng,
-      distance: e.distance_travelled_km
-    })),
-    completionPercentage: completionPercentage,
-    elapsedHours: startEvent && lastLocationEvent 
-      ? (new Date(lastLocationEvent.timestamp) - new Date(startEvent.timestamp)) / (1000 * 60 * 60)
-      : 0
-  };
+  return { manifest, trips, validation, metrics, errors };
 }
 
 /**
@@ -0,0 +1,69 @@
+import { assignTripColor, calculateTripMetrics, getTripInfo, loadAllTripData, loadTrip, normalizeManifest } from './dataLoader';
+import { EventProcessingClient } from './eventProcessingClient';
+
+test('trips missing from the manifest get a stable color of their own', () => {
+  const manifest = normalizeManifest({ trips: [{ id: 'trip_1', file: 'trip_1.json' }] });
+  expect(getTripInfo(manifest, 'trip_1').color).toBe(assignTripColor(0));
+
+  const colors = ['trip_8', 'trip_9', 'sim_001'].map(tripId => getTripInfo(manifest, tripId).color);
+  expect(new Set(colors).size).toBe(3);
+  expect(colors).not.toContain(assignTripColor(0));
+  expect(getTripInfo(manifest, 'trip_8').color).toBe(colors[0]);
+  expect(getTripInfo(null, 'trip_8')).toEqual({ name: 'trip_8', color: colors[0], vehicleId: null });
+});
+
+const respond = (status, body) => ({ ok: status === 200, status, statusText: '', headers: { get: () => null }, text: async () => body });
+
+afterEach(() => {
+  delete global.fetch;
+  jest.restoreAllMocks();
+});
+
+test('malformed trip files fail at once; network and server errors are retried', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const trip = normalizeManifest({ trips: [{ id: 'trip_1', file: 'trip_1.json' }] }).trips[0];
+  const statuses = [];
+  const onStatus = ({ status, attempts }) => statuses.push(`${status}:${attempts}`);
+
+  global.fetch = jest.fn(async () => respond(200, '[{"event_id": "evt_1",'));
+  await expect(loadTrip(trip, { retries: 2, onStatus })).rejects.toThrow(/Unexpected end/);
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(statuses).toEqual(['loading:1', 'failed:1']);
+
+  global.fetch = jest.fn(async () => respond(404, ''));
+  await expect(loadTrip(trip, { retries: 2 })).rejects.toThrow(/404/);
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+
+  global.fetch = jest.fn()
+    .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+    .mockResolvedValueOnce(respond(503, ''))
+    .mockResolvedValue(respond(200, '[]'));
+  await expect(loadTrip(trip, { retries: 2 })).resolves.toMatchObject({ events: [] });
+  expect(global.fetch).toHaveBeenCalledTimes(3);
+});
+
+test('loaded trips get their metrics from the event processing worker', async () => {
+  const events = [{
+    event_id: 'evt_1',
+    event_type: 'trip_started',
+    timestamp: '2025-11-03T08:00:00Z',
+    vehicle_id: 'VH_1',
+    trip_id: 'trip_1',
+    location: { lat: 40, lng: -74 },
+    planned_distance_km: 12
+  }];
+  const files = {
+    '/data/manifest.json': JSON.stringify({ trips: [{ id: 'trip_1', file: 'trip_1.json' }] }),
+    '/data/trip_1.json': JSON.stringify(events)
+  };
+  global.fetch = jest.fn(async url => ({ ...respond(200, files[url]), json: async () => JSON.parse(files[url]) }));
+  const offThread = jest.spyOn(EventProcessingClient.prototype, 'calculateEventMetrics');
+
+  const trip = normalizeManifest(JSON.parse(files['/data/manifest.json'])).trips[0];
+  expect(await loadTrip(trip)).not.toHaveProperty('metrics');
+  expect(offThread).not.toHaveBeenCalled();
+
+  const { metrics } = await loadAllTripData({ cache: false });
+  expect(offThread).toHaveBeenCalledWith(events);
+  expect(metrics.trip_1).toEqual(calculateTripMetrics(events));
+});
@@ -0,0 +1,74 @@
+/* eslint-disable no-restricted-globals */
+/**
+ * Event processing worker
+ * Runs event processing tasks off the main thread. Tasks are queued and run
+ * one per macrotask so 'cancel' messages and dataset changes can drop queued
+ * work that is no longer needed.
+ */
+
+import { createEventTaskRunner, collectTransferables } from './eventProcessingTasks';
+
+const runner = createEventTaskRunner();
+const queue = [];
+let datasetVersion = 0;
+let scheduled = false;
+
+const DATASET_TASKS = ['setDataset', 'updateDataset'];
+
+// Tasks that don't read the dataset, run whatever it changes to
+const DATASET_FREE_TASKS = [...DATASET_TASKS, 'calculateEventMetrics'];
+
+function reply(message, transfer) {
+  self.postMessage(message, transfer || []);
+}
+
+function runNext() {
+  scheduled = false;
+  const task = queue.shift();
+  if (!task) return;
+
+  if (!DATASET_FREE_TASKS.includes(task.type) && task.version < datasetVersion) {
+    reply({ id: task.id, cancelled: true });
+  } else {
+    try {
+      const result = runner.handle(task);
+      reply({ id: task.id, result }, collectTransferables(result));
+    } catch (error) {
+      reply({ id: task.id, error: error.message });
+    }
+  }
+
+  scheduleNext();
+}
+
+function scheduleNext() {
+  if (scheduled || queue.length === 0) return;
+  scheduled = true;
+  setTimeout(runNext, 0);
+}
+
+self.onmessage = ({ data: message }) => {
+  if (message.type === 'cancel') {
+    const index = queue.findIndex(task => task.id === message.taskId);
+    if (index >= 0) {
+      queue.splice(index, 1);
+      reply({ id: message.taskId, cancelled: true });
+    }
+    return;
+  }
+
+  if (DATASET_TASKS.includes(message.type)) {
+    // Work queued against an older dataset is dropped; the dataset changes
+    // themselves all apply, since updates only carry the trips that changed
+    datasetVersion = message.version;
+    for (let i = queue.length - 1; i >= 0; i--) {
+      if (queue[i].version < datasetVersion && !DATASET_FREE_TASKS.includes(queue[i].type)) {
+        reply({ id: queue[i].id, cancelled: true });
+        queue.splice(i, 1);
+      }
+    }
+  }
+
+  queue.push(message);
+  scheduleNext();
+};
@@ -0,0 +1,252 @@
+/**
+ * Event processing client
+ * Promise API over the event processing worker. Falls back to running the
+ * same tasks inline (asynchronously) where Web Workers aren't available.
+ * Changing the dataset cancels every task still pending for the old one, and
+ * only the trips that changed are sent to the worker again.
+ */
+
+import { createEventTaskRunner, flattenTrips, getTripEventList } from './eventProcessingTasks.js';
+import { IndexedEventStore } from './eventProcessor.js';
+
+/**
+ * Error used to reject tasks cancelled by a dataset change or cancelPending()
+ */
+function createCancelledError(reason) {
+  const error = new Error(`Event processing cancelled: ${reason}`);
+  error.cancelled = true;
+  return error;
+}
+
+/**
+ * Whether an error comes from a cancelled task (safe to ignore)
+ */
+export function isCancelledError(error) {
+  return error?.cancelled === true;
+}
+
+export class EventProcessingClient {
+  constructor({ useWorker = typeof Worker !== 'undefined' } = {}) {
+    this.useWorker = useWorker;
+    this.backend = null;
+    this.pending = new Map(); // taskId -> { resolve, reject, version, keep }
+    this.nextTaskId = 1;
+    this.version = 0;
+    this.trips = null;
+    this.flattenedEvents = null;
+    this.streamIndex = null;
+  }
+
+  /**
+   * Start the worker (or inline runner) on first use
+   */
+  _getBackend() {
+    if (!this.backend) {
+      this.backend = this._createBackend();
+    }
+    return this.backend;
+  }
+
+  async _createBackend() {
+    if (this.useWorker) {
+      try {
+        const { createEventProcessingWorker } = await import('./createEventProcessingWorker');
+        const worker = createEventProcessingWorker();
+        worker.onmessage = ({ data }) => this._settle(data);
+        worker.onerror = (event) => {
+          console.error('Event processing worker failed:', event.message);
+          this._rejectAll(new Error(event.message || 'Event processing worker failed'));
+        };
+        return {
+          post: (message) => worker.postMessage(message),
+          cancel: (taskId) => worker.postMessage({ type: 'cancel', taskId }),
+          terminate: () => worker.terminate()
+        };
+      } catch (error) {
+        console.warn('Event processing worker unavailable, processing on the main thread:', error);
+      }
+    }
+
+    const runner = createEventTaskRunner();
+    return {
+      post: (message) => {
+        setTimeout(() => {
+          if (!this.pending.has(message.id)) return;
+          try {
+            this._settle({ id: message.id, result: runner.handle(message) });
+          } catch (error) {
+            this._settle({ id: message.id, error: error.message });
+          }
+        }, 0);
+      },
+      cancel: () => {},
+      terminate: () => {}
+    };
+  }
+
+  _settle({ id, result, error, cancelled }) {
+    const task = this.pending.get(id);
+    if (!task) return; // Already cancelled on this side
+    this.pending.delete(id);
+
+    if (cancelled) task.reject(createCancelledError('task dropped'));
+    else if (error) task.reject(new Error(error));
+    else task.resolve(result);
+  }
+
+  _rejectAll(error) {
+    this.pending.forEach(task => task.reject(error));
+    this.pending.clear();
+  }
+
+  // keep: not cancelled by dataset changes; dataset tasks must all apply, since
+  // later updates only send the trips changed since, and some tasks bring their own events
+  _run(type, payload, { keep = false } = {}) {
+    const id = this.nextTaskId++;
+    const version = this.version;
+
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject, version, keep });
+      this._getBackend().then(
+        backend => {
+          if (this.pending.has(id)) backend.post({ id, type, version, payload });
+        },
+        error => this._settle({ id, error: error.message })
+      );
+    });
+  }
+
+  /**
+   * Cancel every pending task; their promises reject with a cancelled error
+   */
+  cancelPending(reason = 'cancelled') {
+    const error = createCancelledError(reason);
+    const cancelledIds = [];
+    this.pending.forEach((task, id) => {
+      if (task.keep) return;
+      cancelledIds.push(id);
+      task.reject(error);
+    });
+    cancelledIds.forEach(id => this.pending.delete(id));
+    if (this.backend && cancelledIds.length > 0) {
+      this.backend.then(backend => cancelledIds.forEach(id => backend.cancel(id)));
+    }
+  }
+
+  /**
+   * Use a trips dataset ({ [tripId]: events }) for subsequent tasks
+   * A no-op for the dataset already in use; otherwise cancels pending work.
+   * After the first dataset only trips whose events changed are posted, so a
+   * trip streaming in doesn't copy every other trip to the worker again
+   */
+  setDataset(trips) {
+    if (trips === this.trips) return this.datasetReady;
+
+    const previous = this.trips;
+    this.cancelPending('dataset changed');
+    this.version++;
+    this.trips = trips;
+    this.flattenedEvents = null;
+    this.streamIndex = null;
+    if (previous) {
+      const changed = {};
+      Object.entries(trips).forEach(([tripId, tripData]) => {
+        if (previous[tripId] !== tripData) changed[tripId] = tripData;
+      });
+      this.datasetReady = this._run('updateDataset', { tripIds: Object.keys(trips), changed }, { keep: true });
+    } else {
+      this.datasetReady = this._run('setDataset', { trips }, { keep: true });
+    }
+    this.datasetReady.catch(() => {}); // Rejects only if the worker fails or is terminated
+    return this.datasetReady;
+  }
+
+  /**
+   * Chronological index for MockEventStreamAPI, cached per dataset
+   * Resolves { order, times, tripRanges, minTimestamp, maxTimestamp }
+   */
+  indexStream() {
+    if (!this.streamIndex) {
+      this.streamIndex = this._run('indexStream');
+      this.streamIndex.catch(() => { this.streamIndex = null; });
+    }
+    return this.streamIndex;
+  }
+
+  /**
+   * Metrics for every trip (or the given trip ids) of the dataset
+   */
+  calculateMetrics(tripIds) {
+    return this._run('calculateMetrics', { tripIds });
+  }
+
+  /**
+   * Metrics for one trip's events, sent along; independent of the dataset, so
+   * dataset changes don't cancel it
+   */
+  calculateEventMetrics(events) {
+    return this._run('calculateEventMetrics', { events }, { keep: true });
+  }
+
+  /**
+   * Metrics for each trip counting only events up to `time`
+   * alignToTripStart: `time` is elapsed trip time on the aligned timeline
+   */
+  calculateMetricsAt(time, tripIds, { alignToTripStart = false } = {}) {
+    return this._run('calculateMetricsAt', { time, tripIds, alignToTripStart });
+  }
+
+  /**
+   * Events between startTime and endTime (inclusive), chronologically ordered
+   * Limited to one trip when tripId is given
+   */
+  async queryWindow({ tripId = null, startTime = null, endTime = null } = {}) {
+    const trips = this.trips;
+    const { positions } = await this._run('queryWindow', { tripId, startTime, endTime });
+
+    let events;
+    if (tripId) {
+      events = getTripEventList(trips?.[tripId]);
+    } else {
+      if (!this.flattenedEvents) this.flattenedEvents = flattenTrips(trips).events;
+      events = this.flattenedEvents;
+    }
+    return Array.from(positions, position => events[position]);
+  }
+
+  /**
+   * Build an IndexedEventStore with its indexes computed off the main thread
+   * Without events the store covers the dataset, in flattenTrips() order; the
+   * worker already holds it, so no events are copied over
+   */
+  async createEventStore(events = null) {
+    if (events) {
+      return new IndexedEventStore(events, { indexes: await this._run('buildStoreIndexes', { events }) });
+    }
+    if (!this.flattenedEvents) this.flattenedEvents = flattenTrips(this.trips).events;
+    const datasetEvents = this.flattenedEvents;
+    return new IndexedEventStore(datasetEvents, { indexes: await this._run('buildStoreIndexes') });
+  }
+
+  /**
+   * Stop the worker and reject pending tasks
+   */
+  terminate() {
+    this._rejectAll(createCancelledError('terminated'));
+    if (this.backend) this.backend.then(backend => backend.terminate());
+    this.backend = null;
+    this.trips = null;
+  }
+}
+
+let sharedClient = null;
+
+/**
+ * Event processing client shared by the dashboard hooks
+ */
+export function getEventProcessor() {
+  if (!sharedClient) {
+    sharedClient = new EventProcessingClient();
+  }
+  return sharedClient;
+}
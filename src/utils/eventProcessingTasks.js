@@ -0,0 +1,263 @@
+/**
+ * Event processing tasks
+ * Indexing, metric calculation and event-window queries over a trips dataset.
+ * Run inside the event processing worker, or inline where workers are unavailable.
+ * Index results are typed arrays so they can be transferred instead of copied.
+ */
+
+import { calculateTripMetrics } from './tripMetrics.js';
+
+/**
+ * Events of a trip entry, which may be an array or { events: [...] }
+ */
+export function getTripEventList(tripData) {
+  if (Array.isArray(tripData)) return tripData;
+  if (tripData && Array.isArray(tripData.events)) return tripData.events;
+  return [];
+}
+
+/**
+ * Flatten trips into one event list in trip order
+ * tripRanges maps each trip to its { start, count } slice of the list
+ */
+export function flattenTrips(trips) {
+  const events = [];
+  const tripRanges = {};
+
+  Object.entries(trips || {}).forEach(([tripId, tripData]) => {
+    const tripEvents = getTripEventList(tripData);
+    tripRanges[tripId] = { start: events.length, count: tripEvents.length };
+    for (let i = 0; i < tripEvents.length; i++) {
+      events.push(tripEvents[i]);
+    }
+  });
+
+  return { events, tripRanges };
+}
+
+/**
+ * Stable order of positions by their times (ms)
+ * order[i] is the position of the i-th earliest entry, times[i] its time
+ */
+export function sortPositionsByTime(positionTimes) {
+  const order = new Uint32Array(positionTimes.length);
+  for (let i = 0; i < order.length; i++) order[i] = i;
+  order.sort((a, b) => (positionTimes[a] - positionTimes[b]) || (a - b));
+
+  const times = new Float64Array(positionTimes.length);
+  for (let i = 0; i < order.length; i++) times[i] = positionTimes[order[i]];
+
+  return { order, times };
+}
+
+/**
+ * Stable chronological order of events
+ * order[i] is the position of the i-th earliest event, times[i] its timestamp (ms)
+ */
+export function buildTimeOrder(events) {
+  const eventTimes = new Float64Array(events.length);
+  for (let i = 0; i < events.length; i++) {
+    eventTimes[i] = new Date(events[i].timestamp).getTime();
+  }
+  return sortPositionsByTime(eventTimes);
+}
+
+/**
+ * Index of the first sorted time after `time` (number of events at or before it)
+ */
+export function upperBound(times, time) {
+  let low = 0;
+  let high = times.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (times[mid] <= time) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+/**
+ * Index of the first sorted time at or after `time`
+ */
+export function lowerBound(times, time) {
+  let low = 0;
+  let high = times.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (times[mid] < time) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+function getFiniteRange(times) {
+  let minTimestamp = Infinity;
+  let maxTimestamp = -Infinity;
+  for (let i = 0; i < times.length; i++) {
+    if (times[i] < minTimestamp) minTimestamp = times[i];
+    if (times[i] > maxTimestamp) maxTimestamp = times[i];
+  }
+  return {
+    minTimestamp: isFinite(minTimestamp) ? minTimestamp : 0,
+    maxTimestamp: isFinite(maxTimestamp) ? maxTimestamp : 0
+  };
+}
+
+/**
+ * Chronological index over every trip, as used by MockEventStreamAPI
+ * order holds positions in flattenTrips(trips).events
+ */
+export function buildStreamIndex(trips) {
+  const { events, tripRanges } = flattenTrips(trips);
+  const { order, times } = buildTimeOrder(events);
+  return { order, times, tripRanges, ...getFiniteRange(times) };
+}
+
+/**
+ * Chronological order plus type and trip position lists, as used by IndexedEventStore
+ */
+export function buildStoreIndexes(events) {
+  const types = {};
+  const tripIds = {};
+
+  events.forEach((event, index) => {
+    (types[event.event_type] = types[event.event_type] || []).push(index);
+    (tripIds[event.trip_id] = tripIds[event.trip_id] || []).push(index);
+  });
+
+  const toTyped = (lists) => Object.fromEntries(
+    Object.entries(lists).map(([key, indices]) => [key, Uint32Array.from(indices)])
+  );
+
+  return { ...buildTimeOrder(events), types: toTyped(types), trips: toTyped(tripIds) };
+}
+
+/**
+ * Buffers of every typed array in a result, for postMessage transfer lists
+ */
+export function collectTransferables(value, transfer = []) {
+  if (ArrayBuffer.isView(value)) {
+    if (!transfer.includes(value.buffer)) transfer.push(value.buffer);
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => collectTransferables(item, transfer));
+  }
+  return transfer;
+}
+
+/**
+ * Task runner holding the current dataset and its lazily built indexes
+ * handle({ type, payload }) returns the task result
+ */
+export function createEventTaskRunner() {
+  let trips = {};
+  let tripTimeIndexes = new Map();
+  let flattened = null;
+
+  // Chronological order of one trip's events, built on first use
+  const getTripTimeIndex = (tripId) => {
+    if (!tripTimeIndexes.has(tripId)) {
+      const events = getTripEventList(trips[tripId]);
+      const { order, times } = buildTimeOrder(events);
+      const sorted = order.every((position, index) => position === index);
+      tripTimeIndexes.set(tripId, { events, order, times, sorted });
+    }
+    return tripTimeIndexes.get(tripId);
+  };
+
+  const getFlattened = () => {
+    if (!flattened) {
+      const { events } = flattenTrips(trips);
+      flattened = { events, ...buildTimeOrder(events) };
+    }
+    return flattened;
+  };
+
+  const selectTripIds = (tripIds) => tripIds || Object.keys(trips);
+
+  const handlers = {
+    setDataset({ trips: nextTrips }) {
+      trips = nextTrips || {};
+      tripTimeIndexes = new Map();
+      flattened = null;
+      return {
+        tripCount: Object.keys(trips).length,
+        eventCount: Object.values(trips).reduce((sum, tripData) => sum + getTripEventList(tripData).length, 0)
+      };
+    },
+
+    // The dataset's trips, in order, with only the changed ones' events sent
+    updateDataset({ tripIds, changed }) {
+      const previous = trips;
+      trips = {};
+      tripIds.forEach(tripId => {
+        trips[tripId] = tripId in changed ? changed[tripId] : previous[tripId];
+      });
+      tripTimeIndexes.forEach((index, tripId) => {
+        if (tripId in changed || !(tripId in trips)) tripTimeIndexes.delete(tripId);
+      });
+      flattened = null;
+      return { tripCount: tripIds.length, changedCount: Object.keys(changed).length };
+    },
+
+    indexStream() {
+      return buildStreamIndex(trips);
+    },
+
+    buildStoreIndexes({ events } = {}) {
+      return buildStoreIndexes(events || getFlattened().events);
+    },
+
+    calculateEventMetrics({ events }) {
+      return calculateTripMetrics(events);
+    },
+
+    calculateMetrics({ tripIds } = {}) {
+      const metrics = {};
+      selectTripIds(tripIds).forEach(tripId => {
+        metrics[tripId] = calculateTripMetrics(getTripEventList(trips[tripId]));
+      });
+      return metrics;
+    },
+
+    // Metrics from each trip's events up to a point in time, in original event order
+    // alignToTripStart: time is elapsed trip time counted from the epoch (see PlaybackEngine)
+    calculateMetricsAt({ time, tripIds, alignToTripStart = false }) {
+      const timeMs = new Date(time).getTime();
+      const metrics = {};
+
+      selectTripIds(tripIds).forEach(tripId => {
+        const { events, order, times, sorted } = getTripTimeIndex(tripId);
+        const tripTimeMs = alignToTripStart && times.length > 0 ? times[0] + timeMs : timeMs;
+        const count = upperBound(times, tripTimeMs);
+        let visible;
+        if (sorted) {
+          visible = events.slice(0, count);
+        } else {
+          const positions = Array.from(order.subarray(0, count)).sort((a, b) => a - b);
+          visible = positions.map(position => events[position]);
+        }
+        metrics[tripId] = calculateTripMetrics(visible);
+      });
+
+      return metrics;
+    },
+
+    // Positions (in the trip's events, or the flattened dataset) of events within a window
+    queryWindow({ tripId, startTime, endTime }) {
+      const { order, times } = tripId ? getTripTimeIndex(tripId) : getFlattened();
+      const start = startTime != null ? lowerBound(times, new Date(startTime).getTime()) : 0;
+      const end = endTime != null ? upperBound(times, new Date(endTime).getTime()) : times.length;
+      return { positions: order.slice(start, Math.max(start, end)) };
+    }
+  };
+
+  return {
+    handle({ type, payload }) {
+      const handler = handlers[type];
+      if (!handler) {
+        throw new Error(`Unknown event processing task: ${type}`);
+      }
+      return handler(payload || {});
+    }
+  };
+}
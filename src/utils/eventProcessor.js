@@ -3,36 +3,143 @@
  * Uses indexing, memoization, and efficient filtering strategies
  */
 
+import { buildTimeOrder, lowerBound, upperBound } from './eventProcessingTasks.js';
+import { bboxContains, SpatialGridIndex } from './spatialIndex.js';
+import { haversineKm } from './geo.js';
+
+// A time window holding at most this share of events is scanned directly
+// instead of going through the spatial index first
+const SELECTIVE_TIME_WINDOW_SHARE = 0.125;
+
+/**
+ * EventCursor - Walks an IndexedEventStore in chronological order
+ * Positions sit between events; next() reads forward, previous() backward
+ */
+export class EventCursor {
+  constructor(store, position = 0) {
+    this.store = store;
+    this.position = Math.max(0, Math.min(position, store.size));
+  }
+
+  /**
+   * Whether events remain after the cursor
+   */
+  hasNext() {
+    return this.position < this.store.size;
+  }
+
+  /**
+   * Whether events remain before the cursor
+   */
+  hasPrevious() {
+    return this.position > 0;
+  }
+
+  /**
+   * Timestamp (ms) of the next event, or null at the end
+   */
+  peekTime() {
+    return this.hasNext() ? this.store.sortedTimes[this.position] : null;
+  }
+
+  /**
+   * Read up to `limit` events forward and advance past them
+   */
+  next(limit = 1) {
+    const end = Math.min(this.store.size, this.position + limit);
+    const events = this.store.getEventsInOrder(this.position, end);
+    this.position = end;
+    return events;
+  }
+
+  /**
+   * Read up to `limit` events backward (returned chronologically) and move before them
+   */
+  previous(limit = 1) {
+    const start = Math.max(0, this.position - limit);
+    const events = this.store.getEventsInOrder(start, this.position);
+    this.position = start;
+    return events;
+  }
+
+  /**
+   * Move the cursor to just before the first event at or after `time`
+   */
+  seek(time) {
+    this.position = lowerBound(this.store.sortedTimes, new Date(time).getTime());
+    return this;
+  }
+
+  /**
+   * Move the cursor to just after the last event at or before `time`
+   */
+  seekAfter(time) {
+    this.position = upperBound(this.store.sortedTimes, new Date(time).getTime());
+    return this;
+  }
+
+  *[Symbol.iterator]() {
+    while (this.hasNext()) {
+      yield this.next(1)[0];
+    }
+  }
+}
+
 /**
  * IndexedEventStore - Efficiently manages and queries large event datasets
+ * Time queries binary-search a sorted time index (O(log n) + results);
+ * location queries use a spatial grid built on first use. Spatial queries take
+ * optional filters { startTime, endTime, types, tripId } combined with the area.
  */
 export class IndexedEventStore {
-  constructor(events = []) {
+  /**
+   * indexes: prebuilt { order, times, types, trips } from the event processing
+   * worker (see EventProcessingClient.createEventStore); built here otherwise
+   */
+  constructor(events = [], { indexes } = {}) {
     this.events = events;
-    this.timeIndex = new Map(); // timestamp -> indices
+    this.sortedOrder = new Uint32Array(0); // event indices in chronological order
+    this.sortedTimes = new Float64Array(0); // timestamps (ms) matching sortedOrder
     this.typeIndex = new Map(); // event_type -> indices
     this.tripIndex = new Map(); // trip_id -> indices
+    this.spatialIndex = null; // SpatialGridIndex, built lazily
     this.builtIndexes = false;
-    this.buildIndexes();
+    if (indexes) {
+      this.applyIndexes(indexes);
+    } else {
+      this.buildIndexes();
+    }
+  }
+
+  get size() {
+    return this.events.length;
+  }
+
+  /**
+   * Load indexes built elsewhere: chronological order and times plus type and trip position lists
+   */
+  applyIndexes({ order, times, types, trips }) {
+    this.sortedOrder = order;
+    this.sortedTimes = times;
+    Object.entries(types).forEach(([type, indices]) => this.typeIndex.set(type, Array.from(indices)));
+    Object.entries(trips).forEach(([tripId, indices]) => this.tripIndex.set(tripId, Array.from(indices)));
+    this.builtIndexes = true;
   }
 
   /**
-   * Build all indexes for O(1) lookup performance
+   * Build all indexes: sorted time index plus O(1) type and trip lookups
    */
   buildIndexes() {
     if (this.builtIndexes) return;
-    
+
+    const { order, times } = buildTimeOrder(this.events);
+    this.sortedOrder = order;
+    this.sortedTimes = times;
+
     this.events.forEach((event, index) => {
-      const time = new Date(event.timestamp).getTime();
       const type = event.event_type;
       const tripId = event.trip_id;
 
-      // Add to time index
-      if (!this.timeIndex.has(time)) {
-        this.timeIndex.set(time, []);
-      }
-      this.timeIndex.get(time).push(index);
-
       // Add to type index
       if (!this.typeIndex.has(type)) {
         this.typeIndex.set(type, []);
@@ -50,22 +157,34 @@ export class IndexedEventStore {
   }
 
   /**
-   * Get events within a time range (binary search for efficiency)
+   * Events between two positions of the chronological order
    */
-  getEventsBetween(startTime, endTime) {
-    const results = [];
-    const startMs = new Date(startTime).getTime();
-    const endMs = new Date(endTime).getTime();
-
-    for (const [time, indices] of this.timeIndex.entries()) {
-      if (time >= startMs && time <= endMs) {
-        results.push(...indices.map(i => this.events[i]));
-      }
+  getEventsInOrder(start, end) {
+    const results = new Array(Math.max(0, end - start));
+    for (let i = start; i < end; i++) {
+      results[i - start] = this.events[this.sortedOrder[i]];
     }
-
     return results;
   }
 
+  /**
+   * Get events within a time range (inclusive), chronologically ordered
+   */
+  getEventsBetween(startTime, endTime) {
+    const start = lowerBound(this.sortedTimes, new Date(startTime).getTime());
+    const end = upperBound(this.sortedTimes, new Date(endTime).getTime());
+    return this.getEventsInOrder(start, Math.max(start, end));
+  }
+
+  /**
+   * Count events within a time range (inclusive) without collecting them
+   */
+  countEventsBetween(startTime, endTime) {
+    const start = lowerBound(this.sortedTimes, new Date(startTime).getTime());
+    const end = upperBound(this.sortedTimes, new Date(endTime).getTime());
+    return Math.max(0, end - start);
+  }
+
   /**
    * Get events by type
    */
@@ -83,33 +202,143 @@ export class IndexedEventStore {
   }
 
   /**
-   * Get all events up to a specific time
+   * Get all events up to a specific time, chronologically ordered
    */
   getEventsUpToTime(endTime) {
-    const results = [];
-    const endMs = new Date(endTime).getTime();
+    return this.getEventsInOrder(0, upperBound(this.sortedTimes, new Date(endTime).getTime()));
+  }
 
-    for (const [time, indices] of this.timeIndex.entries()) {
-      if (time <= endMs) {
-        results.push(...indices.map(i => this.events[i]));
-      }
+  /**
+   * Get up to `limit` events strictly after a timestamp
+   */
+  getEventsAfter(time, limit = Infinity) {
+    const start = upperBound(this.sortedTimes, new Date(time).getTime());
+    return this.getEventsInOrder(start, Math.min(this.size, start + limit));
+  }
+
+  /**
+   * Get up to `limit` events strictly before a timestamp (chronologically ordered)
+   */
+  getEventsBefore(time, limit = Infinity) {
+    const end = lowerBound(this.sortedTimes, new Date(time).getTime());
+    return this.getEventsInOrder(Math.max(0, end - limit), end);
+  }
+
+  /**
+   * Cursor positioned before the first event at or after `time`
+   * (the start of the store when no time is given)
+   */
+  cursor(time = null) {
+    const cursor = new EventCursor(this, 0);
+    return time === null ? cursor : cursor.seek(time);
+  }
+
+  /**
+   * Spatial grid over event locations, built on first spatial query
+   */
+  getSpatialIndex() {
+    if (!this.spatialIndex) {
+      this.spatialIndex = new SpatialGridIndex(this.events);
     }
+    return this.spatialIndex;
+  }
 
-    return results;
+  /**
+   * Predicate over event indices for { startTime, endTime, types, tripId }, or null
+   */
+  _createFilter({ startTime = null, endTime = null, types = null, tripId = null } = {}) {
+    const startMs = startTime !== null ? new Date(startTime).getTime() : -Infinity;
+    const endMs = endTime !== null ? new Date(endTime).getTime() : Infinity;
+    const typeSet = types ? new Set([].concat(types)) : null;
+    if (startTime === null && endTime === null && !typeSet && tripId === null) return null;
+
+    return (index) => {
+      const event = this.events[index];
+      if (typeSet && !typeSet.has(event.event_type)) return false;
+      if (tripId !== null && event.trip_id !== tripId) return false;
+      if (startTime === null && endTime === null) return true;
+      const time = new Date(event.timestamp).getTime();
+      return time >= startMs && time <= endMs;
+    };
+  }
+
+  /**
+   * Candidate event indices for a time-filtered area query when the time window
+   * is selective enough to scan directly, else null
+   */
+  _selectiveTimeWindow({ startTime = null, endTime = null }) {
+    if (startTime === null && endTime === null) return null;
+    const start = startTime !== null ? lowerBound(this.sortedTimes, new Date(startTime).getTime()) : 0;
+    const end = endTime !== null ? upperBound(this.sortedTimes, new Date(endTime).getTime()) : this.size;
+    if (end - start > this.size * SELECTIVE_TIME_WINDOW_SHARE) return null;
+    return Array.from(this.sortedOrder.subarray(start, Math.max(start, end)));
+  }
+
+  _inChronologicalOrder(indices) {
+    return indices
+      .sort((a, b) => (new Date(this.events[a].timestamp) - new Date(this.events[b].timestamp)) || (a - b))
+      .map(i => this.events[i]);
+  }
+
+  /**
+   * Get located events inside { minLat, minLng, maxLat, maxLng }, chronologically ordered
+   * (minLng > maxLng for a box across the antimeridian)
+   */
+  getEventsInBBox(bbox, filters = {}) {
+    const predicate = this._createFilter(filters);
+    const window = this._selectiveTimeWindow(filters);
+    if (window) {
+      const inBox = window.filter(index => bboxContains(bbox, this.events[index].location) && predicate(index));
+      return this._inChronologicalOrder(inBox);
+    }
+    return this._inChronologicalOrder(this.getSpatialIndex().queryBBox(bbox, predicate));
+  }
+
+  /**
+   * Get located events within radiusKm of { lat, lng }, chronologically ordered
+   */
+  getEventsWithinRadius(center, radiusKm, filters = {}) {
+    const predicate = this._createFilter(filters);
+    const window = this._selectiveTimeWindow(filters);
+    if (window) {
+      const nearby = window.filter(index => {
+        const location = this.events[index].location;
+        return Number.isFinite(location?.lat) && Number.isFinite(location?.lng) &&
+          predicate(index) && haversineKm(center, location) <= radiusKm;
+      });
+      return this._inChronologicalOrder(nearby);
+    }
+    const matches = this.getSpatialIndex().queryRadius(center, radiusKm, predicate);
+    return this._inChronologicalOrder(matches.map(match => match.position));
+  }
+
+  /**
+   * Get the n located events nearest to { lat, lng }: [{ event, distanceKm }], nearest first
+   */
+  getNearestEvents(center, n = 1, filters = {}) {
+    return this.getSpatialIndex()
+      .nearest(center, n, this._createFilter(filters))
+      .map(({ position, distanceKm }) => ({ event: this.events[position], distanceKm }));
+  }
+
+  /**
+   * Get the vehicles with located events inside a bounding box (e.g. pings in an area and time window)
+   */
+  getVehiclesInBBox(bbox, filters = {}) {
+    return Array.from(new Set(this.getEventsInBBox(bbox, filters).map(e => e.vehicle_id)));
   }
 
   /**
    * Get earliest and latest timestamps
    */
   getTimeRange() {
-    if (this.timeIndex.size === 0) {
+    if (this.sortedTimes.length === 0) {
       return { start: null, end: null };
     }
 
-    const times = Array.from(this.timeIndex.keys());
     return {
-      start: Math.min(...times),
-      end: Math.max(...times)
+      start: this.sortedTimes[0],
+      end: this.sortedTimes[this.sortedTimes.length - 1]
     };
   }
 }
@@ -186,6 +415,11 @@ export function calculateTripMetricsFromEvents(events) {
   };
 }
 
+// A finite number within [min, max], or null
+function validNumber(value, min = -Infinity, max = Infinity) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max ? value : null;
+}
+
 /**
  * Alert system for tracking vehicle and trip states
  */
@@ -274,18 +508,37 @@ export class AlertManager {
 
 /**
  * Vehicle status tracker
+ * Tolerates an imperfect feed: events without a vehicle or a valid timestamp are
+ * skipped, repeated event ids are ignored, and events older than the vehicle's
+ * last update don't overwrite newer state. Skipped events are counted in `anomalies`.
  */
 export class VehicleStatusTracker {
   constructor() {
     this.vehicleStatus = new Map(); // vehicleId -> status
+    this.seenEventIds = new Set();
+    this.anomalies = { invalid: 0, duplicate: 0, outOfOrder: 0 };
   }
 
   /**
    * Update vehicle status from event
+   * Returns the vehicle's status, or null if the event was skipped
    */
   updateFromEvent(event) {
-    const vehicleId = event.vehicle_id;
-    
+    const vehicleId = event?.vehicle_id;
+    const time = Date.parse(event?.timestamp);
+    if (!vehicleId || isNaN(time)) {
+      this.anomalies.invalid++;
+      return null;
+    }
+
+    if (event.event_id) {
+      if (this.seenEventIds.has(event.event_id)) {
+        this.anomalies.duplicate++;
+        return null;
+      }
+      this.seenEventIds.add(event.event_id);
+    }
+
     let status = this.vehicleStatus.get(vehicleId) || {
       vehicleId,
       status: 'idle',
@@ -296,7 +549,13 @@ export class VehicleStatusTracker {
       fuelLevel: null
     };
 
+    if (status.lastUpdate && time < Date.parse(status.lastUpdate)) {
+      this.anomalies.outOfOrder++;
+      return status;
+    }
+
     status.lastUpdate = event.timestamp;
+    const speed = validNumber(event.movement?.speed_kmh ?? event.speed, 0);
 
     if (event.event_type === 'trip_started') {
       status.status = 'in_transit';
@@ -308,18 +567,25 @@ export class VehicleStatusTracker {
       status.currentSpeed = 0;
     } else if (event.event_type === 'vehicle_moving') {
       status.status = 'in_transit';
-      status.currentSpeed = event.speed || 0;
+      status.currentSpeed = speed ?? 0;
     } else if (event.event_type === 'location_ping') {
-      status.currentLocation = {
-        lat: event.location?.lat,
-        lng: event.location?.lng
-      };
-      status.currentSpeed = event.speed || 0;
-      status.totalDistance += event.distance_delta || 0;
+      const lat = validNumber(event.location?.lat, -90, 90);
+      const lng = validNumber(event.location?.lng, -180, 180);
+      if (lat !== null && lng !== null) {
+        status.currentLocation = { lat, lng };
+      }
+      status.currentSpeed = speed ?? 0;
+      const distance = validNumber(event.distance_travelled_km, 0);
+      if (distance !== null) {
+        status.totalDistance = Math.max(status.totalDistance, distance);
+      } else {
+        status.totalDistance += validNumber(event.distance_delta, 0) ?? 0;
+      }
     }
 
-    if (event.fuel_level !== undefined) {
-      status.fuelLevel = event.fuel_level;
+    const fuelLevel = validNumber(event.telemetry?.fuel_level_percent ?? event.fuel_level_percent ?? event.fuel_level, 0, 100);
+    if (fuelLevel !== null) {
+      status.fuelLevel = fuelLevel;
     }
 
     this.vehicleStatus.set(vehicleId, status);
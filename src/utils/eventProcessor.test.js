@@ -0,0 +1,102 @@
+import { IndexedEventStore } from './eventProcessor';
+import { EventProcessingClient } from './eventProcessingClient';
+import { PlaybackEngine } from './playbackEngine';
+import { VirtualClock } from './playbackClock';
+import MockEventSource from '../api/mockEventSource';
+
+const START = Date.parse('2025-11-03T08:00:00Z');
+const at = offsetMs => new Date(START + offsetMs).toISOString();
+
+function makeEvent(tripId, offsetMs, eventType = 'location_update') {
+  return { trip_id: tripId, event_type: eventType, timestamp: at(offsetMs) };
+}
+
+// Out of order on purpose, with two events at 1000 ms
+const trips = {
+  'trip-a': [makeEvent('trip-a', 0, 'trip_started'), makeEvent('trip-a', 1000), makeEvent('trip-a', 3000, 'trip_completed')],
+  'trip-b': [makeEvent('trip-b', 500, 'trip_started'), makeEvent('trip-b', 1000), makeEvent('trip-b', 2000, 'trip_completed')]
+};
+const events = [...trips['trip-b'], ...trips['trip-a']];
+const offsets = list => list.map(event => Date.parse(event.timestamp) - START);
+
+test('time queries binary-search the sorted index, inclusive of equal timestamps', () => {
+  const store = new IndexedEventStore(events);
+
+  expect(offsets(store.getEventsBetween(at(500), at(2000)))).toEqual([500, 1000, 1000, 2000]);
+  expect(offsets(store.getEventsBetween(at(1000), at(1000)))).toEqual([1000, 1000]);
+  expect(store.getEventsBetween(at(2500), at(2900))).toEqual([]);
+  expect(store.countEventsBetween(at(0), at(1000))).toBe(4);
+
+  expect(offsets(store.getEventsAfter(at(500)))).toEqual([1000, 1000, 2000, 3000]);
+  expect(offsets(store.getEventsAfter(at(1000), 1))).toEqual([2000]);
+  expect(offsets(store.getEventsBefore(at(1000)))).toEqual([0, 500]);
+  expect(offsets(store.getEventsUpToTime(at(1000)))).toEqual([0, 500, 1000, 1000]);
+  expect(store.getTimeRange()).toEqual({ start: START, end: START + 3000 });
+});
+
+test('the cursor advances and rewinds through events sharing a timestamp', () => {
+  const store = new IndexedEventStore(events);
+  const cursor = store.cursor(at(1000));
+
+  expect(cursor.peekTime()).toBe(START + 1000);
+  const [first] = cursor.next();
+  const [second] = cursor.next();
+  expect([first.trip_id, second.trip_id].sort()).toEqual(['trip-a', 'trip-b']);
+  expect(cursor.peekTime()).toBe(START + 2000);
+
+  expect(cursor.previous(2)).toEqual([first, second]);
+  expect(cursor.peekTime()).toBe(START + 1000);
+  expect(offsets(cursor.previous(5))).toEqual([0, 500]);
+  expect(cursor.hasPrevious()).toBe(false);
+
+  expect(offsets(store.cursor().seekAfter(at(1000)).previous(3))).toEqual([500, 1000, 1000]);
+  expect(offsets([...store.cursor(at(1500))])).toEqual([2000, 3000]);
+});
+
+test('a dataset store built by the processor matches one built inline', async () => {
+  const processor = new EventProcessingClient({ useWorker: false });
+  processor.setDataset(trips);
+  const store = await processor.createEventStore();
+
+  expect(store.size).toBe(6);
+  expect(store.getEventsBetween(at(0), at(3000))).toEqual(new IndexedEventStore([...trips['trip-a'], ...trips['trip-b']]).getEventsBetween(at(0), at(3000)));
+  expect(store.getEventsByTrip('trip-b')).toEqual(trips['trip-b']);
+  processor.terminate();
+});
+
+test('after a seek the in-browser source recalls the latest events up to the position', async () => {
+  const engine = new PlaybackEngine({ clock: new VirtualClock() });
+  const source = new MockEventSource(trips, { engine, processor: null });
+  await source.connect();
+  expect(source.supports('history')).toBe(true);
+
+  source.seek(1 / 3); // 1000 ms
+  expect(offsets(source.getRecentEvents(3))).toEqual([500, 1000, 1000]);
+  expect(source.getRecentEvents(3).map(event => source.getTripIdForEvent(event))).toEqual(['trip-b', 'trip-a', 'trip-b']);
+  source.seek(0);
+  expect(offsets(source.getRecentEvents(3))).toEqual([0]);
+  source.disconnect();
+});
+
+test('dataset changes post only the trips that changed', async () => {
+  const processor = new EventProcessingClient({ useWorker: false });
+  const backend = await processor._getBackend();
+  const posted = [];
+  const post = backend.post;
+  backend.post = message => {
+    posted.push(message);
+    post(message);
+  };
+
+  processor.setDataset(trips);
+  // trip-a unchanged, trip-b dropped and trip-c streaming in
+  const next = { 'trip-a': trips['trip-a'], 'trip-c': [makeEvent('trip-c', 100)] };
+  processor.setDataset(next);
+  const metrics = await processor.calculateMetrics();
+
+  expect(posted.map(message => message.type)).toEqual(['setDataset', 'updateDataset', 'calculateMetrics']);
+  expect(posted[1].payload).toEqual({ tripIds: ['trip-a', 'trip-c'], changed: { 'trip-c': next['trip-c'] } });
+  expect(Object.keys(metrics)).toEqual(['trip-a', 'trip-c']);
+  expect(offsets((await processor.createEventStore()).getEventsBetween(at(0), at(5000)))).toEqual([0, 100, 1000, 3000]);
+  processor.terminate();
+});
@@ -0,0 +1,123 @@
+/**
+ * Event ring buffer - bounded store for streamed events
+ *
+ * Keeps the newest `capacity` events (oldest evicted first) and, with
+ * retentionMs, only events within that long of the newest event's timestamp.
+ * Tracks the latest event per key (e.g. trip) as events arrive.
+ */
+
+export const DEFAULT_BUFFER_CAPACITY = 2000;
+
+function eventTime(event) {
+  return new Date(event.timestamp).getTime();
+}
+
+export class EventRingBuffer {
+  /**
+   * capacity: maximum number of events kept
+   * retentionMs: drop events older than this relative to the newest one (null: no limit)
+   * getKey(event): groups events for latestByKey (default: trip_id)
+   */
+  constructor({ capacity = DEFAULT_BUFFER_CAPACITY, retentionMs = null, getKey = event => event.trip_id } = {}) {
+    this.capacity = Math.max(1, capacity);
+    this.retentionMs = retentionMs;
+    this.getKey = getKey;
+    this.slots = new Array(this.capacity);
+    this.start = 0; // index of the oldest event
+    this.length = 0;
+    this.latestByKey = new Map();
+    this.version = 0; // bumped on every change
+  }
+
+  get size() {
+    return this.length;
+  }
+
+  _at(offset) {
+    return this.slots[(this.start + offset) % this.capacity];
+  }
+
+  _dropOldest() {
+    this.slots[this.start] = undefined;
+    this.start = (this.start + 1) % this.capacity;
+    this.length--;
+  }
+
+  /**
+   * Append an event, evicting the oldest when full or out of the retention window
+   */
+  push(event) {
+    if (this.length === this.capacity) this._dropOldest();
+    this.slots[(this.start + this.length) % this.capacity] = event;
+    this.length++;
+
+    const key = this.getKey(event);
+    if (key != null) this.latestByKey.set(key, event);
+
+    if (this.retentionMs != null) {
+      const cutoff = eventTime(event) - this.retentionMs;
+      while (this.length > 1 && eventTime(this._at(0)) < cutoff) this._dropOldest();
+    }
+    this.version++;
+  }
+
+  pushMany(events) {
+    events.forEach(event => this.push(event));
+  }
+
+  /**
+   * Remove specific events (e.g. retracted by reverse playback)
+   * Latest-per-key falls back to the newest remaining event of each key
+   */
+  remove(events) {
+    const removed = new Set(events);
+    const kept = this.toArray().filter(event => !removed.has(event));
+    if (kept.length === this.length) return;
+
+    this.slots = new Array(this.capacity);
+    this.start = 0;
+    this.length = 0;
+    this.latestByKey = new Map();
+    kept.forEach(event => {
+      this.slots[this.length++] = event;
+      const key = this.getKey(event);
+      if (key != null) this.latestByKey.set(key, event);
+    });
+    this.version++;
+  }
+
+  clear() {
+    if (this.length === 0 && this.latestByKey.size === 0) return;
+    this.slots = new Array(this.capacity);
+    this.start = 0;
+    this.length = 0;
+    this.latestByKey = new Map();
+    this.version++;
+  }
+
+  /**
+   * Events oldest first
+   */
+  toArray() {
+    const events = new Array(this.length);
+    for (let i = 0; i < this.length; i++) events[i] = this._at(i);
+    return events;
+  }
+
+  /**
+   * The newest n events, oldest first
+   */
+  last(n) {
+    const count = Math.max(0, Math.min(n, this.length));
+    const events = new Array(count);
+    for (let i = 0; i < count; i++) events[i] = this._at(this.length - count + i);
+    return events;
+  }
+
+  /**
+   * Latest event of each key: { [key]: event }
+   */
+  latestPerKey() {
+    return Object.fromEntries(this.latestByKey);
+  }
+}
@@ -0,0 +1,42 @@
+import { EventRingBuffer } from './eventRingBuffer';
+
+const START = Date.parse('2025-11-03T08:00:00Z');
+
+function makeEvent(tripId, offsetMs) {
+  return { trip_id: tripId, event_type: 'location_ping', timestamp: new Date(START + offsetMs).toISOString() };
+}
+
+test('keeps the newest events up to its capacity', () => {
+  const buffer = new EventRingBuffer({ capacity: 3 });
+  const events = [0, 1, 2, 3, 4].map(i => makeEvent(i % 2 ? 'b' : 'a', i * 1000));
+  buffer.pushMany(events);
+
+  expect(buffer.size).toBe(3);
+  expect(buffer.toArray()).toEqual(events.slice(2));
+  expect(buffer.last(2)).toEqual(events.slice(3));
+  expect(buffer.last(10)).toEqual(events.slice(2));
+  expect(buffer.latestPerKey()).toEqual({ a: events[4], b: events[3] });
+});
+
+test('drops events outside the retention window', () => {
+  const buffer = new EventRingBuffer({ capacity: 100, retentionMs: 1500 });
+  const events = [0, 1000, 2000, 3000].map(offset => makeEvent('a', offset));
+  buffer.pushMany(events);
+
+  expect(buffer.toArray()).toEqual(events.slice(2));
+});
+
+test('removing retracted events restores each key\'s previous latest event', () => {
+  const buffer = new EventRingBuffer();
+  const events = [makeEvent('a', 0), makeEvent('b', 500), makeEvent('a', 1000), makeEvent('b', 1500)];
+  buffer.pushMany(events);
+  const version = buffer.version;
+
+  buffer.remove([events[3], events[2]]);
+  expect(buffer.toArray()).toEqual(events.slice(0, 2));
+  expect(buffer.latestPerKey()).toEqual({ a: events[0], b: events[1] });
+  expect(buffer.version).toBeGreaterThan(version);
+
+  buffer.push(makeEvent('a', 2000));
+  expect(buffer.size).toBe(3);
+});
@@ -0,0 +1,241 @@
+/**
+ * Event schema validation for trip data files
+ * Checks every event against the schema of its event_type at load time so
+ * malformed device data is quarantined instead of skewing the dashboard
+ */
+
+// Maximum number of example errors kept per trip report
+const MAX_EXAMPLES = 5;
+
+const LOCATION_FIELDS = [
+  { path: 'location', type: 'object' },
+  { path: 'location.lat', type: 'number', min: -90, max: 90 },
+  { path: 'location.lng', type: 'number', min: -180, max: 180 }
+];
+
+const MOVEMENT_FIELDS = [
+  { path: 'movement', type: 'object' },
+  { path: 'movement.speed_kmh', type: 'number', min: 0 },
+  { path: 'movement.heading_degrees', type: 'number', min: 0, max: 360, optional: true },
+  { path: 'movement.moving', type: 'boolean', optional: true }
+];
+
+const TRACKING_FIELDS = [
+  ...LOCATION_FIELDS,
+  ...MOVEMENT_FIELDS,
+  { path: 'distance_travelled_km', type: 'number', min: 0 }
+];
+
+// Fields every event must carry regardless of type
+export const BASE_EVENT_FIELDS = [
+  { path: 'event_id', type: 'string' },
+  { path: 'event_type', type: 'string' },
+  { path: 'timestamp', type: 'timestamp' },
+  { path: 'vehicle_id', type: 'string' },
+  { path: 'trip_id', type: 'string' }
+];
+
+// Type-specific fields, keyed by event_type
+export const EVENT_SCHEMAS = {
+  trip_started: [
+    ...LOCATION_FIELDS,
+    { path: 'planned_distance_km', type: 'number', min: 0 },
+    { path: 'estimated_duration_hours', type: 'number', min: 0, optional: true }
+  ],
+  trip_completed: [
+    ...LOCATION_FIELDS,
+    { path: 'total_distance_km', type: 'number', min: 0 },
+    { path: 'total_duration_hours', type: 'number', min: 0, optional: true }
+  ],
+  trip_cancelled: [
+    ...LOCATION_FIELDS,
+    { path: 'cancellation_reason', type: 'string' },
+    { path: 'distance_completed_km', type: 'number', min: 0, optional: true }
+  ],
+  location_ping: TRACKING_FIELDS,
+  speed_violation: [
+    ...TRACKING_FIELDS,
+    { path: 'speed_limit_kmh', type: 'number', min: 0 },
+    { path: 'violation_amount_kmh', type: 'number', min: 0, optional: true }
+  ],
+  device_error: [
+    ...LOCATION_FIELDS,
+    { path: 'error_code', type: 'string' },
+    { path: 'error_message', type: 'string', optional: true },
+    { path: 'severity', type: 'string' }
+  ],
+  signal_lost: LOCATION_FIELDS,
+  signal_recovered: [
+    ...LOCATION_FIELDS,
+    { path: 'signal_lost_duration_seconds', type: 'number', min: 0, optional: true }
+  ],
+  vehicle_stopped: TRACKING_FIELDS,
+  vehicle_moving: [
+    ...TRACKING_FIELDS,
+    { path: 'stop_duration_minutes', type: 'number', min: 0, optional: true }
+  ],
+  vehicle_telemetry: [
+    ...LOCATION_FIELDS,
+    { path: 'telemetry', type: 'object' }
+  ],
+  fuel_level_low: [
+    ...LOCATION_FIELDS,
+    { path: 'fuel_level_percent', type: 'number', min: 0, max: 100 }
+  ],
+  refueling_started: LOCATION_FIELDS,
+  refueling_completed: [
+    ...LOCATION_FIELDS,
+    { path: 'fuel_level_after_refuel', type: 'number', min: 0, max: 100 },
+    { path: 'fuel_added_percent', type: 'number', min: 0, max: 100, optional: true }
+  ]
+};
+
+function getPath(event, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), event);
+}
+
+function checkField(event, field) {
+  const value = getPath(event, field.path);
+
+  if (value === undefined || value === null) {
+    return field.optional ? null : `missing ${field.path}`;
+  }
+
+  switch (field.type) {
+    case 'timestamp':
+      if (typeof value !== 'string' || isNaN(Date.parse(value))) {
+        return `invalid timestamp in ${field.path}`;
+      }
+      return null;
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return `${field.path} must be an object`;
+      }
+      return null;
+    case 'number':
+      if (typeof value !== 'number' || !isFinite(value)) {
+        return `${field.path} must be a number`;
+      }
+      if (field.min !== undefined && value < field.min) {
+        return `${field.path} below ${field.min}`;
+      }
+      if (field.max !== undefined && value > field.max) {
+        return `${field.path} above ${field.max}`;
+      }
+      return null;
+    default:
+      return typeof value === field.type ? null : `${field.path} must be a ${field.type}`;
+  }
+}
+
+/**
+ * Validate a single event, returns a list of error messages (empty when valid)
+ */
+export function validateEvent(event) {
+  if (!event || typeof event !== 'object' || Array.isArray(event)) {
+    return ['event is not an object'];
+  }
+
+  const errors = [];
+  BASE_EVENT_FIELDS.forEach(field => {
+    const error = checkField(event, field);
+    if (error) errors.push(error);
+  });
+
+  if (typeof event.event_type === 'string') {
+    const schema = EVENT_SCHEMAS[event.event_type];
+    if (!schema) {
+      errors.push(`unknown event_type "${event.event_type}"`);
+    } else {
+      schema.forEach(field => {
+        const error = checkField(event, field);
+        if (error) errors.push(error);
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Create an empty validation report
+ */
+export function createValidationReport() {
+  return {
+    total: 0,
+    valid: 0,
+    quarantined: 0,
+    errorCounts: {}, // error message -> count
+    examples: [] // [{ index, eventId, eventType, errors }]
+  };
+}
+
+/**
+ * Incremental validator for a trip's events
+ * add() validates a batch and returns its valid events; finish() returns
+ * every valid event, the quarantined ones and the summary report
+ */
+export function createTripValidator() {
+  const report = createValidationReport();
+  const valid = [];
+  const quarantined = [];
+
+  const quarantineFile = (message) => {
+    report.errorCounts[message] = (report.errorCounts[message] || 0) + 1;
+    report.examples.push({ index: null, eventId: null, eventType: null, errors: [message] });
+  };
+
+  return {
+    add(events) {
+      if (!Array.isArray(events)) {
+        quarantineFile('trip file is not an event array');
+        return [];
+      }
+
+      const batchValid = [];
+      events.forEach(event => {
+        const index = report.total++;
+        const errors = validateEvent(event);
+
+        if (errors.length === 0) {
+          batchValid.push(event);
+          report.valid++;
+          return;
+        }
+
+        quarantined.push({ index, event, errors });
+        report.quarantined++;
+        errors.forEach(error => {
+          report.errorCounts[error] = (report.errorCounts[error] || 0) + 1;
+        });
+        if (report.examples.length < MAX_EXAMPLES) {
+          report.examples.push({
+            index,
+            eventId: event?.event_id ?? null,
+            eventType: event?.event_type ?? null,
+            errors
+          });
+        }
+      });
+
+      valid.push(...batchValid);
+      return batchValid;
+    },
+    validEvents() {
+      return valid;
+    },
+    finish() {
+      return { events: valid, quarantined, report };
+    }
+  };
+}
+
+/**
+ * Validate all events of a trip
+ * Returns the valid events, the quarantined ones and a summary report
+ */
+export function validateTripEvents(events) {
+  const validator = createTripValidator();
+  validator.add(events);
+  return validator.finish();
+}
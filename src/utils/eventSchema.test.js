@@ -0,0 +1,75 @@
+import { validateEvent, validateTripEvents } from './eventSchema';
+
+function ping(overrides = {}) {
+  return {
+    event_id: 'evt_1',
+    event_type: 'location_ping',
+    timestamp: '2025-11-03T08:00:00Z',
+    vehicle_id: 'VH_1',
+    trip_id: 'trip_1',
+    location: { lat: 40.7, lng: -74 },
+    movement: { speed_kmh: 42, moving: true },
+    distance_travelled_km: 1.5,
+    ...overrides
+  };
+}
+
+test('valid events pass and broken base fields are reported', () => {
+  expect(validateEvent(ping())).toEqual([]);
+
+  const { timestamp, ...undated } = ping();
+  expect(validateEvent(undated)).toEqual(['missing timestamp']);
+  expect(validateEvent(ping({ timestamp: 'yesterday' }))).toEqual(['invalid timestamp in timestamp']);
+  expect(validateEvent(ping({ timestamp: 1762156800000 }))).toEqual(['invalid timestamp in timestamp']);
+
+  const { event_type: eventType, ...untyped } = ping();
+  expect(validateEvent(untyped)).toEqual(['missing event_type']);
+  expect(validateEvent(ping({ event_type: 7 }))).toEqual(['event_type must be a string']);
+  expect(validateEvent(ping({ event_type: 'teleported' }))).toEqual(['unknown event_type "teleported"']);
+
+  expect(validateEvent(null)).toEqual(['event is not an object']);
+  expect(validateEvent([ping()])).toEqual(['event is not an object']);
+});
+
+test('locations are checked against the event type schema', () => {
+  const { location, ...unlocated } = ping();
+  expect(validateEvent(unlocated)).toEqual(['missing location', 'missing location.lat', 'missing location.lng']);
+  expect(validateEvent(ping({ location: 'NYC' }))).toEqual(['location must be an object', 'missing location.lat', 'missing location.lng']);
+  expect(validateEvent(ping({ location: { lat: 91, lng: -181 } }))).toEqual(['location.lat above 90', 'location.lng below -180']);
+  expect(validateEvent(ping({ location: { lat: '40.7', lng: NaN } }))).toEqual(['location.lat must be a number', 'location.lng must be a number']);
+
+  // Optional fields may be left out, required type-specific ones may not
+  expect(validateEvent(ping({ event_type: 'signal_lost', movement: undefined }))).toEqual([]);
+  expect(validateEvent(ping({ event_type: 'fuel_level_low' }))).toEqual(['missing fuel_level_percent']);
+});
+
+test('each trip report counts its own quarantined events', () => {
+  const trips = {
+    trip_1: [ping(), ping({ event_id: 'evt_2', timestamp: 'soon' }), ping({ event_id: 'evt_3', event_type: 'teleported' })],
+    trip_2: [ping({ trip_id: 'trip_2' }), ping({ trip_id: 'trip_2', event_id: 'evt_5' })],
+    trip_3: Array.from({ length: 7 }, (_, i) => ping({ trip_id: 'trip_3', event_id: `evt_b${i}`, location: null }))
+  };
+  const results = Object.fromEntries(Object.entries(trips).map(([tripId, events]) => [tripId, validateTripEvents(events)]));
+
+  expect(results.trip_1.report).toMatchObject({ total: 3, valid: 1, quarantined: 2 });
+  expect(results.trip_1.events).toEqual([trips.trip_1[0]]);
+  expect(results.trip_1.quarantined.map(({ index }) => index)).toEqual([1, 2]);
+  expect(results.trip_1.report.errorCounts).toEqual({ 'invalid timestamp in timestamp': 1, 'unknown event_type "teleported"': 1 });
+  expect(results.trip_1.report.examples).toEqual([
+    { index: 1, eventId: 'evt_2', eventType: 'location_ping', errors: ['invalid timestamp in timestamp'] },
+    { index: 2, eventId: 'evt_3', eventType: 'teleported', errors: ['unknown event_type "teleported"'] }
+  ]);
+
+  expect(results.trip_2.report).toMatchObject({ total: 2, valid: 2, quarantined: 0, errorCounts: {}, examples: [] });
+
+  // Every quarantined event is counted; only the first few are kept as examples
+  expect(results.trip_3.report).toMatchObject({ total: 7, valid: 0, quarantined: 7 });
+  expect(results.trip_3.report.errorCounts['missing location']).toBe(7);
+  expect(results.trip_3.report.examples).toHaveLength(5);
+
+  expect(validateTripEvents({ events: [] }).report).toMatchObject({
+    total: 0,
+    quarantined: 0,
+    errorCounts: { 'trip file is not an event array': 1 }
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * Fault injection for the mock event stream
+ * Makes a perfect, ordered feed misbehave like a real one: dropped pings,
+ * delayed and reordered events, duplicates, outages followed by a burst of
+ * held-back events, and corrupted fields. Randomness is seeded, so a profile
+ * misbehaves the same way on every replay.
+ *
+ * Times are stream (event) time, so faults scale with the playback rate.
+ */
+
+import { createRandom } from './tripGenerator.js';
+
+export const NO_FAULTS = 'none';
+
+// Rates are per-event probabilities; ranges are [min, max]
+const BASE_PROFILE = {
+  dropRate: 0,
+  dropTypes: ['location_ping'], // only these event types are dropped
+  delayRate: 0,
+  delayMs: [5 * 1000, 60 * 1000],
+  reorderRate: 0,
+  reorderWindow: [1, 4], // a reordered event is overtaken by this many later events
+  duplicateRate: 0,
+  corruptRate: 0,
+  outage: null // { everyMs, durationMs }: the last durationMs of every everyMs is an outage
+};
+
+export const FAULT_PROFILES = {
+  [NO_FAULTS]: { label: 'None', description: 'Perfect feed: every event once, in order' },
+  lossy: { label: 'Lossy', description: 'Drops 20% of location pings', dropRate: 0.2 },
+  laggy: { label: 'Laggy', description: 'Delays 30% of events by 5–60 s', delayRate: 0.3 },
+  jittery: { label: 'Out of order', description: 'Lets 1–4 later events overtake 15% of events', reorderRate: 0.15 },
+  duplicating: { label: 'Duplicates', description: 'Delivers 10% of events twice', duplicateRate: 0.1 },
+  outages: {
+    label: 'Outages',
+    description: 'Holds everything back for 3 min out of every 15, then delivers it in a burst',
+    outage: { everyMs: 15 * 60 * 1000, durationMs: 3 * 60 * 1000 }
+  },
+  corrupting: { label: 'Corrupt fields', description: 'Corrupts a field of 5% of events', corruptRate: 0.05 },
+  chaos: {
+    label: 'Chaos',
+    description: 'All of the above at lower rates',
+    dropRate: 0.1,
+    delayRate: 0.1,
+    reorderRate: 0.05,
+    duplicateRate: 0.05,
+    corruptRate: 0.02,
+    outage: { everyMs: 30 * 60 * 1000, durationMs: 2 * 60 * 1000 }
+  }
+};
+
+// Ways an event can be corrupted; each returns a damaged copy
+const CORRUPTIONS = {
+  location: (event) => ({ ...event, location: { ...event.location, lat: 999, lng: null } }),
+  speed: (event) => ({ ...event, movement: { ...event.movement, speed_kmh: -1 } }),
+  timestamp: (event) => ({ ...event, timestamp: 'not-a-timestamp' }),
+  vehicle_id: ({ vehicle_id: _removed, ...event }) => event,
+  distance: (event) => ({ ...event, distance_travelled_km: 'NaN' })
+};
+
+export const CORRUPTION_TYPES = Object.keys(CORRUPTIONS);
+
+function emptyStats() {
+  return { passed: 0, dropped: 0, delayed: 0, reordered: 0, duplicated: 0, corrupted: 0, burst: 0 };
+}
+
+/**
+ * Resolve a profile id (or a custom profile object) to a full profile
+ */
+export function getFaultProfile(profile) {
+  if (!profile || profile === NO_FAULTS) return null;
+  const preset = typeof profile === 'string' ? FAULT_PROFILES[profile] : profile;
+  if (!preset) throw new Error(`Unknown fault profile: ${profile}`);
+  return { ...BASE_PROFILE, ...preset };
+}
+
+export class FaultInjector {
+  /**
+   * profile: a FAULT_PROFILES id or profile object
+   * seed: seeds the random choices, so a replay misbehaves the same way
+   */
+  constructor(profile, { seed = 1 } = {}) {
+    this.profile = getFaultProfile(profile);
+    this.seed = seed;
+    this.stats = emptyStats();
+    this.reset();
+  }
+
+  get heldCount() {
+    return this.held.length;
+  }
+
+  /**
+   * Forget held events and restart the random sequence (seek, loop, reverse)
+   */
+  reset() {
+    this.random = createRandom(this.seed);
+    this.held = []; // { event, dueTime, dueCount, reason }
+    this.passedCount = 0;
+    this.originals = new WeakMap(); // corrupted copy -> original event
+    this.copies = new Map(); // original event -> corrupted copy
+  }
+
+  /**
+   * Run an event through the profile at stream time `time` (ms)
+   * Returns the events to deliver now: possibly none, or several as held events fall due
+   */
+  process(event, time) {
+    const { profile, random } = this;
+    const output = [];
+
+    if (!profile) {
+      output.push(event);
+    } else if (profile.dropRate > 0 && profile.dropTypes.includes(event.event_type) && random.chance(profile.dropRate)) {
+      this.stats.dropped++;
+    } else {
+      const outageEnd = this._outageEnd(time);
+      let delivered = event;
+      if (random.chance(profile.corruptRate)) {
+        delivered = this._corrupt(event);
+      }
+
+      if (outageEnd !== null) {
+        this._hold(delivered, { dueTime: outageEnd, reason: 'burst' });
+      } else if (random.chance(profile.delayRate)) {
+        this._hold(delivered, { dueTime: time + random.range(...profile.delayMs), reason: 'delayed' });
+      } else if (random.chance(profile.reorderRate)) {
+        this._hold(delivered, { dueCount: this.passedCount + random.int(...profile.reorderWindow), reason: 'reordered' });
+      } else {
+        output.push(delivered);
+      }
+
+      if (random.chance(profile.duplicateRate)) {
+        this.stats.duplicated++;
+        output.push(delivered);
+      }
+    }
+
+    this.passedCount += output.length;
+    this.stats.passed += output.length;
+    return output.concat(this.release(time));
+  }
+
+  /**
+   * Held events that are due at stream time `time`, in the order they were held
+   */
+  release(time) {
+    if (this.held.length === 0) return [];
+    if (this.profile && this._outageEnd(time) !== null) return [];
+
+    const due = [];
+    this.held = this.held.filter(item => {
+      const isDue = (item.dueTime != null && time >= item.dueTime) ||
+        (item.dueCount != null && this.passedCount >= item.dueCount);
+      if (isDue) due.push(item);
+      return !isDue;
+    });
+    due.forEach(item => { this.stats[item.reason]++; });
+    this.passedCount += due.length;
+    this.stats.passed += due.length;
+    return due.map(item => item.event);
+  }
+
+  /**
+   * Deliver everything still held (e.g. when faults are switched off)
+   */
+  flush() {
+    const events = this.held.map(item => item.event);
+    this.held = [];
+    return events;
+  }
+
+  /**
+   * The event a delivered (possibly corrupted) event stands for
+   */
+  originalOf(event) {
+    return this.originals.get(event) || event;
+  }
+
+  /**
+   * Delivered copies of original events (for retracting them)
+   */
+  copiesOf(events) {
+    return events.map(event => this.copies.get(event)).filter(Boolean);
+  }
+
+  getStats() {
+    return { profile: this.profile?.label ?? null, held: this.held.length, ...this.stats };
+  }
+
+  _hold(event, { dueTime = null, dueCount = null, reason }) {
+    this.held.push({ event, dueTime, dueCount, reason });
+  }
+
+  // End of the outage window containing `time`, or null outside outages
+  _outageEnd(time) {
+    const outage = this.profile?.outage;
+    if (!outage || !Number.isFinite(time)) return null;
+    const phase = ((time % outage.everyMs) + outage.everyMs) % outage.everyMs;
+    if (phase < outage.everyMs - outage.durationMs) return null;
+    return time - phase + outage.everyMs;
+  }
+
+  _corrupt(event) {
+    const copy = CORRUPTIONS[this.random.pick(CORRUPTION_TYPES)](event);
+    this.originals.set(copy, event);
+    this.copies.set(event, copy);
+    this.stats.corrupted++;
+    return copy;
+  }
+}
@@ -0,0 +1,79 @@
+import { FAULT_PROFILES, FaultInjector, NO_FAULTS } from './faultInjection';
+import { VirtualClock } from './playbackClock';
+import { generateFleet, ROUTE_PRESETS } from './tripGenerator';
+import { VehicleStatusTracker } from './eventProcessor';
+import { calculateTripMetrics } from './dataLoader';
+import MockEventStreamAPI from '../api/mockEventStream';
+
+const fleet = generateFleet({ seed: 'faults', vehicleCount: 3, routes: ROUTE_PRESETS.slice(0, 2), pingIntervalSec: 20 });
+const trips = Object.fromEntries(fleet.map(({ trip, events }) => [trip.id, events]));
+const totalEvents = fleet.reduce((sum, { events }) => sum + events.length, 0);
+
+// Replay the fleet through a fault profile into a status tracker and per-trip metrics
+function replay(profile) {
+  const clock = new VirtualClock({ frameInterval: 1000 });
+  const api = new MockEventStreamAPI(trips, 120, { clock });
+  const tracker = new VehicleStatusTracker();
+  const received = [];
+  api.onEvent(event => {
+    received.push(event);
+    tracker.updateFromEvent(event);
+  });
+  api.setFaultProfile(profile, { seed: 42 });
+  api.startStream();
+  clock.runUntilIdle();
+
+  const byTrip = {};
+  received.forEach(event => {
+    const tripId = api.getTripIdForEvent(event);
+    (byTrip[tripId] = byTrip[tripId] || []).push(event);
+  });
+  const metrics = Object.values(byTrip).map(events => calculateTripMetrics(events));
+  return { api, received, tracker, metrics, stats: api.getFaultStats() };
+}
+
+test('a perfect feed delivers every event once, in order', () => {
+  const { received, tracker, stats } = replay(NO_FAULTS);
+  expect(received).toHaveLength(totalEvents);
+  expect(tracker.anomalies).toEqual({ invalid: 0, duplicate: 0, outOfOrder: 0 });
+  expect(stats).toBeNull();
+});
+
+test.each(Object.keys(FAULT_PROFILES).filter(id => id !== NO_FAULTS))(
+  'the tracker and metrics hold up under the %s profile',
+  (profile) => {
+    const { received, tracker, metrics, stats } = replay(profile);
+
+    expect(stats.held).toBe(0);
+    expect(received).toHaveLength(totalEvents - stats.dropped + stats.duplicated);
+    expect(tracker.getAllStatuses().length).toBeLessThanOrEqual(fleet.length);
+    expect(tracker.anomalies.duplicate).toBe(stats.duplicated);
+    metrics.forEach(tripMetrics => {
+      ['totalDistance', 'maxSpeed', 'averageSpeed', 'completionPercentage'].forEach(key => {
+        expect(Number.isFinite(tripMetrics[key])).toBe(true);
+      });
+    });
+  }
+);
+
+test('each profile injects its faults', () => {
+  expect(replay('lossy').stats.dropped).toBeGreaterThan(0);
+  expect(replay('laggy').tracker.anomalies.outOfOrder).toBeGreaterThan(0);
+  expect(replay('jittery').stats.reordered).toBeGreaterThan(0);
+  expect(replay('outages').stats.burst).toBeGreaterThan(0);
+
+  const corrupting = replay('corrupting');
+  expect(corrupting.stats.corrupted).toBeGreaterThan(0);
+  expect(corrupting.tracker.anomalies.invalid).toBeGreaterThan(0);
+  // Corrupted copies still belong to their trip
+  expect(corrupting.received.every(event => corrupting.api.getTripIdForEvent(event) !== null)).toBe(true);
+});
+
+test('the same seed misbehaves the same way', () => {
+  const run = () => {
+    const injector = new FaultInjector('chaos', { seed: 7 });
+    const events = trips.sim_001;
+    return events.flatMap(event => injector.process(event, Date.parse(event.timestamp))).map(event => event.event_id);
+  };
+  expect(run()).toEqual(run());
+});
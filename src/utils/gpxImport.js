@@ -0,0 +1,164 @@
+/**
+ * GPX trip import
+ * Turns GPX track points into native location_ping events so subcontractor
+ * GPX exports replay and measure like our own trip files
+ */
+
+import { haversineKm, bearingDegrees } from './geo.js';
+
+// Below this speed a vehicle is reported as not moving
+const MOVING_THRESHOLD_KMH = 2;
+
+function readAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`));
+  return match ? match[1] : null;
+}
+
+function readElement(xml, name) {
+  const match = xml.match(new RegExp(`<(?:\\w+:)?${name}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${name}>`));
+  return match ? match[1].trim() : null;
+}
+
+function unescapeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function round(value, digits = 1) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Extract raw track points from GPX text
+ * Returns [{ lat, lng, ele, time, speedKmh, course }] sorted by time
+ */
+export function parseGpxTrackPoints(text) {
+  const points = [];
+  const pattern = /<trkpt\b([^>]*?)(?:\/>|>([\s\S]*?)<\/trkpt>)/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const attributes = match[1];
+    const body = match[2] || '';
+    const lat = parseFloat(readAttribute(attributes, 'lat'));
+    const lng = parseFloat(readAttribute(attributes, 'lon'));
+    if (isNaN(lat) || isNaN(lng)) continue;
+
+    const ele = readElement(body, 'ele');
+    const time = readElement(body, 'time');
+    const speed = readElement(body, 'speed');
+    const course = readElement(body, 'course');
+
+    points.push({
+      lat,
+      lng,
+      ele: ele !== null && !isNaN(parseFloat(ele)) ? parseFloat(ele) : null,
+      time: time && !isNaN(Date.parse(time)) ? new Date(time).toISOString() : null,
+      // GPX speeds are metres per second
+      speedKmh: speed !== null && !isNaN(parseFloat(speed)) ? parseFloat(speed) * 3.6 : null,
+      course: course !== null && !isNaN(parseFloat(course)) ? parseFloat(course) : null
+    });
+  }
+
+  return points.sort((a, b) => (a.time && b.time ? Date.parse(a.time) - Date.parse(b.time) : 0));
+}
+
+/**
+ * Convert GPX text into trip events
+ * Speed, heading and distance are derived from consecutive points when the
+ * file doesn't carry them, and trip_started / trip_completed are synthesized
+ */
+export function parseGpxEvents(text, { tripId, vehicleId, idPrefix = 'gpx' } = {}) {
+  const points = parseGpxTrackPoints(text);
+  const errors = [];
+
+  if (points.length === 0) {
+    return { events: [], errors: ['GPX file contains no track points'] };
+  }
+  if (points.some(point => !point.time)) {
+    return { events: [], errors: ['GPX track points need a <time> to be replayed'] };
+  }
+
+  const trackName = readElement(text.match(/<trk\b[\s\S]*?<\/trk>/)?.[0] || '', 'name');
+  const tripKey = tripId || `${idPrefix}_trip`;
+  const vehicle = vehicleId || `GPX_${idPrefix.toUpperCase()}`;
+
+  let distanceKm = 0;
+  let lastSpeed = 0;
+
+  const pings = points.map((point, index) => {
+    const previous = points[index - 1];
+    const next = points[index + 1];
+    let speedKmh = point.speedKmh;
+
+    if (previous) {
+      const stepKm = haversineKm(previous, point);
+      distanceKm += stepKm;
+      if (speedKmh === null) {
+        const hours = (Date.parse(point.time) - Date.parse(previous.time)) / 3600000;
+        speedKmh = hours > 0 ? stepKm / hours : lastSpeed;
+      }
+    }
+    speedKmh = speedKmh ?? 0;
+    lastSpeed = speedKmh;
+
+    let heading = point.course;
+    if (heading === null) {
+      if (previous) heading = bearingDegrees(previous, point);
+      else if (next) heading = bearingDegrees(point, next);
+      else heading = 0;
+    }
+
+    const location = { lat: point.lat, lng: point.lng };
+    if (point.ele !== null) location.altitude_meters = point.ele;
+
+    return {
+      event_id: `${idPrefix}_ping_${index + 1}`,
+      event_type: 'location_ping',
+      timestamp: point.time,
+      vehicle_id: vehicle,
+      trip_id: tripKey,
+      location,
+      movement: {
+        speed_kmh: round(speedKmh),
+        heading_degrees: round(heading),
+        moving: speedKmh >= MOVING_THRESHOLD_KMH
+      },
+      distance_travelled_km: round(distanceKm)
+    };
+  });
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  const durationHours = (Date.parse(last.time) - Date.parse(first.time)) / 3600000;
+
+  const started = {
+    event_id: `${idPrefix}_trip_started`,
+    event_type: 'trip_started',
+    timestamp: first.time,
+    vehicle_id: vehicle,
+    trip_id: tripKey,
+    location: { lat: first.lat, lng: first.lng },
+    planned_distance_km: round(distanceKm),
+    estimated_duration_hours: round(durationHours, 2)
+  };
+  if (trackName) started.trip_name = unescapeXml(trackName);
+
+  const completed = {
+    event_id: `${idPrefix}_trip_completed`,
+    event_type: 'trip_completed',
+    timestamp: last.time,
+    vehicle_id: vehicle,
+    trip_id: tripKey,
+    location: { lat: last.lat, lng: last.lng },
+    total_distance_km: round(distanceKm),
+    total_duration_hours: round(durationHours, 2)
+  };
+
+  return { events: [started, ...pings, completed], errors };
+}
@@ -0,0 +1,81 @@
+/**
+ * Idle compression - finds the stretches of a timeline worth watching at normal speed
+ *
+ * Notable events (anything but routine pings, plus pings that report a stop,
+ * start or overspeed) get a slow zone around them; everything between slow
+ * zones is idle and can be played back compressed.
+ */
+
+import { upperBound, lowerBound } from './eventProcessingTasks.js';
+
+// Event types that never change a vehicle's state on their own
+export const ROUTINE_EVENT_TYPES = ['location_ping'];
+
+export const DEFAULT_IDLE_OPTIONS = {
+  speedup: 60, // idle stretches play this many times faster than the chosen rate
+  leadMs: 60 * 1000, // slow down this long before a notable event
+  trailMs: 30 * 1000 // and stay slow this long after it
+};
+
+/**
+ * Whether an event breaks the routine
+ * previous: the same trip's previous event, to detect moving/stopped changes
+ */
+export function isNotableEvent(event, previous = null) {
+  if (!ROUTINE_EVENT_TYPES.includes(event.event_type)) return true;
+  if (event.overspeed) return true;
+
+  const moving = event.movement?.moving;
+  const wasMoving = previous?.movement?.moving;
+  return typeof moving === 'boolean' && typeof wasMoving === 'boolean' && moving !== wasMoving;
+}
+
+/**
+ * Merged slow zones around the notable events of a chronological event list
+ * times[i] is events[i]'s timestamp (ms). Returns { starts, ends } (Float64Array)
+ */
+export function buildSlowZones(events, times, { leadMs, trailMs } = DEFAULT_IDLE_OPTIONS) {
+  const starts = [];
+  const ends = [];
+  const previousByTrip = new Map();
+
+  events.forEach((event, index) => {
+    const tripKey = event.trip_id ?? '';
+    const notable = isNotableEvent(event, previousByTrip.get(tripKey));
+    previousByTrip.set(tripKey, event);
+    if (!notable || !Number.isFinite(times[index])) return;
+
+    const start = times[index] - leadMs;
+    const end = times[index] + trailMs;
+    if (starts.length > 0 && start <= ends[ends.length - 1]) {
+      ends[ends.length - 1] = Math.max(ends[ends.length - 1], end);
+    } else {
+      starts.push(start);
+      ends.push(end);
+    }
+  });
+
+  return { starts: Float64Array.from(starts), ends: Float64Array.from(ends) };
+}
+
+/**
+ * The stretch of timeline a position is in, heading in a direction
+ * Returns { idle, boundary }: boundary is where the stretch ends, within [minTime, maxTime]
+ */
+export function getIdleSpan(zones, position, direction, minTime, maxTime) {
+  const { starts, ends } = zones;
+
+  if (direction < 0) {
+    const index = lowerBound(starts, position) - 1; // last zone starting before position
+    if (index >= 0 && position <= ends[index]) {
+      return { idle: false, boundary: Math.max(minTime, starts[index]) };
+    }
+    return { idle: true, boundary: index >= 0 ? Math.max(minTime, ends[index]) : minTime };
+  }
+
+  const index = upperBound(starts, position) - 1; // last zone starting at or before position
+  if (index >= 0 && position < ends[index]) {
+    return { idle: false, boundary: Math.min(maxTime, ends[index]) };
+  }
+  return { idle: true, boundary: index + 1 < starts.length ? Math.min(maxTime, starts[index + 1]) : maxTime };
+}
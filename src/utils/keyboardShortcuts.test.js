@@ -0,0 +1,59 @@
+import { render, renderHook, screen } from '@testing-library/react';
+import { useKeyboardShortcuts } from '../hooks/useKeyboardShortcuts';
+import { StreamSourcePanel } from '../components/StreamSourcePanel';
+
+function press(target, code) {
+  const event = new KeyboardEvent('keydown', { code, bubbles: true, cancelable: true });
+  target.dispatchEvent(event);
+  return event;
+}
+
+function setup() {
+  const handlers = { onPlayToggle: jest.fn(), onReset: jest.fn(), onStep: jest.fn() };
+  const { unmount } = renderHook(() => useKeyboardShortcuts(handlers.onPlayToggle, handlers.onReset, handlers.onStep));
+  return { ...handlers, unmount };
+}
+
+test('space, R and the arrow keys drive playback outside form fields', () => {
+  const { onPlayToggle, onReset, onStep, unmount } = setup();
+
+  expect(press(document.body, 'Space').defaultPrevented).toBe(true);
+  press(document.body, 'KeyR');
+  press(document.body, 'ArrowLeft');
+  press(document.body, 'ArrowRight');
+
+  expect(onPlayToggle).toHaveBeenCalledTimes(1);
+  expect(onReset).toHaveBeenCalledTimes(1);
+  expect(onStep.mock.calls).toEqual([[-1], [1]]);
+  unmount();
+});
+
+test('keys typed into an input are left to it', () => {
+  const { onPlayToggle, onReset, onStep, unmount } = setup();
+  const input = document.createElement('input');
+  document.body.appendChild(input);
+
+  const events = ['Space', 'KeyR', 'ArrowLeft', 'ArrowRight'].map(code => press(input, code));
+
+  expect(events.some(event => event.defaultPrevented)).toBe(false);
+  expect(onPlayToggle).not.toHaveBeenCalled();
+  expect(onReset).not.toHaveBeenCalled();
+  expect(onStep).not.toHaveBeenCalled();
+  input.remove();
+  unmount();
+});
+
+test('a replay server URL with r and spaces can be typed without resetting playback', () => {
+  const { onPlayToggle, onReset, unmount } = setup();
+  render(
+    <StreamSourcePanel source="websocket" serverUrl="http://localhost:4010" onSourceChange={jest.fn()} onServerUrlChange={jest.fn()} />
+  );
+  const input = screen.getByLabelText('Server');
+
+  const events = [...'replay server'].map(char => press(input, char === ' ' ? 'Space' : `Key${char.toUpperCase()}`));
+
+  expect(events.some(event => event.defaultPrevented)).toBe(false);
+  expect(onReset).not.toHaveBeenCalled();
+  expect(onPlayToggle).not.toHaveBeenCalled();
+  unmount();
+});
@@ -0,0 +1,77 @@
+/**
+ * Saved A–B loop ranges, kept in localStorage per dataset
+ * A dataset is identified by its sorted trip ids; a range also records the
+ * timeline alignment it was marked on, since aligned times are elapsed trip time.
+ */
+
+const STORAGE_KEY = 'fleet-loop-ranges';
+
+function readAll() {
+  try {
+    if (typeof localStorage === 'undefined') return {};
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    console.warn('Saved loop ranges are unreadable:', error);
+    return {};
+  }
+}
+
+function rangesOf(rangesByDataset, datasetKey) {
+  const ranges = rangesByDataset[datasetKey];
+  return Array.isArray(ranges) ? ranges : [];
+}
+
+function writeAll(rangesByDataset) {
+  try {
+    if (typeof localStorage === 'undefined') return false;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(rangesByDataset));
+    return true;
+  } catch (error) {
+    console.warn('Failed to save loop ranges:', error);
+    return false;
+  }
+}
+
+/**
+ * Key identifying a trips dataset ({ [tripId]: events })
+ */
+export function getDatasetKey(trips) {
+  return Object.keys(trips || {}).sort().join('|');
+}
+
+/**
+ * Saved ranges of a dataset: [{ id, name, start, end, alignment, savedAt }]
+ */
+export function getSavedLoopRanges(datasetKey) {
+  return rangesOf(readAll(), datasetKey);
+}
+
+/**
+ * Save a range ({ name, start, end, alignment }, times as ISO strings)
+ * Returns the saved range, with its id
+ */
+export function saveLoopRange(datasetKey, { name, start, end, alignment }) {
+  const all = readAll();
+  const range = {
+    id: `range_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+    name: name || `${start} – ${end}`,
+    start,
+    end,
+    alignment,
+    savedAt: new Date().toISOString()
+  };
+  all[datasetKey] = [...rangesOf(all, datasetKey), range];
+  writeAll(all);
+  return range;
+}
+
+/**
+ * Delete a saved range by id
+ */
+export function deleteLoopRange(datasetKey, rangeId) {
+  const all = readAll();
+  const remaining = rangesOf(all, datasetKey).filter(range => range.id !== rangeId);
+  if (remaining.length > 0) all[datasetKey] = remaining;
+  else delete all[datasetKey];
+  writeAll(all);
+}
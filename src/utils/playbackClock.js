@@ -0,0 +1,112 @@
+/**
+ * Playback clocks - time source and frame scheduler for the playback engine
+ *
+ * A clock provides now() (ms), requestFrame(callback) and cancelFrame(handle).
+ * RealTimeClock follows the wall clock and animation frames; VirtualClock only
+ * moves when advanced, so replays run headless and deterministically.
+ */
+
+const FRAME_FALLBACK_MS = 16;
+
+export class RealTimeClock {
+  now() {
+    return Date.now();
+  }
+
+  requestFrame(callback) {
+    if (typeof requestAnimationFrame === 'function') {
+      return { raf: requestAnimationFrame(callback) };
+    }
+    return { timeout: setTimeout(callback, FRAME_FALLBACK_MS) };
+  }
+
+  cancelFrame(handle) {
+    if (!handle) return;
+    if (handle.raf !== undefined) cancelAnimationFrame(handle.raf);
+    else clearTimeout(handle.timeout);
+  }
+}
+
+export class VirtualClock {
+  /**
+   * startTime: initial now() value (ms)
+   * frameInterval: virtual ms between a frame request and its callback
+   */
+  constructor({ startTime = 0, frameInterval = FRAME_FALLBACK_MS } = {}) {
+    this.time = startTime;
+    this.frameInterval = frameInterval;
+    this.frames = []; // { id, dueTime, callback }, in request order
+    this.nextFrameId = 1;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  requestFrame(callback) {
+    const id = this.nextFrameId++;
+    this.frames.push({ id, dueTime: this.time + this.frameInterval, callback });
+    return id;
+  }
+
+  cancelFrame(id) {
+    this.frames = this.frames.filter(frame => frame.id !== id);
+  }
+
+  get pendingFrames() {
+    return this.frames.length;
+  }
+
+  /**
+   * Move time forward by ms, running each frame when its due time is reached
+   * Frames requested along the way run too if they fall due within ms
+   */
+  advance(ms) {
+    const target = this.time + Math.max(0, ms);
+
+    let frame = this._nextDueFrame(target);
+    while (frame) {
+      this.frames.splice(this.frames.indexOf(frame), 1);
+      this.time = Math.max(this.time, frame.dueTime);
+      frame.callback(this.time);
+      frame = this._nextDueFrame(target);
+    }
+
+    this.time = target;
+    return this.time;
+  }
+
+  /**
+   * Step from frame to frame until none are requested, or maxSteps were taken
+   * Returns the number of steps taken
+   */
+  runUntilIdle({ maxSteps = 1000000 } = {}) {
+    let steps = 0;
+    while (this.frames.length > 0 && steps < maxSteps) {
+      const frame = this._nextDueFrame(Infinity);
+      this.advance(frame.dueTime - this.time);
+      steps++;
+    }
+    return steps;
+  }
+
+  _nextDueFrame(limit) {
+    let next = null;
+    this.frames.forEach(frame => {
+      if (frame.dueTime <= limit && (!next || frame.dueTime < next.dueTime)) next = frame;
+    });
+    return next;
+  }
+}
+
+let realTimeClock = null;
+
+/**
+ * Shared wall-clock instance, the playback engine's default
+ */
+export function getRealTimeClock() {
+  if (!realTimeClock) {
+    realTimeClock = new RealTimeClock();
+  }
+  return realTimeClock;
+}
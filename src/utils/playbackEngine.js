@@ -0,0 +1,659 @@
+/**
+ * Playback engine - the single clock behind simulation playback
+ *
+ * One time model for every playback path: an absolute simulation time (ms)
+ * between the dataset's first and last event, advanced from real time by
+ * rate × direction. Events are delivered exactly once, in order, through a
+ * cursor into the chronologically sorted events; reversing past delivered
+ * events retracts them.
+ *
+ * Used by MockEventStreamAPI, SimulationEngine and the Redux simulation slice.
+ */
+
+import {
+  buildTimeOrder,
+  flattenTrips,
+  lowerBound,
+  sortPositionsByTime,
+  upperBound
+} from './eventProcessingTasks.js';
+import { getRealTimeClock } from './playbackClock.js';
+import { DEFAULT_IDLE_OPTIONS, buildSlowZones, getIdleSpan } from './idleCompression.js';
+
+export const PLAYBACK_FORWARD = 1;
+export const PLAYBACK_REVERSE = -1;
+
+// Timelines: events on their own timestamps, or each trip shifted to start at t=0
+export const ALIGN_ABSOLUTE = 'absolute';
+export const ALIGN_TRIP_START = 'tripStart';
+
+function toMs(time) {
+  return typeof time === 'number' ? time : new Date(time).getTime();
+}
+
+function toIso(ms) {
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
+
+export class PlaybackEngine {
+  /**
+   * clock: time source and frame scheduler (see playbackClock.js);
+   * a VirtualClock makes playback deterministic
+   */
+  constructor({ clock = getRealTimeClock() } = {}) {
+    this.clock = clock;
+    this.trips = null;
+    this.flatEvents = []; // flattenTrips(trips).events
+    this.tripRanges = {};
+    this.absoluteIndex = null; // { order, times } on event timestamps
+    this.alignment = ALIGN_ABSOLUTE;
+    this.events = [];
+    this.times = new Float64Array(0);
+    this.startTime = 0;
+    this.endTime = 0;
+
+    this.position = 0; // current simulation time (ms)
+    this.rate = 1;
+    this.direction = PLAYBACK_FORWARD;
+    this.isPlaying = false;
+    this.cursor = 0; // events before this index have been delivered
+    this.deliveredCount = 0; // events delivered and not retracted since the last load/reset
+
+    this.anchorWallTime = 0;
+    this.anchorPosition = 0;
+    this.frame = null;
+
+    // Skip-idle mode: idle stretches play at rate × speedup (see idleCompression.js)
+    this.skipIdle = false;
+    this.idleOptions = DEFAULT_IDLE_OPTIONS;
+    this.slowZones = null; // built on first use per dataset
+    this.compressing = false;
+
+    // Looping: wrap around at the end of the A–B range, or of the dataset without one
+    this.looping = false;
+    this.loopRange = null; // { start, end } in timeline ms
+
+    this.listeners = {
+      event: new Set(),
+      rewind: new Set(),
+      complete: new Set(),
+      state: new Set(),
+      compression: new Set(),
+      loop: new Set()
+    };
+  }
+
+  /**
+   * Load a dataset ({ [tripId]: events }) and rewind to its start
+   * index: optional prebuilt { order, times } for flattenTrips(trips).events
+   * (see EventProcessingClient.indexStream). Reloading the same trips object
+   * keeps the current position.
+   */
+  load(trips, { index = null } = {}) {
+    if (trips === this.trips) return;
+
+    this.pause();
+    const { events, tripRanges } = flattenTrips(trips);
+    this.trips = trips;
+    this.flatEvents = events;
+    this.tripRanges = tripRanges;
+    this.absoluteIndex = index || buildTimeOrder(events);
+    this._applyTimeline();
+    this.reset();
+  }
+
+  /**
+   * Play events on their timestamps (ALIGN_ABSOLUTE) or with every trip
+   * shifted to start at t=0 (ALIGN_TRIP_START), for side-by-side comparison
+   * On the aligned timeline times are elapsed trip time, counted from the epoch.
+   * Switching pauses and rewinds to the start.
+   */
+  setAlignment(alignment) {
+    const next = alignment === ALIGN_TRIP_START ? ALIGN_TRIP_START : ALIGN_ABSOLUTE;
+    if (next === this.alignment) return;
+
+    this.pause();
+    this.alignment = next;
+    if (this.trips) this._applyTimeline();
+    this.reset();
+  }
+
+  // Chronological events and times for the current alignment
+  _applyTimeline() {
+    const { order, times } = this.alignment === ALIGN_TRIP_START
+      ? this._buildAlignedOrder()
+      : this.absoluteIndex;
+
+    this.events = Array.from(order, position => this.flatEvents[position]);
+    this.times = times;
+    this.slowZones = null;
+    this.loopRange = null;
+    this.startTime = times.length > 0 && Number.isFinite(times[0]) ? times[0] : 0;
+    this.endTime = times.length > 0 && Number.isFinite(times[times.length - 1])
+      ? times[times.length - 1]
+      : this.startTime;
+  }
+
+  // Event times minus their trip's first timestamp
+  _buildAlignedOrder() {
+    const absoluteTimes = new Float64Array(this.flatEvents.length);
+    this.absoluteIndex.order.forEach((position, i) => {
+      absoluteTimes[position] = this.absoluteIndex.times[i];
+    });
+
+    const alignedTimes = new Float64Array(absoluteTimes.length);
+    Object.values(this.tripRanges).forEach(({ start, count }) => {
+      let tripStart = Infinity;
+      for (let i = start; i < start + count; i++) {
+        if (absoluteTimes[i] < tripStart) tripStart = absoluteTimes[i];
+      }
+      for (let i = start; i < start + count; i++) {
+        alignedTimes[i] = absoluteTimes[i] - tripStart;
+      }
+    });
+
+    return sortPositionsByTime(alignedTimes);
+  }
+
+  get duration() {
+    return this.endTime - this.startTime;
+  }
+
+  /**
+   * Start (or resume) playback in the current direction
+   */
+  play() {
+    if (this.isPlaying) return;
+    if (this._atBoundary() || this._beforePlayRange()) {
+      // Finished in this direction (or outside the loop range): start from the other end
+      this._seekToPassStart();
+    }
+    this.isPlaying = true;
+    this._anchor();
+    this._notifyState();
+    this._scheduleFrame();
+  }
+
+  /**
+   * Pause playback, keeping the current position
+   */
+  pause() {
+    if (!this.isPlaying) return;
+    this.isPlaying = false;
+    this.clock.cancelFrame(this.frame);
+    this.frame = null;
+    this._setCompressing(false);
+    this._notifyState();
+  }
+
+  /**
+   * Jump to a simulation time without delivering the events in between
+   */
+  seek(time) {
+    this._setPosition(toMs(time));
+    this._anchor();
+    this._notifyState();
+  }
+
+  /**
+   * Jump to a point of the timeline (0-1)
+   */
+  seekToProgress(progress) {
+    if (progress < 0 || progress > 1) return;
+    this.seek(this.startTime + this.duration * progress);
+  }
+
+  /**
+   * Continue from just after the event at a cursor index (e.g. the last one a
+   * client received), even if later events share its timestamp
+   */
+  seekAfter(index) {
+    if (!(index >= 0 && index < this.events.length)) return;
+    this.position = this._clamp(this.times[index]);
+    this.cursor = index + 1;
+    this._anchor();
+    this._notifyState();
+  }
+
+  /**
+   * Set the playback rate (simulation ms per real ms)
+   */
+  setRate(rate) {
+    if (!(rate > 0)) return;
+    this._advance();
+    this.rate = rate;
+    this._anchor();
+    this._notifyState();
+  }
+
+  /**
+   * Play forward (1) or in reverse (-1)
+   */
+  setDirection(direction) {
+    const next = direction < 0 ? PLAYBACK_REVERSE : PLAYBACK_FORWARD;
+    if (next === this.direction) return;
+    this._advance();
+    this.direction = next;
+    this._anchor();
+    this._notifyState();
+  }
+
+  /**
+   * Turn skip-idle mode on or off
+   * options: { speedup, leadMs, trailMs } overriding DEFAULT_IDLE_OPTIONS
+   */
+  setSkipIdle(enabled, options = {}) {
+    this._advance();
+    this.skipIdle = Boolean(enabled);
+    const nextOptions = { ...DEFAULT_IDLE_OPTIONS, ...options };
+    if (nextOptions.leadMs !== this.idleOptions.leadMs || nextOptions.trailMs !== this.idleOptions.trailMs) {
+      this.slowZones = null;
+    }
+    this.idleOptions = nextOptions;
+    if (!this.skipIdle) this._setCompressing(false);
+    this._anchor();
+    this._notifyState();
+  }
+
+  /**
+   * Flip the playback direction
+   */
+  reverse() {
+    this.setDirection(-this.direction);
+  }
+
+  /**
+   * Pause and deliver the next event (with any sharing its timestamp)
+   * Returns the first delivered event, or null at the end
+   */
+  stepForward() {
+    this.pause();
+    if (this.cursor >= this.events.length) return null;
+
+    const event = this.events[this.cursor];
+    this.position = this._clamp(this.times[this.cursor]);
+    this._deliverTo(upperBound(this.times, this.position));
+    this._anchor();
+    this._notifyState();
+    return event;
+  }
+
+  /**
+   * Pause and retract the latest delivered event (with any sharing its timestamp)
+   * Returns the newest retracted event, or null at the start
+   */
+  stepBackward() {
+    this.pause();
+    if (this.cursor === 0) return null;
+
+    const event = this.events[this.cursor - 1];
+    const first = lowerBound(this.times, this.times[this.cursor - 1]);
+    this.position = first > 0 ? this.times[first - 1] : this.startTime;
+    this._retractTo(first);
+    this._anchor();
+    this._notifyState();
+    return event;
+  }
+
+  /**
+   * Pause and jump to the next (direction 1) or previous (-1) event of a type
+   * Like seek, events in between are skipped; the events at the target
+   * timestamp are delivered. Returns the target event, or null if none.
+   */
+  jumpToEvent(eventType, direction = PLAYBACK_FORWARD) {
+    const index = this.findEvent(eventType, direction);
+    if (index === -1) return null;
+
+    this.pause();
+    const time = this.times[index];
+    this.position = this._clamp(time);
+    this.cursor = lowerBound(this.times, time);
+    this._deliverTo(upperBound(this.times, time));
+    this._anchor();
+    this._notifyState();
+    return this.events[index];
+  }
+
+  /**
+   * Index of the next event of a type after the current position (direction 1),
+   * or of the previous one before the current timestamp (-1); -1 if none
+   */
+  findEvent(eventType, direction = PLAYBACK_FORWARD) {
+    if (direction < 0) {
+      // Events at the current timestamp count as the current ones
+      for (let i = lowerBound(this.times, this.position) - 1; i >= 0; i--) {
+        if (this.events[i].event_type === eventType) return i;
+      }
+      return -1;
+    }
+    for (let i = this.cursor; i < this.events.length; i++) {
+      if (this.events[i].event_type === eventType) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Distinct event types in the dataset, sorted
+   */
+  getEventTypes() {
+    return [...new Set(this.events.map(event => event.event_type))].filter(Boolean).sort();
+  }
+
+  /**
+   * Pause and return to the start of the dataset
+   */
+  reset() {
+    this.pause();
+    this.direction = PLAYBACK_FORWARD;
+    this.position = this.startTime;
+    this.cursor = 0;
+    this.deliveredCount = 0;
+    this._anchor();
+    this._notifyState();
+  }
+
+  /**
+   * Advance to the current real time and deliver due events
+   * Called every animation frame while playing
+   */
+  tick() {
+    if (!this.isPlaying) return;
+    this._advance();
+    if (!this.isPlaying) return;
+
+    if (this._atBoundary()) {
+      if (this.looping) {
+        this._wrapLoop();
+        return;
+      }
+      this.pause();
+      this._emit('complete', { direction: this.direction });
+      return;
+    }
+    this._notifyState();
+    this._scheduleFrame();
+  }
+
+  /**
+   * Loop playback: wrap around at the end of the loop range (or the dataset)
+   */
+  setLooping(enabled) {
+    this.looping = Boolean(enabled);
+    this._enterPlayRange();
+    this._notifyState();
+  }
+
+  /**
+   * Set the A–B range playback loops inside (timestamps or ms); null clears it
+   * The range only applies while looping; its ends are ordered and clamped
+   */
+  setLoopRange(start, end) {
+    if (start == null || end == null) {
+      this.loopRange = null;
+    } else {
+      const [a, b] = [this._clamp(toMs(start)), this._clamp(toMs(end))].sort((x, y) => x - y);
+      this.loopRange = a < b ? { start: a, end: b } : null;
+    }
+    this._enterPlayRange();
+    this._notifyState();
+  }
+
+  // Restart from the far end of the play range; listeners see a fresh pass
+  _wrapLoop() {
+    const from = this.position;
+    this._seekToPassStart();
+    this.deliveredCount = 0;
+    this._anchor();
+    this._emit('loop', { direction: this.direction, from: toIso(from), to: toIso(this.position) });
+    this._notifyState();
+    this._scheduleFrame();
+  }
+
+  getProgress() {
+    if (this.duration <= 0) return 0;
+    return Math.max(0, Math.min(1, (this.position - this.startTime) / this.duration));
+  }
+
+  /**
+   * Serializable snapshot of the playback state
+   */
+  getState() {
+    return {
+      isPlaying: this.isPlaying,
+      currentTime: toIso(this.position),
+      startTime: toIso(this.startTime),
+      endTime: toIso(this.endTime),
+      progress: this.getProgress(),
+      rate: this.rate,
+      alignment: this.alignment,
+      looping: this.looping,
+      loopStart: this.loopRange ? toIso(this.loopRange.start) : null,
+      loopEnd: this.loopRange ? toIso(this.loopRange.end) : null,
+      effectiveRate: this.compressing ? this.rate * this.idleOptions.speedup : this.rate,
+      direction: this.direction,
+      skipIdle: this.skipIdle,
+      compressing: this.compressing,
+      cursor: this.cursor,
+      deliveredCount: this.deliveredCount,
+      eventCount: this.events.length
+    };
+  }
+
+  /**
+   * Subscribe to delivered events, one call per event in order
+   */
+  onEvent(listener) {
+    return this._listen('event', listener);
+  }
+
+  /**
+   * Subscribe to retracted events (reverse playback), newest first
+   */
+  onRewind(listener) {
+    return this._listen('rewind', listener);
+  }
+
+  /**
+   * Subscribe to reaching the end (or, in reverse, the start) of the dataset
+   */
+  onComplete(listener) {
+    return this._listen('complete', listener);
+  }
+
+  /**
+   * Subscribe to loop wrap-arounds ({ direction, from, to }); the events of
+   * the new pass are delivered again
+   */
+  onLoop(listener) {
+    return this._listen('loop', listener);
+  }
+
+  /**
+   * Subscribe to skip-idle compression starting (true) or stopping (false)
+   */
+  onCompressionChange(listener) {
+    return this._listen('compression', listener);
+  }
+
+  /**
+   * Subscribe to playback state snapshots (see getState)
+   */
+  subscribe(listener) {
+    return this._listen('state', listener);
+  }
+
+  _listen(type, listener) {
+    this.listeners[type].add(listener);
+    return () => this.listeners[type].delete(listener);
+  }
+
+  _emit(type, payload) {
+    this.listeners[type].forEach(listener => {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error(`Error in playback ${type} listener:`, error);
+      }
+    });
+  }
+
+  _notifyState() {
+    if (this.listeners.state.size === 0) return;
+    this._emit('state', this.getState());
+  }
+
+  _anchor() {
+    this.anchorWallTime = this.clock.now();
+    this.anchorPosition = this.position;
+  }
+
+  _advance() {
+    if (!this.isPlaying) return;
+    if (this.skipIdle) {
+      this._advanceSkippingIdle();
+      return;
+    }
+    const elapsed = this.clock.now() - this.anchorWallTime;
+    this._moveTo(this.anchorPosition + elapsed * this.rate * this.direction);
+  }
+
+  // Spend the elapsed real time stretch by stretch, each at its own speed
+  _advanceSkippingIdle() {
+    if (!this.slowZones) {
+      this.slowZones = buildSlowZones(this.events, this.times, this.idleOptions);
+    }
+
+    const now = this.clock.now();
+    let remaining = now - this.anchorWallTime;
+    let position = this.anchorPosition;
+    let idle = false;
+
+    while (remaining > 0) {
+      const span = getIdleSpan(this.slowZones, position, this.direction, ...this._playLimits());
+      idle = span.idle;
+      const speed = this.rate * (idle ? this.idleOptions.speedup : 1);
+      const distance = Math.abs(span.boundary - position);
+      if (distance <= 0) break;
+
+      if (distance / speed > remaining) {
+        position += remaining * speed * this.direction;
+        break;
+      }
+      position = span.boundary;
+      remaining -= distance / speed;
+    }
+
+    this.anchorWallTime = now;
+    this.anchorPosition = position;
+    this._moveTo(position);
+    this._setCompressing(idle && this.isPlaying);
+  }
+
+  _setCompressing(compressing) {
+    if (compressing === this.compressing) return;
+    this.compressing = compressing;
+    this._emit('compression', compressing);
+  }
+
+  // Range playback stays within: the loop range while looping with one, else the dataset
+  _playLimits() {
+    if (this.looping && this.loopRange) return [this.loopRange.start, this.loopRange.end];
+    return [this.startTime, this.endTime];
+  }
+
+  _atBoundary() {
+    const [min, max] = this._playLimits();
+    return this.direction === PLAYBACK_FORWARD ? this.position >= max : this.position <= min;
+  }
+
+  // Behind the play range in the playback direction (e.g. before loop range A going forward)
+  _beforePlayRange() {
+    const [min, max] = this._playLimits();
+    return this.direction === PLAYBACK_FORWARD ? this.position < min : this.position > max;
+  }
+
+  _scheduleFrame() {
+    this.clock.cancelFrame(this.frame);
+    this.frame = this.clock.requestFrame(() => {
+      this.frame = null;
+      this.tick();
+    });
+  }
+
+  _clamp(time) {
+    return Math.max(this.startTime, Math.min(this.endTime, time));
+  }
+
+  // Events at or before a time count as delivered, except at the very start
+  _cursorAt(time) {
+    return time <= this.startTime ? 0 : upperBound(this.times, time);
+  }
+
+  // Seek: move position and cursor without delivering or retracting events
+  _setPosition(time) {
+    this.position = this._clamp(time);
+    this.cursor = this._cursorAt(this.position);
+  }
+
+  // Seek to where a pass over the play range starts; going forward, events at
+  // its start (e.g. an incident marked as loop start A) are still to come
+  _seekToPassStart() {
+    const [min, max] = this._playLimits();
+    if (this.direction === PLAYBACK_FORWARD) {
+      this._setPosition(min);
+      this.cursor = lowerBound(this.times, this.position);
+    } else {
+      this._setPosition(max);
+    }
+  }
+
+  // A loop range set or enabled away from the position is entered by seeking,
+  // not by playing (and delivering) everything up to it
+  _enterPlayRange() {
+    const [min, max] = this._playLimits();
+    if (this.position >= min && this.position <= max) return;
+    this._seekToPassStart();
+    this._anchor();
+  }
+
+  // Playback: deliver events passed going forward, retract them going back
+  _moveTo(time) {
+    const [min, max] = this._playLimits();
+    this.position = Math.max(min, Math.min(max, time));
+    const target = this._cursorAt(this.position);
+    this._deliverTo(target);
+    this._retractTo(target);
+  }
+
+  // Deliver events up to a cursor index; stops if a listener plays or pauses
+  _deliverTo(target) {
+    const wasPlaying = this.isPlaying;
+    while (this.cursor < target && this.isPlaying === wasPlaying) {
+      const event = this.events[this.cursor];
+      this.cursor++;
+      this.deliveredCount++;
+      this._emit('event', event);
+    }
+  }
+
+  // Retract delivered events back to a cursor index, in one 'rewind' batch
+  _retractTo(target) {
+    if (target >= this.cursor) return;
+    const retracted = this.events.slice(target, this.cursor).reverse();
+    this.cursor = target;
+    this.deliveredCount = Math.max(0, this.deliveredCount - retracted.length);
+    this._emit('rewind', retracted);
+  }
+}
+
+let sharedEngine = null;
+
+/**
+ * Playback engine shared by the stream hook and the Redux simulation slice
+ */
+export function getPlaybackEngine() {
+  if (!sharedEngine) {
+    sharedEngine = new PlaybackEngine();
+  }
+  return sharedEngine;
+}
@@ -0,0 +1,237 @@
+import { ALIGN_TRIP_START, PlaybackEngine } from './playbackEngine';
+import { VirtualClock } from './playbackClock';
+import MockEventStreamAPI from '../api/mockEventStream';
+import { createAppStore } from '../redux/store';
+import { pauseSimulation, playSimulation, seekSimulation } from '../redux/slices/simulationSlice';
+
+const START = Date.parse('2025-11-03T08:00:00Z');
+
+function makeEvent(tripId, offsetMs, eventType = 'location_update') {
+  return {
+    trip_id: tripId,
+    event_type: eventType,
+    timestamp: new Date(START + offsetMs).toISOString()
+  };
+}
+
+const trips = {
+  'trip-a': [makeEvent('trip-a', 0, 'trip_started'), makeEvent('trip-a', 1000), makeEvent('trip-a', 3000, 'trip_completed')],
+  'trip-b': [makeEvent('trip-b', 500, 'trip_started'), makeEvent('trip-b', 1000), makeEvent('trip-b', 2000, 'trip_completed')]
+};
+
+function createEngine(rate = 1) {
+  const clock = new VirtualClock({ frameInterval: 100 });
+  const engine = new PlaybackEngine({ clock });
+  engine.load(trips);
+  engine.setRate(rate);
+  const fired = [];
+  engine.onEvent(event => fired.push({ at: engine.position - START, trip: event.trip_id, offset: Date.parse(event.timestamp) - START }));
+  return { clock, engine, fired };
+}
+
+test('delivers each event once, at the frame that reaches its timestamp', () => {
+  const { clock, engine, fired } = createEngine();
+  engine.play();
+
+  clock.advance(600);
+  expect(fired).toEqual([
+    { at: 100, trip: 'trip-a', offset: 0 },
+    { at: 500, trip: 'trip-b', offset: 500 }
+  ]);
+
+  clock.advance(500);
+  expect(fired.slice(2)).toEqual([
+    { at: 1000, trip: 'trip-a', offset: 1000 },
+    { at: 1000, trip: 'trip-b', offset: 1000 }
+  ]);
+});
+
+test('replays a whole dataset headlessly and completes', () => {
+  const { clock, engine, fired } = createEngine(10);
+  const completions = [];
+  engine.onComplete(payload => completions.push(payload));
+
+  engine.play();
+  clock.runUntilIdle();
+
+  expect(fired.map(entry => entry.offset)).toEqual([0, 500, 1000, 1000, 2000, 3000]);
+  expect(completions).toEqual([{ direction: 1 }]);
+  expect(engine.isPlaying).toBe(false);
+  expect(engine.getProgress()).toBe(1);
+  expect(clock.now()).toBe(300);
+});
+
+test('seeking skips events and reverse playback retracts them', () => {
+  const { clock, engine, fired } = createEngine();
+  const retracted = [];
+  engine.onRewind(events => retracted.push(...events.map(event => Date.parse(event.timestamp) - START)));
+
+  engine.seek(START + 1500);
+  engine.play();
+  clock.advance(600);
+  expect(fired.map(entry => entry.offset)).toEqual([2000]);
+
+  engine.reverse();
+  clock.advance(1200);
+  expect(retracted).toEqual([2000, 1000, 1000]);
+  expect(engine.deliveredCount).toBe(0);
+});
+
+test('drives MockEventStreamAPI through an injected clock', () => {
+  const clock = new VirtualClock();
+  const api = new MockEventStreamAPI(trips, 1, { clock });
+  const received = [];
+  let complete = false;
+  api.onEvent(event => received.push(event));
+  api.onComplete(() => { complete = true; });
+
+  api.startStream();
+  clock.advance(1100);
+  expect(api.getStatistics().deliveredCount).toBe(4);
+
+  clock.runUntilIdle();
+  expect(received).toHaveLength(6);
+  expect(complete).toBe(true);
+});
+
+test('steps between events and jumps to events of a type', () => {
+  const { engine, fired } = createEngine();
+  const retracted = [];
+  engine.onRewind(events => retracted.push(events.map(event => Date.parse(event.timestamp) - START)));
+
+  engine.stepForward();
+  engine.stepForward();
+  engine.stepForward();
+  expect(fired.map(entry => entry.offset)).toEqual([0, 500, 1000, 1000]);
+
+  engine.stepBackward();
+  expect(retracted).toEqual([[1000, 1000]]);
+  expect(engine.position - START).toBe(500);
+
+  expect(engine.jumpToEvent('trip_completed').timestamp).toBe(trips['trip-b'][2].timestamp);
+  expect(engine.jumpToEvent('trip_completed').timestamp).toBe(trips['trip-a'][2].timestamp);
+  expect(engine.jumpToEvent('trip_completed')).toBeNull();
+  expect(engine.jumpToEvent('trip_completed', -1).timestamp).toBe(trips['trip-b'][2].timestamp);
+  expect(engine.cursor).toBe(5);
+  expect(engine.isPlaying).toBe(false);
+});
+
+test('skip-idle mode compresses routine stretches and slows down around notable events', () => {
+  const ping = (offsetMs) => ({ ...makeEvent('trip-c', offsetMs, 'location_ping'), movement: { moving: true } });
+  const longTrip = {
+    'trip-c': [
+      makeEvent('trip-c', 0, 'trip_started'),
+      ...Array.from({ length: 59 }, (_, i) => ping((i + 1) * 60 * 1000)),
+      makeEvent('trip-c', 60 * 60 * 1000, 'speed_violation')
+    ]
+  };
+  const clock = new VirtualClock({ frameInterval: 100 });
+  const engine = new PlaybackEngine({ clock });
+  engine.load(longTrip);
+  engine.setRate(10);
+  engine.setSkipIdle(true, { speedup: 60, leadMs: 60 * 1000, trailMs: 30 * 1000 });
+
+  const changes = [];
+  engine.onCompressionChange(compressing => changes.push({ compressing, at: engine.position - START }));
+  engine.play();
+  clock.runUntilIdle();
+
+  // 30 s after the start and 60 s before the violation play at 10x: 9 s of real time;
+  // the 3510 s between them at 600x take 5.85 s (rounded up to the next 100 ms frame)
+  expect(clock.now()).toBe(14900);
+  expect(changes.map(change => change.compressing)).toEqual([true, false]);
+  expect(changes[1].at).toBeGreaterThanOrEqual(59 * 60 * 1000);
+  expect(engine.deliveredCount).toBe(61);
+});
+
+test('aligned mode starts every trip at t=0', () => {
+  const { clock, engine, fired } = createEngine();
+  engine.setAlignment(ALIGN_TRIP_START);
+  expect(engine.getState().startTime).toBe('1970-01-01T00:00:00.000Z');
+
+  engine.play();
+  clock.runUntilIdle();
+
+  // trip-b starts 500 ms later, so its events line up 500 ms earlier
+  expect(fired.map(({ at, trip, offset }) => [at + START, trip, offset])).toEqual([
+    [100, 'trip-a', 0],
+    [100, 'trip-b', 500],
+    [500, 'trip-b', 1000],
+    [1000, 'trip-a', 1000],
+    [1500, 'trip-b', 2000],
+    [3000, 'trip-a', 3000]
+  ]);
+});
+
+test('loops inside an A–B range and over the whole dataset', () => {
+  const { clock, engine, fired } = createEngine();
+  const loops = [];
+  engine.onLoop(loop => loops.push(loop));
+
+  engine.setLoopRange(START + 800, START + 2500);
+  engine.setLooping(true);
+  engine.play();
+  clock.advance(3500);
+
+  // Starts at A; each pass delivers the 1000 ms pair and the 2000 ms event
+  expect(fired.map(entry => entry.offset)).toEqual([1000, 1000, 2000, 1000, 1000, 2000]);
+  expect(loops.map(loop => loop.to)).toEqual([new Date(START + 800).toISOString(), new Date(START + 800).toISOString()]);
+  expect(engine.isPlaying).toBe(true);
+
+  engine.setLoopRange(null, null);
+  fired.length = 0;
+  clock.advance(4000);
+  expect(fired.map(entry => entry.offset)).toEqual([1000, 1000, 2000, 3000, 0, 500, 1000, 1000]);
+});
+
+test('a loop starting exactly on an event delivers it on every pass', () => {
+  const { clock, engine, fired } = createEngine();
+  const loops = [];
+  engine.onLoop(loop => loops.push(loop));
+
+  engine.setLoopRange(START + 1000, START + 2500);
+  engine.setLooping(true);
+  engine.play();
+  clock.advance(5000);
+
+  expect(loops.length).toBeGreaterThanOrEqual(2);
+  const passes = [];
+  fired.forEach(entry => {
+    if (entry.offset === 1000 && entry.trip === 'trip-a') passes.push([]);
+    passes[passes.length - 1].push(entry.offset);
+  });
+  expect(passes.length).toBe(loops.length + 1);
+  passes.slice(0, -1).forEach(pass => expect(pass).toEqual([1000, 1000, 2000]));
+});
+
+test('enabling a loop range ahead of the position seeks into it without delivering', () => {
+  const { clock, engine, fired } = createEngine();
+  engine.seek(START + 200);
+  engine.play();
+
+  engine.setLoopRange(START + 1500, START + 2500);
+  engine.setLooping(true);
+  expect(engine.position).toBe(START + 1500);
+
+  clock.advance(600);
+  expect(fired.map(entry => entry.offset)).toEqual([2000]);
+});
+
+test('the store mirrors a running engine at a throttled rate and discrete changes at once', () => {
+  const clock = new VirtualClock({ frameInterval: 10 });
+  const engine = new PlaybackEngine({ clock });
+  engine.load(trips);
+  const store = createAppStore(engine);
+  let dispatches = 0;
+  store.subscribe(() => dispatches++);
+
+  store.dispatch(playSimulation());
+  expect(store.getState().simulation.isPlaying).toBe(true);
+  clock.advance(1000); // 100 frames
+  expect(dispatches).toBeLessThanOrEqual(6);
+
+  store.dispatch(pauseSimulation());
+  expect(store.getState().simulation).toMatchObject({ isPlaying: false, currentTime: engine.getState().currentTime });
+  store.dispatch(seekSimulation(new Date(START + 2500).toISOString()));
+  expect(store.getState().simulation.currentTime).toBe(new Date(START + 2500).toISOString());
+});
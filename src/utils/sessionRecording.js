@@ -0,0 +1,267 @@
+/**
+ * Session recording and replay for the live event stream
+ *
+ * A recording is what the dashboard showed, not how it was produced: delivered
+ * events, retractions and buffer clears, stream statistics and user actions
+ * (play, pause, seek, speed change, ...), each stamped with its wall-clock offset
+ * from the start of the recording. Replaying a session re-emits the entries at
+ * those offsets, so it looks the same regardless of playback settings or faults.
+ */
+
+import { getRealTimeClock } from './playbackClock';
+
+export const SESSION_FORMAT = 'fleet-session';
+export const SESSION_VERSION = 1;
+
+// Minimum wall-clock ms between recorded statistics snapshots
+export const STATS_INTERVAL_MS = 250;
+
+export class SessionRecorder {
+  /**
+   * clock: time source for delivery times (see playbackClock.js)
+   */
+  constructor({ clock = getRealTimeClock() } = {}) {
+    this.clock = clock;
+    this.recording = false;
+    this.session = null;
+  }
+
+  get entryCount() {
+    return this.session ? this.session.entries.length : 0;
+  }
+
+  /**
+   * Start a new recording
+   * dataset: describes what was playing (e.g. { key, tripIds }), for the session file
+   * settings: playback settings in effect (speed, direction, ...)
+   * snapshot: what is already on screen, { events: [{ event, tripId }], stats },
+   * recorded first so a replay starts from the same view
+   */
+  start({ dataset = null, settings = {}, snapshot = null } = {}) {
+    this.startedAt = this.clock.now();
+    this.lastStatsAt = -Infinity;
+    this.eventSeqs = new WeakMap(); // delivered event -> its seq, for retractions
+    this.nextSeq = 0;
+    this.session = {
+      format: SESSION_FORMAT,
+      version: SESSION_VERSION,
+      recordedAt: new Date().toISOString(),
+      dataset,
+      settings,
+      duration: 0,
+      entries: []
+    };
+    this.recording = true;
+
+    if (snapshot) {
+      (snapshot.events || []).forEach(({ event, tripId }) => this.recordEvent(event, tripId));
+      this.recordStats(snapshot.stats, { force: true });
+    }
+  }
+
+  /**
+   * Stop recording; returns the session
+   */
+  stop() {
+    if (!this.session) return null;
+    if (this.recording) this.session.duration = this._elapsed();
+    this.recording = false;
+    return this.session;
+  }
+
+  recordEvent(event, tripId = null) {
+    if (!this.recording) return;
+    const seq = this.nextSeq++;
+    this.eventSeqs.set(event, seq);
+    this._push({ kind: 'event', seq, tripId, event });
+  }
+
+  /**
+   * Events retracted by reverse playback, referenced by the seq they were recorded with
+   */
+  recordRewind(events) {
+    if (!this.recording) return;
+    const seqs = events.map(event => this.eventSeqs.get(event)).filter(seq => seq !== undefined);
+    if (seqs.length > 0) this._push({ kind: 'rewind', seqs });
+  }
+
+  recordClear() {
+    if (!this.recording) return;
+    this._push({ kind: 'clear' });
+  }
+
+  /**
+   * A user action: play, pause, seek, speed, direction, step, jump, reset, ...
+   */
+  recordAction(action, payload = {}) {
+    if (!this.recording) return;
+    this._push({ kind: 'action', action, payload });
+  }
+
+  /**
+   * Stream statistics, at most every STATS_INTERVAL_MS unless forced
+   */
+  recordStats(stats, { force = false } = {}) {
+    if (!this.recording || !stats) return;
+    const at = this._elapsed();
+    if (!force && at - this.lastStatsAt < STATS_INTERVAL_MS) return;
+    this.lastStatsAt = at;
+    this._push({ kind: 'stats', stats });
+  }
+
+  _elapsed() {
+    return this.clock.now() - this.startedAt;
+  }
+
+  _push(entry) {
+    const at = this._elapsed();
+    this.session.entries.push({ at, ...entry });
+    this.session.duration = at;
+  }
+}
+
+/**
+ * Session as a JSON file body
+ */
+export function serializeSession(session) {
+  return JSON.stringify(session);
+}
+
+/**
+ * Parse and check a session file; throws on anything that isn't a session
+ */
+export function parseSession(text) {
+  let session;
+  try {
+    session = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Session file is not valid JSON: ${error.message}`);
+  }
+
+  if (!session || session.format !== SESSION_FORMAT) {
+    throw new Error('Not a recorded session file');
+  }
+  if (session.version !== SESSION_VERSION) {
+    throw new Error(`Unsupported session version: ${session.version}`);
+  }
+  if (!Array.isArray(session.entries)) {
+    throw new Error('Session file has no entries');
+  }
+  const outOfOrder = session.entries.findIndex((entry, i) =>
+    !Number.isFinite(entry?.at) || (i > 0 && entry.at < session.entries[i - 1].at));
+  if (outOfOrder >= 0) {
+    throw new Error(`Session entry ${outOfOrder} has an invalid time`);
+  }
+  const lastAt = session.entries.length ? session.entries[session.entries.length - 1].at : 0;
+  if (!Number.isFinite(session.duration) || session.duration < lastAt) {
+    throw new Error('Session file has an invalid duration');
+  }
+  return session;
+}
+
+/**
+ * File name for a recorded session
+ */
+export function getSessionFileName(session) {
+  const stamp = (session.recordedAt || new Date().toISOString()).replace(/[:.]/g, '-');
+  return `fleet-session-${stamp}.json`;
+}
+
+export class SessionPlayer {
+  /**
+   * Replays a session's entries at their recorded offsets
+   * clock: time source and frame scheduler (see playbackClock.js)
+   */
+  constructor(session, { clock = getRealTimeClock() } = {}) {
+    this.session = session;
+    this.clock = clock;
+    this.index = 0; // next entry to emit
+    this.elapsed = 0; // session time reached
+    this.isPlaying = false;
+    this.frame = null;
+    this.listeners = { entry: new Set(), complete: new Set() };
+  }
+
+  get duration() {
+    return this.session.duration;
+  }
+
+  getProgress() {
+    return this.duration > 0 ? Math.min(1, this.elapsed / this.duration) : (this.index > 0 ? 1 : 0);
+  }
+
+  /**
+   * Subscribe to replayed entries, one call per entry in order
+   */
+  onEntry(listener) {
+    this.listeners.entry.add(listener);
+    return () => this.listeners.entry.delete(listener);
+  }
+
+  /**
+   * Subscribe to the end of the session
+   */
+  onComplete(listener) {
+    this.listeners.complete.add(listener);
+    return () => this.listeners.complete.delete(listener);
+  }
+
+  play() {
+    if (this.isPlaying) return;
+    if (this.index >= this.session.entries.length) this.rewind();
+    this.isPlaying = true;
+    this.anchorWallTime = this.clock.now();
+    this.anchorElapsed = this.elapsed;
+    this._tick();
+  }
+
+  pause() {
+    if (!this.isPlaying) return;
+    this.elapsed = this._elapsedNow();
+    this.isPlaying = false;
+    this.clock.cancelFrame(this.frame);
+    this.frame = null;
+  }
+
+  /**
+   * Back to the start of the session (listeners should clear what they show)
+   */
+  rewind() {
+    this.pause();
+    this.index = 0;
+    this.elapsed = 0;
+  }
+
+  _elapsedNow() {
+    return Math.min(this.duration, this.anchorElapsed + (this.clock.now() - this.anchorWallTime));
+  }
+
+  _tick() {
+    if (!this.isPlaying) return;
+    this.elapsed = this._elapsedNow();
+
+    const { entries } = this.session;
+    while (this.index < entries.length && entries[this.index].at <= this.elapsed) {
+      const entry = entries[this.index++];
+      this._emit('entry', entry);
+    }
+
+    if (this.index >= entries.length && this.elapsed >= this.duration) {
+      this.isPlaying = false;
+      this.frame = null;
+      this._emit('complete');
+      return;
+    }
+    this.frame = this.clock.requestFrame(() => this._tick());
+  }
+
+  _emit(type, payload) {
+    this.listeners[type].forEach(listener => {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error(`Error in session ${type} listener:`, error);
+      }
+    });
+  }
+}
@@ -0,0 +1,100 @@
+import { VirtualClock } from './playbackClock';
+import { parseSession, serializeSession, SessionPlayer, SessionRecorder } from './sessionRecording';
+import MockEventStreamAPI from '../api/mockEventStream';
+
+const START = Date.parse('2025-11-03T08:00:00Z');
+
+function makeEvent(tripId, offsetMs, eventType = 'location_update') {
+  return {
+    event_id: `${tripId}-${offsetMs}`,
+    trip_id: tripId,
+    event_type: eventType,
+    timestamp: new Date(START + offsetMs).toISOString()
+  };
+}
+
+const trips = {
+  'trip-a': [makeEvent('trip-a', 0, 'trip_started'), makeEvent('trip-a', 1000), makeEvent('trip-a', 3000, 'trip_completed')],
+  'trip-b': [makeEvent('trip-b', 500, 'trip_started'), makeEvent('trip-b', 1000), makeEvent('trip-b', 2000, 'trip_completed')]
+};
+
+function recordSession() {
+  const clock = new VirtualClock({ frameInterval: 100 });
+  const api = new MockEventStreamAPI(trips, 1, { clock });
+  const recorder = new SessionRecorder({ clock });
+  api.onEvent(event => recorder.recordEvent(event, api.getTripIdForEvent(event)));
+  api.onRewind(events => recorder.recordRewind(events));
+
+  recorder.start({ dataset: { key: 'test' }, settings: { speed: 1 } });
+  recorder.recordAction('play');
+  api.startStream();
+  clock.advance(1100);
+  recorder.recordAction('pause');
+  api.stopStream();
+  clock.advance(2000);
+  recorder.recordAction('seek', { progress: 0.5 });
+  recorder.recordClear();
+  api.seekToProgress(0.5);
+  recorder.recordAction('play');
+  api.startStream();
+  clock.runUntilIdle();
+  return recorder.stop();
+}
+
+test('replays a recorded session with its original timing', () => {
+  const session = recordSession();
+  const actions = session.entries.filter(entry => entry.kind === 'action').map(entry => [entry.at, entry.action]);
+  expect(actions).toEqual([[0, 'play'], [1100, 'pause'], [3100, 'seek'], [3100, 'play']]);
+
+  const loaded = parseSession(serializeSession(session));
+  const clock = new VirtualClock({ frameInterval: 50 });
+  const player = new SessionPlayer(loaded, { clock });
+  const replayed = [];
+  let completedAt = null;
+  player.onEntry(entry => replayed.push({ at: clock.now(), entry }));
+  player.onComplete(() => { completedAt = clock.now(); });
+
+  player.play();
+  clock.runUntilIdle();
+
+  expect(replayed.map(({ entry }) => entry)).toEqual(loaded.entries);
+  // Each entry is re-emitted on the first frame at or after its recorded offset
+  replayed.forEach(({ at, entry }) => {
+    expect(at).toBeGreaterThanOrEqual(entry.at);
+    expect(at - entry.at).toBeLessThan(50);
+  });
+  expect(completedAt).toBe(session.duration);
+  expect(player.getProgress()).toBe(1);
+});
+
+test('pausing a replay holds its position', () => {
+  const session = recordSession();
+  const clock = new VirtualClock({ frameInterval: 100 });
+  const player = new SessionPlayer(session, { clock });
+  const replayed = [];
+  player.onEntry(entry => replayed.push(entry));
+
+  player.play();
+  clock.advance(1200);
+  player.pause();
+  const count = replayed.length;
+  clock.advance(5000);
+  expect(replayed).toHaveLength(count);
+  expect(player.elapsed).toBe(1200);
+
+  player.play();
+  clock.runUntilIdle();
+  expect(replayed).toEqual(session.entries);
+});
+
+test('rejects files that are not recorded sessions', () => {
+  const session = recordSession();
+  expect(() => parseSession('{nope')).toThrow('not valid JSON');
+  expect(() => parseSession(JSON.stringify({ entries: [] }))).toThrow('Not a recorded session file');
+  expect(() => parseSession(JSON.stringify({ ...session, version: 99 }))).toThrow('Unsupported session version');
+  const shuffled = { ...session, entries: [...session.entries].reverse() };
+  expect(() => parseSession(JSON.stringify(shuffled))).toThrow('invalid time');
+  const { duration, ...undated } = session;
+  expect(() => parseSession(JSON.stringify(undated))).toThrow('invalid duration');
+  expect(() => parseSession(JSON.stringify({ ...session, duration: duration - 1 }))).toThrow('invalid duration');
+});
@@ -1,26 +1,57 @@
 /**
  * Simulation Engine for real-time fleet tracking
  * Processes events based on timestamps with configurable playback speed
+ *
+ * Clock, delivery and seeking come from a PlaybackEngine, so this engine
+ * agrees with the event stream about the current time.
  */
 
+import { PlaybackEngine } from './playbackEngine';
+
 export class SimulationEngine {
-  constructor(trips, speedMultiplier = 1) {
+  /**
+   * engine: PlaybackEngine to drive (e.g. the shared one); a private engine otherwise
+   * clock: clock for that private engine (see playbackClock.js)
+   */
+  constructor(trips, speedMultiplier = 1, { engine = null, clock } = {}) {
     this.trips = trips;
-    this.speedMultiplier = speedMultiplier;
-    this.isRunning = false;
-    this.simulationTime = null; // null = not started, timestamp = current sim time
+    this.engine = engine || new PlaybackEngine({ clock });
+    this.speedMultiplier = Math.max(0.1, speedMultiplier);
+    this.started = false;
     this.processedEvents = new Map(); // tripId -> Set of processed event indices
     this.eventCallbacks = [];
     this.completionCallbacks = [];
-    this.intervalId = null;
-    this.lastUpdateTime = Date.now();
+    this.subscriptions = [];
+
+    // Trips keyed by id for the playback engine, and each event's origin
+    this.tripsById = {};
+    this.eventOrigins = new Map(); // event -> { trip, index }
+    trips.forEach(trip => {
+      const events = trip.events || [];
+      this.tripsById[trip.id] = events;
+      events.forEach((event, index) => this.eventOrigins.set(event, { trip, index }));
+    });
+  }
+
+  /**
+   * Current simulation time (ms), or null when not started
+   */
+  get simulationTime() {
+    return this.started ? this.engine.position : null;
+  }
+
+  get isRunning() {
+    return this.started && this.engine.isPlaying;
   }
 
   /**
    * Initialize simulation with all trips
    */
   initialize() {
-    this.simulationTime = this.getEarliestTimestamp();
+    this.engine.load(this.tripsById);
+    this.engine.setRate(this.speedMultiplier);
+    this.engine.reset();
+    this.started = true;
     this.processedEvents.clear();
     this.trips.forEach(trip => {
       this.processedEvents.set(trip.id, new Set());
@@ -31,32 +62,16 @@ export class SimulationEngine {
    * Get the earliest timestamp across all trips
    */
   getEarliestTimestamp() {
-    let earliest = Infinity;
-    this.trips.forEach(trip => {
-      if (trip.events && trip.events.length > 0) {
-        const tripEarliest = Math.min(
-          ...trip.events.map(e => new Date(e.timestamp).getTime())
-        );
-        earliest = Math.min(earliest, tripEarliest);
-      }
-    });
-    return earliest === Infinity ? Date.now() : earliest;
+    this.engine.load(this.tripsById);
+    return this.engine.events.length > 0 ? this.engine.startTime : Date.now();
   }
 
   /**
    * Get the latest timestamp across all trips
    */
   getLatestTimestamp() {
-    let latest = 0;
-    this.trips.forEach(trip => {
-      if (trip.events && trip.events.length > 0) {
-        const tripLatest = Math.max(
-          ...trip.events.map(e => new Date(e.timestamp).getTime())
-        );
-        latest = Math.max(latest, tripLatest);
-      }
-    });
-    return latest;
+    this.engine.load(this.tripsById);
+    return this.engine.events.length > 0 ? this.engine.endTime : 0;
   }
 
   /**
@@ -64,6 +79,7 @@ export class SimulationEngine {
    */
   setSpeedMultiplier(multiplier) {
     this.speedMultiplier = Math.max(0.1, multiplier);
+    this.engine.setRate(this.speedMultiplier);
   }
 
   /**
@@ -72,99 +88,63 @@ export class SimulationEngine {
   start(onEventCallback, onCompleteCallback) {
     if (this.isRunning) return;
 
-    if (!this.simulationTime) {
+    if (!this.started) {
       this.initialize();
     }
 
-    this.isRunning = true;
     this.eventCallbacks = [onEventCallback].filter(Boolean);
     this.completionCallbacks = [onCompleteCallback].filter(Boolean);
-    this.lastUpdateTime = Date.now();
-
-    this.intervalId = setInterval(() => {
-      this.update();
-    }, 16); // ~60fps
+    this._subscribe();
+    this.engine.play();
   }
 
-  /**
-   * Update simulation, process new events
-   */
-  update() {
-    const now = Date.now();
-    const deltaTime = now - this.lastUpdateTime;
-    this.lastUpdateTime = now;
-
-    // Advance simulation time based on real time elapsed and speed multiplier
-    // 1 real second = speedMultiplier simulation seconds
-    const simulationDelta = deltaTime * this.speedMultiplier;
-    this.simulationTime += simulationDelta;
-
-    const latestTimestamp = this.getLatestTimestamp();
-
-    // Check if simulation is complete
-    if (this.simulationTime >= latestTimestamp) {
-      this.simulationTime = latestTimestamp;
-      this.processAllRemainingEvents();
-      this.stop();
-      this.completionCallbacks.forEach(cb => cb && cb());
-      return;
-    }
+  _subscribe() {
+    this._unsubscribe();
+    this.subscriptions = [
+      this.engine.onEvent(event => this._handleEvent(event)),
+      this.engine.onRewind(events => this._handleRewind(events)),
+      this.engine.onComplete(() => {
+        this.stop();
+        this.completionCallbacks.forEach(cb => cb && cb());
+      })
+    ];
+  }
 
-    // Process events that should occur at current simulation time
-    this.processEventsAtCurrentTime();
+  _unsubscribe() {
+    this.subscriptions.forEach(unsubscribe => unsubscribe());
+    this.subscriptions = [];
   }
 
-  /**
-   * Process all events that should be visible at current simulation time
-   */
-  processEventsAtCurrentTime() {
-    this.trips.forEach(trip => {
-      if (!trip.events) return;
+  _handleEvent(event) {
+    const origin = this.eventOrigins.get(event);
+    if (!origin) return;
+    const { trip, index } = origin;
 
-      const processedSet = this.processedEvents.get(trip.id);
-      trip.events.forEach((event, index) => {
-        if (!processedSet.has(index)) {
-          const eventTime = new Date(event.timestamp).getTime();
-          if (eventTime <= this.simulationTime) {
-            processedSet.add(index);
-            this.eventCallbacks.forEach(cb => {
-              cb && cb({
-                tripId: trip.id,
-                tripName: trip.name || trip.id,
-                event,
-                eventIndex: index,
-                totalEvents: trip.events.length
-              });
-            });
-          }
-        }
+    this.processedEvents.get(trip.id).add(index);
+    this.eventCallbacks.forEach(cb => {
+      cb && cb({
+        tripId: trip.id,
+        tripName: trip.name || trip.id,
+        event,
+        eventIndex: index,
+        totalEvents: trip.events.length
       });
     });
   }
 
+  _handleRewind(events) {
+    events.forEach(event => {
+      const origin = this.eventOrigins.get(event);
+      if (origin) this.processedEvents.get(origin.trip.id).delete(origin.index);
+    });
+  }
+
   /**
-   * Process all remaining events (for completion)
+   * Update simulation, process new events
+   * Playback advances on its own; this forces an immediate catch-up
    */
-  processAllRemainingEvents() {
-    this.trips.forEach(trip => {
-      if (!trip.events) return;
-
-      const processedSet = this.processedEvents.get(trip.id);
-      trip.events.forEach((event, index) => {
-        if (!processedSet.has(index)) {
-          processedSet.add(index);
-          this.eventCallbacks.forEach(cb => {
-            cb && cb({
-              tripId: trip.id,
-              tripName: trip.name || trip.id,
-              event,
-              eventIndex: index,
-              totalEvents: trip.events.length
-            });
-          });
-        }
-      });
-    });
+  update() {
+    this.engine.tick();
   }
 
   /**
@@ -172,11 +152,7 @@ export class SimulationEngine {
    */
   pause() {
     if (!this.isRunning) return;
-    this.isRunning = false;
-    if (this.intervalId) {
-      clearInterval(this.intervalId);
-      this.intervalId = null;
-    }
+    this.engine.pause();
   }
 
   /**
@@ -195,7 +171,8 @@ export class SimulationEngine {
    */
   stop() {
     this.pause();
-    this.simulationTime = null;
+    this._unsubscribe();
+    this.started = false;
     this.processedEvents.clear();
   }
 
@@ -208,24 +185,23 @@ export class SimulationEngine {
 
   /**
    * Seek to a specific time in the simulation
+   * Events after the new time become unprocessed; earlier ones count as processed
    */
   seekToTime(timestamp) {
-    this.simulationTime = Math.max(
-      this.getEarliestTimestamp(),
-      Math.min(timestamp, this.getLatestTimestamp())
-    );
+    if (!this.started) {
+      this.initialize();
+    }
+    this.engine.seek(timestamp);
 
-    // Reset processed events for all events after this time
     this.trips.forEach(trip => {
       const processedSet = this.processedEvents.get(trip.id);
-      if (trip.events) {
-        trip.events.forEach((event, index) => {
-          const eventTime = new Date(event.timestamp).getTime();
-          if (eventTime > this.simulationTime) {
-            processedSet.delete(index);
-          }
-        });
-      }
+      (trip.events || []).forEach((event, index) => {
+        if (new Date(event.timestamp).getTime() <= this.engine.position) {
+          processedSet.add(index);
+        } else {
+          processedSet.delete(index);
+        }
+      });
     });
   }
 
@@ -233,18 +209,16 @@ export class SimulationEngine {
    * Get simulation progress (0-1)
    */
   getProgress() {
-    const earliest = this.getEarliestTimestamp();
-    const latest = this.getLatestTimestamp();
-    if (!this.simulationTime || latest === earliest) return 0;
-    return Math.max(0, Math.min(1, (this.simulationTime - earliest) / (latest - earliest)));
+    if (!this.started) return 0;
+    return this.engine.getProgress();
   }
 
   /**
    * Get current simulation time as human-readable string
    */
   getCurrentTimeString() {
-    if (!this.simulationTime) return 'Not started';
-    return new Date(this.simulationTime).toLocaleTimeString();
+    if (!this.started) return 'Not started';
+    return new Date(this.engine.position).toLocaleTimeString();
   }
 
   /**
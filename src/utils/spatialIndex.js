@@ -0,0 +1,200 @@
+/**
+ * Spatial grid index over event locations
+ * Buckets event positions into fixed-size lat/lng cells for bounding-box,
+ * radius and nearest-N queries. A bounding box with minLng > maxLng crosses
+ * the antimeridian; radius and nearest queries wrap it (and cover every
+ * longitude around the poles) by themselves.
+ */
+
+import { EARTH_RADIUS_KM, haversineKm } from './geo.js';
+
+const KM_PER_DEGREE = (EARTH_RADIUS_KM * Math.PI) / 180;
+
+// No two points on the globe are further apart
+const MAX_DISTANCE_KM = EARTH_RADIUS_KM * Math.PI;
+
+// Bounds for the automatically chosen cell size, in degrees
+const MIN_CELL_SIZE = 0.001;
+const MAX_CELL_SIZE = 1;
+
+// Target number of points per occupied cell when sizing automatically
+const TARGET_POINTS_PER_CELL = 8;
+
+function hasCoordinates(event) {
+  return Number.isFinite(event?.location?.lat) && Number.isFinite(event?.location?.lng);
+}
+
+/**
+ * A longitude span as ranges within [-180, 180], split where it crosses the antimeridian
+ */
+function wrapLngRange(minLng, maxLng) {
+  if (maxLng - minLng >= 360) return [[-180, 180]];
+  const turns = Math.floor((minLng + 180) / 360);
+  const min = minLng - turns * 360;
+  const max = maxLng - turns * 360;
+  return max <= 180 ? [[min, max]] : [[min, 180], [-180, max - 360]];
+}
+
+/**
+ * Longitude ranges of a bounding box; minLng > maxLng crosses the antimeridian
+ */
+function bboxLngRanges({ minLng, maxLng }) {
+  return minLng > maxLng ? [[minLng, 180], [-180, maxLng]] : wrapLngRange(minLng, maxLng);
+}
+
+const inLngRanges = (lng, ranges) => ranges.some(([min, max]) => lng >= min && lng <= max);
+
+/**
+ * Whether a { lat, lng } lies inside { minLat, minLng, maxLat, maxLng } (inclusive)
+ */
+export function bboxContains(bbox, location) {
+  return Number.isFinite(location?.lat) && Number.isFinite(location?.lng) &&
+    location.lat >= bbox.minLat && location.lat <= bbox.maxLat &&
+    inLngRanges(location.lng, bboxLngRanges(bbox));
+}
+
+/**
+ * Pick a cell size so the data's extent splits into roughly n / 8 cells
+ */
+function chooseCellSize(points) {
+  if (points.length === 0) return MAX_CELL_SIZE;
+
+  let minLat = Infinity, maxLat = -Infinity, minLng = Infinity, maxLng = -Infinity;
+  points.forEach(({ lat, lng }) => {
+    minLat = Math.min(minLat, lat);
+    maxLat = Math.max(maxLat, lat);
+    minLng = Math.min(minLng, lng);
+    maxLng = Math.max(maxLng, lng);
+  });
+
+  const extent = Math.max(maxLat - minLat, maxLng - minLng);
+  const cellsPerAxis = Math.sqrt(Math.max(1, points.length / TARGET_POINTS_PER_CELL));
+  return Math.min(MAX_CELL_SIZE, Math.max(MIN_CELL_SIZE, extent / cellsPerAxis));
+}
+
+export class SpatialGridIndex {
+  /**
+   * Index the located events of a list; positions refer back to that list
+   * cellSize is in degrees and chosen from the data when omitted
+   */
+  constructor(events = [], { cellSize } = {}) {
+    this.points = []; // { position, lat, lng }
+    events.forEach((event, position) => {
+      if (hasCoordinates(event)) {
+        this.points.push({ position, lat: event.location.lat, lng: event.location.lng });
+      }
+    });
+
+    this.cellSize = cellSize || chooseCellSize(this.points);
+    this.cells = new Map(); // "row:col" -> points
+    this.rowRange = [Infinity, -Infinity];
+    this.colRange = [Infinity, -Infinity];
+
+    this.points.forEach(point => {
+      const row = this._row(point.lat);
+      const col = this._col(point.lng);
+      const key = `${row}:${col}`;
+      if (!this.cells.has(key)) this.cells.set(key, []);
+      this.cells.get(key).push(point);
+      this.rowRange = [Math.min(this.rowRange[0], row), Math.max(this.rowRange[1], row)];
+      this.colRange = [Math.min(this.colRange[0], col), Math.max(this.colRange[1], col)];
+    });
+  }
+
+  get size() {
+    return this.points.length;
+  }
+
+  _row(lat) {
+    return Math.floor(lat / this.cellSize);
+  }
+
+  _col(lng) {
+    return Math.floor(lng / this.cellSize);
+  }
+
+  // Points in the cells overlapping a latitude span and some longitude ranges
+  _pointsInArea(minLat, maxLat, lngRanges) {
+    return lngRanges.flatMap(([minLng, maxLng]) =>
+      this._pointsInCellRange(this._row(minLat), this._row(maxLat), this._col(minLng), this._col(maxLng)));
+  }
+
+  /**
+   * Points in every cell overlapping a row/column range
+   * Iterates occupied cells instead when the range covers more cells than exist
+   */
+  _pointsInCellRange(minRow, maxRow, minCol, maxCol) {
+    const results = [];
+    const cellCount = (maxRow - minRow + 1) * (maxCol - minCol + 1);
+
+    if (cellCount > this.cells.size) {
+      this.cells.forEach((points, key) => {
+        const [row, col] = key.split(':').map(Number);
+        if (row >= minRow && row <= maxRow && col >= minCol && col <= maxCol) {
+          results.push(...points);
+        }
+      });
+      return results;
+    }
+
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        const points = this.cells.get(`${row}:${col}`);
+        if (points) results.push(...points);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Positions of points inside { minLat, minLng, maxLat, maxLng } (inclusive)
+   * An optional predicate(position) filters the matches
+   */
+  queryBBox(bbox, predicate = null) {
+    const lngRanges = bboxLngRanges(bbox);
+    return this._pointsInArea(bbox.minLat, bbox.maxLat, lngRanges)
+      .filter(point =>
+        point.lat >= bbox.minLat && point.lat <= bbox.maxLat &&
+        inLngRanges(point.lng, lngRanges) &&
+        (!predicate || predicate(point.position))
+      )
+      .map(point => point.position);
+  }
+
+  /**
+   * Positions of points within radiusKm of { lat, lng }, nearest first
+   * Matches carry their distance: [{ position, distanceKm }]
+   */
+  queryRadius(center, radiusKm, predicate = null) {
+    const latDelta = radiusKm / KM_PER_DEGREE;
+    const minLat = Math.max(-90, center.lat - latDelta);
+    const maxLat = Math.min(90, center.lat + latDelta);
+    // A circle around a pole takes in every longitude
+    const poleward = Math.max(Math.abs(minLat), Math.abs(maxLat));
+    const lngDelta = poleward >= 90
+      ? 180
+      : Math.min(180, radiusKm / (KM_PER_DEGREE * Math.cos((poleward * Math.PI) / 180)));
+
+    return this._pointsInArea(minLat, maxLat, wrapLngRange(center.lng - lngDelta, center.lng + lngDelta))
+      .filter(point => !predicate || predicate(point.position))
+      .map(point => ({ position: point.position, distanceKm: haversineKm(center, point) }))
+      .filter(match => match.distanceKm <= radiusKm)
+      .sort((a, b) => a.distanceKm - b.distanceKm);
+  }
+
+  /**
+   * The n points nearest to { lat, lng }: [{ position, distanceKm }], nearest first
+   * Widens a radius query until it holds n points (or covers the globe), so
+   * it wraps the antimeridian and poles like queryRadius
+   */
+  nearest(center, n = 1, predicate = null) {
+    if (this.points.length === 0 || n <= 0) return [];
+
+    let radiusKm = this.cellSize * KM_PER_DEGREE;
+    for (;;) {
+      const matches = this.queryRadius(center, radiusKm, predicate);
+      if (matches.length >= n || radiusKm >= MAX_DISTANCE_KM) return matches.slice(0, n);
+      radiusKm = Math.min(MAX_DISTANCE_KM, radiusKm * 2);
+    }
+  }
+}
@@ -0,0 +1,100 @@
+import { bboxContains, SpatialGridIndex } from './spatialIndex';
+import { IndexedEventStore } from './eventProcessor';
+
+const START = Date.parse('2025-11-03T10:00:00Z');
+const at = minutes => new Date(START + minutes * 60 * 1000).toISOString();
+
+function ping(vehicleId, minutes, lat, lng, eventType = 'location_ping') {
+  return { trip_id: `trip-${vehicleId}`, vehicle_id: vehicleId, event_type: eventType, timestamp: at(minutes), location: { lat, lng } };
+}
+
+// A depot at (40, -74) with traffic around it, plus points by the antimeridian and the north pole
+const depotEvents = [
+  ping('VH_1', 0, 40.0, -74.0),
+  ping('VH_1', 60, 40.01, -74.0, 'speed_violation'),
+  ping('VH_2', 90, 40.03, -74.02),
+  ping('VH_2', 150, 40.2, -74.3),
+  ping('VH_3', 130, 41.0, -74.0),
+  ping('VH_3', 140, 40.0, -74.0, 'device_error'),
+  { trip_id: 'trip-VH_4', vehicle_id: 'VH_4', event_type: 'device_error', timestamp: at(100) }
+];
+const edgeEvents = [
+  ping('VH_5', 0, 10.0, 179.95),
+  ping('VH_5', 10, 10.0, -179.95),
+  ping('VH_5', 20, 10.0, -170.0),
+  ping('VH_6', 0, 89.95, 0),
+  ping('VH_6', 10, 89.95, 180),
+  ping('VH_6', 20, 88.0, 90)
+];
+
+const positions = (events, matches) => matches.map(event => events.indexOf(event));
+
+test('bounding boxes include points on cell and box edges', () => {
+  const points = [
+    { location: { lat: 2, lng: 3 } }, // on a cell corner
+    { location: { lat: 1.999, lng: 2.999 } },
+    { location: { lat: 3, lng: 4 } },
+    { location: { lat: 4.5, lng: 3 } }
+  ];
+  const grid = new SpatialGridIndex(points, { cellSize: 1 });
+
+  expect(grid.queryBBox({ minLat: 2, minLng: 3, maxLat: 3, maxLng: 4 }).sort()).toEqual([0, 2]);
+  expect(grid.queryBBox({ minLat: 1, minLng: 2, maxLat: 2, maxLng: 3 }).sort()).toEqual([0, 1]);
+  expect(grid.queryBBox({ minLat: 3.5, minLng: 0, maxLat: 5, maxLng: 5 })).toEqual([3]);
+});
+
+test('queries wrap the antimeridian and cover every longitude around a pole', () => {
+  const grid = new SpatialGridIndex(edgeEvents, { cellSize: 0.5 });
+
+  // A box from 179° east to 179° west
+  expect(grid.queryBBox({ minLat: 9, minLng: 179, maxLat: 11, maxLng: -179 }).sort()).toEqual([0, 1]);
+  expect(bboxContains({ minLat: 9, minLng: 179, maxLat: 11, maxLng: -179 }, { lat: 10, lng: -170 })).toBe(false);
+
+  const nearby = grid.queryRadius({ lat: 10, lng: 179.95 }, 20);
+  expect(nearby.map(match => match.position)).toEqual([0, 1]);
+  expect(nearby[1].distanceKm).toBeCloseTo(10.9, 0);
+  expect(grid.nearest({ lat: 10, lng: 179.99 }, 2).map(match => match.position)).toEqual([0, 1]);
+  expect(grid.nearest({ lat: 10, lng: -179.99 }, 1).map(match => match.position)).toEqual([1]);
+
+  // Points at 0° and 180° are 11 km apart over the pole
+  expect(grid.queryRadius({ lat: 89.95, lng: 0 }, 15).map(match => match.position)).toEqual([3, 4]);
+  expect(grid.queryRadius({ lat: 90, lng: 0 }, 250).map(match => match.position).sort()).toEqual([3, 4, 5]);
+  expect(grid.nearest({ lat: 89.99, lng: -90 }, 3).map(match => match.position).sort()).toEqual([3, 4, 5]);
+});
+
+test('nearest-N stops at the number of located points', () => {
+  const grid = new SpatialGridIndex(depotEvents);
+  const nearest = grid.nearest({ lat: 40, lng: -74 }, 10);
+  expect(nearest).toHaveLength(6);
+  expect(nearest.map(match => match.distanceKm)).toEqual([...nearest.map(match => match.distanceKm)].sort((a, b) => a - b));
+});
+
+test('store area queries combine with time-window and event-type filters', () => {
+  const store = new IndexedEventStore(depotEvents);
+  const area = { minLat: 39.9, minLng: -74.1, maxLat: 40.1, maxLng: -73.9 };
+
+  expect(positions(depotEvents, store.getEventsInBBox(area))).toEqual([0, 1, 2, 5]);
+  expect(positions(depotEvents, store.getEventsInBBox(area, { startTime: at(30), endTime: at(120) }))).toEqual([1, 2]);
+  expect(positions(depotEvents, store.getEventsInBBox(area, { types: ['speed_violation', 'device_error'] }))).toEqual([1, 5]);
+  expect(store.getVehiclesInBBox(area, { startTime: at(60), endTime: at(150) })).toEqual(['VH_1', 'VH_2', 'VH_3']);
+
+  const depot = { lat: 40, lng: -74 };
+  expect(positions(depotEvents, store.getEventsWithinRadius(depot, 5))).toEqual([0, 1, 2, 5]);
+  expect(positions(depotEvents, store.getEventsWithinRadius(depot, 5, { endTime: at(60), types: 'location_ping' }))).toEqual([0]);
+  expect(positions(depotEvents, store.getEventsWithinRadius(depot, 200, { startTime: at(120) }))).toEqual([4, 5, 3]);
+
+  const nearest = store.getNearestEvents(depot, 2, { types: ['location_ping'], startTime: at(100) });
+  expect(nearest.map(({ event }) => depotEvents.indexOf(event))).toEqual([3, 4]);
+  expect(nearest[0].distanceKm).toBeLessThan(nearest[1].distanceKm);
+});
+
+test('store area queries wrap the antimeridian on both query paths', () => {
+  // Enough events outside the window for the time filter to take the scan path
+  const filler = Array.from({ length: 40 }, (_, i) => ping('VH_7', 100 + i, 0, 0));
+  const store = new IndexedEventStore([...edgeEvents, ...filler]);
+  const area = { minLat: 9, minLng: 179, maxLat: 11, maxLng: -179 };
+
+  expect(store.getEventsInBBox(area).map(event => event.location.lng)).toEqual([179.95, -179.95]);
+  expect(store.getEventsInBBox(area, { startTime: at(5), endTime: at(15) }).map(event => event.location.lng)).toEqual([-179.95]);
+  expect(store.getEventsWithinRadius({ lat: 10, lng: -179.99 }, 20, { endTime: at(5) })).toEqual([edgeEvents[0]]);
+});
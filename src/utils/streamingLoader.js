@@ -0,0 +1,176 @@
+/**
+ * Streaming trip loader
+ * Reads NDJSON or JSON event arrays incrementally from a fetch Response so
+ * large trips don't freeze the UI and can be used while still loading
+ */
+
+/**
+ * Incremental NDJSON parser, one event per line
+ * feed() returns the events completed by the chunk
+ */
+export function createNdjsonParser() {
+  let buffer = '';
+  let lineNumber = 0;
+  const errors = [];
+
+  const parseLine = (line, events) => {
+    lineNumber++;
+    if (!line.trim()) return;
+    try {
+      events.push(JSON.parse(line));
+    } catch (e) {
+      errors.push(`line ${lineNumber}: ${e.message}`);
+    }
+  };
+
+  return {
+    feed(chunk) {
+      buffer += chunk;
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      const events = [];
+      lines.forEach(line => parseLine(line, events));
+      return events;
+    },
+    finish() {
+      const events = [];
+      parseLine(buffer, events);
+      buffer = '';
+      return { events, errors };
+    }
+  };
+}
+
+/**
+ * Incremental parser for a top-level JSON array of objects
+ * Each element is parsed as soon as its closing brace arrives. Documents
+ * that aren't arrays are buffered and returned whole from finish(), or as
+ * events when they turn out to be NDJSON.
+ */
+export function createJsonArrayParser() {
+  let buffer = '';
+  let position = 0;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let elementStart = -1;
+  let mode = null; // null until the first token, then 'array' or 'document'
+
+  return {
+    feed(chunk) {
+      buffer += chunk;
+      const events = [];
+
+      if (mode === null) {
+        const firstToken = buffer.trimStart()[0];
+        if (!firstToken) return events;
+        mode = firstToken === '[' ? 'array' : 'document';
+      }
+      if (mode === 'document') return events;
+
+      for (; position < buffer.length; position++) {
+        const char = buffer[position];
+
+        if (inString) {
+          if (escaped) escaped = false;
+          else if (char === '\\') escaped = true;
+          else if (char === '"') inString = false;
+          continue;
+        }
+
+        if (char === '"') {
+          inString = true;
+        } else if (char === '{' || char === '[') {
+          depth++;
+          if (depth === 2) elementStart = position;
+        } else if (char === '}' || char === ']') {
+          if (depth === 2 && elementStart >= 0) {
+            events.push(JSON.parse(buffer.slice(elementStart, position + 1)));
+            elementStart = -1;
+          }
+          depth--;
+        }
+      }
+
+      // Drop consumed text so the buffer only holds the element in progress
+      const keepFrom = elementStart >= 0 ? elementStart : position;
+      buffer = buffer.slice(keepFrom);
+      position -= keepFrom;
+      if (elementStart >= 0) elementStart = 0;
+
+      return events;
+    },
+    finish() {
+      if (mode === 'document') {
+        try {
+          return { events: [], document: JSON.parse(buffer), errors: [] };
+        } catch (error) {
+          // Not a single JSON document: fall back to NDJSON with a .json name
+          const ndjson = createNdjsonParser();
+          const events = ndjson.feed(buffer);
+          const rest = ndjson.finish();
+          if (events.length + rest.events.length === 0) throw error;
+          return { events: [...events, ...rest.events], errors: rest.errors };
+        }
+      }
+      if (depth !== 0) {
+        throw new Error('Unexpected end of JSON event array');
+      }
+      return { events: [], errors: [] };
+    }
+  };
+}
+
+/**
+ * Stream events out of a fetch Response
+ * onProgress({ bytesLoaded, totalBytes, eventsLoaded }) fires per chunk and
+ * onEvents(batch) receives each batch of newly parsed events and onText(text)
+ * each decoded chunk of the body.
+ * Resolves with every event (or the parsed document for non-array JSON).
+ */
+export async function streamTripEvents(response, { format = 'json', onProgress, onEvents, onText } = {}) {
+  const parser = format === 'ndjson' ? createNdjsonParser() : createJsonArrayParser();
+  const totalBytes = Number(response.headers?.get?.('content-length')) || null;
+  const events = [];
+  let bytesLoaded = 0;
+
+  const handleBatch = (batch) => {
+    if (batch.length === 0) return;
+    events.push(...batch);
+    onEvents?.(batch);
+  };
+
+  if (!response.body?.getReader) {
+    // No streaming support: parse the whole body in one go
+    const text = await response.text();
+    bytesLoaded = text.length;
+    onText?.(text);
+    handleBatch(parser.feed(text));
+  } else {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      bytesLoaded += value.byteLength;
+      const text = decoder.decode(value, { stream: true });
+      onText?.(text);
+      handleBatch(parser.feed(text));
+      onProgress?.({ bytesLoaded, totalBytes, eventsLoaded: events.length });
+    }
+    const rest = decoder.decode();
+    onText?.(rest);
+    handleBatch(parser.feed(rest));
+  }
+
+  const result = parser.finish();
+  handleBatch(result.events);
+  onProgress?.({ bytesLoaded, totalBytes: totalBytes || bytesLoaded, eventsLoaded: events.length });
+
+  if (result.errors.length > 0) {
+    console.warn(`Skipped ${result.errors.length} unparseable lines:`, result.errors.slice(0, 5));
+  }
+
+  return result.document !== undefined ? result.document : events;
+}
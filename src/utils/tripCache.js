@@ -0,0 +1,165 @@
+/**
+ * Persistent trip dataset cache (IndexedDB)
+ * Stores parsed events, validation reports and precomputed metrics keyed by
+ * trip file and revision, with the content hash, ETag and Last-Modified date
+ * used to revalidate in the background
+ */
+
+const DB_NAME = 'fleet-trip-cache';
+const STORE_NAME = 'trips';
+const DB_VERSION = 1;
+
+// Bump when the cached record shape or validation/metric logic changes
+export const CACHE_VERSION = 2;
+
+let dbPromise = null;
+
+/**
+ * Open (or create) the cache database; resolves null when IndexedDB is unavailable
+ */
+export function openCacheDb() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+
+    try {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('Trip cache unavailable:', request.error);
+        resolve(null);
+      };
+    } catch (error) {
+      console.warn('Trip cache unavailable:', error);
+      resolve(null);
+    }
+  });
+
+  return dbPromise;
+}
+
+function runRequest(db, mode, operation) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function getFileKey(trip) {
+  return `${trip.source || 'file'}:${trip.file}`;
+}
+
+/**
+ * Cache key for a manifest entry
+ * Includes the entry's revision (the file's content hash or ETag) when the
+ * manifest has one, so a new revision never reads the old one's record
+ */
+export function getCacheKey(trip) {
+  return trip.revision ? `${getFileKey(trip)}@${trip.revision}` : getFileKey(trip);
+}
+
+/**
+ * Delete records cached for other revisions of a trip file, and outdated records
+ */
+function pruneCachedTrips(db, fileKey, keepKey) {
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      const { key, fileKey: recordFileKey, version } = cursor.value;
+      if (key !== keepKey && (recordFileKey === fileKey || version !== CACHE_VERSION)) cursor.delete();
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Read the cached record for a trip, or null when missing or outdated
+ */
+export async function getCachedTrip(trip) {
+  const db = await openCacheDb();
+  if (!db) return null;
+
+  try {
+    const record = await runRequest(db, 'readonly', store => store.get(getCacheKey(trip)));
+    return record && record.version === CACHE_VERSION ? record : null;
+  } catch (error) {
+    console.warn(`Failed to read cache for ${trip.id}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Store a loaded trip: { events, report, metrics, contentHash, etag, lastModified }
+ * Replaces the records of the file's other revisions
+ */
+export async function putCachedTrip(trip, data) {
+  const db = await openCacheDb();
+  if (!db) return false;
+
+  try {
+    const key = getCacheKey(trip);
+    await runRequest(db, 'readwrite', store => store.put({
+      key,
+      fileKey: getFileKey(trip),
+      version: CACHE_VERSION,
+      file: trip.file,
+      cachedAt: new Date().toISOString(),
+      ...data
+    }));
+    await pruneCachedTrips(db, getFileKey(trip), key);
+    return true;
+  } catch (error) {
+    console.warn(`Failed to cache ${trip.id}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Remove every cached trip
+ */
+export async function clearTripCache() {
+  const db = await openCacheDb();
+  if (!db) return;
+  await runRequest(db, 'readwrite', store => store.clear());
+}
+
+/**
+ * Incremental FNV-1a content hash over text chunks
+ * Cheap enough to run on every streamed chunk; paired with the length to
+ * tell revisions of a trip file apart
+ */
+export function createContentHasher() {
+  let hash = 0x811c9dc5;
+  let length = 0;
+
+  return {
+    update(text) {
+      for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+      }
+      length += text.length;
+    },
+    digest() {
+      return `${(hash >>> 0).toString(16).padStart(8, '0')}-${length.toString(16)}`;
+    }
+  };
+}
@@ -0,0 +1,53 @@
+import { getCacheKey, createContentHasher } from './tripCache';
+import { loadTrip, normalizeManifest } from './dataLoader';
+
+const text = JSON.stringify([
+  { event_id: 'evt_1', vehicle_id: 'VH_9', trip_id: 'trip_9', event_type: 'trip_started', timestamp: '2025-11-03T08:00:00Z', location: { lat: 40, lng: -74 }, planned_distance_km: 25 }
+]);
+
+function respond(status, body = '', headers = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: '',
+    headers: { get: name => headers[name.toLowerCase()] ?? null },
+    text: async () => body
+  };
+}
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('cache keys carry the manifest revision of the trip file', () => {
+  const [plain, revised] = normalizeManifest({
+    trips: [{ id: 'trip_9', file: 'trip_9.json' }, { id: 'trip_9b', file: 'trip_9.json', revision: 'abc-12' }]
+  }).trips;
+  expect(getCacheKey(plain)).toBe('file:trip_9.json');
+  expect(getCacheKey(revised)).toBe('file:trip_9.json@abc-12');
+  expect(getCacheKey({ ...revised, revision: 'abc-13' })).not.toBe(getCacheKey(revised));
+});
+
+test('revalidation sends the cached validators and keeps the record on 304', async () => {
+  const trip = normalizeManifest({ trips: [{ id: 'trip_9', file: 'trip_9.json' }] }).trips[0];
+  const headers = { etag: '"v1"', 'last-modified': 'Mon, 03 Nov 2025 08:00:00 GMT' };
+  global.fetch = jest.fn(async () => respond(200, text, headers));
+
+  const loaded = await loadTrip(trip, { retries: 0 });
+  expect(global.fetch.mock.calls[0][1]).toBeUndefined();
+  const hasher = createContentHasher();
+  hasher.update(text);
+  expect(loaded).toMatchObject({ contentHash: hasher.digest(), etag: '"v1"', lastModified: headers['last-modified'] });
+
+  global.fetch = jest.fn(async () => respond(304));
+  const revalidated = await loadTrip(trip, { retries: 0, cached: loaded });
+  expect(global.fetch.mock.calls[0][1].headers).toEqual({ 'If-None-Match': '"v1"', 'If-Modified-Since': headers['last-modified'] });
+  expect(revalidated).toMatchObject({ notModified: true, etag: '"v1"', lastModified: headers['last-modified'] });
+
+  // A server without ETags still answers If-Modified-Since
+  global.fetch = jest.fn(async () => respond(200, text.replace('40', '41'), { 'last-modified': 'Tue, 04 Nov 2025 08:00:00 GMT' }));
+  const changed = await loadTrip(trip, { retries: 0, cached: { ...loaded, etag: null } });
+  expect(global.fetch.mock.calls[0][1].headers).toEqual({ 'If-Modified-Since': headers['last-modified'] });
+  expect(changed.notModified).toBeUndefined();
+  expect(changed.events[0].location.lat).toBe(41);
+});
@@ -0,0 +1,242 @@
+/**
+ * Trip track export utilities
+ * Writes location_ping events as GPX 1.1 tracks or GeoJSON for GIS tools,
+ * with notable events as waypoints / point features
+ */
+
+// Events exported as waypoints (GPX) or point features (GeoJSON)
+export const NOTABLE_EVENT_TYPES = [
+  'speed_violation',
+  'device_error',
+  'vehicle_stopped',
+  'refueling_started',
+  'refueling_completed'
+];
+
+export const EXPORT_FORMATS = {
+  gpx: { extension: 'gpx', mimeType: 'application/gpx+xml' },
+  geojson: { extension: 'geojson', mimeType: 'application/geo+json' }
+};
+
+const GPX_CREATOR = 'Fleet Tracking Dashboard';
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function hasCoordinates(event) {
+  return typeof event.location?.lat === 'number' && typeof event.location?.lng === 'number';
+}
+
+/**
+ * Flatten an event into dot-keyed scalar properties (coordinates excluded)
+ */
+export function flattenEventProperties(event, prefix = '', target = {}) {
+  Object.entries(event || {}).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (path === 'location.lat' || path === 'location.lng') return;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flattenEventProperties(value, path, target);
+    } else if (value !== undefined) {
+      target[path] = value;
+    }
+  });
+  return target;
+}
+
+/**
+ * Split trip events into the track points and notable events to export
+ */
+export function extractTrack(events = []) {
+  const sorted = [...events].sort(
+    (a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime()
+  );
+
+  return {
+    points: sorted.filter(e => e.event_type === 'location_ping' && hasCoordinates(e)),
+    waypoints: sorted.filter(e => NOTABLE_EVENT_TYPES.includes(e.event_type) && hasCoordinates(e))
+  };
+}
+
+function gpxTrackPoint(event) {
+  const lines = [`      <trkpt lat="${event.location.lat}" lon="${event.location.lng}">`];
+  if (typeof event.location.altitude_meters === 'number') {
+    lines.push(`        <ele>${event.location.altitude_meters}</ele>`);
+  }
+  lines.push(`        <time>${escapeXml(event.timestamp)}</time>`);
+
+  const speedKmh = event.movement?.speed_kmh;
+  const heading = event.movement?.heading_degrees;
+  if (typeof speedKmh === 'number' || typeof heading === 'number') {
+    lines.push('        <extensions>');
+    lines.push('          <gpxtpx:TrackPointExtension>');
+    if (typeof speedKmh === 'number') {
+      // GPX speeds are metres per second
+      lines.push(`            <gpxtpx:speed>${Math.round((speedKmh / 3.6) * 1000) / 1000}</gpxtpx:speed>`);
+    }
+    if (typeof heading === 'number') {
+      lines.push(`            <gpxtpx:course>${heading}</gpxtpx:course>`);
+    }
+    lines.push('          </gpxtpx:TrackPointExtension>');
+    lines.push('        </extensions>');
+  }
+
+  lines.push('      </trkpt>');
+  return lines.join('\n');
+}
+
+function gpxWaypoint(event, trackName) {
+  const properties = flattenEventProperties(event);
+  const description = Object.entries(properties)
+    .map(([key, value]) => `${key}=${value}`)
+    .join('; ');
+  const lines = [`  <wpt lat="${event.location.lat}" lon="${event.location.lng}">`];
+
+  if (typeof event.location.altitude_meters === 'number') {
+    lines.push(`    <ele>${event.location.altitude_meters}</ele>`);
+  }
+  lines.push(`    <time>${escapeXml(event.timestamp)}</time>`);
+  lines.push(`    <name>${escapeXml(`${trackName}: ${event.event_type}`)}</name>`);
+  lines.push(`    <desc>${escapeXml(description)}</desc>`);
+  lines.push(`    <type>${escapeXml(event.event_type)}</type>`);
+  lines.push('  </wpt>');
+  return lines.join('\n');
+}
+
+/**
+ * Build a GPX 1.1 document from one or more tracks
+ * Each track is { name, vehicleId, events }
+ */
+export function tracksToGpx(tracks, { name = 'Fleet tracks' } = {}) {
+  const extracted = tracks.map(track => ({ ...track, ...extractTrack(track.events) }));
+  const waypoints = extracted.flatMap(track => track.waypoints.map(event => gpxWaypoint(event, track.name)));
+
+  const trackXml = extracted.map(track => [
+    '  <trk>',
+    `    <name>${escapeXml(track.name)}</name>`,
+    track.vehicleId ? `    <desc>Vehicle ${escapeXml(track.vehicleId)}</desc>` : null,
+    '    <type>vehicle</type>',
+    '    <trkseg>',
+    ...track.points.map(gpxTrackPoint),
+    '    </trkseg>',
+    '  </trk>'
+  ].filter(line => line !== null).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="${GPX_CREATOR}"`,
+    '  xmlns="http://www.topografix.com/GPX/1/1"',
+    '  xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v2"',
+    '  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+    '  xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">',
+    '  <metadata>',
+    `    <name>${escapeXml(name)}</name>`,
+    `    <time>${new Date().toISOString()}</time>`,
+    '  </metadata>',
+    ...waypoints,
+    ...trackXml,
+    '</gpx>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Build a GeoJSON FeatureCollection from one or more tracks
+ * Each track becomes a LineString; notable events become Point features
+ */
+export function tracksToGeoJson(tracks) {
+  const features = [];
+
+  tracks.forEach(track => {
+    const { points, waypoints } = extractTrack(track.events);
+
+    features.push({
+      type: 'Feature',
+      geometry: {
+        type: 'LineString',
+        coordinates: points.map(e => (
+          typeof e.location.altitude_meters === 'number'
+            ? [e.location.lng, e.location.lat, e.location.altitude_meters]
+            : [e.location.lng, e.location.lat]
+        ))
+      },
+      properties: {
+        name: track.name,
+        tripId: track.tripId || null,
+        vehicleId: track.vehicleId || null,
+        startTime: points[0]?.timestamp || null,
+        endTime: points[points.length - 1]?.timestamp || null,
+        coordTimes: points.map(e => e.timestamp),
+        speeds_kmh: points.map(e => e.movement?.speed_kmh ?? null),
+        headings_degrees: points.map(e => e.movement?.heading_degrees ?? null)
+      }
+    });
+
+    waypoints.forEach(event => {
+      features.push({
+        type: 'Feature',
+        geometry: {
+          type: 'Point',
+          coordinates: typeof event.location.altitude_meters === 'number'
+            ? [event.location.lng, event.location.lat, event.location.altitude_meters]
+            : [event.location.lng, event.location.lat]
+        },
+        properties: {
+          name: track.name,
+          tripId: track.tripId || null,
+          ...flattenEventProperties(event)
+        }
+      });
+    });
+  });
+
+  return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Trigger a browser download for generated file content
+ */
+export function downloadFile(content, fileName, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Export trips as a GPX or GeoJSON download
+ * trips is { [tripId]: events }, metrics supplies trip names and vehicles
+ */
+export function exportTrips(trips, metrics, format, tripIds = Object.keys(trips)) {
+  const formatInfo = EXPORT_FORMATS[format];
+  if (!formatInfo) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  const tracks = tripIds.map(tripId => ({
+    tripId,
+    name: metrics[tripId]?.name || tripId,
+    vehicleId: metrics[tripId]?.vehicleId || null,
+    events: trips[tripId] || []
+  }));
+
+  const baseName = tripIds.length === 1
+    ? tracks[0].name.toLowerCase().replace(/[^a-z0-9]+/g, '_')
+    : 'fleet_tracks';
+
+  const content = format === 'gpx'
+    ? tracksToGpx(tracks, { name: tripIds.length === 1 ? tracks[0].name : 'Fleet tracks' })
+    : JSON.stringify(tracksToGeoJson(tracks), null, 2);
+
+  downloadFile(content, `${baseName}.${formatInfo.extension}`, formatInfo.mimeType);
+}
@@ -0,0 +1,73 @@
+import { tracksToGeoJson, tracksToGpx } from './tripExport';
+
+const ping = (minutes, lat, lng, extra = {}) => ({
+  event_id: `evt_${minutes}`,
+  event_type: 'location_ping',
+  timestamp: new Date(Date.parse('2025-11-03T08:00:00Z') + minutes * 60000).toISOString(),
+  vehicle_id: 'VH_1',
+  trip_id: 'trip_1',
+  location: { lat, lng, altitude_meters: 12.5 },
+  movement: { speed_kmh: 36, heading_degrees: 90, moving: true },
+  ...extra
+});
+
+// Out of order, with a notable event and one type that isn't exported
+const events = [
+  ping(2, 40.002, -74, { location: { lat: 40.002, lng: -74 }, movement: { speed_kmh: 0 } }),
+  ping(0, 40, -74),
+  { ...ping(1, 40.001, -74), event_type: 'speed_violation', speed_limit_kmh: 30 },
+  { ...ping(1.5, 40.0015, -74), event_type: 'signal_lost' }
+];
+const track = { tripId: 'trip_1', name: 'Night <Run>', vehicleId: 'VH_1', events };
+
+test('GPX export writes track points in time order and notable events as waypoints', () => {
+  const doc = new DOMParser().parseFromString(tracksToGpx([track], { name: 'Export' }), 'application/xml');
+  expect(doc.getElementsByTagName('parsererror')).toHaveLength(0);
+  expect(doc.documentElement.getAttribute('version')).toBe('1.1');
+
+  const points = Array.from(doc.getElementsByTagName('trkpt'));
+  const text = (element, tag) => element.getElementsByTagName(tag)[0]?.textContent ?? null;
+  expect(points.map(point => text(point, 'time'))).toEqual([events[1].timestamp, events[0].timestamp]);
+  expect(points.map(point => [point.getAttribute('lat'), point.getAttribute('lon')])).toEqual([['40', '-74'], ['40.002', '-74']]);
+  expect(points.map(point => text(point, 'ele'))).toEqual(['12.5', null]);
+  expect(points.map(point => text(point, 'gpxtpx:speed'))).toEqual(['10', '0']); // m/s
+  expect(points.map(point => text(point, 'gpxtpx:course'))).toEqual(['90', null]);
+
+  const waypoints = Array.from(doc.getElementsByTagName('wpt'));
+  expect(waypoints).toHaveLength(1);
+  expect(text(waypoints[0], 'name')).toBe('Night <Run>: speed_violation');
+  expect(text(waypoints[0], 'type')).toBe('speed_violation');
+  expect(text(waypoints[0], 'desc')).toContain('speed_limit_kmh=30');
+  expect(text(waypoints[0], 'desc')).toContain('location.altitude_meters=12.5');
+  expect(text(doc.getElementsByTagName('trk')[0], 'desc')).toBe('Vehicle VH_1');
+});
+
+test('GeoJSON export has a LineString per track and a Point per notable event', () => {
+  const { type, features } = tracksToGeoJson([track]);
+  expect(type).toBe('FeatureCollection');
+  expect(features.map(feature => feature.geometry.type)).toEqual(['LineString', 'Point']);
+
+  const [line, point] = features;
+  expect(line.geometry.coordinates).toEqual([[-74, 40, 12.5], [-74, 40.002]]);
+  expect(line.properties).toEqual({
+    name: 'Night <Run>',
+    tripId: 'trip_1',
+    vehicleId: 'VH_1',
+    startTime: events[1].timestamp,
+    endTime: events[0].timestamp,
+    coordTimes: [events[1].timestamp, events[0].timestamp],
+    speeds_kmh: [36, 0],
+    headings_degrees: [90, null]
+  });
+
+  expect(point.geometry.coordinates).toEqual([-74, 40.001, 12.5]);
+  expect(point.properties).toMatchObject({
+    name: 'Night <Run>',
+    tripId: 'trip_1',
+    event_type: 'speed_violation',
+    speed_limit_kmh: 30,
+    'movement.speed_kmh': 36,
+    'location.altitude_meters': 12.5
+  });
+  expect(point.properties).not.toHaveProperty('location.lat');
+});
@@ -0,0 +1,419 @@
+/**
+ * Synthetic trip generator for load and scenario testing
+ * Drives vehicles along waypoint routes with a speed profile and emits events in
+ * the native schema: pings at a set interval plus injected speed violations,
+ * signal losses, device errors, stops, refueling and cancellations.
+ * The same seed always produces the same events.
+ *
+ * Also run under Node by scripts/generateTrips.mjs, so imports keep their extension.
+ */
+
+import { haversineKm, bearingDegrees } from './geo.js';
+
+// Vehicle behaviour per road type; stopMinutes is a [min, max] range
+export const SPEED_PROFILES = {
+  urban: { cruiseKmh: 38, maxKmh: 65, speedLimitKmh: 50, variability: 14, stopsPerHour: 2, stopMinutes: [1, 6], altitudeMeters: 60 },
+  highway: { cruiseKmh: 100, maxKmh: 125, speedLimitKmh: 110, variability: 10, stopsPerHour: 0.3, stopMinutes: [10, 30], altitudeMeters: 120 },
+  mountain: { cruiseKmh: 70, maxKmh: 100, speedLimitKmh: 90, variability: 16, stopsPerHour: 0.4, stopMinutes: [5, 20], altitudeMeters: 1400 }
+};
+
+// Expected incident counts per hour of driving, and the share of trips cancelled
+export const DEFAULT_INCIDENT_RATES = {
+  speedViolationsPerHour: 0.4,
+  signalLossesPerHour: 0.25,
+  deviceErrorsPerHour: 0.15,
+  cancellationChance: 0.1
+};
+
+// Routes vehicles are spread over when none is given
+export const ROUTE_PRESETS = [
+  {
+    name: 'Downtown Loop',
+    profile: 'urban',
+    waypoints: [
+      { lat: 34.0523, lng: -118.2436 },
+      { lat: 34.0407, lng: -118.2696 },
+      { lat: 34.0522, lng: -118.3089 },
+      { lat: 34.0736, lng: -118.2890 },
+      { lat: 34.0623, lng: -118.2507 }
+    ]
+  },
+  {
+    name: 'Coastal Run',
+    profile: 'urban',
+    waypoints: [
+      { lat: 34.0523, lng: -118.2436 },
+      { lat: 34.0259, lng: -118.3798 },
+      { lat: 34.0195, lng: -118.4912 }
+    ]
+  },
+  {
+    name: 'Interstate Haul',
+    profile: 'highway',
+    waypoints: [
+      { lat: 42.3314, lng: -83.0458 },
+      { lat: 42.2808, lng: -83.7430 },
+      { lat: 42.2917, lng: -85.5872 },
+      { lat: 41.8781, lng: -87.6298 }
+    ]
+  },
+  {
+    name: 'Texas Corridor',
+    profile: 'highway',
+    waypoints: [
+      { lat: 30.2672, lng: -97.7431 },
+      { lat: 30.4383, lng: -99.7701 },
+      { lat: 30.8885, lng: -102.8790 },
+      { lat: 31.7619, lng: -106.4850 }
+    ]
+  },
+  {
+    name: 'Mountain Pass',
+    profile: 'mountain',
+    waypoints: [
+      { lat: 40.7608, lng: -111.8910 },
+      { lat: 41.7370, lng: -111.8338 },
+      { lat: 42.8713, lng: -112.4455 },
+      { lat: 42.5629, lng: -114.4609 }
+    ]
+  }
+];
+
+const DEVICE_ERRORS = [
+  { error_type: 'gps_signal_weak', error_code: 'ERR_GPS_WEAK_001', error_message: 'GPS signal strength below threshold', severity: 'warning' },
+  { error_type: 'memory_low', error_code: 'ERR_MEM_LOW_002', error_message: 'Device memory usage critical', severity: 'critical' },
+  { error_type: 'sensor_malfunction', error_code: 'ERR_FUEL_SENSOR_003', error_message: 'Fuel level sensor reading invalid', severity: 'error' },
+  { error_type: 'temperature_high', error_code: 'ERR_TEMP_HIGH_004', error_message: 'Device temperature exceeds safe limits', severity: 'warning' }
+];
+
+const CANCELLATION_REASONS = ['mechanical_failure', 'customer_request', 'weather_conditions', 'route_blocked'];
+
+const FUEL_LOW_THRESHOLD = 15; // percent
+const FUEL_PERCENT_PER_KM = 0.09;
+const TELEMETRY_INTERVAL_MS = 30 * 60 * 1000;
+
+const round = (value, decimals = 1) => Number(value.toFixed(decimals));
+
+function hashSeed(seed) {
+  const text = String(seed);
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Seeded random source (mulberry32); seed is a number or a string
+ */
+export function createRandom(seed) {
+  let state = hashSeed(seed);
+
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    range: (min, max) => min + next() * (max - min),
+    int: (min, max) => Math.floor(min + next() * (max - min + 1)),
+    chance: (probability) => next() < probability,
+    pick: (list) => list[Math.floor(next() * list.length)]
+  };
+}
+
+/**
+ * Cumulative distances along a waypoint route
+ */
+function buildRoute(waypoints) {
+  if (!Array.isArray(waypoints) || waypoints.length < 2) {
+    throw new Error('A generated trip needs at least two waypoints');
+  }
+  const offsets = [0];
+  for (let i = 1; i < waypoints.length; i++) {
+    offsets.push(offsets[i - 1] + haversineKm(waypoints[i - 1], waypoints[i]));
+  }
+  return { waypoints, offsets, totalKm: offsets[offsets.length - 1] };
+}
+
+/**
+ * Position and heading a distance along a route (linear between waypoints)
+ */
+function pointAlong(route, km) {
+  const { waypoints, offsets } = route;
+  let index = 1;
+  while (index < offsets.length - 1 && offsets[index] < km) index++;
+
+  const from = waypoints[index - 1];
+  const to = waypoints[index];
+  const length = offsets[index] - offsets[index - 1];
+  const fraction = length > 0 ? Math.min(1, Math.max(0, (km - offsets[index - 1]) / length)) : 1;
+  return {
+    lat: round(from.lat + (to.lat - from.lat) * fraction, 6),
+    lng: round(from.lng + (to.lng - from.lng) * fraction, 6),
+    heading: round(bearingDegrees(from, to))
+  };
+}
+
+function formatTripId(startTime, vehicleId) {
+  const stamp = new Date(startTime).toISOString().replace(/[-:]/g, '').replace('T', '_').slice(0, 15);
+  return `trip_${stamp}_${vehicleId.toLowerCase()}`;
+}
+
+/**
+ * Generate one trip's events, in timestamp order
+ *
+ * options:
+ *   seed, vehicleId, deviceId, tripId, startTime (ISO string or ms)
+ *   waypoints: [{ lat, lng }], at least two
+ *   profile: a SPEED_PROFILES key or a profile object
+ *   pingIntervalSec: seconds between location pings
+ *   rates: overrides for DEFAULT_INCIDENT_RATES
+ */
+export function generateTrip({
+  seed = 1,
+  vehicleId = 'SIM_001',
+  deviceId = `GPS_${vehicleId}`,
+  startTime = '2025-11-03T08:00:00.000Z',
+  tripId = formatTripId(startTime, vehicleId),
+  waypoints = ROUTE_PRESETS[0].waypoints,
+  profile = 'urban',
+  pingIntervalSec = 30,
+  rates = {}
+} = {}) {
+  const random = createRandom(seed);
+  const speedProfile = typeof profile === 'string' ? SPEED_PROFILES[profile] : profile;
+  if (!speedProfile) throw new Error(`Unknown speed profile: ${profile}`);
+  if (!(pingIntervalSec > 0)) throw new Error('pingIntervalSec must be positive');
+
+  const incidentRates = { ...DEFAULT_INCIDENT_RATES, ...rates };
+  const route = buildRoute(waypoints);
+  const cancelAtKm = random.chance(incidentRates.cancellationChance)
+    ? route.totalKm * random.range(0.2, 0.8)
+    : null;
+
+  const startMs = new Date(startTime).getTime();
+  const events = [];
+  let time = startMs;
+  let km = 0;
+  let speed = 0;
+  let fuel = random.range(45, 95);
+  let fuelConsumed = 0;
+  let fuelWarned = false;
+  let battery = random.range(85, 100);
+  let signalLostAt = null;
+  let signalRestoreAt = null;
+  let lastTelemetryAt = startMs;
+  const odometerStart = random.int(40000, 160000);
+  const engineHoursStart = random.int(2000, 12000);
+
+  const emit = (eventType, extra = {}, { tracking = true } = {}) => {
+    const point = pointAlong(route, km);
+    const event = {
+      event_id: `evt_${tripId}_${String(events.length + 1).padStart(6, '0')}`,
+      event_type: eventType,
+      timestamp: new Date(time).toISOString(),
+      vehicle_id: vehicleId,
+      trip_id: tripId,
+      location: { lat: point.lat, lng: point.lng }
+    };
+    if (tracking) {
+      event.location.accuracy_meters = round(random.range(4, 15));
+      event.location.altitude_meters = round(speedProfile.altitudeMeters + random.range(-40, 40));
+      event.movement = { speed_kmh: round(speed), heading_degrees: point.heading, moving: speed > 0 };
+      event.distance_travelled_km = round(km);
+      event.signal_quality = random.chance(0.8) ? 'excellent' : 'good';
+      event.device = { battery_level: round(battery), charging: false };
+      event.overspeed = speed > speedProfile.speedLimitKmh;
+    }
+    events.push(Object.assign(event, extra));
+    return event;
+  };
+
+  emit('trip_started', {
+    device_id: deviceId,
+    planned_distance_km: round(route.totalKm),
+    estimated_duration_hours: round((route.totalKm / speedProfile.cruiseKmh) * 1.2)
+  }, { tracking: false });
+
+  const endKm = cancelAtKm ?? route.totalKm;
+  while (km < endKm) {
+    const stepMs = pingIntervalSec * 1000 * random.range(0.9, 1.1);
+    const stepHours = stepMs / 3600000;
+
+    // Speed drifts towards the cruise speed; violations push it over the limit
+    const target = speedProfile.cruiseKmh + random.range(-1, 1) * speedProfile.variability;
+    speed = Math.min(speedProfile.maxKmh, Math.max(5, speed + (target - speed) * 0.4));
+    const violating = random.chance(incidentRates.speedViolationsPerHour * stepHours);
+    if (violating) speed = speedProfile.speedLimitKmh + random.range(6, 35);
+
+    const distance = Math.min(speed * stepHours, endKm - km);
+    km += distance;
+    time += stepMs;
+    fuel = Math.max(0, fuel - distance * FUEL_PERCENT_PER_KM);
+    fuelConsumed += distance * FUEL_PERCENT_PER_KM;
+    battery = Math.max(5, battery - stepHours * 0.4);
+
+    // Nothing reaches the server while the signal is lost
+    if (signalLostAt !== null) {
+      if (time < signalRestoreAt) continue;
+      emit('signal_recovered', {
+        signal_lost_duration_seconds: round((time - signalLostAt) / 1000),
+        signal_quality_after_recovery: random.pick(['fair', 'good'])
+      });
+      signalLostAt = null;
+    }
+
+    if (cancelAtKm !== null && km >= cancelAtKm) break;
+
+    if (violating) {
+      const violationAmount = round(speed - speedProfile.speedLimitKmh);
+      emit('speed_violation', {
+        speed_limit_kmh: speedProfile.speedLimitKmh,
+        violation_amount_kmh: violationAmount,
+        severity: violationAmount > 20 ? 'severe' : 'moderate'
+      });
+    } else {
+      emit('location_ping');
+    }
+
+    if (random.chance(incidentRates.deviceErrorsPerHour * stepHours)) {
+      emit('device_error', random.pick(DEVICE_ERRORS));
+    }
+
+    if (time - lastTelemetryAt >= TELEMETRY_INTERVAL_MS) {
+      lastTelemetryAt = time;
+      emit('vehicle_telemetry', {
+        telemetry: {
+          odometer_km: Math.round(odometerStart + km),
+          fuel_level_percent: round(fuel, 2),
+          engine_hours: Math.round(engineHoursStart + (time - startMs) / 3600000),
+          coolant_temp_celsius: round(random.range(82, 98), 2),
+          oil_pressure_kpa: round(random.range(250, 350), 2),
+          battery_voltage: round(random.range(12.6, 14.2), 2)
+        }
+      });
+    }
+
+    if (!fuelWarned && fuel <= FUEL_LOW_THRESHOLD) {
+      fuelWarned = true;
+      emit('fuel_level_low', {
+        fuel_level_percent: round(fuel),
+        threshold_percent: FUEL_LOW_THRESHOLD,
+        estimated_range_km: Math.round(fuel / FUEL_PERCENT_PER_KM)
+      });
+    }
+
+    // Refuel a little after the warning, as a stop
+    if (fuelWarned && random.chance(0.2)) {
+      speed = 0;
+      emit('refueling_started');
+      const refuelMinutes = random.int(6, 15);
+      const fuelBefore = fuel;
+      time += refuelMinutes * 60 * 1000;
+      fuel = random.range(85, 98);
+      fuelWarned = false;
+      emit('refueling_completed', {
+        refuel_duration_minutes: refuelMinutes,
+        fuel_level_after_refuel: round(fuel),
+        fuel_added_percent: round(fuel - fuelBefore)
+      });
+    } else if (random.chance(speedProfile.stopsPerHour * stepHours)) {
+      speed = 0;
+      emit('vehicle_stopped');
+      const stopMinutes = random.int(...speedProfile.stopMinutes);
+      time += stopMinutes * 60 * 1000;
+      speed = speedProfile.cruiseKmh / 3;
+      emit('vehicle_moving', { stop_duration_minutes: stopMinutes });
+    }
+
+    if (random.chance(incidentRates.signalLossesPerHour * stepHours)) {
+      emit('signal_lost');
+      signalLostAt = time;
+      signalRestoreAt = time + random.range(60, 600) * 1000;
+    }
+  }
+
+  const durationHours = round((time - startMs) / 3600000);
+  if (cancelAtKm !== null) {
+    emit('trip_cancelled', {
+      cancellation_reason: random.pick(CANCELLATION_REASONS),
+      distance_completed_km: round(km),
+      elapsed_time_minutes: Math.round((time - startMs) / 60000)
+    });
+  } else {
+    speed = 0;
+    emit('trip_completed', {
+      device_id: deviceId,
+      total_distance_km: round(km),
+      total_duration_hours: durationHours,
+      fuel_consumed_percent: round(fuelConsumed)
+    }, { tracking: false });
+  }
+
+  return events;
+}
+
+/**
+ * Generate a fleet of vehicles spread over routes and start times
+ * Each vehicle is seeded from (seed, index), so adding vehicles keeps the earlier ones
+ * Returns [{ trip: manifestEntry, events }]
+ *
+ * options:
+ *   seed, vehicleCount, startTime (first departure), startSpreadMinutes
+ *   routes: [{ name, profile, waypoints }] (default ROUTE_PRESETS)
+ *   idPrefix: manifest id prefix, pingIntervalSec and rates as for generateTrip
+ */
+export function generateFleet({
+  seed = 1,
+  vehicleCount = 10,
+  startTime = '2025-11-03T08:00:00.000Z',
+  startSpreadMinutes = 120,
+  routes = ROUTE_PRESETS,
+  idPrefix = 'sim',
+  pingIntervalSec = 30,
+  rates = {}
+} = {}) {
+  const startMs = new Date(startTime).getTime();
+
+  return Array.from({ length: vehicleCount }, (_, index) => {
+    const vehicleSeed = `${seed}:${index}`;
+    const random = createRandom(vehicleSeed);
+    const route = routes[index % routes.length];
+    const number = String(index + 1).padStart(3, '0');
+    const vehicleId = `SIM_${number}`;
+
+    // Jitter waypoints by up to ~1 km so vehicles on one route don't overlap exactly
+    const waypoints = route.waypoints.map(point => ({
+      lat: point.lat + random.range(-0.01, 0.01),
+      lng: point.lng + random.range(-0.01, 0.01)
+    }));
+    const vehicleStart = startMs + Math.round(random.range(0, startSpreadMinutes)) * 60 * 1000;
+
+    const events = generateTrip({
+      seed: vehicleSeed,
+      vehicleId,
+      deviceId: `GPS_DEVICE_SIM_${number}`,
+      startTime: vehicleStart,
+      waypoints,
+      profile: route.profile,
+      pingIntervalSec,
+      rates
+    });
+
+    return {
+      trip: {
+        id: `${idPrefix}_${number}`,
+        name: `${route.name} #${index + 1}`,
+        vehicleId,
+        file: `${idPrefix}_${number}.json`
+      },
+      events
+    };
+  });
+}
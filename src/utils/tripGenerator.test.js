@@ -0,0 +1,39 @@
+import { generateFleet, generateTrip, ROUTE_PRESETS } from './tripGenerator';
+import { validateEvent } from './eventSchema';
+
+test('the same seed generates the same fleet, and vehicles keep their trips as the fleet grows', () => {
+  const fleet = generateFleet({ seed: 'fixture', vehicleCount: 3 });
+  expect(generateFleet({ seed: 'fixture', vehicleCount: 3 })).toEqual(fleet);
+  expect(generateFleet({ seed: 'fixture', vehicleCount: 4 }).slice(0, 3)).toEqual(fleet);
+  expect(generateFleet({ seed: 'other', vehicleCount: 3 })[0].events).not.toEqual(fleet[0].events);
+  expect(fleet.map(({ trip }) => trip.id)).toEqual(['sim_001', 'sim_002', 'sim_003']);
+});
+
+test('generated events are valid, ordered and pinged at the configured interval', () => {
+  const events = generateTrip({ seed: 7, waypoints: ROUTE_PRESETS[2].waypoints, profile: 'highway', pingIntervalSec: 60 });
+
+  expect(events.filter(event => validateEvent(event).length > 0)).toEqual([]);
+  const times = events.map(event => Date.parse(event.timestamp));
+  expect(times).toEqual([...times].sort((a, b) => a - b));
+  expect(events[0].event_type).toBe('trip_started');
+  expect(['trip_completed', 'trip_cancelled']).toContain(events[events.length - 1].event_type);
+
+  const pings = events.filter(event => event.event_type === 'location_ping');
+  const gaps = pings.slice(1).map((ping, i) => Date.parse(ping.timestamp) - Date.parse(pings[i].timestamp));
+  expect(Math.min(...gaps)).toBeGreaterThanOrEqual(54 * 1000);
+});
+
+test('injects incidents at the configured rates', () => {
+  const events = generateTrip({
+    seed: 3,
+    waypoints: ROUTE_PRESETS[3].waypoints,
+    profile: 'highway',
+    rates: { speedViolationsPerHour: 4, signalLossesPerHour: 2, deviceErrorsPerHour: 2, cancellationChance: 1 }
+  });
+  const types = new Set(events.map(event => event.event_type));
+
+  ['speed_violation', 'signal_lost', 'signal_recovered', 'device_error', 'trip_cancelled']
+    .forEach(type => expect(types).toContain(type));
+  expect(types).not.toContain('trip_completed');
+  expect(events.filter(event => event.event_type === 'speed_violation').every(event => event.overspeed)).toBe(true);
+});
@@ -0,0 +1,281 @@
+/**
+ * Trip file import utilities
+ * Parses trip exports dropped onto the dashboard (JSON event arrays, NDJSON,
+ * CSV flattenings of location_ping rows and GPX tracks) into the native event schema
+ */
+
+import { registerImportedTrip } from './dataLoader';
+import { parseGpxEvents } from './gpxImport';
+import { generateFleet } from './tripGenerator';
+
+export const IMPORT_FORMATS = ['json', 'ndjson', 'csv', 'gpx'];
+
+// CSV column -> event path; dotted headers (e.g. "location.lat") are also accepted
+export const CSV_COLUMNS = {
+  event_id: 'event_id',
+  event_type: 'event_type',
+  timestamp: 'timestamp',
+  vehicle_id: 'vehicle_id',
+  trip_id: 'trip_id',
+  device_id: 'device_id',
+  lat: 'location.lat',
+  lng: 'location.lng',
+  accuracy_meters: 'location.accuracy_meters',
+  altitude_meters: 'location.altitude_meters',
+  speed_kmh: 'movement.speed_kmh',
+  heading_degrees: 'movement.heading_degrees',
+  moving: 'movement.moving',
+  distance_travelled_km: 'distance_travelled_km',
+  signal_quality: 'signal_quality',
+  battery_level: 'device.battery_level',
+  charging: 'device.charging',
+  overspeed: 'overspeed'
+};
+
+const STRING_PATHS = new Set(['event_id', 'event_type', 'timestamp', 'vehicle_id', 'trip_id', 'device_id', 'signal_quality']);
+
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'trip';
+}
+
+/**
+ * Work out the format of a trip file from its name, falling back to its content
+ */
+export function detectFormat(fileName = '', text = '') {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (extension === 'json') return 'json';
+  if (extension === 'ndjson' || extension === 'jsonl') return 'ndjson';
+  if (extension === 'csv') return 'csv';
+  if (extension === 'gpx') return 'gpx';
+
+  const trimmed = text.trimStart();
+  if (trimmed.startsWith('<')) return 'gpx';
+  if (trimmed.startsWith('[')) return 'json';
+  if (trimmed.startsWith('{')) {
+    const firstLine = trimmed.split('\n', 1)[0].trim();
+    try {
+      JSON.parse(firstLine);
+      return 'ndjson';
+    } catch (e) {
+      return 'json';
+    }
+  }
+  return 'csv';
+}
+
+/**
+ * Parse a JSON event array (or an object with an "events" array)
+ */
+export function parseJsonEvents(text) {
+  const data = JSON.parse(text);
+  if (Array.isArray(data)) return { events: data, errors: [] };
+  if (data && Array.isArray(data.events)) return { events: data.events, errors: [] };
+  throw new Error('JSON trip file must be an event array or contain an "events" array');
+}
+
+/**
+ * Parse newline-delimited JSON, one event per line
+ */
+export function parseNdjsonEvents(text) {
+  const events = [];
+  const errors = [];
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      events.push(JSON.parse(line));
+    } catch (e) {
+      errors.push(`line ${index + 1}: ${e.message}`);
+    }
+  });
+
+  return { events, errors };
+}
+
+/**
+ * Split one CSV line into fields, honouring double-quoted values
+ */
+export function splitCsvLine(line) {
+  const fields = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current);
+
+  return fields;
+}
+
+function setPath(target, path, value) {
+  const keys = path.split('.');
+  let node = target;
+  keys.slice(0, -1).forEach(key => {
+    if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+    node = node[key];
+  });
+  node[keys[keys.length - 1]] = value;
+}
+
+function parseCsvValue(path, raw) {
+  const value = raw.trim();
+  if (STRING_PATHS.has(path)) return value;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  const number = Number(value);
+  return isNaN(number) ? value : number;
+}
+
+/**
+ * Parse a CSV flattening of location_ping rows
+ * Rows without an event_type are treated as location_ping events
+ */
+export function parseCsvEvents(text, idPrefix = 'csv') {
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  if (lines.length === 0) return { events: [], errors: ['CSV file is empty'] };
+
+  const headers = splitCsvLine(lines[0]).map(header => header.trim());
+  const paths = headers.map(header => CSV_COLUMNS[header] || (header.includes('.') ? header : null));
+  const errors = [];
+
+  headers.forEach((header, index) => {
+    if (!paths[index]) errors.push(`unknown CSV column "${header}" ignored`);
+  });
+
+  const events = lines.slice(1).map((line, rowIndex) => {
+    const fields = splitCsvLine(line);
+    const event = { event_type: 'location_ping' };
+
+    paths.forEach((path, index) => {
+      if (!path || fields[index] === undefined || fields[index].trim() === '') return;
+      setPath(event, path, parseCsvValue(path, fields[index]));
+    });
+
+    if (!event.event_id) {
+      event.event_id = `${idPrefix}_${rowIndex + 1}`;
+    }
+    return event;
+  });
+
+  return { events, errors };
+}
+
+/**
+ * Parse the text of a trip file in any supported format
+ * tripId is the id events converted from GPX track points are given
+ */
+export function parseTripFile(text, fileName = '', { tripId } = {}) {
+  const format = detectFormat(fileName, text);
+  const baseName = fileName.replace(/\.[^.]+$/, '') || 'import';
+
+  let result;
+  if (format === 'gpx') {
+    result = parseGpxEvents(text, { tripId, idPrefix: slugify(baseName) });
+  } else if (format === 'json') {
+    result = parseJsonEvents(text);
+  } else if (format === 'ndjson') {
+    result = parseNdjsonEvents(text);
+  } else {
+    result = parseCsvEvents(text, baseName);
+  }
+
+  return { format, ...result };
+}
+
+/**
+ * Id for a trip imported from fileName, not already taken
+ */
+export function createImportedTripId(fileName, existingIds = []) {
+  const slug = slugify(fileName.replace(/\.[^.]+$/, '') || 'import');
+  const taken = new Set(existingIds);
+
+  let id = `import_${slug}`;
+  for (let suffix = 2; taken.has(id); suffix++) {
+    id = `import_${slug}_${suffix}`;
+  }
+  return id;
+}
+
+/**
+ * Build a manifest entry for an imported trip with an id not already taken
+ */
+export function createImportedTripEntry(fileName, events, existingIds = []) {
+  const baseName = fileName.replace(/\.[^.]+$/, '') || 'import';
+
+  return {
+    id: createImportedTripId(fileName, existingIds),
+    name: baseName,
+    vehicleId: events.find(e => e?.vehicle_id)?.vehicle_id || null,
+    file: fileName,
+    source: 'import'
+  };
+}
+
+/**
+ * Read a dropped File object and parse it into events (options as for parseTripFile)
+ */
+export async function readTripFile(file, options) {
+  const text = await file.text();
+  return parseTripFile(text, file.name, options);
+}
+
+/**
+ * Parse dropped files and register each one as an imported trip
+ * Returns the manifest entries that were added and the files that failed
+ */
+export async function importTripFiles(files, existingIds = []) {
+  const imported = [];
+  const failed = [];
+  const takenIds = [...existingIds];
+
+  for (const file of Array.from(files)) {
+    try {
+      // GPX events are built with the trip id the manifest entry gets below
+      const { format, events, errors } = await readTripFile(file, { tripId: createImportedTripId(file.name, takenIds) });
+      if (events.length === 0) {
+        throw new Error(errors[0] || `No events found in ${format.toUpperCase()} file`);
+      }
+
+      const trip = createImportedTripEntry(file.name, events, takenIds);
+      registerImportedTrip(trip, events);
+      takenIds.push(trip.id);
+      imported.push({ ...trip, format, eventCount: events.length, warnings: errors });
+    } catch (error) {
+      failed.push({ fileName: file.name, error: error.message });
+    }
+  }
+
+  return { imported, failed };
+}
+
+/**
+ * Generate a synthetic fleet (see tripGenerator) and register each vehicle as an imported trip
+ * Ids are derived from the seed, so spawning the same seed again replaces those trips
+ * Returns { imported, failed } like importTripFiles
+ */
+export function importSyntheticTrips({ vehicleCount, seed, ...options }) {
+  const fleet = generateFleet({ ...options, seed, vehicleCount, idPrefix: `sim_${slugify(String(seed))}` });
+  const imported = fleet.map(({ trip, events }) => {
+    registerImportedTrip(trip, events);
+    return { ...trip, source: 'import', format: 'synthetic', eventCount: events.length, warnings: [] };
+  });
+  return { imported, failed: [] };
+}
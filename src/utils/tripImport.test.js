@@ -0,0 +1,95 @@
+import { act, renderHook, waitFor } from '@testing-library/react';
+import { useFleetData } from '../hooks/useFleetData';
+import { importTripFiles } from './tripImport';
+import { loadImportedTrips } from './dataLoader';
+import { createAppStore } from '../redux/store';
+import { importTrips, loadTripsData, spawnSyntheticTrips } from '../redux/slices/tripsSlice';
+import { PlaybackEngine } from './playbackEngine';
+
+const event = (tripId, minutes, extra = {}) => ({
+  event_id: `${tripId}_${minutes}`,
+  event_type: 'trip_started',
+  timestamp: new Date(Date.parse('2025-11-03T08:00:00Z') + minutes * 60000).toISOString(),
+  vehicle_id: 'VH_1',
+  trip_id: tripId,
+  location: { lat: 40, lng: -74 },
+  planned_distance_km: 10,
+  ...extra
+});
+
+const files = {
+  '/data/manifest.json': { trips: [{ id: 'trip_1', file: 'trip_1.json' }] },
+  '/data/trip_1.json': [event('trip_1', 0)]
+};
+
+const dropped = (name, text) => ({ name, text: async () => text });
+
+beforeEach(() => {
+  global.fetch = jest.fn(async url => ({
+    ok: true,
+    status: 200,
+    headers: { get: () => null },
+    json: async () => files[url],
+    text: async () => JSON.stringify(files[url])
+  }));
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('importing files adds only the imported trips to the loaded fleet', async () => {
+  const { result } = renderHook(() => useFleetData());
+  await waitFor(() => expect(result.current.streaming).toBe(false));
+  const manifestTrip = result.current.trips.trip_1;
+  const fetches = global.fetch.mock.calls.length;
+
+  await act(() => result.current.importFiles([dropped('Night Run.ndjson', JSON.stringify(event('x', 5)))]));
+
+  expect(global.fetch).toHaveBeenCalledTimes(fetches);
+  expect(result.current.manifest.trips.map(trip => trip.id)).toEqual(['trip_1', 'import_night_run']);
+  expect(result.current.trips.trip_1).toBe(manifestTrip);
+  expect(result.current.trips.import_night_run).toHaveLength(1);
+  expect(result.current.validation.import_night_run).toMatchObject({ total: 1, quarantined: 0 });
+  await waitFor(() => expect(result.current.metrics.import_night_run).toBeDefined());
+});
+
+test('the store adds imported and spawned trips without reloading the manifest trips', async () => {
+  const store = createAppStore(new PlaybackEngine());
+  await store.dispatch(loadTripsData());
+  const manifestTrip = store.getState().trips.data.trip_1;
+  const fetches = global.fetch.mock.calls.length;
+
+  await store.dispatch(importTrips([dropped('Day Run.ndjson', JSON.stringify(event('y', 5)))]));
+  await store.dispatch(spawnSyntheticTrips({ vehicleCount: 2, seed: 'night' }));
+
+  expect(global.fetch).toHaveBeenCalledTimes(fetches);
+  const { trips, metrics } = store.getState();
+  // Trips imported by earlier tests are still registered, after trip_1
+  const ids = trips.manifest.trips.map(trip => trip.id);
+  expect(ids[0]).toBe('trip_1');
+  expect(ids.slice(-3)).toEqual(['import_day_run', 'sim_night_001', 'sim_night_002']);
+  expect(trips.data.trip_1).toBe(manifestTrip);
+  expect(trips.data.import_day_run).toHaveLength(1);
+  expect(trips.lastImport.imported.map(trip => trip.id)).toEqual(['sim_night_001', 'sim_night_002']);
+  expect(Object.keys(metrics.metrics)).toEqual(trips.manifest.trips.map(trip => trip.id));
+  expect(metrics.metrics.import_day_run.color).toBe(trips.manifest.trips[ids.indexOf('import_day_run')].color);
+});
+
+test('events converted from GPX carry the imported trip id', async () => {
+  const gpx = `<?xml version="1.0"?>
+<gpx version="1.1"><trk><name>Ridge</name><trkseg>
+  <trkpt lat="40.0" lon="-74.0"><time>2025-11-03T08:00:00Z</time></trkpt>
+  <trkpt lat="40.01" lon="-74.0"><time>2025-11-03T08:01:00Z</time></trkpt>
+</trkseg></trk></gpx>`;
+
+  const { imported, failed } = await importTripFiles([dropped('Ridge Run.gpx', gpx), dropped('Ridge Run.gpx', gpx)], ['import_ridge_run']);
+
+  expect(failed).toEqual([]);
+  expect(imported.map(trip => trip.id)).toEqual(['import_ridge_run_2', 'import_ridge_run_3']);
+  const { trips, validation } = await loadImportedTrips(imported.map(trip => trip.id));
+  imported.forEach(trip => {
+    expect(validation[trip.id].quarantined).toBe(0);
+    expect(trips[trip.id].map(e => e.trip_id)).toEqual(trips[trip.id].map(() => trip.id));
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Trip metrics
+ * Distance, speed, stop and completion figures for a trip's events, used by
+ * the loader and the event processing worker
+ */
+
+/**
+ * Calculate trip metrics from events
+ */
+export function calculateTripMetrics(events) {
+  if (!events || events.length === 0) {
+    return {
+      totalDistance: 0,
+      totalEvents: 0,
+      startTime: null,
+      endTime: null,
+      plannedDistance: 0,
+      estimatedDuration: 0,
+      status: 'idle',
+      maxSpeed: 0,
+      averageSpeed: 0,
+      stops: 0,
+      lastLocation: null,
+      lastUpdate: null,
+      speedEvents: [],
+      locations: [],
+      completionPercentage: 0
+    };
+  }
+
+  const startEvent = events.find(e => e.event_type === 'trip_started');
+  const locationEvents = events.filter(e => e.event_type === 'location_ping');
+  const endEvent = events.find(e => e.event_type === 'trip_completed' || e.event_type === 'trip_cancelled');
+
+  let maxSpeed = 0;
+  let totalSpeedSum = 0;
+  let speedCount = 0;
+  let stops = 0;
+  let lastMoving = true;
+  let currentDistance = 0;
+  let lastLocationEvent = null;
+  let lastLocationTime = -Infinity;
+
+  locationEvents.forEach(event => {
+    // Latest ping by timestamp, in case a live feed delivered them out of order
+    const time = Date.parse(event.timestamp);
+    if (!lastLocationEvent || time >= lastLocationTime) {
+      lastLocationEvent = event;
+      lastLocationTime = isNaN(time) ? -Infinity : time;
+    }
+
+    const speed = event.movement?.speed_kmh;
+    if (typeof speed === 'number' && Number.isFinite(speed) && speed > 0) {
+      maxSpeed = Math.max(maxSpeed, speed);
+      totalSpeedSum += speed;
+      speedCount++;
+    }
+
+    // Cumulative, so the furthest reading is the latest; skips corrupted readings
+    const distance = event.distance_travelled_km;
+    if (typeof distance === 'number' && Number.isFinite(distance)) {
+      currentDistance = Math.max(currentDistance, distance);
+    }
+    
+    // Count stops
+    if (!event.movement?.moving && lastMoving) {
+      stops++;
+    }
+    lastMoving = event.movement?.moving ?? true;
+  });
+
+  const plannedDistance = startEvent?.planned_distance_km || 0;
+  const estimatedDuration = startEvent?.estimated_duration_hours || 0;
+  const completionPercentage = plannedDistance > 0 
+    ? Math.round((currentDistance / plannedDistance) * 100)
+    : 0;
+
+  let status = 'in_progress';
+  if (endEvent?.event_type === 'trip_completed') {
+    status = 'completed';
+  } else if (endEvent?.event_type === 'trip_cancelled') {
+    status = 'cancelled';
+  } else if (!locationEvents.length) {
+    status = 'idle';
+  }
+
+  return {
+    totalDistance: Math.round(currentDistance * 10) / 10,
+    totalEvents: events.length,
+    startTime: startEvent?.timestamp || null,
+    endTime: endEvent?.timestamp || lastLocationEvent?.timestamp || null,
+    plannedDistance: plannedDistance,
+    estimatedDuration: estimatedDuration,
+    status: status,
+    maxSpeed: Math.round(maxSpeed * 10) / 10,
+    averageSpeed: speedCount > 0 ? Math.round((totalSpeedSum / speedCount) * 10) / 10 : 0,
+    stops: stops,
+    lastLocation: lastLocationEvent?.location || null,
+    lastUpdate: lastLocationEvent?.timestamp || null,
+    speedEvents: locationEvents.map(e => ({
+      timestamp: e.timestamp,
+      speed: e.movement?.speed_kmh || 0
+    })),
+    locations: locationEvents.map(e => ({
+      timestamp: e.timestamp,
+      lat: e.location?.lat,
+      lng: e.location?.lng,
+      distance: e.distance_travelled_km
+    })),
+    completionPercentage: completionPercentage,
+    elapsedHours: startEvent && lastLocationEvent 
+      ? (new Date(lastLocationEvent.timestamp) - new Date(startEvent.timestamp)) / (1000 * 60 * 60)
+      : 0
+  };
+}